@@ -0,0 +1,95 @@
+/**
+ * Chromium (Manifest V3) build
+ *
+ * Copies src/ to dist/chromium/ and replaces the Firefox (Manifest V2)
+ * manifest with a Manifest V3 one. The background scripts of the Firefox
+ * manifest become a service worker that loads the same scripts in the same
+ * order, so src/manifest.json stays the only list of them.
+ *
+ * Usage: node scripts/build-chromium.js (then web-ext build packs the folder)
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const SOURCE_DIR = path.join(ROOT_DIR, "src");
+const TARGET_DIR = path.join(ROOT_DIR, "dist", "chromium");
+const SERVICE_WORKER = "service-worker.js";
+
+/**
+ * Manifest V3 manifest for Chromium, derived from the Firefox manifest
+ * - background scripts become a service worker
+ * - browser_action becomes action (Chromium has no SVG toolbar icons)
+ * - host permissions move to host_permissions, webRequest is not needed
+ * - unlimitedStorage, as storage.local is limited to 10 MB otherwise (the
+ *   sync history keeps snapshots of the bookmark tree)
+ */
+export function chromiumManifest(manifest) {
+  const {
+    browser_specific_settings: _firefoxSettings,
+    browser_action: browserAction,
+    background: _background,
+    permissions = [],
+    ...rest
+  } = manifest;
+
+  const isHostPermission = (permission) =>
+    permission === "<all_urls>" || permission.includes("://");
+
+  return {
+    ...rest,
+    manifest_version: 3,
+    permissions: [
+      ...permissions.filter(
+        (permission) =>
+          !isHostPermission(permission) && permission !== "webRequest",
+      ),
+      "unlimitedStorage",
+    ],
+    host_permissions: permissions.filter(isHostPermission),
+    background: { service_worker: SERVICE_WORKER },
+    action: {
+      default_popup: browserAction.default_popup,
+      default_icon: manifest.icons,
+    },
+  };
+}
+
+/**
+ * Service worker that loads the background scripts of the Firefox manifest
+ */
+export function serviceWorkerSource(manifest) {
+  const scripts = manifest.background.scripts
+    .map((script) => JSON.stringify(script))
+    .join(",\n  ");
+  return `// Generated by scripts/build-chromium.js from src/manifest.json\nimportScripts(\n  ${scripts},\n);\n`;
+}
+
+function build() {
+  const manifest = JSON.parse(
+    fs.readFileSync(path.join(SOURCE_DIR, "manifest.json"), "utf-8"),
+  );
+
+  fs.rmSync(TARGET_DIR, { recursive: true, force: true });
+  fs.cpSync(SOURCE_DIR, TARGET_DIR, {
+    recursive: true,
+    filter: (source) => path.basename(source) !== ".amo-upload-uuid",
+  });
+  fs.writeFileSync(
+    path.join(TARGET_DIR, "manifest.json"),
+    JSON.stringify(chromiumManifest(manifest), null, 2) + "\n",
+  );
+  fs.writeFileSync(
+    path.join(TARGET_DIR, SERVICE_WORKER),
+    serviceWorkerSource(manifest),
+  );
+  console.log(
+    `Chromium build written to ${path.relative(ROOT_DIR, TARGET_DIR)}`,
+  );
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  build();
+}
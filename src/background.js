@@ -12,6 +12,16 @@ const ACTIONS = {
   CANCEL: "cancelChanges",
 };
 
+// How often a confirmed sync is re-merged when the remote keeps changing underneath
+const MAX_WRITE_ATTEMPTS = 3;
+
+// Typed on the confirmation page to apply a large deletion
+const MASS_DELETION_PHRASE = "DELETE";
+
+// Answer to the actions that would write the remote of a pull-only profile
+const PULL_ONLY_ERROR =
+  "This profile only pulls (mirror), the remote file is never written";
+
 // Flag to prevent recording sync-triggered changes in the change log
 let syncInProgress = false;
 
@@ -24,12 +34,24 @@ let debounceTimer = null;
 // In-memory data for confirmation page (avoids storage for transient communication)
 let confirmationData = null;
 
+// The UI state and confirmationData are mirrored to storage.session: as a
+// service worker (Chromium), the background context is stopped when idle
+let sessionStateRestore = null;
+let persistedSessionState = null;
+
 //************************** UTILITY FUNCTIONS **************************
 
 function formatSyncTime() {
   return new Date().toLocaleString();
 }
 
+/**
+ * Ids of all sync profiles: local edits are recorded for each of them
+ */
+async function getProfileIds() {
+  return (await loadProfiles()).map((profile) => profile.id);
+}
+
 /**
  * Determine if a tombstone should be kept or filtered out
  * - Folder tombstones: remove if folder has content (path prefix check)
@@ -37,7 +59,7 @@ function formatSyncTime() {
  */
 function shouldKeepTombstone(tombstone, activeBookmarks) {
   // For folders: check if any bookmark has path inside this folder
-  if (!tombstone.url) {
+  if (isFolder(tombstone)) {
     const folderPath = [...tombstone.path, tombstone.title];
     const hasContent = activeBookmarks.some((bm) =>
       pathStartsWith(bm.path, folderPath),
@@ -52,6 +74,109 @@ function shouldKeepTombstone(tombstone, activeBookmarks) {
   return true; // keep tombstone
 }
 
+/**
+ * Write to remote during automatic syncs (no confirmation involved)
+ * If another machine uploaded since the fetch, nothing is written: the next
+ * sync picks up its changes with a fresh 3-way merge.
+ * @returns {Promise<boolean>} true if the remote was written
+ */
+async function writeRemoteIfUnchanged(config, data, version) {
+  try {
+    await updateWebDAV(
+      config.url,
+      config.username,
+      config.password,
+      data,
+      version,
+      webdavOptions(config),
+    );
+    return true;
+  } catch (error) {
+    if (!isPreconditionFailed(error)) {
+      throw error;
+    }
+    await saveStatusMessage(
+      `Remote changed during sync, retrying with next sync: ${formatSyncTime()}`,
+      config.profileId,
+    );
+    return false;
+  }
+}
+
+//************************** FOLDER SCOPE **************************
+
+/**
+ * Part of the local tree a profile syncs: its local root folder, without the
+ * bookmarks its exclusion rules match
+ */
+function localScope(config) {
+  return {
+    profileId: config.profileId,
+    rootPath: config.localRoot || [],
+    exclusions: config.exclusions || {},
+  };
+}
+
+/**
+ * Leave out the records (relative to the local root folder) excluded by the
+ * profile's rules
+ */
+function withoutExcluded(config, records) {
+  const { exclusions, rootPath } = localScope(config);
+  const isExcluded = exclusionMatcher(exclusions, rootPath);
+  return records.filter((record) => !isExcluded(record));
+}
+
+/**
+ * Local tombstones inside the local root folder, relative to it (they are
+ * recorded with their full path, for every profile)
+ */
+async function getScopedLocalTombstones(config) {
+  const tombstones = await withCanonicalRoots(
+    await getLocalTombstones(config.profileId),
+  );
+  return withoutExcluded(
+    config,
+    scopeRecords(tombstones, localScope(config).rootPath),
+  );
+}
+
+async function saveScopedLocalTombstones(tombstones, config) {
+  await saveLocalTombstones(
+    unscopeRecords(tombstones, localScope(config).rootPath),
+    config.profileId,
+  );
+}
+
+/**
+ * Split a fetched remote document into the records of the remote root path
+ * (relative to it) and those outside it or excluded, which are written back
+ * unchanged
+ */
+async function splitRemoteDocument(config, data) {
+  const records = await withCanonicalRoots(data || []);
+  const remoteRoot = config.remoteRoot || [];
+  const inScope = scopeRecords(records, remoteRoot);
+  const synced = withoutExcluded(config, inScope);
+  return {
+    records: synced,
+    outsideScope: [
+      ...recordsOutsideScope(records, remoteRoot),
+      ...unscopeRecords(
+        inScope.filter((record) => !synced.includes(record)),
+        remoteRoot,
+      ),
+    ],
+  };
+}
+
+/**
+ * Remote document to write: the synced records at the remote root path
+ */
+function remoteDocument(config, records, outsideScope = []) {
+  return mergeIntoScope(records, outsideScope, config.remoteRoot || []);
+}
+
 //************************** FOLDER MOVE TOMBSTONES **************************
 
 /**
@@ -60,8 +185,13 @@ function shouldKeepTombstone(tombstone, activeBookmarks) {
  *
  * @param {string} folderId - The folder that was moved (current location)
  * @param {string[]} oldFolderPath - The old path where the folder used to be (including folder name)
+ * @param {string} profileId - Sync profile that gets the tombstones
  */
-async function createTombstonesForFolderContents(folderId, oldFolderPath) {
+async function createTombstonesForFolderContents(
+  folderId,
+  oldFolderPath,
+  profileId = DEFAULT_PROFILE_ID,
+) {
   const children = await browser.bookmarks.getChildren(folderId);
 
   for (const child of children) {
@@ -71,13 +201,18 @@ async function createTombstonesForFolderContents(folderId, oldFolderPath) {
       url: child.url,
       path: oldFolderPath,
       index: child.index,
+      type: child.type,
     });
-    await addLocalTombstoneDirectly(tombstone, bookmarksEqual);
+    await addLocalTombstoneDirectly(tombstone, bookmarksEqual, profileId);
 
     // If child is a folder, recurse into it
-    if (!child.url) {
+    if (isFolder(child)) {
       const childOldPath = [...oldFolderPath, child.title];
-      await createTombstonesForFolderContents(child.id, childOldPath);
+      await createTombstonesForFolderContents(
+        child.id,
+        childOldPath,
+        profileId,
+      );
     }
   }
 }
@@ -101,7 +236,8 @@ async function removeDuplicateBookmarks(bookmarkId, recursive = true) {
 
   try {
     const [bookmark] = await browser.bookmarks.get(bookmarkId);
-    if (!bookmark) return;
+    // Separators are told apart by position only, never duplicates
+    if (!bookmark || isSeparator(bookmark)) return;
 
     // Get the parent folder's children
     const siblings = await browser.bookmarks.getChildren(bookmark.parentId);
@@ -112,11 +248,13 @@ async function removeDuplicateBookmarks(bookmarkId, recursive = true) {
     const duplicates = siblings.filter(
       (sib) =>
         sib.id !== bookmarkId &&
+        !isSeparator(sib) &&
         sib.title === bookmark.title &&
         (sib.url || "") === (bookmark.url || ""),
     );
 
     // Remove duplicates (keep the one that was just created/changed)
+    const profileIds = duplicates.length > 0 ? await getProfileIds() : [];
     for (const dup of duplicates) {
       syncInProgress = true; // Prevent recording these changes
       try {
@@ -125,7 +263,13 @@ async function removeDuplicateBookmarks(bookmarkId, recursive = true) {
           const dupFolderPath = await getBookmarkPath(dup.id);
 
           // Create tombstones for all contents recursively (before moving)
-          await createTombstonesForFolderContents(dup.id, dupFolderPath);
+          for (const profileId of profileIds) {
+            await createTombstonesForFolderContents(
+              dup.id,
+              dupFolderPath,
+              profileId,
+            );
+          }
 
           // Move direct children to kept folder
           const dupChildren = await browser.bookmarks.getChildren(dup.id);
@@ -140,7 +284,13 @@ async function removeDuplicateBookmarks(bookmarkId, recursive = true) {
             path: parentPath,
             index: dup.index,
           });
-          await addLocalTombstoneDirectly(folderTombstone, bookmarksEqual);
+          for (const profileId of profileIds) {
+            await addLocalTombstoneDirectly(
+              folderTombstone,
+              bookmarksEqual,
+              profileId,
+            );
+          }
 
           // Now remove the empty duplicate folder
           await browser.bookmarks.remove(dup.id);
@@ -256,83 +406,377 @@ async function closeConfirmationWindow() {
   previousTabId = null;
 }
 
+//************************** SESSION STATE **************************
+
+const SESSION_STATE_KEYS = [
+  "previousTabId",
+  "confirmationTabId",
+  "pendingConfirmation",
+  "confirmationData",
+];
+
+function currentSessionState() {
+  return {
+    previousTabId,
+    confirmationTabId,
+    pendingConfirmation,
+    confirmationData,
+  };
+}
+
+/**
+ * Load the state of this browser session once per background context
+ * (a no-op for a persistent background page, which never loses it)
+ */
+function restoreSessionState() {
+  sessionStateRestore ??= (async () => {
+    const state = await getSessionState();
+    previousTabId = state.previousTabId ?? previousTabId;
+    confirmationTabId = state.confirmationTabId ?? confirmationTabId;
+    pendingConfirmation = state.pendingConfirmation ?? pendingConfirmation;
+    confirmationData = state.confirmationData ?? confirmationData;
+    persistedSessionState = {
+      ...currentSessionState(),
+      confirmationData: confirmationData && { ...confirmationData },
+    };
+  })();
+  return sessionStateRestore;
+}
+
+function shallowEqual(a, b) {
+  if (a === b) return true;
+  if (!a || !b) return false;
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every((key) => a[key] === b[key]);
+}
+
+/**
+ * Store the state again if it changed (confirmationData is compared field by
+ * field, since handlers set fields on it after creating it)
+ */
+async function persistSessionState() {
+  const state = currentSessionState();
+  const unchanged =
+    persistedSessionState &&
+    SESSION_STATE_KEYS.every((key) =>
+      key === "confirmationData"
+        ? shallowEqual(persistedSessionState[key], state[key])
+        : persistedSessionState[key] === state[key],
+    );
+  if (unchanged) return;
+  await saveSessionState(state);
+  persistedSessionState = {
+    ...state,
+    confirmationData: state.confirmationData && { ...state.confirmationData },
+  };
+}
+
 /**
  * Common cleanup after sync operations complete
  */
-async function finishSync() {
-  await initializeBookmarkIdMap();
+async function finishSync(profileId = DEFAULT_PROFILE_ID) {
+  await initializeBookmarkIdMap([], profileId);
   await closeConfirmationWindow();
 }
 
+/**
+ * Refuse an action that writes the remote file for a pull-only profile
+ * The popup shows the stored message.
+ * @returns {Promise<Object|null>} The failed result, null if the profile may
+ *   write the remote
+ */
+async function refusePullOnly(config) {
+  if (config.direction !== SYNC_DIRECTIONS.PULL) return null;
+  await saveStatusMessage(PULL_ONLY_ERROR, config.profileId);
+  return { success: false, error: PULL_ONLY_ERROR };
+}
+
+/**
+ * Records written before canonical root folder names existed name the root
+ * folders by title; map those (and this browser's own titles) to the names
+ */
+async function withCanonicalRoots(records) {
+  return canonicalizeRootFolders(records, await getRootFolderTitles());
+}
+
+/**
+ * Local bookmarks plus local tombstones of a profile's local root folder, as
+ * kept in the sync history
+ */
+async function getLocalStateSnapshot(config) {
+  const localBookmarks = await getLocalBookmarksSnapshot(localScope(config));
+  const localTombstones = await getScopedLocalTombstones(config);
+  return [...localBookmarks, ...localTombstones];
+}
+
+/**
+ * Keep the local state before and after a sync, so it can be restored
+ * A failure to store it (e.g. storage full) is logged, the sync completes.
+ * @param {Array} before - Local state before the sync
+ * @param {Array} after - Local state after the sync
+ * @param {Object} remoteChanges - Changes written to the remote, if any
+ * @param {string} profileId - Sync profile
+ */
+async function recordSyncHistory(
+  before,
+  after,
+  remoteChanges = null,
+  profileId = DEFAULT_PROFILE_ID,
+) {
+  const count = (changes) => ({
+    insertions: changes?.insertions?.length || 0,
+    deletions: changes?.deletions?.length || 0,
+    updates: changes?.updates?.length || 0,
+  });
+
+  try {
+    await saveSyncHistoryEntry(
+      {
+        id: generateGuid(),
+        timestamp: new Date().toISOString(),
+        counts: {
+          local: count(diffStates(before, after)),
+          remote: count(remoteChanges),
+        },
+        before,
+        after,
+      },
+      profileId,
+    );
+  } catch (error) {
+    console.error("Cannot record the sync history:", error);
+  }
+}
+
+/**
+ * Remember how to revert a sync: the inverse of what changed locally, the
+ * local tombstones and baseline before it, and the remote document it
+ * replaced. Must run before the new tombstones and baseline are saved.
+ * A failure to store it is logged and drops the undo of the sync before, so
+ * undo never reverts the wrong sync; the sync completes.
+ *
+ * @param {Array} localStateBefore - Local bookmarks + tombstones before
+ * @param {Array} localBookmarksAfter - Local bookmarks after the sync
+ * @param {Array} previousRemote - Remote document before the sync
+ * @param {Array} writtenRemote - Remote document written by the sync
+ * @param {string} profileId - Sync profile
+ */
+async function recordLastSyncUndo(
+  localStateBefore,
+  localBookmarksAfter,
+  previousRemote,
+  writtenRemote,
+  profileId = DEFAULT_PROFILE_ID,
+) {
+  try {
+    await saveLastSyncUndo(
+      {
+        timestamp: new Date().toISOString(),
+        localChanges: diffStates(
+          localBookmarksAfter,
+          getActive(localStateBefore),
+        ),
+        localTombstones: getTombstones(localStateBefore),
+        lastSyncedState: await getLastSyncedState(profileId),
+        remote: previousRemote,
+        remoteDigest: await digestJSON(writtenRemote),
+      },
+      profileId,
+    );
+  } catch (error) {
+    console.error("Cannot record the undo of the sync:", error);
+    await clearLastSyncUndo(profileId).catch(() => {});
+  }
+}
+
+function isOffline() {
+  return typeof navigator !== "undefined" && navigator.onLine === false;
+}
+
+async function deferSyncWhileOffline(config) {
+  await saveStatusMessage(
+    `Offline, sync deferred until the connection is back: ${formatSyncTime()}`,
+    config.profileId,
+  );
+}
+
+/**
+ * Status message for a failed fetch of the remote bookmarks
+ */
+function fetchErrorMessage(error) {
+  switch (error.kind) {
+    case WEBDAV_ERROR_KINDS.AUTH:
+      return `Login to the WebDAV server failed, check username and password: ${formatSyncTime()}`;
+    case WEBDAV_ERROR_KINDS.SERVER:
+      return `WebDAV server error (status ${error.status}), retrying with next sync: ${formatSyncTime()}`;
+    case WEBDAV_ERROR_KINDS.PARSE:
+      return `Remote bookmark file is unreadable, nothing synced: ${error.message}`;
+    default:
+      return `Error fetching bookmarks: ${error}`;
+  }
+}
+
 //************************** SYNC ORCHESTRATION **************************
 
-async function syncAllBookmarks(url, username, password, fromBackgroundTimer) {
+/**
+ * Compute the changes between baseline, local and remote and apply them,
+ * asking for confirmation unless only indices changed
+ * @returns {Promise<boolean|undefined>} false if the remote could not be fetched
+ */
+async function syncAllBookmarks(config, fromBackgroundTimer) {
+  const { url, username, password } = config;
+
   // Check if configured
   if (!url) {
-    await browser.storage.local.set({
-      message: "Not configured - set WebDAV URL in options",
-    });
+    await saveStatusMessage(
+      "Not configured - set WebDAV URL in options",
+      config.profileId,
+    );
+    return;
+  }
+  if (config.locked) {
+    await saveStatusMessage(
+      "Locked - enter the master passphrase in the popup",
+      config.profileId,
+    );
     return;
   }
 
-  // Get current local state
-  const localBookmarks = await getLocalBookmarksSnapshot();
-  const localTombstones = await getLocalTombstones();
+  // Offline: defer until the connection is back (or the next alarm)
+  if (isOffline()) {
+    await deferSyncWhileOffline(config);
+    return false;
+  }
+
+  // Get current local state (inside the local root folder)
+  const localBookmarks = await getLocalBookmarksSnapshot(localScope(config));
+  const localTombstones = await getScopedLocalTombstones(config);
 
   // Combine local bookmarks with tombstones for the 3-state sync
   const currentLocalState = [...localBookmarks, ...localTombstones];
 
-  // Fetch remote state
+  // Fetch remote state (with its ETag, so the write can detect concurrent uploads)
   let remoteData;
+  let remoteVersion;
   try {
-    remoteData = await fetchWebDAV(url, username, password);
+    ({ data: remoteData, version: remoteVersion } =
+      await fetchWebDAVWithVersion(
+        url,
+        username,
+        password,
+        webdavOptions(config),
+      ));
   } catch (error) {
     console.error(error);
-    await browser.storage.local.set({
-      message: `Error fetching bookmarks: ${error}`,
-    });
+    if (isNetworkError(error)) {
+      await deferSyncWhileOffline(config);
+    } else {
+      await saveStatusMessage(fetchErrorMessage(error), config.profileId);
+    }
+    return false;
+  }
+
+  // A mirror has nothing to copy from a missing remote (and may not create it)
+  if (remoteData === null && config.direction === SYNC_DIRECTIONS.PULL) {
+    await saveStatusMessage(
+      `Remote file not found, nothing to mirror: ${formatSyncTime()}`,
+      config.profileId,
+    );
     return;
   }
 
-  // If remote doesn't exist, push local bookmarks
+  // If remote doesn't exist, create missing folders and push local bookmarks
   if (remoteData === null) {
-    await updateWebDAV(url, username, password, localBookmarks);
-    await browser.storage.local.set({
-      message: `Initial sync: ${formatSyncTime()}`,
-    });
+    await ensureCollection(
+      getParentCollectionUrl(url),
+      username,
+      password,
+      () => {},
+      webdavOptions(config),
+    );
+    const written = await writeRemoteIfUnchanged(
+      config,
+      remoteDocument(config, localBookmarks),
+      remoteVersion,
+    );
+    if (!written) return;
+    await saveStatusMessage(
+      `Initial sync: ${formatSyncTime()}`,
+      config.profileId,
+    );
     // Save initial state
-    await saveLastSyncedState(localBookmarks);
+    await saveLastSyncedState(localBookmarks, config.profileId);
     return;
   }
 
-  await browser.storage.local.set({
-    message: `Last sync: ${formatSyncTime()}`,
-  });
-
-  // Get last synced state (oldRemoteState)
-  const oldRemoteState = await getLastSyncedState();
+  await saveStatusMessage(`Last sync: ${formatSyncTime()}`, config.profileId);
 
-  // Current remote state
-  const currentRemoteState = remoteData;
+  // Get last synced state (oldRemoteState), without what is excluded now
+  const oldRemoteState = withoutExcluded(
+    config,
+    (await withCanonicalRoots(await getLastSyncedState(config.profileId))) ||
+      [],
+  );
 
-  // If no baseline exists (first sync or cleared storage), local is master
-  // Push local to remote and set baseline
-  if (!oldRemoteState || oldRemoteState.length === 0) {
-    await updateWebDAV(url, username, password, localBookmarks);
-    await saveLastSyncedState(localBookmarks);
-    await browser.storage.local.set({
-      message: `Initial sync (local master): ${formatSyncTime()}`,
+  // Current remote state (inside the remote root path)
+  const { records: currentRemoteState, outsideScope: remoteOutsideScope } =
+    await splitRemoteDocument(config, remoteData);
+
+  // Local edits from now on are newer than everything in the remote file
+  await observeClock(currentRemoteState);
+
+  // Chromium has no separators: keep the remote ones as if they were local,
+  // so a sync from Chromium does not delete them
+  const carriedSeparators = (await supportsSeparators())
+    ? []
+    : getActive(currentRemoteState).filter(isSeparator);
+  currentLocalState.push(...carriedSeparators);
+
+  // One-way profiles copy one side over the other, without a baseline merge
+  if (config.direction && config.direction !== SYNC_DIRECTIONS.BIDIRECTIONAL) {
+    await applyOneWaySync(config, {
+      currentLocalState,
+      currentRemoteState,
+      remoteVersion,
+      remoteOutsideScope,
+      carriedSeparators,
     });
     return;
   }
 
-  // Calculate changes using 3-state sync algorithm
-  const { localChanges, remoteChanges, conflicts, newState } = calcSyncChanges(
-    oldRemoteState,
-    currentLocalState,
+  // If no baseline exists (first sync or cleared storage), local is master
+  // Push local to remote and set baseline
+  const initialSync = !oldRemoteState || oldRemoteState.length === 0;
+
+  // Calculate changes using 3-state sync algorithm (initial sync: the remote
+  // becomes a copy of local)
+  const { localChanges, remoteChanges, conflicts, newState } = initialSync
+    ? calcOneWayChanges(currentLocalState, currentRemoteState, "local")
+    : calcSyncChanges(oldRemoteState, currentLocalState, currentRemoteState);
+
+  // Deleting a large part of either side always needs a typed confirmation
+  const massDeletion = findMassDeletion(
+    { localChanges, remoteChanges },
+    localBookmarks,
     currentRemoteState,
+    config.massDeletionPercent,
   );
 
+  if (initialSync && !massDeletion) {
+    const written = await writeRemoteIfUnchanged(
+      config,
+      remoteDocument(config, localBookmarks, remoteOutsideScope),
+      remoteVersion,
+    );
+    if (!written) return;
+    await saveLastSyncedState(localBookmarks, config.profileId);
+    await saveStatusMessage(
+      `Initial sync (local master): ${formatSyncTime()}`,
+      config.profileId,
+    );
+    return;
+  }
+
   // Build debug log entry (will be saved after Proceed, shown in console now)
   const buildDebugLog = () => {
     const short = (str, len = 7) => {
@@ -385,31 +829,20 @@ async function syncAllBookmarks(url, username, password, fromBackgroundTimer) {
   console.log("conflicts:", pendingDebugLog.conflicts);
   console.log("=== END ===");
 
-  // Note: folder conflicts (deleted folder + new content) are handled automatically
-  // by the sync algorithm - folder survives if it has new content
+  // Note: deleted folder + new content is not a conflict - the folder survives
+  // with the new content. Deleted folder + edited content is reported.
   const allConflicts = conflicts;
 
-  // Check if there are any changes
-  const hasChanges =
-    localChanges.insertions.length > 0 ||
-    localChanges.deletions.length > 0 ||
-    localChanges.updates.length > 0 ||
-    remoteChanges.insertions.length > 0 ||
-    remoteChanges.deletions.length > 0 ||
-    remoteChanges.updates.length > 0 ||
-    allConflicts.length > 0;
-
-  // Check if only index updates (no structural changes or conflicts)
-  const onlyIndexUpdates =
-    localChanges.insertions.length === 0 &&
-    localChanges.deletions.length === 0 &&
-    remoteChanges.insertions.length === 0 &&
-    remoteChanges.deletions.length === 0 &&
-    allConflicts.length === 0 &&
-    (localChanges.updates.length > 0 || remoteChanges.updates.length > 0);
+  // Index-only updates, changes the auto-apply policy allows, or confirmation
+  const decision = massDeletion
+    ? SYNC_DECISIONS.CONFIRM
+    : decideSyncAction(
+        { localChanges, remoteChanges, conflicts: allConflicts },
+        config.autoApply,
+      );
 
   // Apply index updates silently (no confirmation needed)
-  if (onlyIndexUpdates) {
+  if (decision === SYNC_DECISIONS.INDEX_ONLY) {
     // Save debug log
     await saveDebugLog(pendingDebugLog);
 
@@ -417,27 +850,35 @@ async function syncAllBookmarks(url, username, password, fromBackgroundTimer) {
     if (localChanges.updates.length > 0) {
       syncInProgress = true;
       try {
-        await applyLocalUpdates(localChanges.updates);
+        await applyLocalUpdates(localChanges.updates, localScope(config));
       } finally {
         syncInProgress = false;
       }
     }
 
     // Get final state and sync
-    const finalBookmarks = await getLocalBookmarksSnapshot();
+    const finalBookmarks = [
+      ...(await getLocalBookmarksSnapshot(localScope(config))),
+      ...carriedSeparators,
+    ];
     const remoteTombstones = getTombstones(currentRemoteState);
     const filteredTombstones = remoteTombstones.filter((tombstone) =>
       shouldKeepTombstone(tombstone, finalBookmarks),
     );
     const newRemoteData = [...finalBookmarks, ...filteredTombstones];
-    await updateWebDAV(url, username, password, newRemoteData);
-    await saveLocalTombstones(filteredTombstones);
-    await saveLastSyncedState(finalBookmarks);
+    const written = await writeRemoteIfUnchanged(
+      config,
+      remoteDocument(config, newRemoteData, remoteOutsideScope),
+      remoteVersion,
+    );
+    if (!written) return;
+    await saveScopedLocalTombstones(filteredTombstones, config);
+    await saveLastSyncedState(finalBookmarks, config.profileId);
     return;
   }
 
   // Even if no sync changes, filter out stale tombstones (revived items)
-  if (!hasChanges) {
+  if (decision === SYNC_DECISIONS.NONE) {
     const remoteActive = getActive(currentRemoteState);
     const remoteTombstones = getTombstones(currentRemoteState);
     const filteredTombstones = remoteTombstones.filter((tombstone) =>
@@ -445,120 +886,470 @@ async function syncAllBookmarks(url, username, password, fromBackgroundTimer) {
     );
 
     // If tombstones changed, update remote (keep remote active, update tombstones only)
-    if (filteredTombstones.length !== remoteTombstones.length) {
+    // A plaintext remote is rewritten too, once a passphrase is configured
+    const needsEncryption = !!config.passphrase && !remoteVersion.encrypted;
+    if (
+      filteredTombstones.length !== remoteTombstones.length ||
+      needsEncryption
+    ) {
       const newRemoteData = [...remoteActive, ...filteredTombstones];
-      await updateWebDAV(url, username, password, newRemoteData);
-      await saveLocalTombstones(filteredTombstones);
+      const written = await writeRemoteIfUnchanged(
+        config,
+        remoteDocument(config, newRemoteData, remoteOutsideScope),
+        remoteVersion,
+      );
+      if (written) {
+        await saveScopedLocalTombstones(filteredTombstones, config);
+      }
     }
     return;
   }
 
-  const showConfirmation = async () => {
-    await displayConfirmationPage(
-      { localChanges, remoteChanges },
-      allConflicts.length > 0 ? "Conflict" : "Sync",
-      localBookmarks,
-      remoteData,
-      allConflicts,
+  // One confirmation at a time: the changes of another profile wait for it
+  // (a preview is simply replaced)
+  if (
+    confirmationTabId !== null &&
+    !confirmationData?.preview &&
+    confirmationData?.profileId !== config.profileId
+  ) {
+    await saveStatusMessage(
+      `Waiting for the confirmation of another profile: ${formatSyncTime()}`,
+      config.profileId,
     );
-    // Store newState and debug log for handlers (after displayConfirmationPage sets up confirmationData)
-    confirmationData.pendingNewState = newState;
-    confirmationData.pendingDebugLog = pendingDebugLog;
+    return;
+  }
+
+  // Plain data, so a pending confirmation can be kept in storage.session
+  const confirmation = {
+    changes: { localChanges, remoteChanges },
+    action: allConflicts.length > 0 ? "Conflict" : "Sync",
+    localBookmarks,
+    remoteBookmarks: currentRemoteState,
+    conflicts: allConflicts,
+    // newState and debug log for the handlers
+    handlerData: {
+      pendingNewState: newState,
+      baseline: oldRemoteState,
+      pendingDebugLog,
+      remoteVersion,
+      remoteOutsideScope,
+      carriedSeparators,
+      profileId: config.profileId,
+      massDeletion: massDeletion && {
+        ...massDeletion,
+        phrase: MASS_DELETION_PHRASE,
+      },
+    },
   };
 
+  // Applied as if confirmed, unless a confirmation page is open
+  if (decision === SYNC_DECISIONS.AUTO && confirmationTabId === null) {
+    confirmationData = {
+      ...confirmation.changes,
+      action: confirmation.action,
+      localBookmarks,
+      remoteBookmarks: currentRemoteState,
+      conflicts: allConflicts,
+      ...confirmation.handlerData,
+    };
+    await handleSync(config);
+    return;
+  }
+
   if (fromBackgroundTimer) {
-    pendingConfirmation = showConfirmation;
+    pendingConfirmation = confirmation;
     browser.notifications.create("bookmark-sync", {
       type: "basic",
-      iconUrl: browser.runtime.getURL("icons/logo.svg"),
-      title: "Incoming Bookmark Changes",
+      iconUrl: browser.runtime.getURL("icons/logo-96.png"),
+      title: massDeletion
+        ? "Large Bookmark Deletion Blocked"
+        : "Incoming Bookmark Changes",
       message: "Open Sync Tab?",
       priority: 2,
     });
   } else {
-    await showConfirmation();
+    await showConfirmation(confirmation);
   }
 }
 
-//************************** MESSAGE HANDLERS **************************
+/**
+ * One-way sync, applied without confirmation: a push profile makes the
+ * remote a backup of the local bookmarks and never changes them, a pull
+ * profile mirrors the remote locally (local edits are reverted, they can be
+ * restored from the sync history) and never writes the remote
+ */
+async function applyOneWaySync(
+  config,
+  {
+    currentLocalState,
+    currentRemoteState,
+    remoteVersion,
+    remoteOutsideScope,
+    carriedSeparators,
+  },
+) {
+  const push = config.direction === SYNC_DIRECTIONS.PUSH;
+  const { localChanges, remoteChanges, newState } = calcOneWayChanges(
+    currentLocalState,
+    currentRemoteState,
+    push ? "local" : "remote",
+  );
+  const changeCount = (changes) =>
+    changes.insertions.length +
+    changes.deletions.length +
+    changes.updates.length;
+
+  // Without a confirmation page, a large deletion is not applied at all
+  const massDeletion = findMassDeletion(
+    { localChanges, remoteChanges },
+    getActive(currentLocalState),
+    currentRemoteState,
+    config.massDeletionPercent,
+  );
+  if (massDeletion) {
+    await saveStatusMessage(
+      `Blocked: the sync would delete ${massDeletion.count} of ${massDeletion.total} ${massDeletion.side} bookmarks: ${formatSyncTime()}`,
+      config.profileId,
+    );
+    return;
+  }
 
-async function handleSync(config) {
-  // Get data from in-memory confirmationData (not storage)
-  const {
-    localChanges,
-    remoteChanges,
-    remoteBookmarks,
-    pendingNewState,
-    pendingDebugLog,
-  } = confirmationData || {};
+  if (push) {
+    // Local deletions still reach the devices that sync both ways
+    const remoteTombstones = getTombstones(currentRemoteState);
+    const allTombstones = [...remoteTombstones];
+    for (const tombstone of getTombstones(currentLocalState)) {
+      if (!allTombstones.some((t) => bookmarksEqual(tombstone, t))) {
+        allTombstones.push(tombstone);
+      }
+    }
+    const filteredTombstones = allTombstones.filter((tombstone) =>
+      shouldKeepTombstone(tombstone, newState),
+    );
 
-  // Save debug log now that user confirmed
-  if (pendingDebugLog) {
-    await saveDebugLog(pendingDebugLog);
+    const needsEncryption = !!config.passphrase && !remoteVersion.encrypted;
+    if (
+      changeCount(remoteChanges) > 0 ||
+      filteredTombstones.length !== remoteTombstones.length ||
+      needsEncryption
+    ) {
+      const written = await writeRemoteIfUnchanged(
+        config,
+        remoteDocument(
+          config,
+          [...newState, ...filteredTombstones],
+          remoteOutsideScope,
+        ),
+        remoteVersion,
+      );
+      if (!written) return;
+    }
+    await saveScopedLocalTombstones(filteredTombstones, config);
+    await saveLastSyncedState(newState, config.profileId);
+    return;
   }
 
-  // Apply local changes (deletions and insertions)
-  if (localChanges) {
+  // A mirror keeps the local bookmarks while the remote holds none
+  if (newState.length === 0 && getActive(currentLocalState).length > 0) {
+    await saveStatusMessage(
+      `Remote file is empty, nothing to mirror: ${formatSyncTime()}`,
+      config.profileId,
+    );
+    return;
+  }
+
+  const scope = localScope(config);
+  if (changeCount(localChanges) > 0) {
     syncInProgress = true;
     try {
       await modifyLocalBookmarks(
-        localChanges.deletions || [],
-        localChanges.insertions || [],
-        localChanges.updates || [],
-        (path) => removeLocalTombstonesForPath(path, arraysEqual),
+        localChanges.deletions,
+        localChanges.insertions,
+        localChanges.updates,
+        null,
+        scope,
       );
-      await applyLocalUpdates(localChanges.updates || []);
+      await applyLocalUpdates(localChanges.updates, scope);
     } finally {
       syncInProgress = false;
     }
+    await initializeBookmarkIdMap(
+      unscopeRecords(newState, scope.rootPath),
+      config.profileId,
+    );
   }
 
-  // Ensure items being pushed to remote also exist locally
-  // (they may have been cascade-deleted when parent folder was deleted)
-  if (remoteChanges?.insertions?.length > 0) {
-    syncInProgress = true;
-    try {
-      for (const item of remoteChanges.insertions) {
-        const exists = await locateBookmarkId(
-          item.url,
-          item.title,
-          null,
-          item.path,
-        );
-        if (!exists) {
-          // Create parent folder if needed, then create bookmark
-          const parentId = await locateParentId(item.path, true);
-          if (parentId) {
-            await browser.bookmarks.create({
-              parentId,
-              title: item.title,
-              url: item.url,
-              index: item.index,
-            });
-            // Remove tombstones for this path (folder was recreated)
-            await removeLocalTombstonesForPath(item.path, arraysEqual);
-          }
-        }
-      }
-    } finally {
-      syncInProgress = false;
-    }
+  const finalBookmarks = [
+    ...(await getLocalBookmarksSnapshot(scope)),
+    ...carriedSeparators,
+  ];
+  // Local deletions were reverted along with the other edits
+  await saveScopedLocalTombstones([], config);
+  await saveLastSyncedState(finalBookmarks, config.profileId);
+
+  if (changeCount(localChanges) > 0) {
+    await recordSyncHistory(
+      currentLocalState,
+      finalBookmarks,
+      null,
+      config.profileId,
+    );
+    await saveStatusMessage(
+      `Mirrored the remote, ${changeCount(localChanges)} local change(s) applied: ${formatSyncTime()}`,
+      config.profileId,
+    );
   }
+}
 
-  // Get final local state
-  const finalBookmarks = await getLocalBookmarksSnapshot();
-
-  // Get tombstones from newState and existing remote
-  const newStateTombstones = getTombstones(pendingNewState || []);
-  const existingRemoteTombstones = getTombstones(remoteBookmarks || []);
-
-  // Merge tombstones: keep all existing remote tombstones + new ones from sync
-  const allTombstones = [...existingRemoteTombstones];
-  for (const newTomb of newStateTombstones) {
-    const exists = allTombstones.some((t) => bookmarksEqual(newTomb, t));
-    if (!exists) {
-      allTombstones.push(newTomb);
-    }
+/**
+ * Open the confirmation page read-only with the changes a sync would make
+ * now. Nothing is written locally, remotely or to the baseline.
+ * @returns {Promise<Object>} { success, error }
+ */
+async function handlePreviewSync(config) {
+  if (!config.url) {
+    return {
+      success: false,
+      error: "Not configured - set WebDAV URL in options",
+    };
+  }
+  if (config.locked) {
+    return {
+      success: false,
+      error: "Locked - enter the master passphrase in the popup",
+    };
+  }
+  // A confirmation waiting for an answer is never replaced by a preview
+  if (confirmationTabId !== null && !confirmationData?.preview) {
+    return {
+      success: false,
+      error: "Answer the open confirmation before previewing",
+    };
+  }
+
+  const localBookmarks = await getLocalBookmarksSnapshot(localScope(config));
+  const currentLocalState = await getLocalStateSnapshot(config);
+  let remoteData;
+  try {
+    ({ data: remoteData } = await fetchWebDAVWithVersion(
+      config.url,
+      config.username,
+      config.password,
+      webdavOptions(config),
+    ));
+  } catch (error) {
+    return { success: false, error: fetchErrorMessage(error) };
+  }
+  if (remoteData === null && config.direction === SYNC_DIRECTIONS.PULL) {
+    return {
+      success: false,
+      error: "Remote file not found, nothing to mirror",
+    };
+  }
+
+  const baseline = withoutExcluded(
+    config,
+    (await withCanonicalRoots(await getLastSyncedState(config.profileId))) ||
+      [],
+  );
+  const { records: currentRemoteState } = await splitRemoteDocument(
+    config,
+    remoteData,
+  );
+  if (!(await supportsSeparators())) {
+    currentLocalState.push(
+      ...getActive(currentRemoteState).filter(isSeparator),
+    );
+  }
+
+  // The same decisions as syncAllBookmarks: without a baseline or remote
+  // file the local bookmarks are pushed, as by a push profile
+  let changes;
+  if (config.direction === SYNC_DIRECTIONS.PULL) {
+    changes = calcOneWayChanges(
+      currentLocalState,
+      currentRemoteState,
+      "remote",
+    );
+  } else if (
+    config.direction === SYNC_DIRECTIONS.PUSH ||
+    remoteData === null ||
+    baseline.length === 0
+  ) {
+    changes = calcOneWayChanges(currentLocalState, currentRemoteState, "local");
+  } else {
+    changes = calcSyncChanges(baseline, currentLocalState, currentRemoteState);
+  }
+
+  const { localChanges, remoteChanges, conflicts } = changes;
+  await displayConfirmationPage(
+    { localChanges, remoteChanges },
+    conflicts.length > 0 ? ACTIONS.CONFLICT : ACTIONS.SYNC,
+    localBookmarks,
+    currentRemoteState,
+    conflicts,
+  );
+  Object.assign(confirmationData, {
+    preview: true,
+    profileId: config.profileId,
+  });
+  return { success: true };
+}
+
+/**
+ * Open the confirmation page for changes computed by syncAllBookmarks
+ */
+async function showConfirmation(confirmation) {
+  await displayConfirmationPage(
+    confirmation.changes,
+    confirmation.action,
+    confirmation.localBookmarks,
+    confirmation.remoteBookmarks,
+    confirmation.conflicts,
+  );
+  // After displayConfirmationPage sets up confirmationData
+  Object.assign(confirmationData, confirmation.handlerData);
+}
+
+//************************** MESSAGE HANDLERS **************************
+
+/**
+ * Apply the confirmed changes locally and write the result to the remote
+ * @param {Object} config - WebDAV config
+ * @param {Object} message.resolutions - Conflict index -> "local" | "remote"
+ *   | "both" | "skip", chosen on the confirmation page
+ * @param {Array} message.excluded - Records of the changes the user unchecked
+ */
+async function handleSync(config, { resolutions = {}, excluded = [] } = {}) {
+  // Get data from in-memory confirmationData (not storage)
+  const {
+    localBookmarks,
+    remoteBookmarks,
+    baseline,
+    pendingDebugLog,
+    remoteVersion,
+    remoteOutsideScope = [],
+    conflicts = [],
+    writeAttempts = 0,
+  } = confirmationData || {};
+  let { localChanges, remoteChanges, pendingNewState } = confirmationData || {};
+  let deferred = confirmationData?.deferred || [];
+
+  // Save debug log now that user confirmed
+  if (pendingDebugLog) {
+    await saveDebugLog(pendingDebugLog);
+  }
+
+  // Unchecked changes are left out of this sync: both sides keep their
+  // version and the baseline its old one, so they are proposed again
+  const excludedItems = excludedChangeItems(
+    excluded,
+    baseline || [],
+    localBookmarks || [],
+    remoteBookmarks || [],
+  );
+
+  // Apply the per-conflict decisions; skipped conflicts stay as they are on
+  // both sides (deferred) and come back on the next sync
+  if (conflicts.length > 0 || excludedItems.length > 0) {
+    const resolved = resolveConflicts(
+      pendingNewState || [],
+      conflicts,
+      resolutions,
+    );
+    pendingNewState = resolved.newState;
+    deferred = [...deferred, ...resolved.deferred, ...excludedItems];
+    localChanges = diffStates(
+      localBookmarks || [],
+      stateWithDeferred(pendingNewState, deferred, "local"),
+    );
+    remoteChanges = diffStates(
+      remoteBookmarks || [],
+      stateWithDeferred(pendingNewState, deferred, "remote"),
+    );
+  }
+
+  // A retry after a 412 starts from the already changed local tree
+  const localStateBefore =
+    confirmationData?.localStateBefore || (await getLocalStateSnapshot(config));
+  const scope = localScope(config);
+
+  // Apply local changes (deletions and insertions)
+  if (localChanges) {
+    syncInProgress = true;
+    try {
+      await modifyLocalBookmarks(
+        localChanges.deletions || [],
+        localChanges.insertions || [],
+        localChanges.updates || [],
+        (path) =>
+          removeLocalTombstonesForPath(path, arraysEqual, config.profileId),
+        scope,
+      );
+      await applyLocalUpdates(localChanges.updates || [], scope);
+    } finally {
+      syncInProgress = false;
+    }
+  }
+
+  // Ensure items being pushed to remote also exist locally
+  // (they may have been cascade-deleted when parent folder was deleted)
+  if (remoteChanges?.insertions?.length > 0) {
+    syncInProgress = true;
+    try {
+      for (const item of remoteChanges.insertions) {
+        const exists = await locateBookmark(item, null, scope);
+        if (!exists) {
+          // Create parent folder if needed, then create bookmark
+          const parentId = await locateParentId(item.path, true, scope);
+          if (parentId) {
+            await browser.bookmarks.create(
+              isSeparator(item)
+                ? { parentId, type: "separator", index: item.index }
+                : {
+                    parentId,
+                    title: item.title,
+                    url: item.url,
+                    index: item.index,
+                  },
+            );
+            // Remove tombstones for this path (folder was recreated)
+            await removeLocalTombstonesForPath(
+              scopedPath(item.path, scope),
+              arraysEqual,
+              config.profileId,
+            );
+          }
+        }
+      }
+    } finally {
+      syncInProgress = false;
+    }
+  }
+
+  // Bookmarks created by this sync take over the guids of their records
+  await initializeBookmarkIdMap(
+    unscopeRecords(pendingNewState || [], scope.rootPath),
+    config.profileId,
+  );
+
+  // Get final local state (with the separators Chromium cannot hold)
+  const finalBookmarks = [
+    ...(await getLocalBookmarksSnapshot(scope)),
+    ...(confirmationData?.carriedSeparators || []),
+  ];
+
+  // Get tombstones from newState and existing remote
+  const newStateTombstones = getTombstones(pendingNewState || []);
+  const existingRemoteTombstones = getTombstones(remoteBookmarks || []);
+
+  // Merge tombstones: keep all existing remote tombstones + new ones from sync
+  const allTombstones = [...existingRemoteTombstones];
+  for (const newTomb of newStateTombstones) {
+    const exists = allTombstones.some((t) => bookmarksEqual(newTomb, t));
+    if (!exists) {
+      allTombstones.push(newTomb);
+    }
   }
 
   // Filter out tombstones for items that now exist (revived)
@@ -581,7 +1372,7 @@ async function handleSync(config) {
         // Check if folder exists in newRemoteData
         const folderExists = newRemoteData.some(
           (bm) =>
-            !bm.url &&
+            isFolder(bm) &&
             !bm.deleted &&
             bm.title === folderTitle &&
             arraysEqual(bm.path, parentPath),
@@ -608,27 +1399,178 @@ async function handleSync(config) {
     }
   }
 
-  // Update remote
-  await updateWebDAV(
+  // Deferred items keep their remote version on the remote
+  newRemoteData = stateWithDeferred(newRemoteData, deferred, "remote");
+
+  // Update remote (only if nobody uploaded since we fetched it)
+  try {
+    await updateWebDAV(
+      config.url,
+      config.username,
+      config.password,
+      remoteDocument(config, newRemoteData, remoteOutsideScope),
+      remoteVersion,
+      webdavOptions(config),
+    );
+  } catch (error) {
+    if (!isPreconditionFailed(error)) {
+      throw error;
+    }
+    confirmationData.deferred = deferred;
+    confirmationData.localStateBefore = localStateBefore;
+    await handleRemoteChangedDuringSync(
+      config,
+      newRemoteData,
+      remoteBookmarks || [],
+      writeAttempts + 1,
+    );
+    return;
+  }
+
+  await recordLastSyncUndo(
+    localStateBefore,
+    finalBookmarks,
+    remoteBookmarks || [],
+    newRemoteData,
+    config.profileId,
+  );
+
+  // Save tombstones locally (a deferred local deletion stays pending)
+  const deferredTombstones = deferred
+    .filter((item) => item.old && !item.local)
+    .map((item) => createTombstone(item.old))
+    .filter((t) => !filteredTombstones.some((f) => bookmarksEqual(f, t)));
+  await saveScopedLocalTombstones(
+    [...filteredTombstones, ...deferredTombstones],
+    config,
+  );
+
+  // Save lastSyncedState (deferred items stay at their old version)
+  await saveLastSyncedState(
+    stateWithDeferred(finalBookmarks, deferred, "old"),
+    config.profileId,
+  );
+
+  await recordSyncHistory(
+    localStateBefore,
+    [...finalBookmarks, ...filteredTombstones, ...deferredTombstones],
+    remoteChanges,
+    config.profileId,
+  );
+
+  await finishSync(config.profileId);
+}
+
+/**
+ * Another machine uploaded while the confirmation was open (412 on PUT).
+ * The approved changes are already applied locally, so merge again with the
+ * remote we confirmed against as baseline: the local side then holds exactly
+ * the approved result and the remote side only what changed in the meantime.
+ * Only that delta is presented; without a delta the write is simply retried.
+ *
+ * @param {Object} config - WebDAV config
+ * @param {Array} mergedLocalState - State we tried to write: local bookmarks +
+ *   tombstones after applying, deferred items at their remote version
+ * @param {Array} previousRemote - Remote state the confirmation was based on
+ * @param {number} writeAttempts - Number of failed writes so far
+ */
+async function handleRemoteChangedDuringSync(
+  config,
+  mergedLocalState,
+  previousRemote,
+  writeAttempts,
+) {
+  if (writeAttempts >= MAX_WRITE_ATTEMPTS) {
+    await saveStatusMessage(
+      `Remote keeps changing, sync aborted: ${formatSyncTime()}`,
+      config.profileId,
+    );
+    await finishSync(config.profileId);
+    return;
+  }
+
+  const { data, version } = await fetchWebDAVWithVersion(
     config.url,
     config.username,
     config.password,
-    newRemoteData,
+    webdavOptions(config),
+  );
+  const { records: freshRemote, outsideScope } = await splitRemoteDocument(
+    config,
+    data,
   );
 
-  // Save tombstones locally
-  await saveLocalTombstones(filteredTombstones);
+  const { localChanges, conflicts, newState } = calcSyncChanges(
+    previousRemote,
+    mergedLocalState,
+    freshRemote,
+  );
 
-  // Save lastSyncedState
-  await saveLastSyncedState(finalBookmarks);
+  const hasDelta =
+    localChanges.insertions.length > 0 ||
+    localChanges.deletions.length > 0 ||
+    localChanges.updates.length > 0 ||
+    conflicts.length > 0;
+
+  const emptyChanges = { insertions: [], deletions: [], updates: [] };
+
+  if (!hasDelta) {
+    // Nothing new for this machine: write the approved state on top of the new remote
+    confirmationData = {
+      ...confirmationData,
+      localChanges: emptyChanges,
+      remoteChanges: emptyChanges,
+      conflicts: [],
+      remoteBookmarks: freshRemote,
+      pendingNewState: newState,
+      pendingDebugLog: null,
+      remoteVersion: version,
+      remoteOutsideScope: outsideScope,
+      writeAttempts,
+    };
+    await handleSync(config);
+    return;
+  }
 
-  await finishSync();
+  // Pushes were approved already and are part of the local state, show only the delta
+  const { deferred = [], localStateBefore } = confirmationData || {};
+  await displayConfirmationPage(
+    { localChanges, remoteChanges: emptyChanges },
+    conflicts.length > 0 ? ACTIONS.CONFLICT : ACTIONS.SYNC,
+    getActive(mergedLocalState),
+    freshRemote,
+    conflicts,
+  );
+  confirmationData.pendingNewState = newState;
+  confirmationData.profileId = config.profileId;
+  // The approved state is what both sides agree on now
+  confirmationData.baseline = mergedLocalState;
+  confirmationData.remoteVersion = version;
+  confirmationData.remoteOutsideScope = outsideScope;
+  confirmationData.writeAttempts = writeAttempts;
+  confirmationData.deferred = deferred;
+  confirmationData.localStateBefore = localStateBefore;
+  await saveStatusMessage(
+    `Remote changed during sync, please confirm again: ${formatSyncTime()}`,
+    config.profileId,
+  );
 }
 
 async function handleConflictLocal(config) {
-  const { remoteBookmarks } = confirmationData || {};
-  const localBookmarks = await getLocalBookmarksSnapshot();
-  const localTombstones = await getLocalTombstones();
+  const refused = await refusePullOnly(config);
+  if (refused) {
+    await closeConfirmationWindow();
+    return refused;
+  }
+
+  const {
+    remoteBookmarks,
+    remoteVersion,
+    remoteOutsideScope = [],
+    writeAttempts = 0,
+  } = confirmationData || {};
+  const localBookmarks = await getLocalBookmarksSnapshot(localScope(config));
+  const localTombstones = await getScopedLocalTombstones(config);
   const remoteTombstones = getTombstones(remoteBookmarks || []);
 
   // Merge tombstones: local + remote tombstones not already in local
@@ -645,24 +1587,55 @@ async function handleConflictLocal(config) {
     shouldKeepTombstone(tombstone, localBookmarks),
   );
 
-  // Push local state to remote
+  // Push local state to remote (only if nobody uploaded since we fetched it)
   const newRemoteData = [...localBookmarks, ...filteredTombstones];
-  await updateWebDAV(
-    config.url,
-    config.username,
-    config.password,
+  try {
+    await updateWebDAV(
+      config.url,
+      config.username,
+      config.password,
+      remoteDocument(config, newRemoteData, remoteOutsideScope),
+      remoteVersion,
+      webdavOptions(config),
+    );
+  } catch (error) {
+    if (!isPreconditionFailed(error)) {
+      throw error;
+    }
+    confirmationData.localStateBefore = [...localBookmarks, ...localTombstones];
+    await handleRemoteChangedDuringSync(
+      config,
+      newRemoteData,
+      remoteBookmarks || [],
+      writeAttempts + 1,
+    );
+    return;
+  }
+
+  await recordLastSyncUndo(
+    [...localBookmarks, ...localTombstones],
+    localBookmarks,
+    remoteBookmarks || [],
     newRemoteData,
+    config.profileId,
   );
-
-  await saveLocalTombstones(filteredTombstones);
-  await saveLastSyncedState(localBookmarks);
-  await finishSync();
+  await saveScopedLocalTombstones(filteredTombstones, config);
+  await saveLastSyncedState(localBookmarks, config.profileId);
+  await recordSyncHistory(
+    [...localBookmarks, ...localTombstones],
+    [...localBookmarks, ...filteredTombstones],
+    diffStates(remoteBookmarks || [], newRemoteData),
+    config.profileId,
+  );
+  await finishSync(config.profileId);
 }
 
 async function handleConflictRemote(config) {
   // Get data from in-memory confirmationData (not storage)
   const { remoteBookmarks } = confirmationData || {};
-  const localBookmarks = await getLocalBookmarksSnapshot();
+  const localStateBefore = await getLocalStateSnapshot(config);
+  const scope = localScope(config);
+  const localBookmarks = getActive(localStateBefore);
 
   const remoteActive = getActive(remoteBookmarks || []);
   const remoteTombstones = getTombstones(remoteBookmarks || []);
@@ -689,35 +1662,366 @@ async function handleConflictRemote(config) {
 
   syncInProgress = true;
   try {
-    await modifyLocalBookmarks(toDelete, toInsert, [], (path) =>
-      removeLocalTombstonesForPath(path, arraysEqual),
+    await modifyLocalBookmarks(
+      toDelete,
+      toInsert,
+      [],
+      (path) =>
+        removeLocalTombstonesForPath(path, arraysEqual, config.profileId),
+      scope,
     );
   } finally {
     syncInProgress = false;
   }
 
-  const finalBookmarks = await getLocalBookmarksSnapshot();
+  await initializeBookmarkIdMap(
+    unscopeRecords(remoteBookmarks || [], scope.rootPath),
+    config.profileId,
+  );
+  const finalBookmarks = await getLocalBookmarksSnapshot(scope);
 
   // Filter tombstones for items that exist
   const filteredTombstones = remoteTombstones.filter((tombstone) =>
     shouldKeepTombstone(tombstone, finalBookmarks),
   );
 
-  await saveLocalTombstones(filteredTombstones);
-  await saveLastSyncedState(finalBookmarks);
-  await finishSync();
+  // The remote is left as it is
+  await recordLastSyncUndo(
+    localStateBefore,
+    finalBookmarks,
+    remoteBookmarks || [],
+    remoteBookmarks || [],
+    config.profileId,
+  );
+  await saveScopedLocalTombstones(filteredTombstones, config);
+  await saveLastSyncedState(finalBookmarks, config.profileId);
+  await recordSyncHistory(
+    localStateBefore,
+    [...finalBookmarks, ...filteredTombstones],
+    null,
+    config.profileId,
+  );
+  await finishSync(config.profileId);
 }
 
-async function handleSyncAllBookmarks(config, sendResponse) {
+/**
+ * Automatic sync on the alarm. Skipped while the confirmation page is open.
+ * The next run is armed as if this one failed before it starts (a sync that
+ * never returns still backs off), and at the interval again on success.
+ */
+async function runScheduledSync(config) {
+  const { failures } = await getSyncSchedule(config.profileId);
+  if (confirmationTabId !== null) {
+    await scheduleNextSync(config.checkInterval, failures, config.profileId);
+    return;
+  }
+
+  await scheduleNextSync(config.checkInterval, failures + 1, config.profileId);
   try {
-    await syncAllBookmarks(config.url, config.username, config.password, false);
+    if ((await syncAllBookmarks(config, true)) !== false) {
+      await scheduleNextSync(config.checkInterval, 0, config.profileId);
+    }
+  } catch (error) {
+    console.error("Automatic sync failed:", error);
+    await saveStatusMessage(String(error), config.profileId);
+  }
+}
+
+/**
+ * Sync the given profiles one after the other
+ */
+async function handleSyncAllBookmarks(configs, sendResponse) {
+  try {
+    for (const config of configs) {
+      await syncAllBookmarks(config, false);
+    }
     sendResponse({ success: true });
   } catch (error) {
     sendResponse({ success: false, error: error });
   }
 }
 
+/**
+ * Name and id of every profile, and whether it only pulls, for the popup and
+ * the history page
+ */
+async function handleGetProfiles() {
+  const profiles = await loadProfiles();
+  return profiles.map(({ id, name, syncDirection }) => ({
+    id,
+    name,
+    pullOnly: syncDirection === SYNC_DIRECTIONS.PULL,
+  }));
+}
+
+/**
+ * Number of bookmarks in the local root folder that exclusion rules match,
+ * for the options page (before the rules are saved)
+ * @param {Object} settings - excludedFolders and excludedUrls as entered
+ */
+async function handlePreviewExclusions(config, settings) {
+  const exclusions = parseExclusions(settings);
+  const scope = { ...localScope(config), exclusions: {} };
+  const isExcluded = exclusionMatcher(exclusions, scope.rootPath);
+  const bookmarks = await getLocalBookmarksSnapshot(scope);
+  return {
+    excluded: bookmarks.filter((bm) => bm.url && isExcluded(bm)).length,
+    invalid: invalidUrlPatterns(exclusions.urls),
+  };
+}
+
+async function handleGetLastSyncUndo(profileId = DEFAULT_PROFILE_ID) {
+  const undo = await getLastSyncUndo(profileId);
+  return { available: !!undo, timestamp: undo?.timestamp || null };
+}
+
+/**
+ * Revert both sides to the state before the last sync
+ * Refused if the remote changed since, so changes of other machines are
+ * never overwritten. Only the remote root path is compared and reverted.
+ */
+async function handleUndoLastSync(config) {
+  const refused = await refusePullOnly(config);
+  if (refused) return refused;
+
+  // The popup shows the stored message
+  const refuse = async (error) => {
+    await saveStatusMessage(error, config.profileId);
+    return { success: false, error };
+  };
+
+  const undo = await getLastSyncUndo(config.profileId);
+  if (!undo) {
+    return refuse("Nothing to undo");
+  }
+
+  const { data, version } = await fetchWebDAVWithVersion(
+    config.url,
+    config.username,
+    config.password,
+    webdavOptions(config),
+  );
+  const remoteChanged =
+    "The remote changed since the last sync, undo is not possible";
+  const { records, outsideScope } = await splitRemoteDocument(config, data);
+  if ((await digestJSON(records)) !== undo.remoteDigest) {
+    return refuse(remoteChanged);
+  }
+
+  // Remote first: a concurrent upload (412) leaves both sides untouched
+  try {
+    await updateWebDAV(
+      config.url,
+      config.username,
+      config.password,
+      remoteDocument(config, undo.remote, outsideScope),
+      version,
+      webdavOptions(config),
+    );
+  } catch (error) {
+    if (!isPreconditionFailed(error)) {
+      throw error;
+    }
+    return refuse(remoteChanged);
+  }
+
+  const { deletions, insertions, updates } = undo.localChanges;
+  const scope = localScope(config);
+  syncInProgress = true;
+  try {
+    await modifyLocalBookmarks(
+      deletions,
+      insertions,
+      updates,
+      (path) =>
+        removeLocalTombstonesForPath(path, arraysEqual, config.profileId),
+      scope,
+    );
+    await applyLocalUpdates(updates, scope);
+  } finally {
+    syncInProgress = false;
+  }
+
+  // Recreated bookmarks take over the guids they had before the sync
+  await initializeBookmarkIdMap(
+    unscopeRecords(
+      [...insertions, ...updates.map((update) => update.newBookmark)],
+      scope.rootPath,
+    ),
+    config.profileId,
+  );
+  await saveScopedLocalTombstones(undo.localTombstones, config);
+  await saveLastSyncedState(undo.lastSyncedState || [], config.profileId);
+  await clearLastSyncUndo(config.profileId);
+  await saveStatusMessage(
+    `Last sync undone: ${formatSyncTime()}`,
+    config.profileId,
+  );
+  return { success: true };
+}
+
+async function handleListBackups(config) {
+  const backups = await listBackups(
+    config.url,
+    config.username,
+    config.password,
+    webdavOptions(config),
+  );
+  return { success: true, backups };
+}
+
+/**
+ * Make a server-side backup the current remote file again
+ * Bookmarks added since the backup get tombstones so the other machines drop
+ * them too; the current file is itself backed up by the write. A normal sync
+ * then brings the restored state to this machine (with confirmation).
+ *
+ * @param {string} backupUrl - URL of the backup from listBackups
+ */
+async function handleRestoreBackup(config, backupUrl) {
+  const refused = await refusePullOnly(config);
+  if (refused) return refused;
+
+  const { data: backup } = await fetchWebDAVWithVersion(
+    backupUrl,
+    config.username,
+    config.password,
+    webdavOptions(config),
+  );
+  if (!backup) {
+    return { success: false, error: "The backup could not be read" };
+  }
+
+  const { data, version } = await fetchWebDAVWithVersion(
+    config.url,
+    config.username,
+    config.password,
+    webdavOptions(config),
+  );
+  const removed = getActive(data || [])
+    .filter((bm) => !findByIdentity(bm, backup))
+    .map((bm) => createTombstone(bm));
+
+  await updateWebDAV(
+    config.url,
+    config.username,
+    config.password,
+    [...backup, ...removed],
+    version,
+    webdavOptions(config),
+  );
+
+  await syncAllBookmarks(config, false);
+  return { success: true };
+}
+
+/**
+ * Sync history without the snapshots, for the history page
+ */
+async function handleGetSyncHistory(profileId = DEFAULT_PROFILE_ID) {
+  const history = await getSyncHistory(profileId);
+  return history.map(({ id, timestamp, counts, before, after }) => ({
+    id,
+    timestamp,
+    counts,
+    beforeCount: getActive(before).length,
+    afterCount: getActive(after).length,
+  }));
+}
+
+/**
+ * Rebuild the local tree from a history snapshot
+ * Without push the restore is an ordinary local edit: the bookmark listeners
+ * record it and the next sync proposes it. With push the restored tree is
+ * written to the remote right away and becomes the new baseline.
+ *
+ * @param {string} id - History entry id
+ * @param {string} when - "before" or "after" the sync
+ * @param {boolean} push - Also overwrite the remote with the restored tree
+ */
+async function handleRestoreSnapshot(config, id, when, push) {
+  const refused = push && (await refusePullOnly(config));
+  if (refused) return refused;
+
+  const entry = (await getSyncHistory(config.profileId)).find(
+    (e) => e.id === id,
+  );
+  const snapshot = await withCanonicalRoots(
+    entry?.[when === "after" ? "after" : "before"],
+  );
+  if (!snapshot) {
+    return { success: false, error: "Snapshot not found" };
+  }
+
+  const scope = localScope(config);
+  const localBookmarks = await getLocalBookmarksSnapshot(scope);
+  const changes = diffStates(localBookmarks, snapshot);
+
+  syncInProgress = push;
+  try {
+    await modifyLocalBookmarks(
+      changes.deletions,
+      changes.insertions,
+      changes.updates,
+      (path) =>
+        removeLocalTombstonesForPath(path, arraysEqual, config.profileId),
+      scope,
+    );
+    await applyLocalUpdates(changes.updates, scope);
+  } finally {
+    syncInProgress = false;
+  }
+
+  // Restored bookmarks take over the guids they had in the snapshot
+  await initializeBookmarkIdMap(
+    unscopeRecords(snapshot, scope.rootPath),
+    config.profileId,
+  );
+
+  if (push) {
+    const { data, version } = await fetchWebDAVWithVersion(
+      config.url,
+      config.username,
+      config.password,
+      webdavOptions(config),
+    );
+    const { records: remoteData, outsideScope } = await splitRemoteDocument(
+      config,
+      data,
+    );
+    const finalBookmarks = await getLocalBookmarksSnapshot(scope);
+
+    // Whatever the restore removed is deleted on the other machines too
+    const removed = getActive(remoteData)
+      .filter((bm) => !findByIdentity(bm, finalBookmarks))
+      .map((bm) => createTombstone(bm));
+    const tombstones = [...getTombstones(remoteData), ...removed].filter(
+      (tombstone) => shouldKeepTombstone(tombstone, finalBookmarks),
+    );
+
+    await updateWebDAV(
+      config.url,
+      config.username,
+      config.password,
+      remoteDocument(config, [...finalBookmarks, ...tombstones], outsideScope),
+      version,
+      webdavOptions(config),
+    );
+    await saveScopedLocalTombstones(tombstones, config);
+    await saveLastSyncedState(finalBookmarks, config.profileId);
+  }
+
+  await saveStatusMessage(
+    `Restored snapshot from ${new Date(entry.timestamp).toLocaleString()}`,
+    config.profileId,
+  );
+  return { success: true };
+}
+
 async function handleClearTombstones(config, maxAgeDays) {
+  const refused = await refusePullOnly(config);
+  if (refused) return refused;
+
   try {
     const maxAgeMs =
       maxAgeDays === 0 ? Infinity : maxAgeDays * 24 * 60 * 60 * 1000;
@@ -727,25 +2031,30 @@ async function handleClearTombstones(config, maxAgeDays) {
 
     // 1. Clear from remote
     let clearedRemote = 0;
-    const remoteData = await fetchWebDAV(
+    const { data: remoteData, version } = await fetchWebDAVWithVersion(
       config.url,
       config.username,
       config.password,
+      webdavOptions(config),
     );
     if (remoteData !== null) {
       const remoteBookmarks = getActive(remoteData);
       const remoteTombstones = getTombstones(remoteData);
       const remainingRemote = remoteTombstones.filter((t) => !shouldClear(t));
       clearedRemote = remoteTombstones.length - remainingRemote.length;
-      await updateWebDAV(config.url, config.username, config.password, [
-        ...remoteBookmarks,
-        ...remainingRemote,
-      ]);
+      await updateWebDAV(
+        config.url,
+        config.username,
+        config.password,
+        [...remoteBookmarks, ...remainingRemote],
+        version,
+        webdavOptions(config),
+      );
     }
 
     // 2. Clear from baseline
     let clearedBaseline = 0;
-    const baseline = await getLastSyncedState();
+    const baseline = await getLastSyncedState(config.profileId);
     if (baseline && baseline.length > 0) {
       const baselineBookmarks = getActive(baseline);
       const baselineTombstones = getTombstones(baseline);
@@ -753,15 +2062,18 @@ async function handleClearTombstones(config, maxAgeDays) {
         (t) => !shouldClear(t),
       );
       clearedBaseline = baselineTombstones.length - remainingBaseline.length;
-      await saveLastSyncedState([...baselineBookmarks, ...remainingBaseline]);
+      await saveLastSyncedState(
+        [...baselineBookmarks, ...remainingBaseline],
+        config.profileId,
+      );
     }
 
     // 3. Clear from local
     let clearedLocal = 0;
-    const localTombstones = await getLocalTombstones();
+    const localTombstones = await getLocalTombstones(config.profileId);
     const remainingLocal = localTombstones.filter((t) => !shouldClear(t));
     clearedLocal = localTombstones.length - remainingLocal.length;
-    await saveLocalTombstones(remainingLocal);
+    await saveLocalTombstones(remainingLocal, config.profileId);
 
     return { success: true, clearedRemote, clearedBaseline, clearedLocal };
   } catch (error) {
@@ -782,51 +2094,78 @@ if (typeof module !== "undefined" && module.exports) {
     displayConfirmationPage,
     closeConfirmationWindow,
     syncAllBookmarks,
+    applyOneWaySync,
+    handlePreviewSync,
     handleSync,
+    handleRemoteChangedDuringSync,
+    writeRemoteIfUnchanged,
     handleConflictLocal,
     handleConflictRemote,
     handleClearTombstones,
+    recordSyncHistory,
+    recordLastSyncUndo,
+    handleGetProfiles,
+    handlePreviewExclusions,
+    handleGetLastSyncUndo,
+    handleUndoLastSync,
+    handleListBackups,
+    handleRestoreBackup,
+    handleGetSyncHistory,
+    handleRestoreSnapshot,
+    runScheduledSync,
+    restoreSessionState,
+    persistSessionState,
+    showConfirmation,
+    fetchErrorMessage,
     formatSyncTime,
     ACTIONS,
+    MASS_DELETION_PHRASE,
+    PULL_ONLY_ERROR,
   };
 }
 
 //*** BROWSER RUNTIME (skipped during testing) ***
 if (typeof module === "undefined") {
 
+  // Local edits are recorded for every profile, each keeps its own map and
+  // tombstones
   browser.bookmarks.onChanged.addListener(async (id, changeInfo) => {
     if (syncInProgress) return;
 
-    // Get the old bookmark data before recording the change
-    const bookmarkIdMap = await getBookmarkIdMap();
-    const oldBookmark = bookmarkIdMap[id];
-
-    await recordChange(
-      "changed",
-      id,
-      changeInfo,
-      getBookmarkPath,
-      syncInProgress,
-    );
+    for (const profileId of await getProfileIds()) {
+      // Get the old bookmark data before recording the change
+      const bookmarkIdMap = await getBookmarkIdMap(profileId);
+      const oldBookmark = bookmarkIdMap[id];
+
+      await recordChange(
+        "changed",
+        id,
+        changeInfo,
+        getBookmarkPath,
+        syncInProgress,
+        profileId,
+      );
 
-    // Create tombstone for old state if title or url changed
-    // With 3-of-3 matching, a title/url change creates a "different" bookmark
-    if (oldBookmark) {
-      const titleChanged =
-        changeInfo.title !== undefined &&
-        changeInfo.title !== oldBookmark.title;
-      const urlChanged =
-        changeInfo.url !== undefined && changeInfo.url !== oldBookmark.url;
-
-      if (titleChanged || urlChanged) {
-        // Create tombstone for the old bookmark state
-        const tombstone = createTombstone({
-          title: oldBookmark.title,
-          url: oldBookmark.url,
-          path: oldBookmark.path,
-          index: oldBookmark.index,
-        });
-        await addLocalTombstoneDirectly(tombstone, bookmarksEqual);
+      // Create tombstone for old state if title or url changed
+      // The guid carries the edit to peers that know it; baselines and peers
+      // without the guid still match by 3-of-3 and need the old key deleted
+      if (oldBookmark) {
+        const titleChanged =
+          changeInfo.title !== undefined &&
+          changeInfo.title !== oldBookmark.title;
+        const urlChanged =
+          changeInfo.url !== undefined && changeInfo.url !== oldBookmark.url;
+
+        if (titleChanged || urlChanged) {
+          // Create tombstone for the old bookmark state
+          const tombstone = createTombstone({
+            title: oldBookmark.title,
+            url: oldBookmark.url,
+            path: oldBookmark.path,
+            index: oldBookmark.index,
+          });
+          await addLocalTombstoneDirectly(tombstone, bookmarksEqual, profileId);
+        }
       }
     }
 
@@ -836,13 +2175,16 @@ if (typeof module === "undefined") {
   });
 
   browser.bookmarks.onCreated.addListener(async (id, bookmark) => {
-    await recordChange(
-      "created",
-      id,
-      bookmark,
-      getBookmarkPath,
-      syncInProgress,
-    );
+    for (const profileId of await getProfileIds()) {
+      await recordChange(
+        "created",
+        id,
+        bookmark,
+        getBookmarkPath,
+        syncInProgress,
+        profileId,
+      );
+    }
     // Check for duplicates after creating
     await removeDuplicateBookmarks(id);
     await debounceBookmarkSync();
@@ -854,77 +2196,94 @@ if (typeof module === "undefined") {
     const [bookmark] = await browser.bookmarks.get(id);
     const oldPath = await getBookmarkPath(moveInfo.oldParentId);
 
-    // Create tombstone for old location using calcMove
+    // Create tombstone for old location using calcMove (for 3-of-3 matching,
+    // the guid already makes the move an update)
     const oldBookmark = {
       title: bookmark.title,
       url: bookmark.url,
       path: oldPath,
       index: moveInfo.oldIndex,
+      type: bookmark.type,
     };
     const tombstone = calcMove(oldBookmark);
-    await addLocalTombstoneDirectly(tombstone, bookmarksEqual);
+    for (const profileId of await getProfileIds()) {
+      await addLocalTombstoneDirectly(tombstone, bookmarksEqual, profileId);
 
-    // If moving a folder, create tombstones for all children at their old paths
-    if (!bookmark.url) {
-      const oldFolderPath = [...oldPath, bookmark.title];
-      await createTombstonesForFolderContents(id, oldFolderPath);
-    }
+      // If moving a folder, create tombstones for all children at their old paths
+      if (isFolder(bookmark)) {
+        const oldFolderPath = [...oldPath, bookmark.title];
+        await createTombstonesForFolderContents(id, oldFolderPath, profileId);
+      }
 
-    await recordChange("moved", id, moveInfo, getBookmarkPath, syncInProgress);
+      await recordChange(
+        "moved",
+        id,
+        moveInfo,
+        getBookmarkPath,
+        syncInProgress,
+        profileId,
+      );
+    }
     // Check for duplicates after moving to new folder
     await removeDuplicateBookmarks(id);
     await debounceBookmarkSync();
   });
 
   browser.bookmarks.onRemoved.addListener(async (id, removeInfo) => {
-    const bookmarkIdMapSnapshot = await getBookmarkIdMap();
-
-    await recordChange(
-      "removed",
-      id,
-      removeInfo,
-      getBookmarkPath,
-      syncInProgress,
-    );
-
     const parentPath = await getBookmarkPath(removeInfo.parentId);
     const node = removeInfo.node;
 
-    const rootFolders = [
-      "Bookmarks Toolbar",
-      "Other Bookmarks",
-      "Mobile Bookmarks",
-      "Bookmarks Menu",
-    ];
-    if (parentPath.length === 0 && rootFolders.includes(node.title)) {
-      await debounceBookmarkSync();
-      return;
-    }
+    for (const profileId of await getProfileIds()) {
+      const bookmarkIdMapSnapshot = await getBookmarkIdMap(profileId);
 
-    const bookmark = {
-      title: node.title,
-      url: node.url,
-      path: parentPath,
-    };
-    await addLocalTombstone(bookmark, createTombstone, bookmarksEqual);
+      await recordChange(
+        "removed",
+        id,
+        removeInfo,
+        getBookmarkPath,
+        syncInProgress,
+        profileId,
+      );
+
+      // Only root folders live directly below the tree root, whatever their title
+      if (parentPath.length === 0) {
+        continue;
+      }
 
-    if (node.type === "folder") {
-      const folderPath = [...parentPath, node.title];
+      const bookmark = {
+        title: node.title,
+        url: node.url,
+        path: parentPath,
+        index: removeInfo.index,
+        type: node.type,
+        guid: bookmarkIdMapSnapshot[id]?.guid,
+      };
+      await addLocalTombstone(
+        bookmark,
+        createTombstone,
+        bookmarksEqual,
+        profileId,
+      );
 
-      for (const [bmId, bmData] of Object.entries(bookmarkIdMapSnapshot)) {
-        if (pathStartsWith(bmData.path, folderPath)) {
-          if (bmData.path.length === 0 && rootFolders.includes(bmData.title)) {
-            continue;
+      if (node.type === "folder") {
+        const folderPath = [...parentPath, node.title];
+
+        for (const [bmId, bmData] of Object.entries(bookmarkIdMapSnapshot)) {
+          if (pathStartsWith(bmData.path, folderPath)) {
+            await addLocalTombstone(
+              {
+                title: bmData.title,
+                url: bmData.url,
+                path: bmData.path,
+                index: bmData.index,
+                type: bmData.type,
+                guid: bmData.guid,
+              },
+              createTombstone,
+              bookmarksEqual,
+              profileId,
+            );
           }
-          await addLocalTombstone(
-            {
-              title: bmData.title,
-              url: bmData.url,
-              path: bmData.path,
-            },
-            createTombstone,
-            bookmarksEqual,
-          );
         }
       }
     }
@@ -935,20 +2294,83 @@ if (typeof module === "undefined") {
   //************************** OTHER LISTENERS **************************
 
   browser.notifications.onClicked.addListener(async (notificationId) => {
+    await restoreSessionState();
     if (notificationId === "bookmark-sync" && pendingConfirmation) {
       try {
-        await pendingConfirmation();
+        await showConfirmation(pendingConfirmation);
         pendingConfirmation = null;
         browser.notifications.clear(notificationId);
       } catch (e) {
         console.error(e);
       }
     }
+    await persistSessionState();
   });
 
-  browser.tabs.onRemoved.addListener((tabId) => {
+  browser.tabs.onRemoved.addListener(async (tabId) => {
+    await restoreSessionState();
     if (tabId === confirmationTabId) {
       confirmationTabId = null;
+      await persistSessionState();
+    }
+  });
+
+  browser.alarms.onAlarm.addListener(async (alarm) => {
+    const profileId = profileIdOfAlarm(alarm.name);
+    if (profileId === null) return;
+    await restoreSessionState();
+    const config = await loadConfig(profileId);
+    await runScheduledSync(config);
+    await persistSessionState();
+  });
+
+  // A sync that failed while offline runs as soon as the connection is back
+  addEventListener("online", async () => {
+    await restoreSessionState();
+    for (const config of await loadConfigs()) {
+      const { failures } = await getSyncSchedule(config.profileId);
+      if (failures === 0) continue;
+      await runScheduledSync(config);
+    }
+    await persistSessionState();
+  });
+
+  // A changed check interval or profile list applies from now on, without a
+  // reload. Deleted profiles lose their alarm and stored state. A profile
+  // that syncs other folders now starts over from a baseline of its local
+  // folder, like on the first start, so the next sync is confirmed.
+  browser.storage.onChanged.addListener(async (changes, areaName) => {
+    if (
+      areaName !== "sync" ||
+      (!changes.checkIntervalMinutes && !changes.profiles)
+    ) {
+      return;
+    }
+    const configs = await loadConfigs();
+    for (const config of configs) {
+      const { failures } = await getSyncSchedule(config.profileId);
+      await scheduleNextSync(config.checkInterval, failures, config.profileId);
+    }
+    const removed = (changes.profiles?.oldValue || []).filter(
+      (profile) => !configs.some((config) => config.profileId === profile.id),
+    );
+    for (const profile of removed) {
+      await clearScheduledSync(profile.id);
+      await removeProfileState(profile.id);
+    }
+    const oldProfiles = changes.profiles?.oldValue || [];
+    for (const config of changes.profiles ? configs : []) {
+      const old =
+        oldProfiles.find((profile) => profile.id === config.profileId) || {};
+      if (
+        !arraysEqual(parseFolderPath(old.localRootFolder), config.localRoot) ||
+        !arraysEqual(parseFolderPath(old.remoteRootPath), config.remoteRoot)
+      ) {
+        await saveLastSyncedState(
+          await getLocalBookmarksSnapshot(localScope(config)),
+          config.profileId,
+        );
+      }
     }
   });
 
@@ -961,18 +2383,48 @@ if (typeof module === "undefined") {
 
   browser.runtime.onMessage.addListener(
     async (message, sender, sendResponse) => {
+      await restoreSessionState();
       try {
         // Handle confirmation page data request (no config needed)
         if (message.command === "getConfirmationData") {
           return confirmationData;
         }
 
-        const config = await loadConfig();
-
+        // The confirmation page acts for the profile it was opened for,
+        // other pages name the profile (the default one if they do not)
         if (message.action && messageHandlers[message.action]) {
-          await messageHandlers[message.action](config);
-        } else if (message.command === "syncAllBookmarks") {
-          await handleSyncAllBookmarks(config, sendResponse);
+          // A preview can only be closed
+          if (confirmationData?.preview && message.action !== ACTIONS.CANCEL) {
+            return { success: false, error: "A preview is never applied" };
+          }
+          // A large deletion is only applied with the phrase typed
+          if (
+            confirmationData?.massDeletion &&
+            message.action === ACTIONS.SYNC &&
+            message.confirmText !== confirmationData.massDeletion.phrase
+          ) {
+            return {
+              success: false,
+              error: `Type ${confirmationData.massDeletion.phrase} to apply the deletions`,
+            };
+          }
+          const config = await loadConfig(confirmationData?.profileId);
+          await messageHandlers[message.action](config, message);
+          return true;
+        }
+
+        const config = await loadConfig(message.profileId);
+
+        if (message.command === "syncAllBookmarks") {
+          // Without a profile, all profiles are synced
+          const configs = message.profileId ? [config] : await loadConfigs();
+          await handleSyncAllBookmarks(configs, sendResponse);
+        } else if (message.command === "getProfiles") {
+          return await handleGetProfiles();
+        } else if (message.command === "previewSync") {
+          return await handlePreviewSync(config);
+        } else if (message.command === "previewExclusions") {
+          return await handlePreviewExclusions(config, message);
         } else if (message.command === "clearRemoteTombstones") {
           return await handleClearTombstones(config, message.maxAgeDays);
         } else if (message.command === "initializeFromRemote") {
@@ -981,19 +2433,45 @@ if (typeof module === "undefined") {
               config.url,
               config.username,
               config.password,
+              webdavOptions(config),
             );
             if (remoteData) {
-              await saveLastSyncedState(getActive(remoteData));
+              const { records } = await splitRemoteDocument(config, remoteData);
+              await saveLastSyncedState(getActive(records), config.profileId);
               return { success: true };
             }
           }
           return { success: false };
+        } else if (message.command === "getSecretsLocked") {
+          return { locked: config.locked };
+        } else if (message.command === "unlockSecrets") {
+          await unlockSecrets(message.passphrase);
+          return { success: true };
         } else if (message.command === "getDebugLogs") {
           return await getDebugLogs();
+        } else if (message.command === "getLastSyncUndo") {
+          return await handleGetLastSyncUndo(config.profileId);
+        } else if (message.command === "undoLastSync") {
+          return await handleUndoLastSync(config);
+        } else if (message.command === "listBackups") {
+          return await handleListBackups(config);
+        } else if (message.command === "restoreBackup") {
+          return await handleRestoreBackup(config, message.url);
+        } else if (message.command === "getSyncHistory") {
+          return await handleGetSyncHistory(config.profileId);
+        } else if (message.command === "restoreSnapshot") {
+          return await handleRestoreSnapshot(
+            config,
+            message.id,
+            message.when,
+            message.push,
+          );
         }
       } catch (error) {
         console.error("Error in message handler:", error);
         return { success: false, error: error.message };
+      } finally {
+        await persistSessionState();
       }
       return true;
     },
@@ -1006,54 +2484,57 @@ if (typeof module === "undefined") {
       clearTimeout(debounceTimer);
     }
 
-    const config = await loadConfig();
+    const configs = await loadConfigs();
 
     debounceTimer = setTimeout(async () => {
-      await syncAllBookmarks(
-        config.url,
-        config.username,
-        config.password,
-        false,
-      );
+      await restoreSessionState();
+      for (const config of configs) {
+        await syncAllBookmarks(config, false);
+      }
+      await persistSessionState();
     }, 1000);
   }
 
   //************************** INITIALIZATION **************************
 
+  // Runs whenever the background context starts. A service worker is
+  // restarted often, so only the first start in a browser session
+  // initializes, syncs and schedules the automatic syncs.
   (async () => {
     try {
-      await initializeBookmarkIdMap();
-
-      const config = await loadConfig();
-
-      // On first run, initialize lastSyncedState from current local bookmarks
-      // This ensures local state is preserved until user confirms sync changes
-      const lastSyncedState = await getLastSyncedState();
-      if (!lastSyncedState || lastSyncedState.length === 0) {
-        const localBookmarks = await getLocalBookmarksSnapshot();
-        await saveLastSyncedState(localBookmarks);
-        await browser.storage.local.set({
-          message: `Initialized baseline from local: ${formatSyncTime()}`,
-        });
+      // A service worker restarted within the session only makes sure the
+      // automatic syncs stay armed
+      if (!(await startSession())) {
+        for (const config of await loadConfigs()) {
+          await ensureScheduledSync(config.checkInterval, config.profileId);
+        }
+        return;
       }
+      await restoreSessionState();
+      await migrateSecrets();
+
+      for (const config of await loadConfigs()) {
+        await initializeBookmarkIdMap([], config.profileId);
+
+        // On first run, initialize lastSyncedState from current local bookmarks
+        // This ensures local state is preserved until user confirms sync changes
+        const lastSyncedState = await getLastSyncedState(config.profileId);
+        if (!lastSyncedState || lastSyncedState.length === 0) {
+          const localBookmarks = await getLocalBookmarksSnapshot(
+            localScope(config),
+          );
+          await saveLastSyncedState(localBookmarks, config.profileId);
+          await saveStatusMessage(
+            `Initialized baseline from local: ${formatSyncTime()}`,
+            config.profileId,
+          );
+        }
 
-      await syncAllBookmarks(
-        config.url,
-        config.username,
-        config.password,
-        true,
-      );
-
-      const checkInterval = config.checkInterval || 5;
-      setInterval(
-        async () => {
-          const cfg = await loadConfig();
-          await syncAllBookmarks(cfg.url, cfg.username, cfg.password, true);
-        },
-        checkInterval * 60 * 1000,
-      );
+        await runScheduledSync(config);
+      }
+      await persistSessionState();
     } catch (error) {
-      await browser.storage.local.set({ message: String(error) });
+      await saveStatusMessage(String(error));
     }
   })();
 } // end browser runtime guard
@@ -1066,10 +2547,31 @@ if (typeof module === "undefined") {
   displayConfirmationPage,
   closeConfirmationWindow,
   syncAllBookmarks,
+  applyOneWaySync,
+  handlePreviewSync,
   handleSync,
+  handleRemoteChangedDuringSync,
+  writeRemoteIfUnchanged,
   handleConflictLocal,
   handleConflictRemote,
   handleClearTombstones,
+  recordSyncHistory,
+  recordLastSyncUndo,
+  handleGetProfiles,
+  handlePreviewExclusions,
+  handleGetLastSyncUndo,
+  handleUndoLastSync,
+  handleListBackups,
+  handleRestoreBackup,
+  handleGetSyncHistory,
+  handleRestoreSnapshot,
+  runScheduledSync,
+  restoreSessionState,
+  persistSessionState,
+  showConfirmation,
+  fetchErrorMessage,
   formatSyncTime,
   ACTIONS,
+  MASS_DELETION_PHRASE,
+  PULL_ONLY_ERROR,
 });
@@ -2,13 +2,31 @@
  * Browser bookmark operations
  * Functions for reading, modifying, and managing local bookmarks
  *
- * Note: Uses arraysEqual() from sync.js (loaded first via manifest)
+ * Paths name root folders by their canonical name (toolbar, menu, other,
+ * mobile) instead of their localized title, see folderSegment() in sync.js.
+ *
+ * A scope ({ profileId, rootPath, exclusions }) limits the functions to the
+ * local root folder of a sync profile: records read and written then have
+ * paths relative to that folder, see FOLDER SCOPE in sync.js, and bookmarks
+ * matched by the exclusion rules are neither read nor inserted. Without a
+ * scope they work on the whole tree with the default profile's ids.
+ *
+ * Note: Uses arraysEqual(), isFolder(), isSeparator(), scopeRecords(),
+ * clockStamp(), exclusionMatcher() and the root folder helpers from sync.js
+ * and getBookmarkIdMap() from storage.js (loaded first via manifest)
  */
 
 // ============================================
 // READ OPERATIONS
 // ============================================
 
+/**
+ * Path in the local tree of a path relative to the scope's root folder
+ */
+function scopedPath(pathArray, scope = {}) {
+  return [...(scope.rootPath || []), ...(pathArray || [])];
+}
+
 /**
  * Get the path array for a bookmark's parent
  */
@@ -18,8 +36,9 @@ async function getBookmarkPath(parentId) {
   while (currentId) {
     try {
       const [node] = await browser.bookmarks.get(currentId);
-      if (node.title) {
-        path.unshift(node.title);
+      const segment = folderSegment(node);
+      if (segment) {
+        path.unshift(segment);
       }
       currentId = node.parentId;
     } catch (e) {
@@ -31,13 +50,21 @@ async function getBookmarkPath(parentId) {
 
 /**
  * Recursively retrieve bookmarks in flat format with paths
+ * @param {Object} options.bookmarkIdMap - Attach the guid and clock stamp
+ *   stored for each id
+ * @param {Function} options.isExcluded - Leave out matching records (and
+ *   the contents of matching folders)
  */
-async function retrieveLocalBookmarks(bookmarks, parentPathArray = []) {
+async function retrieveLocalBookmarks(
+  bookmarks,
+  parentPathArray = [],
+  options = {},
+) {
   let results = [];
 
   for (const bookmark of bookmarks) {
     const bookmarkData = {
-      title: bookmark.title,
+      title: folderSegment(bookmark),
       index: bookmark.index,
       path: parentPathArray,
     };
@@ -46,16 +73,31 @@ async function retrieveLocalBookmarks(bookmarks, parentPathArray = []) {
       bookmarkData.url = bookmark.url;
     }
 
+    if (isSeparator(bookmark)) {
+      bookmarkData.type = "separator";
+    }
+
+    if (options.isExcluded?.(bookmarkData)) {
+      continue;
+    }
+
+    const entry = options.bookmarkIdMap?.[bookmark.id];
+    if (entry?.guid) {
+      bookmarkData.guid = entry.guid;
+    }
+    Object.assign(bookmarkData, clockStamp(entry));
+
     results.push(bookmarkData);
 
     if (bookmark.children) {
-      const isRoot = bookmark.title === "";
+      const isRoot = bookmarkData.title === "";
       const childrenPathArray = isRoot
         ? []
-        : [...parentPathArray, bookmark.title];
+        : [...parentPathArray, bookmarkData.title];
       const childrenResults = await retrieveLocalBookmarks(
         bookmark.children,
         childrenPathArray,
+        options,
       );
       results = results.concat(childrenResults);
     }
@@ -65,17 +107,61 @@ async function retrieveLocalBookmarks(bookmarks, parentPathArray = []) {
 }
 
 /**
- * Get a snapshot of all local bookmarks
+ * Root folder titles (those of earlier versions plus this browser's own,
+ * possibly localized ones) mapped to their canonical names
+ */
+async function getRootFolderTitles() {
+  const [root] = await browser.bookmarks.getTree();
+  const rootTitles = new Map(LEGACY_ROOT_TITLES);
+  for (const node of root.children || []) {
+    const name = rootFolderName(node);
+    if (name) {
+      rootTitles.set(node.title, name);
+    }
+  }
+  return rootTitles;
+}
+
+/**
+ * Whether this browser has bookmark separators (Chromium has none, its tree
+ * root is the only one with the id "0")
  */
-async function getLocalBookmarksSnapshot() {
+async function supportsSeparators() {
+  const [root] = await browser.bookmarks.getTree();
+  return root.id !== "0";
+}
+
+/**
+ * Get a snapshot of the local bookmarks (those inside the scope)
+ */
+async function getLocalBookmarksSnapshot(scope = {}) {
   const bookmarkTreeNodes = await browser.bookmarks.getTree();
-  return retrieveLocalBookmarks(bookmarkTreeNodes);
+  const bookmarkIdMap = await getBookmarkIdMap(scope.profileId);
+  const bookmarks = await retrieveLocalBookmarks(bookmarkTreeNodes, [], {
+    bookmarkIdMap,
+    isExcluded: exclusionMatcher(scope.exclusions),
+  });
+  return scopeRecords(bookmarks, scope.rootPath);
+}
+
+/**
+ * Whether a folder holds bookmarks excluded from the sync
+ * @param {string[]} folderPath - Full path of the folder's contents
+ * @param {Function} isExcluded - Exclusion predicate for full paths
+ */
+async function folderHoldsExcluded(folderId, folderPath, isExcluded) {
+  const [folder] = await browser.bookmarks.getSubTree(folderId);
+  const contents = await retrieveLocalBookmarks(
+    folder.children || [],
+    folderPath,
+  );
+  return contents.some(isExcluded);
 }
 
 /**
  * Find a bookmark ID by its properties
  */
-async function locateBookmarkId(url, title, index, pathArray) {
+async function locateBookmarkId(url, title, index, pathArray, scope = {}) {
   let searchResults;
 
   if (url) {
@@ -115,11 +201,12 @@ async function locateBookmarkId(url, title, index, pathArray) {
       while (currentNode.parentId) {
         const parentNode = await browser.bookmarks.get(currentNode.parentId);
         currentNode = parentNode[0];
-        if (currentNode.title) {
-          currentPath.unshift(currentNode.title);
+        const segment = folderSegment(currentNode);
+        if (segment) {
+          currentPath.unshift(segment);
         }
       }
-      if (arraysEqual(currentPath, pathArray)) {
+      if (arraysEqual(currentPath, scopedPath(pathArray, scope))) {
         return bookmark.id;
       }
     }
@@ -129,10 +216,72 @@ async function locateBookmarkId(url, title, index, pathArray) {
 }
 
 /**
- * Find or create parent folder ID for a path
+ * Find a separator ID by its position (separators have no title or url)
  */
-async function locateParentId(pathArray, createIfMissing = false) {
-  if (!pathArray || pathArray.length === 0) {
+async function locateSeparatorId(index, pathArray, scope = {}) {
+  const parentId = await locateParentId(pathArray, false, scope);
+  if (!parentId) {
+    return null;
+  }
+
+  const children = await browser.bookmarks.getChildren(parentId);
+  const separator = children.find(
+    (child) => isSeparator(child) && child.index === index,
+  );
+  return separator ? separator.id : null;
+}
+
+/**
+ * Find a bookmark ID by its guid (via bookmarkIdMap)
+ */
+async function locateBookmarkIdByGuid(guid, scope = {}) {
+  if (!guid) {
+    return null;
+  }
+
+  const bookmarkIdMap = await getBookmarkIdMap(scope.profileId);
+  const id = Object.keys(bookmarkIdMap).find(
+    (bookmarkId) => bookmarkIdMap[bookmarkId].guid === guid,
+  );
+  if (!id) {
+    return null;
+  }
+
+  try {
+    await browser.bookmarks.get(id);
+    return id;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Find a bookmark ID for a sync record: by guid first, then by properties
+ */
+async function locateBookmark(bookmark, index = null, scope = {}) {
+  const id = await locateBookmarkIdByGuid(bookmark.guid, scope);
+  if (id) {
+    return id;
+  }
+  if (isSeparator(bookmark)) {
+    return locateSeparatorId(index ?? bookmark.index, bookmark.path, scope);
+  }
+  return locateBookmarkId(
+    bookmark.url,
+    bookmark.title,
+    index,
+    bookmark.path,
+    scope,
+  );
+}
+
+/**
+ * Find or create parent folder ID for a path (relative to the scope's root
+ * folder, which is created too if missing)
+ */
+async function locateParentId(pathArray, createIfMissing = false, scope = {}) {
+  const fullPath = scopedPath(pathArray, scope);
+  if (fullPath.length === 0) {
     const bookmarkTree = await browser.bookmarks.getTree();
     return bookmarkTree[0].id;
   }
@@ -147,7 +296,7 @@ async function locateParentId(pathArray, createIfMissing = false) {
     const [currentPart, ...remainingParts] = pathParts;
 
     for (const node of nodes) {
-      if (node.title === currentPart) {
+      if (folderSegment(node) === currentPart) {
         if (remainingParts.length === 0) {
           return node.id;
         } else if (node.children) {
@@ -161,10 +310,10 @@ async function locateParentId(pathArray, createIfMissing = false) {
     return null;
   }
 
-  let parentId = searchTree(bookmarkTree[0].children, pathArray);
+  let parentId = searchTree(bookmarkTree[0].children, fullPath);
 
   if (!parentId && createIfMissing) {
-    parentId = await createFolderPath(pathArray);
+    parentId = await createFolderPath(pathArray, null, scope);
   }
 
   return parentId;
@@ -175,32 +324,35 @@ async function locateParentId(pathArray, createIfMissing = false) {
 // ============================================
 
 /**
- * Create folder hierarchy for a given path
+ * Create folder hierarchy for a given path (relative to the scope's root folder)
  * @param {Function} removeLocalTombstonesForPath - Optional function to remove tombstones when folder is created
+ *   (called with the full path, as local tombstones are recorded)
  */
 async function createFolderPath(
   pathArray,
   removeLocalTombstonesForPath = null,
+  scope = {},
 ) {
+  const fullPath = scopedPath(pathArray, scope);
   const bookmarkTree = await browser.bookmarks.getTree();
   let currentParentId = bookmarkTree[0].children[0].id;
 
   let startIndex = 0;
   for (const root of bookmarkTree[0].children) {
-    if (root.title === pathArray[0]) {
+    if (folderSegment(root) === fullPath[0]) {
       currentParentId = root.id;
       startIndex = 1; // Skip the root folder in the loop
       break;
     }
   }
 
-  for (let i = startIndex; i < pathArray.length; i++) {
-    const folderName = pathArray[i];
+  for (let i = startIndex; i < fullPath.length; i++) {
+    const folderName = fullPath[i];
 
     const children = await browser.bookmarks.getChildren(currentParentId);
     let found = null;
     for (const child of children) {
-      if (child.title === folderName && !child.url) {
+      if (child.title === folderName && isFolder(child)) {
         found = child;
         break;
       }
@@ -216,7 +368,7 @@ async function createFolderPath(
       currentParentId = newFolder.id;
 
       if (removeLocalTombstonesForPath) {
-        const folderPath = pathArray.slice(0, i + 1);
+        const folderPath = fullPath.slice(0, i + 1);
         await removeLocalTombstonesForPath(folderPath);
       }
     }
@@ -231,18 +383,20 @@ async function createFolderPath(
  * @param {Array} insBookmarks - Bookmarks to insert
  * @param {Array} updates - Bookmark updates
  * @param {Function} removeLocalTombstonesForPath - Optional function to remove tombstones
+ * @param {Object} scope - Local root folder and profile of the records
  */
 async function modifyLocalBookmarks(
   delBookmarks,
   insBookmarks,
   updates = [],
   removeLocalTombstonesForPath = null,
+  scope = {},
 ) {
   try {
     // Sort deletions to handle contents before folders
     const sortedDeletions = [...delBookmarks].sort((a, b) => {
-      const aIsFolder = !a.url;
-      const bIsFolder = !b.url;
+      const aIsFolder = isFolder(a);
+      const bIsFolder = isFolder(b);
       if (aIsFolder !== bIsFolder) {
         return aIsFolder ? 1 : -1;
       }
@@ -251,9 +405,9 @@ async function modifyLocalBookmarks(
 
     // Delete bookmarks
     for (const delBookmark of sortedDeletions) {
-      const isFolder = !delBookmark.url;
+      const deletesFolder = isFolder(delBookmark);
 
-      if (isFolder) {
+      if (deletesFolder) {
         const folderPath = [...delBookmark.path, delBookmark.title];
 
         const hasNewInsert = insBookmarks.some((ins) => {
@@ -273,21 +427,31 @@ async function modifyLocalBookmarks(
 
         if (hasNewInsert || hasNewUpdate) {
           if (removeLocalTombstonesForPath) {
-            await removeLocalTombstonesForPath(folderPath);
+            await removeLocalTombstonesForPath(scopedPath(folderPath, scope));
           }
           continue;
         }
       }
 
-      const id = await locateBookmarkId(
-        delBookmark.url,
-        delBookmark.title,
-        null,
-        delBookmark.path,
-      );
+      const id = await locateBookmark(delBookmark, null, scope);
       try {
         if (id) {
-          if (isFolder) {
+          if (deletesFolder) {
+            // A folder with excluded bookmarks stays, with just those
+            const folderPath = scopedPath(
+              [...delBookmark.path, delBookmark.title],
+              scope,
+            );
+            if (
+              hasExclusions(scope.exclusions) &&
+              (await folderHoldsExcluded(
+                id,
+                folderPath,
+                exclusionMatcher(scope.exclusions),
+              ))
+            ) {
+              continue;
+            }
             await browser.bookmarks.removeTree(id);
           } else {
             await browser.bookmarks.remove(id);
@@ -306,18 +470,38 @@ async function modifyLocalBookmarks(
       (a, b) => a.index - b.index,
     );
 
-    // Insert bookmarks
+    // Insert bookmarks (excluded ones stay out of this tree)
+    const isExcluded = exclusionMatcher(scope.exclusions, scope.rootPath);
     for (const insBookmark of sortedInsertions) {
+      if (isExcluded(insBookmark)) {
+        continue;
+      }
+      if (isSeparator(insBookmark)) {
+        if (!(await supportsSeparators())) {
+          continue;
+        }
+        const parentId = await locateParentId(insBookmark.path, true, scope);
+        if (parentId) {
+          await browser.bookmarks.create({
+            parentId,
+            type: "separator",
+            index: insBookmark.index,
+          });
+        }
+        continue;
+      }
+
       const id = await locateBookmarkId(
         insBookmark.url,
         insBookmark.title,
         null,
         insBookmark.path,
+        scope,
       );
       if (id) {
         continue;
       }
-      const parentId = await locateParentId(insBookmark.path, true);
+      const parentId = await locateParentId(insBookmark.path, true, scope);
       if (parentId) {
         if (insBookmark.index === -1) {
           insBookmark.index = insBookmark.oldIndex;
@@ -338,44 +522,53 @@ async function modifyLocalBookmarks(
 /**
  * Apply updates to local bookmarks (title, url, index, path changes)
  *
+ * Title/url edits are applied before moves, and moves shallowest first, so a
+ * renamed folder exists under its new name before its contents move into it.
  * For index updates: items are sorted by target index (ascending) and processed
  * in order. This ensures correct positioning when multiple items are reordered.
+ * @param {Object} scope - Local root folder and profile of the records
  */
-async function applyLocalUpdates(updates) {
+async function applyLocalUpdates(updates, scope = {}) {
   try {
     // Separate index updates from other updates
     const indexUpdates = updates.filter((u) => u.changedAttribute === "index");
     const otherUpdates = updates.filter((u) => u.changedAttribute !== "index");
 
-    // Apply non-index updates first
+    // Apply non-index updates first. A record matched by guid can differ in
+    // several attributes at once, so apply every attribute that differs.
+    const moves = [];
     for (const update of otherUpdates) {
-      const { oldBookmark, newBookmark, changedAttribute } = update;
+      const { oldBookmark, newBookmark } = update;
 
-      const id = await locateBookmarkId(
-        oldBookmark.url,
-        oldBookmark.title,
-        oldBookmark.index,
-        oldBookmark.path,
-      );
+      const id = await locateBookmark(oldBookmark, oldBookmark.index, scope);
 
       if (!id) {
         console.warn("Could not find bookmark to update:", oldBookmark);
         continue;
       }
 
-      if (changedAttribute === "title" || changedAttribute === "url") {
+      if (
+        oldBookmark.title !== newBookmark.title ||
+        (oldBookmark.url || "") !== (newBookmark.url || "")
+      ) {
         await browser.bookmarks.update(id, {
           title: newBookmark.title,
           url: newBookmark.url,
         });
-      } else if (changedAttribute === "path") {
-        const newParentId = await locateParentId(newBookmark.path, true);
-        if (newParentId) {
-          await browser.bookmarks.move(id, {
-            parentId: newParentId,
-            index: newBookmark.index,
-          });
-        }
+      }
+      if (!arraysEqual(oldBookmark.path, newBookmark.path)) {
+        moves.push({ id, newBookmark });
+      }
+    }
+
+    moves.sort((a, b) => a.newBookmark.path.length - b.newBookmark.path.length);
+    for (const { id, newBookmark } of moves) {
+      const newParentId = await locateParentId(newBookmark.path, true, scope);
+      if (newParentId) {
+        await browser.bookmarks.move(id, {
+          parentId: newParentId,
+          index: newBookmark.index,
+        });
       }
     }
 
@@ -389,12 +582,8 @@ async function applyLocalUpdates(updates) {
       const { oldBookmark, newBookmark } = update;
 
       // Re-locate the bookmark since indices may have shifted from previous moves
-      const id = await locateBookmarkId(
-        oldBookmark.url,
-        oldBookmark.title,
-        null, // Don't match by index since it may have changed
-        oldBookmark.path,
-      );
+      // (don't match by index since it may have changed)
+      const id = await locateBookmark(oldBookmark, null, scope);
 
       if (!id) {
         console.warn("Could not find bookmark to update index:", oldBookmark);
@@ -415,10 +604,17 @@ async function applyLocalUpdates(updates) {
 
 if (typeof module !== "undefined" && module.exports) {
   module.exports = {
+    scopedPath,
     getBookmarkPath,
     retrieveLocalBookmarks,
     getLocalBookmarksSnapshot,
+    folderHoldsExcluded,
+    getRootFolderTitles,
+    supportsSeparators,
     locateBookmarkId,
+    locateSeparatorId,
+    locateBookmarkIdByGuid,
+    locateBookmark,
     locateParentId,
     createFolderPath,
     modifyLocalBookmarks,
@@ -428,10 +624,17 @@ if (typeof module !== "undefined" && module.exports) {
 
 // For eval-based loading in tests
 ({
+  scopedPath,
   getBookmarkPath,
   retrieveLocalBookmarks,
   getLocalBookmarksSnapshot,
+  folderHoldsExcluded,
+  getRootFolderTitles,
+  supportsSeparators,
   locateBookmarkId,
+  locateSeparatorId,
+  locateBookmarkIdByGuid,
+  locateBookmark,
   locateParentId,
   createFolderPath,
   modifyLocalBookmarks,
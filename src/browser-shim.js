@@ -0,0 +1,55 @@
+/**
+ * browser / chrome namespace shim
+ *
+ * The code is written against Firefox's promise-based `browser` namespace.
+ * Chromium (Manifest V3) only has `chrome`, whose APIs return promises as
+ * well, so it is aliased as `browser`. The one difference that remains is
+ * runtime.onMessage: Chromium ignores a promise returned by a listener, so
+ * listeners are wrapped to answer through sendResponse instead.
+ *
+ * Loaded first, in the background context and in every extension page.
+ * In Firefox `browser` exists and nothing is changed.
+ */
+
+/**
+ * Wrap an onMessage listener so a returned promise becomes the response
+ * (returning true keeps the message channel open until it settles)
+ */
+function promiseMessageListener(listener) {
+  return (message, sender, sendResponse) => {
+    const result = listener(message, sender, sendResponse);
+    if (!result || typeof result.then !== "function") {
+      return result;
+    }
+    result.then(sendResponse, (error) =>
+      sendResponse({ success: false, error: error?.message || String(error) }),
+    );
+    return true;
+  };
+}
+
+if (
+  typeof globalThis.browser === "undefined" &&
+  typeof chrome !== "undefined"
+) {
+  const onMessage = chrome.runtime.onMessage;
+  const addListener = onMessage.addListener.bind(onMessage);
+  onMessage.addListener = (listener) =>
+    addListener(promiseMessageListener(listener));
+  globalThis.browser = chrome;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    promiseMessageListener,
+  };
+}
+
+// For eval-based loading in tests
+({
+  promiseMessageListener,
+});
@@ -33,6 +33,7 @@ function findChangedAttribute(a, b) {
 }
 
 // Convert 3-of-4 matching insert/delete pairs into updates for display
+// (records with a guid already arrive as updates; this covers legacy records)
 function groupChangesForDisplay(changes) {
   let insertions = [...(changes.insertions || [])];
   let deletions = [...(changes.deletions || [])];
@@ -98,7 +99,14 @@ document.addEventListener("DOMContentLoaded", async function () {
   const data = await browser.runtime.sendMessage({
     command: "getConfirmationData",
   });
-  let { localChanges, remoteChanges, action, conflicts } = data || {};
+  let {
+    localChanges,
+    remoteChanges,
+    action,
+    conflicts,
+    preview,
+    massDeletion,
+  } = data || {};
 
   // DEBUG: Set to true to log confirmation data
   const debugConfirmation = false;
@@ -161,13 +169,15 @@ document.addEventListener("DOMContentLoaded", async function () {
       li.classList.add(options.className);
     }
 
-    // Title (bold if specified)
+    // Title (bold if specified); separators have none of their own
+    const title =
+      bookmark.type === "separator" ? "(separator)" : bookmark.title;
     if (options.boldTitle) {
       const titleSpan = document.createElement("strong");
-      titleSpan.textContent = bookmark.title;
+      titleSpan.textContent = title;
       li.appendChild(titleSpan);
     } else {
-      li.appendChild(document.createTextNode(bookmark.title));
+      li.appendChild(document.createTextNode(title));
     }
 
     // Custom content after title (e.g., index change indicator)
@@ -444,6 +454,104 @@ document.addEventListener("DOMContentLoaded", async function () {
     );
   }
 
+  // Per-conflict choice: keep local, keep remote, keep both, or skip for now
+  function appendResolutionChoices(li, conflict, index) {
+    const choices = [
+      ["local", "Keep local"],
+      ["remote", "Keep remote"],
+      ["both", "Keep both"],
+      ["skip", "Skip for now"],
+    ];
+
+    const div = document.createElement("div");
+    div.classList.add("resolution-choices");
+    for (const [value, text] of choices) {
+      // Keeping both only makes sense when both sides still have the bookmark
+      if (value === "both" && conflict.type !== "edit_conflict") continue;
+
+      const label = document.createElement("label");
+      const input = document.createElement("input");
+      input.type = "radio";
+      input.name = `resolution-${index}`;
+      input.value = value;
+      input.checked = value === "skip";
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(" " + text));
+      div.appendChild(label);
+    }
+    li.appendChild(div);
+    return li;
+  }
+
+  function collectResolutions() {
+    const resolutions = {};
+    conflicts.forEach((conflict, index) => {
+      const checked = document.querySelector(
+        `input[name="resolution-${index}"]:checked`,
+      );
+      resolutions[index] = checked ? checked.value : "skip";
+    });
+    return resolutions;
+  }
+
+  // Every change has a checkbox; unchecked changes are left out of this sync
+  // and proposed again next time
+  const changeCheckboxes = [];
+
+  const isInsideFolder = (bookmark, folder) => {
+    const folderPath = [...(folder.path || []), folder.title];
+    return folderPath.every((part, i) => (bookmark.path || [])[i] === part);
+  };
+
+  function appendChangeCheckbox(li, records, direction) {
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = true;
+    checkbox.classList.add("change-checkbox");
+    li.prepend(checkbox);
+
+    const entry = { checkbox, records, direction };
+    changeCheckboxes.push(entry);
+
+    // A folder takes the changes inside it along
+    checkbox.addEventListener("change", function () {
+      const folders = records.filter(
+        (bm) => !bm.url && bm.type !== "separator",
+      );
+      for (const other of changeCheckboxes) {
+        if (other === entry || other.direction !== direction) continue;
+        const inside = other.records.every((bm) =>
+          folders.some((folder) => isInsideFolder(bm, folder)),
+        );
+        if (inside) {
+          other.checkbox.checked = checkbox.checked;
+        }
+      }
+    });
+
+    return li;
+  }
+
+  function collectExcluded() {
+    return changeCheckboxes
+      .filter((entry) => !entry.checkbox.checked)
+      .flatMap((entry) => entry.records);
+  }
+
+  const updateRecords = (update) =>
+    update.type === "position_group"
+      ? update.updates.flatMap(updateRecords)
+      : [update.oldBookmark, update.newBookmark];
+
+  const selectable = (itemCreator, direction, recordsOf = (item) => [item]) =>
+    function (item) {
+      return appendChangeCheckbox(
+        itemCreator(item),
+        recordsOf(item),
+        direction,
+      );
+    };
+
   // Generic section creator with optional icon
   function createSection(
     title,
@@ -505,6 +613,7 @@ document.addEventListener("DOMContentLoaded", async function () {
       type: "position_group",
       path: pathKey,
       count: items.length,
+      updates: items,
     }));
 
     return { otherUpdates, groupedItems };
@@ -555,7 +664,12 @@ document.addEventListener("DOMContentLoaded", async function () {
   // Insertions
   if (insertionsLocal.length > 0) {
     insertionsLocalDiv.appendChild(
-      createSection("Insert:", insertionsLocal, createListItem, cloud2machine),
+      createSection(
+        "Insert:",
+        insertionsLocal,
+        selectable(createListItem, "local"),
+        cloud2machine,
+      ),
     );
   } else {
     insertionsLocalDiv.remove();
@@ -563,7 +677,12 @@ document.addEventListener("DOMContentLoaded", async function () {
 
   if (insertionsRemote.length > 0) {
     insertionsRemoteDiv.appendChild(
-      createSection("Insert:", insertionsRemote, createListItem, machine2cloud),
+      createSection(
+        "Insert:",
+        insertionsRemote,
+        selectable(createListItem, "remote"),
+        machine2cloud,
+      ),
     );
   } else {
     insertionsRemoteDiv.remove();
@@ -572,7 +691,12 @@ document.addEventListener("DOMContentLoaded", async function () {
   // Deletions
   if (deletionsLocal.length > 0) {
     deletionsLocalDiv.appendChild(
-      createSection("Delete:", deletionsLocal, createListItem, cloud2machine),
+      createSection(
+        "Delete:",
+        deletionsLocal,
+        selectable(createListItem, "local"),
+        cloud2machine,
+      ),
     );
   } else {
     deletionsLocalDiv.remove();
@@ -580,7 +704,12 @@ document.addEventListener("DOMContentLoaded", async function () {
 
   if (deletionsRemote.length > 0) {
     deletionsRemoteDiv.appendChild(
-      createSection("Delete:", deletionsRemote, createListItem, machine2cloud),
+      createSection(
+        "Delete:",
+        deletionsRemote,
+        selectable(createListItem, "remote"),
+        machine2cloud,
+      ),
     );
   } else {
     deletionsRemoteDiv.remove();
@@ -600,7 +729,7 @@ document.addEventListener("DOMContentLoaded", async function () {
       createSection(
         "Update:",
         allUpdatesLocal,
-        createUpdateItem,
+        selectable(createUpdateItem, "local", updateRecords),
         cloud2machine,
       ),
     );
@@ -613,7 +742,7 @@ document.addEventListener("DOMContentLoaded", async function () {
       createSection(
         "Update:",
         allUpdatesRemote,
-        createUpdateItem,
+        selectable(createUpdateItem, "remote", updateRecords),
         machine2cloud,
       ),
     );
@@ -623,7 +752,13 @@ document.addEventListener("DOMContentLoaded", async function () {
 
   if (conflicts && conflicts.length > 0) {
     conflictsDiv.appendChild(
-      createSection("Conflicts:", conflicts, createConflictListItem),
+      createSection("Conflicts:", conflicts, (conflict) =>
+        appendResolutionChoices(
+          createConflictListItem(conflict),
+          conflict,
+          conflicts.indexOf(conflict),
+        ),
+      ),
     );
     // Show conflict buttons, hide normal buttons
     normalButtons.classList.add("display-none");
@@ -632,27 +767,111 @@ document.addEventListener("DOMContentLoaded", async function () {
     conflictsDiv.remove();
   }
 
+  // A preview is read-only: no choices, only a close button
+  if (preview) {
+    document.getElementById("title").textContent = "Preview Bookmark Changes";
+    document.getElementById("preview-notice").classList.remove("display-none");
+    for (const input of document.querySelectorAll("input")) {
+      input.disabled = true;
+    }
+    normalButtons.classList.add("display-none");
+    conflictButtons.classList.add("display-none");
+    document.getElementById("preview-buttons").classList.remove("display-none");
+    if (document.querySelectorAll(".content-div").length === 0) {
+      document.getElementById("preview-notice").textContent =
+        "Preview only: there is nothing to sync.";
+    }
+  }
+
   // Helper to show spinner
   function showSpinner(spinner) {
     spinner.classList.remove("hidden");
   }
 
+  // A large deletion is only applied once the phrase is typed; the other
+  // way out keeps the side that would lose its bookmarks
+  if (massDeletion) {
+    const { side, count, total, phrase } = massDeletion;
+    const where = side === "local" ? "on this device" : "on the server";
+    document.getElementById("title").textContent = "Large Deletion Blocked";
+    document.getElementById("mass-deletion").classList.remove("display-none");
+    document.getElementById("mass-deletion-text").textContent =
+      `This sync would delete ${count} of the ${total} bookmarks and folders ${where}. ` +
+      "Check the deletions below before applying them.";
+    document.getElementById("mass-deletion-phrase").textContent = phrase;
+    document.getElementById("mass-deletion-restore-text").textContent =
+      side === "local"
+        ? "Restore the remote from this device instead"
+        : "Restore from the remote instead";
+    normalButtons.classList.add("display-none");
+    conflictButtons.classList.add("display-none");
+
+    const confirmInput = document.getElementById("mass-deletion-confirm");
+    const proceedButton = document.getElementById("mass-deletion-proceed");
+    confirmInput.addEventListener("input", function () {
+      proceedButton.disabled = confirmInput.value.trim() !== phrase;
+    });
+    proceedButton.addEventListener("click", function () {
+      showSpinner(document.getElementById("spinner7"));
+      browser.runtime.sendMessage({
+        action: "Sync",
+        confirmText: confirmInput.value.trim(),
+        resolutions: collectResolutions(),
+        excluded: collectExcluded(),
+      });
+    });
+    document
+      .getElementById("mass-deletion-restore")
+      .addEventListener("click", function () {
+        showSpinner(document.getElementById("spinner8"));
+        browser.runtime.sendMessage({
+          action: side === "local" ? "Conflict-local" : "Conflict-remote",
+        });
+      });
+    document
+      .getElementById("mass-deletion-cancel")
+      .addEventListener("click", function () {
+        browser.runtime.sendMessage({ action: "cancelChanges" });
+      });
+  }
+
   // Normal action buttons
   document
     .getElementById("confirm-force")
     .addEventListener("click", function () {
       showSpinner(spinner1);
-      browser.runtime.sendMessage({ action: "Sync" });
+      browser.runtime.sendMessage({
+        action: "Sync",
+        excluded: collectExcluded(),
+      });
     });
 
   document.getElementById("cancel").addEventListener("click", function () {
     browser.runtime.sendMessage({ action: "cancelChanges" });
   });
 
+  document
+    .getElementById("preview-close")
+    .addEventListener("click", function () {
+      browser.runtime.sendMessage({ action: "cancelChanges" });
+    });
+
   // Conflict resolution buttons
+  const spinner2 = document.getElementById("spinner2");
   const spinner4 = document.getElementById("spinner4");
   const spinner5 = document.getElementById("spinner5");
 
+  document
+    .getElementById("conflict-proceed")
+    .addEventListener("click", function () {
+      showSpinner(spinner2);
+      browser.runtime.sendMessage({
+        action: "Sync",
+        resolutions: collectResolutions(),
+        excluded: collectExcluded(),
+      });
+    });
+
   document
     .getElementById("conflict-local")
     .addEventListener("click", function () {
@@ -0,0 +1,199 @@
+/**
+ * Client-side encryption of the remote bookmark file
+ *
+ * The remote file becomes an envelope instead of a plain bookmark array:
+ * {
+ *   format: "bookmark-tom-encrypted",
+ *   version: 1,
+ *   kdf: "PBKDF2-SHA256",
+ *   iterations: 600000,
+ *   salt: "<base64>",
+ *   iv: "<base64>",
+ *   ciphertext: "<base64>"   // AES-GCM, header fields are authenticated as AAD
+ * }
+ */
+
+const ENCRYPTION_FORMAT = "bookmark-tom-encrypted";
+const ENCRYPTION_VERSION = 1;
+const PBKDF2_ITERATIONS = 600000;
+
+class DecryptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DecryptionError";
+  }
+}
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+function isEncryptedEnvelope(data) {
+  return (
+    data !== null &&
+    typeof data === "object" &&
+    !Array.isArray(data) &&
+    data.format === ENCRYPTION_FORMAT
+  );
+}
+
+/**
+ * Header fields of an envelope, bound to the ciphertext as additional data
+ * so salt, iterations and version cannot be swapped without detection
+ */
+function envelopeHeader(envelope) {
+  const { format, version, kdf, iterations, salt, iv } = envelope;
+  return new TextEncoder().encode(
+    JSON.stringify({ format, version, kdf, iterations, salt, iv }),
+  );
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"],
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"],
+  );
+}
+
+/**
+ * Encrypt any JSON value with a passphrase
+ * @param {*} value - Bookmarks array (or any JSON value)
+ * @param {string} passphrase - User passphrase
+ * @param {number} iterations - PBKDF2 iterations (stored in the header)
+ * @returns {Promise<Object>} envelope
+ */
+async function encryptJSON(value, passphrase, iterations = PBKDF2_ITERATIONS) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const envelope = {
+    format: ENCRYPTION_FORMAT,
+    version: ENCRYPTION_VERSION,
+    kdf: "PBKDF2-SHA256",
+    iterations,
+    salt: bytesToBase64(salt),
+    iv: bytesToBase64(iv),
+  };
+
+  const key = await deriveKey(passphrase, salt, iterations);
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv, additionalData: envelopeHeader(envelope) },
+    key,
+    new TextEncoder().encode(JSON.stringify(value)),
+  );
+
+  return { ...envelope, ciphertext: bytesToBase64(new Uint8Array(ciphertext)) };
+}
+
+/**
+ * Decrypt an envelope created by encryptJSON
+ * @throws {DecryptionError} on wrong passphrase, tampering or unknown format
+ */
+async function decryptJSON(envelope, passphrase) {
+  if (!isEncryptedEnvelope(envelope)) {
+    throw new DecryptionError("Not an encrypted bookmark file");
+  }
+  if (envelope.version !== ENCRYPTION_VERSION) {
+    throw new DecryptionError(
+      `Unsupported encryption format version: ${envelope.version}`,
+    );
+  }
+  if (!passphrase) {
+    throw new DecryptionError(
+      "The remote bookmark file is encrypted: set the passphrase in the options",
+    );
+  }
+
+  let plaintext;
+  try {
+    const key = await deriveKey(
+      passphrase,
+      base64ToBytes(envelope.salt),
+      envelope.iterations,
+    );
+    plaintext = await crypto.subtle.decrypt(
+      {
+        name: "AES-GCM",
+        iv: base64ToBytes(envelope.iv),
+        additionalData: envelopeHeader(envelope),
+      },
+      key,
+      base64ToBytes(envelope.ciphertext),
+    );
+  } catch (error) {
+    // AES-GCM cannot tell a wrong key from a modified file
+    throw new DecryptionError(
+      "Wrong passphrase: the remote bookmark file could not be decrypted",
+    );
+  }
+
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * SHA-256 of a JSON value, hex encoded, to recognize a document later
+ * @param {*} value - Any JSON value
+ * @returns {Promise<string>}
+ */
+async function digestJSON(value) {
+  const hash = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(JSON.stringify(value)),
+  );
+  return Array.from(new Uint8Array(hash), (byte) =>
+    byte.toString(16).padStart(2, "0"),
+  ).join("");
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    ENCRYPTION_FORMAT,
+    PBKDF2_ITERATIONS,
+    DecryptionError,
+    bytesToBase64,
+    base64ToBytes,
+    isEncryptedEnvelope,
+    encryptJSON,
+    decryptJSON,
+    digestJSON,
+  };
+}
+
+// For eval-based loading in tests
+({
+  ENCRYPTION_FORMAT,
+  PBKDF2_ITERATIONS,
+  DecryptionError,
+  bytesToBase64,
+  base64ToBytes,
+  isEncryptedEnvelope,
+  encryptJSON,
+  decryptJSON,
+  digestJSON,
+});
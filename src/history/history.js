@@ -0,0 +1,105 @@
+function formatCounts({ insertions, deletions, updates }) {
+  return `${insertions} inserted, ${deletions} deleted, ${updates} updated`;
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+  const historyList = document.getElementById("history");
+  const pushCheckbox = document.getElementById("push-remote");
+  const statusDiv = document.getElementById("status");
+  const errorDiv = document.getElementById("error");
+  // Sync profile whose history is shown (set by the options page)
+  const profileId =
+    new URLSearchParams(window.location.search).get("profile") || undefined;
+
+  function createRestoreButton(entry, when, text) {
+    const button = document.createElement("button");
+    button.classList.add("restore-button");
+    const span = document.createElement("span");
+    span.classList.add("button-text");
+    span.textContent = text;
+    button.appendChild(span);
+    const spinner = document.createElement("div");
+    spinner.classList.add("spinner", "hidden");
+    button.appendChild(spinner);
+
+    button.addEventListener("click", async () => {
+      const push = pushCheckbox.checked;
+      const target = push ? "local and remote" : "local";
+      const time = new Date(entry.timestamp).toLocaleString();
+      if (
+        !confirm(
+          `Replace the ${target} bookmarks with the state ${text.toLowerCase()} (${time})?`,
+        )
+      ) {
+        return;
+      }
+
+      statusDiv.innerText = "";
+      errorDiv.innerText = "";
+      spinner.classList.remove("hidden");
+      try {
+        const result = await browser.runtime.sendMessage({
+          command: "restoreSnapshot",
+          id: entry.id,
+          when,
+          push,
+          profileId,
+        });
+        if (result && result.success) {
+          statusDiv.innerText = `Restored the state ${text.toLowerCase()} (${time}).`;
+        } else {
+          errorDiv.innerText = `Restore failed: ${result?.error || "unknown error"}`;
+        }
+      } catch (error) {
+        errorDiv.innerText = `Restore failed: ${error.message}`;
+      } finally {
+        spinner.classList.add("hidden");
+      }
+    });
+
+    return button;
+  }
+
+  function createHistoryItem(entry) {
+    const li = document.createElement("li");
+
+    const title = document.createElement("strong");
+    title.textContent = new Date(entry.timestamp).toLocaleString();
+    li.appendChild(title);
+
+    const counts = document.createElement("div");
+    counts.classList.add("counts");
+    counts.textContent =
+      `Local: ${formatCounts(entry.counts.local)}. ` +
+      `Remote: ${formatCounts(entry.counts.remote)}. ` +
+      `${entry.beforeCount} → ${entry.afterCount} bookmarks.`;
+    li.appendChild(counts);
+
+    li.appendChild(createRestoreButton(entry, "before", "Before this sync"));
+    li.appendChild(createRestoreButton(entry, "after", "After this sync"));
+    return li;
+  }
+
+  // A pull-only profile never writes the remote, so it cannot push a restore
+  const profiles = await browser.runtime.sendMessage({
+    command: "getProfiles",
+  });
+  // (without a profile in the URL: the default one, always listed first)
+  const profile = profileId
+    ? profiles?.find((candidate) => candidate.id === profileId)
+    : profiles?.[0];
+  if (profile?.pullOnly) {
+    pushCheckbox.checked = false;
+    pushCheckbox.closest(".push-option").remove();
+  }
+
+  const history = await browser.runtime.sendMessage({
+    command: "getSyncHistory",
+    profileId,
+  });
+  if (!history || history.length === 0) {
+    statusDiv.innerText = "No syncs recorded yet.";
+    return;
+  }
+  history.forEach((entry) => historyList.appendChild(createHistoryItem(entry)));
+});
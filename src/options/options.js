@@ -1,31 +1,45 @@
-async function fetchBookmarksFromWebDAV(url, username, password) {
-  const headers = new Headers();
-  headers.set("Authorization", "Basic " + btoa(username + ":" + password));
-  headers.set("X-Extension-Request", "bookmark");
-
-  const response = await fetch(url, {
-    headers: headers,
-    credentials: "omit",
-  });
-  if (response.status === 404) {
-    //its empty on the remote site
-    return true;
-  }
-
-  if (!response.ok) {
-    throw new Error(`HTTP error! status: ${response.status}`);
-  }
-  return true;
-}
+// Note: Uses ensureRemoteFile(), the Nextcloud login flow, AUTH_MODES and the
+// profile/secrets helpers from webdav.js, crypto.js and storage.js (loaded
+// first via options.html)
 
 document.addEventListener("DOMContentLoaded", () => {
+  const profileSelect = document.getElementById("profile-select");
+  const profileNameInput = document.getElementById("profile-name");
+  const addProfileButton = document.getElementById("add-profile-button");
+  const deleteProfileButton = document.getElementById("delete-profile-button");
   const saveButton = document.getElementById("save-button");
   const webdavUrlInput = document.getElementById("webdav-url");
+  const authModeSelect = document.getElementById("auth-mode");
   const usernameInput = document.getElementById("username");
   const passwordInput = document.getElementById("password");
+  const tokenInput = document.getElementById("token");
+  const loginFlowButton = document.getElementById("login-flow-button");
+  const loginFlowStatus = document.getElementById("login-flow-status");
   const checkIntervalMinutesInput = document.getElementById(
     "checkIntervalMinutes",
   );
+  const syncDirectionSelect = document.getElementById("sync-direction");
+  const autoApplyPolicySelect = document.getElementById("auto-apply-policy");
+  const autoApplyMaxDeletionsInput = document.getElementById(
+    "auto-apply-max-deletions",
+  );
+  const massDeletionPercentInput = document.getElementById(
+    "mass-deletion-percent",
+  );
+  const passphraseInput = document.getElementById("encryption-passphrase");
+  const masterPassphraseInput = document.getElementById("master-passphrase");
+  const unlockButton = document.getElementById("unlock-button");
+  const backupCountInput = document.getElementById("backup-count");
+  const localRootFolderInput = document.getElementById("local-root-folder");
+  const remoteRootPathInput = document.getElementById("remote-root-path");
+  const excludedFoldersInput = document.getElementById("excluded-folders");
+  const excludedUrlsInput = document.getElementById("excluded-urls");
+  const previewExclusionsButton = document.getElementById(
+    "preview-exclusions-button",
+  );
+  const exclusionCountSpan = document.getElementById("exclusion-count");
+  const exportModeSelect = document.getElementById("export-mode");
+  const exportPassphraseInput = document.getElementById("export-passphrase");
   const statusDiv = document.getElementById("status");
   const errorDiv = document.getElementById("error");
   const testButton = document.getElementById("test-button");
@@ -38,58 +52,222 @@ document.addEventListener("DOMContentLoaded", () => {
     "clear-tombstones-button",
   );
 
+  // Only the fields of the selected authentication mode are shown
+  function showAuthFields() {
+    const mode = authModeSelect.value;
+    document
+      .getElementById("basic-auth")
+      .classList.toggle("display-none", mode !== AUTH_MODES.BASIC);
+    document
+      .getElementById("bearer-auth")
+      .classList.toggle("display-none", mode !== AUTH_MODES.BEARER);
+    document
+      .getElementById("login-flow-auth")
+      .classList.toggle("display-none", mode !== AUTH_MODES.LOGIN_FLOW);
+  }
+
+  authModeSelect.addEventListener("change", showAuthFields);
+
+  // A pull-only profile never writes the remote file, so the actions that
+  // would (clearing remote tombstones, restoring a server backup) are hidden
+  function isPullOnly() {
+    return syncDirectionSelect.value === SYNC_DIRECTIONS.PULL;
+  }
+
+  function showDirectionActions() {
+    clearTombstonesButton.classList.toggle("display-none", isPullOnly());
+    document
+      .querySelectorAll(".restore-backup-button")
+      .forEach((button) =>
+        button.classList.toggle("display-none", isPullOnly()),
+      );
+  }
+
+  syncDirectionSelect.addEventListener("change", showDirectionActions);
+
+  function showLoginFlowUser() {
+    loginFlowStatus.textContent = usernameInput.value
+      ? `Logged in as ${usernameInput.value}`
+      : "Not logged in";
+  }
+
+  // Settings go to storage.sync, secrets to storage.local (see webdav.js)
+  function settingsFromForm() {
+    return {
+      webdavUrl: webdavUrlInput.value,
+      webdavAuthMode: authModeSelect.value,
+      webdavUsername: usernameInput.value,
+      checkIntervalMinutes: checkIntervalMinutesInput.value,
+      syncDirection: syncDirectionSelect.value,
+      autoApplyPolicy: autoApplyPolicySelect.value,
+      autoApplyMaxDeletions: autoApplyMaxDeletionsInput.value,
+      massDeletionPercent: massDeletionPercentInput.value,
+      backupCount: backupCountInput.value,
+      localRootFolder: localRootFolderInput.value,
+      remoteRootPath: remoteRootPathInput.value,
+      excludedFolders: excludedFoldersInput.value,
+      excludedUrls: excludedUrlsInput.value,
+    };
+  }
+
+  function secretsFromForm() {
+    return {
+      webdavPassword: passwordInput.value,
+      webdavToken: tokenInput.value,
+      encryptionPassphrase: passphraseInput.value,
+    };
+  }
+
+  function showSettings(settings) {
+    webdavUrlInput.value = settings.webdavUrl || "";
+    authModeSelect.value = settings.webdavAuthMode || AUTH_MODES.BASIC;
+    usernameInput.value = settings.webdavUsername || "";
+    checkIntervalMinutesInput.value = settings.checkIntervalMinutes || "";
+    syncDirectionSelect.value =
+      settings.syncDirection || SYNC_DIRECTIONS.BIDIRECTIONAL;
+    autoApplyPolicySelect.value =
+      settings.autoApplyPolicy || AUTO_APPLY_POLICIES.CONFIRM;
+    autoApplyMaxDeletionsInput.value =
+      settings.autoApplyMaxDeletions ?? AUTO_APPLY_MAX_DELETIONS;
+    massDeletionPercentInput.value =
+      settings.massDeletionPercent ?? MASS_DELETION_PERCENT;
+    backupCountInput.value = settings.backupCount || "";
+    localRootFolderInput.value = settings.localRootFolder || "";
+    remoteRootPathInput.value = settings.remoteRootPath || "";
+    excludedFoldersInput.value = settings.excludedFolders || "";
+    excludedUrlsInput.value = settings.excludedUrls || "";
+    exclusionCountSpan.textContent = "";
+    showAuthFields();
+    showDirectionActions();
+    showLoginFlowUser();
+  }
+
+  // While the secrets are encrypted and not unlocked, they are neither shown
+  // nor overwritten on save
+  let secretsLocked = false;
+
+  function showSecrets(secrets) {
+    secretsLocked = secrets === null;
+    unlockButton.classList.toggle("display-none", !secretsLocked);
+    passwordInput.value = secrets?.webdavPassword || "";
+    tokenInput.value = secrets?.webdavToken || "";
+    passphraseInput.value = secrets?.encryptionPassphrase || "";
+  }
+
+  // Sync profiles: the form shows the selected one. A new profile exists
+  // only in this page until it is saved.
+  let profiles = [];
+  let profileId = DEFAULT_PROFILE_ID;
+
+  function currentProfile() {
+    return profiles.find((profile) => profile.id === profileId);
+  }
+
+  function showProfiles() {
+    profileSelect.replaceChildren(
+      ...profiles.map((profile) => new Option(profile.name, profile.id)),
+    );
+    profileSelect.value = profileId;
+    profileNameInput.value = currentProfile().name;
+    deleteProfileButton.disabled = profileId === DEFAULT_PROFILE_ID;
+  }
+
+  async function showProfile(id) {
+    profileId = id;
+    showProfiles();
+    showSettings(currentProfile());
+    showSecrets(await loadSecrets(profileId));
+    if (secretsLocked) {
+      statusDiv.innerText =
+        "The stored secrets are locked: enter the master passphrase and click Unlock.";
+    }
+    await updateTombstoneCount();
+  }
+
   // Load existing config
-  browser.storage.sync
-    .get([
-      "webdavUrl",
-      "webdavUsername",
-      "webdavPassword",
-      "checkIntervalMinutes",
-    ])
-    .then((config) => {
-      webdavUrlInput.value = config.webdavUrl || "";
-      usernameInput.value = config.webdavUsername || "";
-      passwordInput.value = config.webdavPassword || "";
-      checkIntervalMinutesInput.value = config.checkIntervalMinutes || "";
-    });
+  (async () => {
+    profiles = await loadProfiles();
+    await showProfile(profiles[0].id);
+  })();
+
+  profileSelect.addEventListener("change", async () => {
+    statusDiv.innerText = "";
+    errorDiv.textContent = "";
+    await showProfile(profileSelect.value);
+  });
+
+  addProfileButton.addEventListener("click", async () => {
+    statusDiv.innerText = "";
+    const profile = {
+      id: crypto.randomUUID(),
+      name: `Profile ${profiles.length + 1}`,
+    };
+    profiles.push(profile);
+    await showProfile(profile.id);
+    statusDiv.innerText = "New profile: enter its settings and click Save.";
+  });
+
+  // The background removes the alarm and the stored state of the profile
+  deleteProfileButton.addEventListener("click", async () => {
+    if (profileId === DEFAULT_PROFILE_ID) return;
+    profiles = profiles.filter((profile) => profile.id !== profileId);
+    await saveProfiles(profiles);
+    await showProfile(DEFAULT_PROFILE_ID);
+    statusDiv.innerText = "Profile deleted.";
+  });
+
+  unlockButton.addEventListener("click", async () => {
+    errorDiv.textContent = "";
+    try {
+      showSecrets(await unlockSecrets(masterPassphraseInput.value, profileId));
+      statusDiv.innerText = "Secrets unlocked.";
+    } catch (error) {
+      errorDiv.textContent = error.message;
+    }
+  });
 
   // Load and display tombstone count
   async function updateTombstoneCount() {
-    const storage = await browser.storage.local.get(["tombstones"]);
-    const tombstones = storage.tombstones || [];
+    const key = profileStorageKey("tombstones", profileId);
+    const storage = await browser.storage.local.get([key]);
+    const tombstones = storage[key] || [];
     const count = tombstones.length;
     tombstoneCountSpan.textContent = `(${count} tombstone${count !== 1 ? "s" : ""})`;
   }
 
-  updateTombstoneCount();
-
-  saveButton.addEventListener("click", () => {
-    storeConfiguration();
-  });
-
-  function storeConfiguration() {
+  saveButton.addEventListener("click", async () => {
     statusDiv.innerText = "";
+    errorDiv.textContent = "";
+    try {
+      await storeConfiguration();
+    } catch (error) {
+      errorDiv.textContent = `Saving failed: ${error.message}`;
+    }
+  });
 
-    const webdavUrl = webdavUrlInput.value;
-    const username = usernameInput.value;
-    const password = passwordInput.value;
-    const checkIntervalMinutes = checkIntervalMinutesInput.value;
-
-    browser.storage.sync
-      .set({
-        webdavUrl,
-        webdavUsername: username,
-        webdavPassword: password,
-        checkIntervalMinutes: checkIntervalMinutes,
-      })
-      .then(() => {
-        statusDiv.innerText += "Configuration saved.";
-      });
-    return { webdavUrl, username, password };
+  // The secrets are saved first: when the master passphrase is refused (one
+  // passphrase for all profiles), nothing is saved
+  async function storeConfiguration() {
+    if (!secretsLocked) {
+      await saveSecrets(
+        secretsFromForm(),
+        masterPassphraseInput.value,
+        profileId,
+      );
+    }
+    Object.assign(currentProfile(), settingsFromForm(), {
+      name: profileNameInput.value.trim() || currentProfile().name,
+    });
+    await saveProfiles(profiles);
+    showProfiles();
+    statusDiv.innerText += secretsLocked
+      ? "Configuration saved (the locked secrets were not changed)."
+      : "Configuration saved.";
   }
 
   testButton.addEventListener("click", async () => {
     statusDiv.innerText = "";
+    errorDiv.textContent = "";
 
     const webdavUrl = webdavUrlInput.value;
     const username = usernameInput.value;
@@ -97,19 +275,30 @@ document.addEventListener("DOMContentLoaded", () => {
 
     try {
       spinner.classList.remove("hidden");
-      const success = await fetchBookmarksFromWebDAV(
+      // Creates missing folders and an empty bookmark file, reporting each step
+      await ensureRemoteFile(
         webdavUrl,
         username,
         password,
+        (step) => {
+          statusDiv.innerText += step + "\n";
+        },
+        {
+          passphrase: passphraseInput.value,
+          authMode: authModeSelect.value,
+          token: tokenInput.value,
+        },
       );
-      if (success) {
-        storeConfiguration();
-        // Initialize lastSyncedState from remote
-        await browser.runtime.sendMessage({ command: "initializeFromRemote" });
-        statusDiv.innerText = "Connection successfully tested. ";
-      } else {
-        throw new Error("Failed to connect to WebDAV server.");
+      await storeConfiguration();
+      // Initialize lastSyncedState from remote (fails on a wrong passphrase)
+      const result = await browser.runtime.sendMessage({
+        command: "initializeFromRemote",
+        profileId,
+      });
+      if (result?.error) {
+        throw new Error(result.error);
       }
+      statusDiv.innerText += "Connection successfully tested. ";
     } catch (error) {
       console.error(error);
       errorDiv.textContent = `Error: ${error.message}`;
@@ -118,13 +307,25 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   });
 
-  saveConfigButton.addEventListener("click", () => {
-    const config = {
-      webdavUrl: webdavUrlInput.value,
-      webdavUsername: usernameInput.value,
-      webdavPassword: passwordInput.value,
-      checkIntervalMinutes: checkIntervalMinutesInput.value,
-    };
+  // Secrets are left out of the downloaded config, or encrypted with the
+  // config file passphrase
+  saveConfigButton.addEventListener("click", async () => {
+    errorDiv.textContent = "";
+    const encrypt = exportModeSelect.value === "encrypt";
+    if (encrypt && !exportPassphraseInput.value) {
+      errorDiv.textContent =
+        "Enter a config file passphrase to include secrets.";
+      return;
+    }
+    if (encrypt && secretsLocked) {
+      errorDiv.textContent = "Unlock the secrets before including them.";
+      return;
+    }
+    const config = await exportConfig(
+      settingsFromForm(),
+      secretsFromForm(),
+      encrypt ? exportPassphraseInput.value : "",
+    );
     const configStr = JSON.stringify(config);
     const blob = new Blob([configStr], { type: "application/json" });
     const url = URL.createObjectURL(blob);
@@ -144,21 +345,61 @@ document.addEventListener("DOMContentLoaded", () => {
     input.onchange = (event) => {
       const file = event.target.files[0];
       const reader = new FileReader();
-      reader.onload = () => {
-        const config = JSON.parse(reader.result);
-        webdavUrlInput.value = config.webdavUrl || "";
-        usernameInput.value = config.webdavUsername || "";
-        passwordInput.value = config.webdavPassword || "";
-        checkIntervalMinutesInput.value = config.checkIntervalMinutes || "";
-        browser.storage.sync.set(config).then(() => {
+      reader.onload = async () => {
+        errorDiv.textContent = "";
+        try {
+          const { settings, secrets } = await importConfig(
+            JSON.parse(reader.result),
+            exportPassphraseInput.value,
+          );
+          // A config without secrets keeps the ones stored on this device
+          if (secrets) {
+            await saveSecrets(secrets, masterPassphraseInput.value, profileId);
+            showSecrets(secrets);
+          }
+          // The loaded settings replace those of the selected profile
+          showSettings(settings);
+          Object.assign(currentProfile(), settings);
+          await saveProfiles(profiles);
           statusDiv.innerText = "Configuration loaded and saved.";
-        });
+        } catch (error) {
+          errorDiv.textContent = `Loading the config failed: ${error.message}`;
+        }
       };
       reader.readAsText(file);
     };
     input.click();
   });
 
+  // Nextcloud Login Flow v2: the login page opens in a new tab, the app
+  // password it grants is stored like a password typed in
+  loginFlowButton.addEventListener("click", async () => {
+    errorDiv.textContent = "";
+    loginFlowButton.disabled = true;
+    try {
+      if (!webdavUrlInput.value) {
+        throw new Error("Enter the WebDAV URL of your Nextcloud first");
+      }
+      const { login, poll } = await startLoginFlow(
+        getNextcloudServerUrl(webdavUrlInput.value),
+      );
+      await browser.tabs.create({ url: login });
+      loginFlowStatus.textContent = "Waiting for the login in the new tab...";
+
+      const { loginName, appPassword } = await pollLoginFlow(poll);
+      usernameInput.value = loginName;
+      passwordInput.value = appPassword;
+      await storeConfiguration();
+      showLoginFlowUser();
+    } catch (error) {
+      console.error(error);
+      errorDiv.textContent = `Nextcloud login failed: ${error.message}`;
+      showLoginFlowUser();
+    } finally {
+      loginFlowButton.disabled = false;
+    }
+  });
+
   clearTombstonesButton.addEventListener("click", async () => {
     const maxAgeDays = parseInt(tombstoneAgeSelect.value, 10);
 
@@ -166,6 +407,7 @@ document.addEventListener("DOMContentLoaded", () => {
       const result = await browser.runtime.sendMessage({
         command: "clearRemoteTombstones",
         maxAgeDays: maxAgeDays,
+        profileId,
       });
       await updateTombstoneCount();
       if (result && result.success) {
@@ -180,6 +422,97 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   });
 
+  // Exclusion rules: count what the entered rules keep out of the sync
+  previewExclusionsButton.addEventListener("click", async () => {
+    errorDiv.textContent = "";
+    const result = await browser.runtime.sendMessage({
+      command: "previewExclusions",
+      profileId,
+      excludedFolders: excludedFoldersInput.value,
+      excludedUrls: excludedUrlsInput.value,
+    });
+    if (result?.error) {
+      errorDiv.textContent = result.error;
+      return;
+    }
+    const count = result.excluded;
+    exclusionCountSpan.textContent = `${count} bookmark${count !== 1 ? "s" : ""} excluded`;
+    if (result.invalid.length > 0) {
+      errorDiv.textContent = `Invalid patterns (ignored): ${result.invalid.join(", ")}`;
+    }
+  });
+
+  // Server backups: listed on demand, each with its own restore button
+  const backupList = document.getElementById("backup-list");
+
+  function createBackupItem(backup) {
+    const li = document.createElement("li");
+    const button = document.createElement("button");
+    button.classList.add("restore-backup-button");
+    button.classList.toggle("display-none", isPullOnly());
+    const span = document.createElement("span");
+    span.classList.add("button-text");
+    span.textContent = "Restore";
+    button.appendChild(span);
+    li.appendChild(button);
+    li.appendChild(
+      document.createTextNode(new Date(backup.timestamp).toLocaleString()),
+    );
+
+    button.addEventListener("click", async () => {
+      errorDiv.textContent = "";
+      try {
+        const result = await browser.runtime.sendMessage({
+          command: "restoreBackup",
+          url: backup.url,
+          profileId,
+        });
+        if (!result?.success) {
+          throw new Error(result?.error || "unknown error");
+        }
+        statusDiv.innerText = `Restored the backup from ${new Date(backup.timestamp).toLocaleString()}.`;
+      } catch (error) {
+        errorDiv.textContent = `Restore failed: ${error.message}`;
+      }
+    });
+    return li;
+  }
+
+  document
+    .getElementById("show-backups-button")
+    .addEventListener("click", async () => {
+      errorDiv.textContent = "";
+      backupList.replaceChildren();
+      try {
+        const result = await browser.runtime.sendMessage({
+          command: "listBackups",
+          profileId,
+        });
+        if (!result?.success) {
+          throw new Error(result?.error || "unknown error");
+        }
+        if (result.backups.length === 0) {
+          statusDiv.innerText = "No backups on the server.";
+        }
+        result.backups.forEach((backup) =>
+          backupList.appendChild(createBackupItem(backup)),
+        );
+      } catch (error) {
+        errorDiv.textContent = `Failed to list backups: ${error.message}`;
+      }
+    });
+
+  // Sync history opens in its own tab
+  document
+    .getElementById("open-history-button")
+    .addEventListener("click", () => {
+      browser.tabs.create({
+        url: browser.runtime.getURL(
+          `history/history.html?profile=${encodeURIComponent(profileId)}`,
+        ),
+      });
+    });
+
   // Debug logs button
   const showDebugLogsButton = document.getElementById("show-debug-logs-button");
   showDebugLogsButton.addEventListener("click", async () => {
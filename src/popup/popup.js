@@ -1,26 +1,128 @@
+// Sync profile whose status is shown, chosen in the profile select
+let profileId = DEFAULT_PROFILE_ID;
+
 async function syncMessage() {
   const lastSynced = document.getElementById("last-synced");
-  const storageData = await browser.storage.local.get(["message"]);
-  if (storageData.message) {
-    lastSynced.textContent = storageData.message;
+  const nextSync = document.getElementById("next-sync");
+  const messageKey = profileStorageKey("message", profileId);
+  const scheduleKey = profileStorageKey("syncSchedule", profileId);
+  const storageData = await browser.storage.local.get([
+    messageKey,
+    scheduleKey,
+  ]);
+  lastSynced.textContent =
+    storageData[messageKey] || "Last synced: Not yet synced";
+
+  // Written by scheduleNextSync() in the background
+  const schedule = storageData[scheduleKey];
+  nextSync.classList.toggle("display-none", !schedule?.nextRun);
+  if (schedule?.nextRun) {
+    const time = new Date(schedule.nextRun).toLocaleTimeString();
+    nextSync.textContent =
+      schedule.failures > 0
+        ? `Next sync: ${time} (retry after ${schedule.failures} failed)`
+        : `Next sync: ${time}`;
   }
 }
 
 document.addEventListener("DOMContentLoaded", async () => {
   const syncButton = document.getElementById("sync-button");
   const settingsButton = document.getElementById("settings-button");
+  const profileSelect = document.getElementById("profile-select");
 
   // Settings button opens options page
   settingsButton.addEventListener("click", () => {
     browser.runtime.openOptionsPage();
   });
 
-  // Sync button triggers sync
+  // The profile select is only shown when there is more than one profile
+  const profiles = await browser.runtime.sendMessage({
+    command: "getProfiles",
+  });
+  if (profiles?.length > 1) {
+    profileSelect.replaceChildren(
+      ...profiles.map((profile) => new Option(profile.name, profile.id)),
+    );
+    profileId = profiles[0].id;
+    profileSelect.classList.remove("display-none");
+  }
+
+  profileSelect.addEventListener("change", async () => {
+    profileId = profileSelect.value;
+    await syncMessage();
+    await updateUndoButton();
+  });
+
+  // Sync button triggers a sync of all profiles
   syncButton.addEventListener("click", async () => {
     await browser.runtime.sendMessage({ command: "syncAllBookmarks" });
     await syncMessage();
+    await updateUndoButton();
+  });
+
+  // Preview button shows what a sync of the profile would change, read-only
+  const previewButton = document.getElementById("preview-button");
+  const previewError = document.getElementById("preview-error");
+  previewButton.addEventListener("click", async () => {
+    const result = await browser.runtime.sendMessage({
+      command: "previewSync",
+      profileId,
+    });
+    previewError.textContent = result?.error || "";
+    previewError.classList.toggle("display-none", !result?.error);
+  });
+
+  // Undo button reverts the last confirmed sync on both sides, so a
+  // pull-only profile (which never writes the remote) has none
+  const undoButton = document.getElementById("undo-button");
+  async function updateUndoButton() {
+    const undo = await browser.runtime.sendMessage({
+      command: "getLastSyncUndo",
+      profileId,
+    });
+    const pullOnly = profiles?.find(
+      (profile) => profile.id === profileId,
+    )?.pullOnly;
+    undoButton.classList.toggle("display-none", !undo?.available || pullOnly);
+    if (undo?.timestamp) {
+      undoButton.title = `Sync of ${new Date(undo.timestamp).toLocaleString()}`;
+    }
+  }
+
+  undoButton.addEventListener("click", async () => {
+    await browser.runtime.sendMessage({ command: "undoLastSync", profileId });
+    await syncMessage();
+    await updateUndoButton();
+  });
+
+  // Unlock form, shown while the secrets are encrypted and not yet unlocked
+  const unlockForm = document.getElementById("unlock-form");
+  const unlockError = document.getElementById("unlock-error");
+  async function updateUnlockForm() {
+    const secrets = await browser.runtime.sendMessage({
+      command: "getSecretsLocked",
+    });
+    unlockForm.classList.toggle("display-none", !secrets?.locked);
+  }
+
+  unlockForm.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const passphraseInput = document.getElementById("master-passphrase");
+    const result = await browser.runtime.sendMessage({
+      command: "unlockSecrets",
+      passphrase: passphraseInput.value,
+    });
+    if (!result?.success) {
+      unlockError.textContent = result?.error || "Unlock failed";
+      return;
+    }
+    passphraseInput.value = "";
+    unlockError.textContent = "";
+    await updateUnlockForm();
   });
 
   await syncMessage();
+  await updateUndoButton();
+  await updateUnlockForm();
   setInterval(syncMessage, 1000);
 });
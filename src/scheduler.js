@@ -0,0 +1,124 @@
+/**
+ * Scheduling of the automatic syncs
+ *
+ * Each automatic sync is a one-shot alarm (browser.alarms). It is armed as a
+ * failure before every run, so a sync that stalls or a service worker that is
+ * stopped mid-sync (Chromium) still leaves the next one armed, and armed
+ * again after a successful run. After a failed run the delay doubles, up to
+ * MAX_BACKOFF_MINUTES, and it is back to the configured interval after the
+ * first success. Alarms also wake up a stopped service worker.
+ * Every sync profile has its own alarm and schedule.
+ *
+ * Uses saveSyncSchedule(), getSyncSchedule(), profileStorageKey() and
+ * DEFAULT_PROFILE_ID from storage.js (loaded first)
+ */
+
+// Name of the alarm for automatic syncs (of the default profile)
+const SYNC_ALARM = "bookmark-sync";
+
+// Longest delay between automatic syncs while they keep failing
+const MAX_BACKOFF_MINUTES = 60;
+
+/**
+ * Minutes until the next automatic sync
+ * @param {number} intervalMinutes - Configured check interval
+ * @param {number} failures - Automatic syncs failed in a row
+ * @returns {number}
+ */
+function syncDelayMinutes(intervalMinutes, failures = 0) {
+  const maxDelay = Math.max(intervalMinutes, MAX_BACKOFF_MINUTES);
+  return Math.min(intervalMinutes * 2 ** failures, maxDelay);
+}
+
+/**
+ * Name of the sync alarm of a profile
+ */
+function syncAlarmName(profileId = DEFAULT_PROFILE_ID) {
+  return profileStorageKey(SYNC_ALARM, profileId);
+}
+
+/**
+ * Profile a sync alarm belongs to
+ * @returns {string|null} null for alarms that are not sync alarms
+ */
+function profileIdOfAlarm(alarmName) {
+  if (alarmName === SYNC_ALARM) {
+    return DEFAULT_PROFILE_ID;
+  }
+  const prefix = `${SYNC_ALARM}:`;
+  return alarmName.startsWith(prefix) ? alarmName.slice(prefix.length) : null;
+}
+
+/**
+ * Arm the sync alarm, replacing any earlier one
+ * @param {number} intervalMinutes - Configured check interval
+ * @param {number} failures - Automatic syncs failed in a row
+ * @param {string} profileId - Sync profile
+ * @returns {Promise<number>} Time of the next sync (ms since epoch)
+ */
+async function scheduleNextSync(
+  intervalMinutes,
+  failures = 0,
+  profileId = DEFAULT_PROFILE_ID,
+) {
+  const nextRun =
+    Date.now() + syncDelayMinutes(intervalMinutes, failures) * 60 * 1000;
+  await browser.alarms.create(syncAlarmName(profileId), { when: nextRun });
+  await saveSyncSchedule({ nextRun, failures }, profileId);
+  return nextRun;
+}
+
+/**
+ * Arm the sync alarm unless it is armed already, e.g. when a restarted
+ * service worker finds the browser session started
+ * @param {number} intervalMinutes - Configured check interval
+ * @param {string} profileId - Sync profile
+ * @returns {Promise<boolean>} true if the alarm had to be armed
+ */
+async function ensureScheduledSync(
+  intervalMinutes,
+  profileId = DEFAULT_PROFILE_ID,
+) {
+  if (await browser.alarms.get(syncAlarmName(profileId))) {
+    return false;
+  }
+  const { failures } = await getSyncSchedule(profileId);
+  await scheduleNextSync(intervalMinutes, failures, profileId);
+  return true;
+}
+
+/**
+ * Stop the automatic syncs of a deleted profile
+ */
+async function clearScheduledSync(profileId) {
+  await browser.alarms.clear(syncAlarmName(profileId));
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    SYNC_ALARM,
+    MAX_BACKOFF_MINUTES,
+    syncDelayMinutes,
+    syncAlarmName,
+    profileIdOfAlarm,
+    scheduleNextSync,
+    ensureScheduledSync,
+    clearScheduledSync,
+  };
+}
+
+// For eval-based loading in tests
+({
+  SYNC_ALARM,
+  MAX_BACKOFF_MINUTES,
+  syncDelayMinutes,
+  syncAlarmName,
+  profileIdOfAlarm,
+  scheduleNextSync,
+  ensureScheduledSync,
+  clearScheduledSync,
+});
@@ -1,48 +1,215 @@
 /**
  * Storage operations for bookmark sync
- * Handles change log, bookmark ID map, tombstones, and sync state
+ * Handles change log, bookmark ID map, tombstones, sync state, history, undo,
+ * the session state of the background context, the sync schedule and the
+ * logical clock of this device
+ *
+ * Everything tied to one remote file is kept per sync profile, under the
+ * storage keys of profileStorageKey(). Debug logs, the session state and the
+ * logical clock are shared by all profiles.
  */
 
 // Import helpers (these will be available when loaded as script)
 // In module context, these would be imported from sync.js
+// Uses generateGuid(), bookmarkKey(), isSeparator(), folderSegment(),
+// clockStamp() and newerRecord() from sync.js (loaded first)
+
+// ============================================
+// PROFILES
+// ============================================
+
+// Profile of the settings saved before profiles existed. Its state keeps the
+// plain storage keys, so nothing has to be migrated.
+const DEFAULT_PROFILE_ID = "default";
+
+// Per-profile values in storage.local (removed with the profile)
+const PROFILE_STATE_KEYS = [
+  "bookmarkIdMap",
+  "tombstones",
+  "lastSyncedState",
+  "lastSyncTimestamp",
+  "syncHistory",
+  "lastSyncUndo",
+  "syncSchedule",
+  "message",
+  "secrets",
+];
+
+/**
+ * Storage key of a per-profile value, e.g. "tombstones:<profile id>"
+ * @param {string} key - Key of the value for the default profile
+ * @param {string} profileId - Sync profile
+ * @returns {string}
+ */
+function profileStorageKey(key, profileId = DEFAULT_PROFILE_ID) {
+  return profileId === DEFAULT_PROFILE_ID ? key : `${key}:${profileId}`;
+}
+
+/**
+ * Remove everything stored for a deleted profile
+ */
+async function removeProfileState(profileId) {
+  if (profileId === DEFAULT_PROFILE_ID) {
+    return;
+  }
+  await browser.storage.local.remove(
+    PROFILE_STATE_KEYS.map((key) => profileStorageKey(key, profileId)),
+  );
+}
+
+/**
+ * Status line of a profile shown in the popup
+ */
+async function saveStatusMessage(message, profileId = DEFAULT_PROFILE_ID) {
+  await browser.storage.local.set({
+    [profileStorageKey("message", profileId)]: message,
+  });
+}
+
+// ============================================
+// LOGICAL CLOCK
+// ============================================
+
+// The bookmark listeners run concurrently: every read-modify-write of the
+// clock waits for the one before, so no two edits get the same stamp
+let clockUpdate = Promise.resolve();
+
+function updateClock(update) {
+  const result = clockUpdate.then(update);
+  clockUpdate = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Advance the Lamport clock of this device for a local edit or deletion.
+ * The device id is generated on first use.
+ * @returns {Promise<Object>} { clock, deviceId } to stamp the record with
+ */
+async function tickClock() {
+  return updateClock(async () => {
+    const storage = await browser.storage.local.get([
+      "deviceId",
+      "logicalClock",
+    ]);
+    const stamp = {
+      clock: (storage.logicalClock || 0) + 1,
+      deviceId: storage.deviceId || generateGuid(),
+    };
+    await browser.storage.local.set({
+      deviceId: stamp.deviceId,
+      logicalClock: stamp.clock,
+    });
+    return stamp;
+  });
+}
+
+/**
+ * Move the clock past the stamps of fetched records, so every later local
+ * edit is newer than the edits this device has seen
+ * @param {Array} records - Records of the remote file
+ */
+async function observeClock(records) {
+  const newest = (records || []).reduce(
+    (max, record) => Math.max(max, record.clock || 0),
+    0,
+  );
+  await updateClock(async () => {
+    const storage = await browser.storage.local.get(["logicalClock"]);
+    if (newest > (storage.logicalClock || 0)) {
+      await browser.storage.local.set({ logicalClock: newest });
+    }
+  });
+}
 
 // ============================================
 // BOOKMARK ID MAP
 // ============================================
 
-async function getBookmarkIdMap() {
-  const storage = await browser.storage.local.get(["bookmarkIdMap"]);
-  return storage.bookmarkIdMap || {};
+async function getBookmarkIdMap(profileId = DEFAULT_PROFILE_ID) {
+  const key = profileStorageKey("bookmarkIdMap", profileId);
+  const storage = await browser.storage.local.get([key]);
+  return storage[key] || {};
 }
 
-async function saveBookmarkIdMap(bookmarkIdMap) {
-  await browser.storage.local.set({ bookmarkIdMap });
+async function saveBookmarkIdMap(
+  bookmarkIdMap,
+  profileId = DEFAULT_PROFILE_ID,
+) {
+  await browser.storage.local.set({
+    [profileStorageKey("bookmarkIdMap", profileId)]: bookmarkIdMap,
+  });
 }
 
-async function initializeBookmarkIdMap() {
+/**
+ * Rebuild bookmarkIdMap from the browser tree
+ * Each entry keeps the guid it already had. Bookmarks without a guid (new or
+ * created by a sync) adopt the guid of the record with the same title, url
+ * and path in knownBookmarks, otherwise a new guid is generated. Entries
+ * keep the newer stamp of their known record and their previous entry.
+ * @param {Array} knownBookmarks - Records whose guids should be adopted
+ * @param {string} profileId - Sync profile whose map is rebuilt
+ */
+async function initializeBookmarkIdMap(
+  knownBookmarks = [],
+  profileId = DEFAULT_PROFILE_ID,
+) {
   const bookmarkTreeNodes = await browser.bookmarks.getTree();
+  const previousMap = await getBookmarkIdMap(profileId);
   const bookmarkIdMap = {};
 
+  const knownGuids = new Set();
+  const knownGuidByKey = new Map();
+  const knownByGuid = new Map();
+  for (const bookmark of knownBookmarks) {
+    if (!bookmark.guid) continue;
+    knownGuids.add(bookmark.guid);
+    if (!bookmark.deleted) {
+      knownGuidByKey.set(bookmarkKey(bookmark), bookmark.guid);
+      knownByGuid.set(bookmark.guid, bookmark);
+    }
+  }
+
+  function guidFor(node, entry) {
+    const previousGuid = previousMap[node.id]?.guid;
+    const adoptedGuid = knownGuidByKey.get(bookmarkKey(entry));
+    if (previousGuid && (knownGuids.has(previousGuid) || !adoptedGuid)) {
+      return previousGuid;
+    }
+    return adoptedGuid || generateGuid();
+  }
+
   async function walkTree(nodes, path = []) {
     for (const node of nodes) {
       if (node.id) {
-        bookmarkIdMap[node.id] = {
-          title: node.title || "",
+        const entry = {
+          title: folderSegment(node) || "",
           path: path,
           url: node.url,
           index: node.index,
         };
+        if (isSeparator(node)) {
+          entry.type = "separator";
+        }
+        entry.guid = guidFor(node, entry);
+        Object.assign(
+          entry,
+          clockStamp(
+            newerRecord(knownByGuid.get(entry.guid), previousMap[node.id]),
+          ),
+        );
+        bookmarkIdMap[node.id] = entry;
       }
 
       if (node.children) {
-        const childPath = node.title ? [...path, node.title] : path;
+        const segment = folderSegment(node);
+        const childPath = segment ? [...path, segment] : path;
         await walkTree(node.children, childPath);
       }
     }
   }
 
   await walkTree(bookmarkTreeNodes);
-  await saveBookmarkIdMap(bookmarkIdMap);
+  await saveBookmarkIdMap(bookmarkIdMap, profileId);
 }
 
 /**
@@ -52,6 +219,7 @@ async function initializeBookmarkIdMap() {
  * @param {Object} info - Change info from browser event
  * @param {Function} getBookmarkPath - Function to get bookmark path from parentId
  * @param {boolean} syncInProgress - Whether sync is in progress (skip if true)
+ * @param {string} profileId - Sync profile whose map is updated
  */
 async function recordChange(
   type,
@@ -59,12 +227,13 @@ async function recordChange(
   info,
   getBookmarkPath,
   syncInProgress,
+  profileId = DEFAULT_PROFILE_ID,
 ) {
   if (syncInProgress) {
     return;
   }
 
-  const bookmarkIdMap = await getBookmarkIdMap();
+  const bookmarkIdMap = await getBookmarkIdMap(profileId);
 
   switch (type) {
     case "created": {
@@ -74,7 +243,12 @@ async function recordChange(
         path: path,
         url: info.url,
         index: info.index,
+        guid: generateGuid(),
+        ...(await tickClock()),
       };
+      if (isSeparator(info)) {
+        bookmarkIdMap[bookmarkId].type = "separator";
+      }
       break;
     }
 
@@ -85,6 +259,7 @@ async function recordChange(
           ...oldBookmark,
           title: info.title ?? oldBookmark.title,
           url: info.url ?? oldBookmark.url,
+          ...(await tickClock()),
         };
       } else {
         try {
@@ -95,6 +270,8 @@ async function recordChange(
             path: path,
             url: bm.url,
             index: bm.index,
+            guid: generateGuid(),
+            ...(await tickClock()),
           };
         } catch (e) {
           // Can't get bookmark info
@@ -111,6 +288,7 @@ async function recordChange(
           ...oldBm,
           path: newPath,
           index: info.index,
+          ...(await tickClock()),
         };
       } else {
         try {
@@ -120,6 +298,8 @@ async function recordChange(
             path: newPath,
             url: bm.url,
             index: info.index,
+            guid: generateGuid(),
+            ...(await tickClock()),
           };
         } catch (e) {
           // Can't get bookmark info
@@ -134,20 +314,23 @@ async function recordChange(
     }
   }
 
-  await saveBookmarkIdMap(bookmarkIdMap);
+  await saveBookmarkIdMap(bookmarkIdMap, profileId);
 }
 
 // ============================================
 // TOMBSTONES
 // ============================================
 
-async function getLocalTombstones() {
-  const storage = await browser.storage.local.get(["tombstones"]);
-  return storage.tombstones || [];
+async function getLocalTombstones(profileId = DEFAULT_PROFILE_ID) {
+  const key = profileStorageKey("tombstones", profileId);
+  const storage = await browser.storage.local.get([key]);
+  return storage[key] || [];
 }
 
-async function saveLocalTombstones(tombstones) {
-  await browser.storage.local.set({ tombstones });
+async function saveLocalTombstones(tombstones, profileId = DEFAULT_PROFILE_ID) {
+  await browser.storage.local.set({
+    [profileStorageKey("tombstones", profileId)]: tombstones,
+  });
 }
 
 /**
@@ -155,13 +338,19 @@ async function saveLocalTombstones(tombstones) {
  * @param {Object} bookmark - Bookmark to create tombstone for
  * @param {Function} createTombstone - Function to create tombstone object
  * @param {Function} match3of4 - Function to check 3-of-4 match
+ * @param {string} profileId - Sync profile
  */
-async function addLocalTombstone(bookmark, createTombstone, match3of4) {
-  const tombstones = await getLocalTombstones();
+async function addLocalTombstone(
+  bookmark,
+  createTombstone,
+  match3of4,
+  profileId = DEFAULT_PROFILE_ID,
+) {
+  const tombstones = await getLocalTombstones(profileId);
   const exists = tombstones.some((t) => match3of4(bookmark, t));
   if (!exists) {
-    tombstones.push(createTombstone(bookmark));
-    await saveLocalTombstones(tombstones);
+    tombstones.push({ ...createTombstone(bookmark), ...(await tickClock()) });
+    await saveLocalTombstones(tombstones, profileId);
   }
 }
 
@@ -169,13 +358,18 @@ async function addLocalTombstone(bookmark, createTombstone, match3of4) {
  * Add an already-created tombstone to local storage
  * @param {Object} tombstone - The tombstone object (already created via calcMove/createTombstone)
  * @param {Function} match3of4 - Function to check 3-of-4 match
+ * @param {string} profileId - Sync profile
  */
-async function addLocalTombstoneDirectly(tombstone, match3of4) {
-  const tombstones = await getLocalTombstones();
+async function addLocalTombstoneDirectly(
+  tombstone,
+  match3of4,
+  profileId = DEFAULT_PROFILE_ID,
+) {
+  const tombstones = await getLocalTombstones(profileId);
   const exists = tombstones.some((t) => match3of4(tombstone, t));
   if (!exists) {
-    tombstones.push(tombstone);
-    await saveLocalTombstones(tombstones);
+    tombstones.push({ ...tombstone, ...(await tickClock()) });
+    await saveLocalTombstones(tombstones, profileId);
   }
 }
 
@@ -183,9 +377,14 @@ async function addLocalTombstoneDirectly(tombstone, match3of4) {
  * Remove tombstones for a folder path (when folder is revived)
  * @param {Array} pathArray - Folder path
  * @param {Function} arraysEqual - Function to compare arrays
+ * @param {string} profileId - Sync profile
  */
-async function removeLocalTombstonesForPath(pathArray, arraysEqual) {
-  const tombstones = await getLocalTombstones();
+async function removeLocalTombstonesForPath(
+  pathArray,
+  arraysEqual,
+  profileId = DEFAULT_PROFILE_ID,
+) {
+  const tombstones = await getLocalTombstones(profileId);
   const filtered = tombstones.filter((t) => {
     if (arraysEqual(t.path, pathArray)) {
       return false;
@@ -199,7 +398,7 @@ async function removeLocalTombstonesForPath(pathArray, arraysEqual) {
     return true;
   });
   if (filtered.length !== tombstones.length) {
-    await saveLocalTombstones(filtered);
+    await saveLocalTombstones(filtered, profileId);
   }
 }
 
@@ -207,20 +406,21 @@ async function removeLocalTombstonesForPath(pathArray, arraysEqual) {
 // LAST SYNCED STATE
 // ============================================
 
-async function getLastSyncedState() {
-  const storage = await browser.storage.local.get(["lastSyncedState"]);
-  return storage.lastSyncedState || [];
+async function getLastSyncedState(profileId = DEFAULT_PROFILE_ID) {
+  const key = profileStorageKey("lastSyncedState", profileId);
+  const storage = await browser.storage.local.get([key]);
+  return storage[key] || [];
 }
 
-async function saveLastSyncedState(state) {
+async function saveLastSyncedState(state, profileId = DEFAULT_PROFILE_ID) {
   // DEBUG: Uncomment to trace baseline saves
   // console.log("=== DEBUG: saveLastSyncedState ===");
   // console.log("Stack:", new Error().stack);
   // console.log("State:", JSON.stringify(state));
 
   await browser.storage.local.set({
-    lastSyncedState: state,
-    lastSyncTimestamp: Date.now(),
+    [profileStorageKey("lastSyncedState", profileId)]: state,
+    [profileStorageKey("lastSyncTimestamp", profileId)]: Date.now(),
   });
 }
 
@@ -245,12 +445,142 @@ async function getDebugLogs() {
   return storage.debugLogs || [];
 }
 
+// ============================================
+// SYNC HISTORY
+// ============================================
+
+const MAX_SYNC_HISTORY = 10;
+
+// Size of the stored history (JSON characters) beyond which the oldest syncs
+// are dropped; the newest one is always kept
+const MAX_SYNC_HISTORY_SIZE = 4 * 1024 * 1024;
+
+/**
+ * Store one sync with full snapshots of the local state
+ * At most MAX_SYNC_HISTORY syncs are kept, fewer for large bookmark trees
+ * (see MAX_SYNC_HISTORY_SIZE).
+ * @param {Object} entry - { id, timestamp, counts, before, after }, before
+ *   and after being local bookmarks plus local tombstones
+ * @param {string} profileId - Sync profile
+ */
+async function saveSyncHistoryEntry(entry, profileId = DEFAULT_PROFILE_ID) {
+  const history = await getSyncHistory(profileId);
+  history.unshift(entry); // Newest first
+  if (history.length > MAX_SYNC_HISTORY) {
+    history.length = MAX_SYNC_HISTORY;
+  }
+  let size = JSON.stringify(entry).length;
+  for (let i = 1; i < history.length; i++) {
+    size += JSON.stringify(history[i]).length;
+    if (size > MAX_SYNC_HISTORY_SIZE) {
+      history.length = i;
+      break;
+    }
+  }
+  await browser.storage.local.set({
+    [profileStorageKey("syncHistory", profileId)]: history,
+  });
+}
+
+async function getSyncHistory(profileId = DEFAULT_PROFILE_ID) {
+  const key = profileStorageKey("syncHistory", profileId);
+  const storage = await browser.storage.local.get([key]);
+  return storage[key] || [];
+}
+
+// ============================================
+// UNDO LAST SYNC
+// ============================================
+
+/**
+ * Only the most recent sync can be undone
+ * @param {Object} undo - { timestamp, localChanges, localTombstones,
+ *   lastSyncedState, remote, remoteDigest }
+ * @param {string} profileId - Sync profile
+ */
+async function saveLastSyncUndo(undo, profileId = DEFAULT_PROFILE_ID) {
+  await browser.storage.local.set({
+    [profileStorageKey("lastSyncUndo", profileId)]: undo,
+  });
+}
+
+async function getLastSyncUndo(profileId = DEFAULT_PROFILE_ID) {
+  const key = profileStorageKey("lastSyncUndo", profileId);
+  const storage = await browser.storage.local.get([key]);
+  return storage[key] || null;
+}
+
+async function clearLastSyncUndo(profileId = DEFAULT_PROFILE_ID) {
+  await browser.storage.local.remove(
+    profileStorageKey("lastSyncUndo", profileId),
+  );
+}
+
+// ============================================
+// SESSION STATE
+// ============================================
+
+/**
+ * Transient background state (pending confirmation, confirmation tab) kept
+ * in storage.session, so it survives a restarted service worker but not a
+ * browser restart
+ */
+async function saveSessionState(state) {
+  await browser.storage.session.set({ sessionState: state });
+}
+
+async function getSessionState() {
+  const storage = await browser.storage.session.get(["sessionState"]);
+  return storage.sessionState || {};
+}
+
+/**
+ * Mark the browser session as started
+ * @returns {Promise<boolean>} true only for the first call in a browser session
+ */
+async function startSession() {
+  const storage = await browser.storage.session.get(["sessionStarted"]);
+  if (storage.sessionStarted) {
+    return false;
+  }
+  await browser.storage.session.set({ sessionStarted: true });
+  return true;
+}
+
+// ============================================
+// SYNC SCHEDULE
+// ============================================
+
+/**
+ * When the next automatic sync runs and how many automatic syncs in a row
+ * have failed. Read by the popup to show the next sync time.
+ * @param {string} profileId - Sync profile
+ */
+async function saveSyncSchedule(schedule, profileId = DEFAULT_PROFILE_ID) {
+  await browser.storage.local.set({
+    [profileStorageKey("syncSchedule", profileId)]: schedule,
+  });
+}
+
+async function getSyncSchedule(profileId = DEFAULT_PROFILE_ID) {
+  const key = profileStorageKey("syncSchedule", profileId);
+  const storage = await browser.storage.local.get([key]);
+  return storage[key] || { nextRun: null, failures: 0 };
+}
+
 // ============================================
 // EXPORTS
 // ============================================
 
 if (typeof module !== "undefined" && module.exports) {
   module.exports = {
+    DEFAULT_PROFILE_ID,
+    PROFILE_STATE_KEYS,
+    profileStorageKey,
+    removeProfileState,
+    saveStatusMessage,
+    tickClock,
+    observeClock,
     getBookmarkIdMap,
     saveBookmarkIdMap,
     initializeBookmarkIdMap,
@@ -264,11 +594,30 @@ if (typeof module !== "undefined" && module.exports) {
     saveLastSyncedState,
     saveDebugLog,
     getDebugLogs,
+    MAX_SYNC_HISTORY,
+    MAX_SYNC_HISTORY_SIZE,
+    saveSyncHistoryEntry,
+    getSyncHistory,
+    saveLastSyncUndo,
+    getLastSyncUndo,
+    clearLastSyncUndo,
+    saveSessionState,
+    getSessionState,
+    startSession,
+    saveSyncSchedule,
+    getSyncSchedule,
   };
 }
 
 // For eval-based loading in tests
 ({
+  DEFAULT_PROFILE_ID,
+  PROFILE_STATE_KEYS,
+  profileStorageKey,
+  removeProfileState,
+  saveStatusMessage,
+  tickClock,
+  observeClock,
   getBookmarkIdMap,
   saveBookmarkIdMap,
   initializeBookmarkIdMap,
@@ -282,4 +631,16 @@ if (typeof module !== "undefined" && module.exports) {
   saveLastSyncedState,
   saveDebugLog,
   getDebugLogs,
+  MAX_SYNC_HISTORY,
+  MAX_SYNC_HISTORY_SIZE,
+  saveSyncHistoryEntry,
+  getSyncHistory,
+  saveLastSyncUndo,
+  getLastSyncUndo,
+  clearLastSyncUndo,
+  saveSessionState,
+  getSessionState,
+  startSession,
+  saveSyncSchedule,
+  getSyncSchedule,
 });
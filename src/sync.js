@@ -6,14 +6,29 @@
  * - currentLocalState: Current local bookmarks (includes tombstones)
  * - currentRemoteState: Fresh remote state fetched at sync time (includes tombstones)
  *
- * Internal Logic (3-of-3 matching - ignores index):
- * - Two bookmarks are the "same" if title, url, and path match (index ignored)
+ * Internal Logic (GUID first, 3-of-3 matching as fallback - ignores index):
+ * - Records carry a generated `guid`; two records with the same guid are the
+ *   same bookmark even if title, url or path changed (rename, edit, move)
+ * - Records without a guid (legacy files) are the "same" if title, url, and
+ *   path match (index ignored)
  * - This allows index shifts (reordering) to not create "new" bookmarks
  * - Duplicates (same title, url, path) should be removed by the caller
  *
+ * Logical clocks:
+ * - Local edits and deletions stamp their record (or tombstone) with the
+ *   Lamport clock of the device that made them (`clock`, `deviceId`)
+ * - When both sides changed a record, the newer stamp wins: edits of the same
+ *   attribute, edit vs delete and delete vs recreate are decided the same way
+ *   on every device, whatever their wall clocks say
+ * - Records without a stamp (files of earlier versions) are reported as
+ *   conflicts, and a recreated bookmark survives their tombstone
+ *
  * Sync Flow:
  * 1. Categorize changes on each side (unchanged, deleted, added)
- * 2. Build newState based on changes
+ * 2. Build newState based on changes, collecting conflicts (edit vs edit,
+ *    delete vs edit, folder deleted vs content edited) for records matched by
+ *    guid - a conflicting record keeps its local or edited version until the
+ *    user resolves it
  * 3. Protect folders that have content from deletion
  * 4. Diff to get localChanges and remoteChanges
  */
@@ -31,17 +46,22 @@ function arraysEqual(a, b) {
 
 /**
  * 3-of-3 key for matching (ignores index)
+ * Separators have no title or url, so their index stands in for the url
  */
 function bookmarkKey(bm) {
-  const url = bm.url || "";
+  const url = isSeparator(bm) ? `separator@${bm.index}` : bm.url || "";
   const path = (bm.path || []).join("/");
   return `${bm.title}|${path}|${url}`;
 }
 
 /**
  * Check if two bookmarks match (3-of-3: title, url, path - ignores index)
+ * Separators only match separators at the same index
  */
 function bookmarksEqual(a, b) {
+  if (isSeparator(a) || isSeparator(b)) {
+    return bookmarksEqualExact(a, b);
+  }
   return (
     a.title === b.title &&
     (a.url || "") === (b.url || "") &&
@@ -55,6 +75,7 @@ function bookmarksEqual(a, b) {
  */
 function bookmarksEqualExact(a, b) {
   return (
+    isSeparator(a) === isSeparator(b) &&
     a.title === b.title &&
     (a.url || "") === (b.url || "") &&
     arraysEqual(a.path, b.path) &&
@@ -81,6 +102,24 @@ function findExact(bookmark, list) {
   return list.find((b) => bookmarksEqual(bookmark, b));
 }
 
+/**
+ * Generate a stable identifier for a new bookmark record
+ */
+function generateGuid() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Find the same bookmark in list: guid match first, then 3-of-3
+ */
+function findByIdentity(bookmark, list) {
+  if (bookmark.guid) {
+    const byGuid = list.find((b) => b.guid === bookmark.guid);
+    if (byGuid) return byGuid;
+  }
+  return findExact(bookmark, list);
+}
+
 /**
  * Find 3-of-4 match in list (for UI grouping only)
  */
@@ -92,8 +131,12 @@ function isTombstone(bm) {
   return bm.deleted === true;
 }
 
+function isSeparator(bm) {
+  return bm.type === "separator";
+}
+
 function isFolder(bm) {
-  return !bm.url;
+  return !bm.url && !isSeparator(bm);
 }
 
 function getActive(list) {
@@ -105,7 +148,7 @@ function getTombstones(list) {
 }
 
 function createTombstone(bookmark) {
-  return {
+  const tombstone = {
     title: bookmark.title,
     url: bookmark.url || "",
     path: bookmark.path,
@@ -113,6 +156,13 @@ function createTombstone(bookmark) {
     deleted: true,
     deletedAt: Date.now(),
   };
+  if (isSeparator(bookmark)) {
+    tombstone.type = "separator";
+  }
+  if (bookmark.guid) {
+    tombstone.guid = bookmark.guid;
+  }
+  return Object.assign(tombstone, clockStamp(bookmark));
 }
 
 /**
@@ -152,13 +202,313 @@ function findDifferingAttribute(a, b) {
   return null;
 }
 
+function attributeEqual(attribute, a, b) {
+  if (attribute === "url") return (a.url || "") === (b.url || "");
+  if (attribute === "path") return arraysEqual(a.path, b.path);
+  return a[attribute] === b[attribute];
+}
+
+/**
+ * 3-way merge of one record, attribute by attribute
+ * An attribute changed on one side since the baseline takes that side's
+ * value. Changed on both, the newer stamp wins (local without stamps).
+ * (no conflicts, just pick a winner)
+ */
+function mergeAttributes(old, local, remote) {
+  const merged = { ...old };
+  const localNewer = compareClocks(local, remote) ?? 0;
+  for (const attribute of ["title", "url", "path", "index"]) {
+    const localChanged = !attributeEqual(attribute, local, old);
+    const remoteChanged = !attributeEqual(attribute, remote, old);
+    const source =
+      localChanged && (!remoteChanged || localNewer >= 0) ? local : remote;
+    if (!attributeEqual(attribute, source, old)) {
+      merged[attribute] = source[attribute];
+    }
+  }
+  const guid = local.guid || remote.guid || old.guid;
+  if (guid) {
+    merged.guid = guid;
+  }
+  return Object.assign(merged, clockStamp(newerRecord(local, remote)));
+}
+
+/**
+ * Find an attribute both sides changed to different values (index excluded -
+ * position shifts are side effects, not edits)
+ */
+function findConflictingAttribute(old, local, remote) {
+  for (const attribute of ["title", "url", "path"]) {
+    if (
+      !attributeEqual(attribute, local, old) &&
+      !attributeEqual(attribute, remote, old) &&
+      !attributeEqual(attribute, local, remote)
+    ) {
+      return attribute;
+    }
+  }
+  return null;
+}
+
+// ============================================
+// LOGICAL CLOCKS
+// ============================================
+
+/**
+ * Lamport stamp of a record: the clock of its last edit (or its deletion)
+ * and the device that made it. Records of earlier versions have none.
+ * @returns {Object} { clock, deviceId }, or {} without a stamp
+ */
+function clockStamp(record) {
+  if (record?.clock === undefined) return {};
+  return { clock: record.clock, deviceId: record.deviceId };
+}
+
+/**
+ * Order two versions of a record by their stamps, the device id breaking
+ * ties, so every device picks the same winner
+ * @returns {number|null} > 0 if a is newer, < 0 if b is newer, null if
+ *   either has no stamp
+ */
+function compareClocks(a, b) {
+  if (a?.clock === undefined || b?.clock === undefined) return null;
+  if (a.clock !== b.clock) return a.clock - b.clock;
+  const deviceA = a.deviceId || "";
+  const deviceB = b.deviceId || "";
+  if (deviceA === deviceB) return 0;
+  return deviceA > deviceB ? 1 : -1;
+}
+
+/**
+ * The newer of two versions (a on a tie), or the only one with a stamp
+ */
+function newerRecord(a, b) {
+  const order = compareClocks(a, b);
+  if (order === null) return a?.clock !== undefined ? a : b;
+  return order >= 0 ? a : b;
+}
+
+// ============================================
+// ROOT FOLDERS
+// ============================================
+
+/**
+ * Canonical root folder names by browser id. Firefox roots have fixed ids,
+ * Chromium numbers its roots below the tree root "0" (newer versions also
+ * report a folderType).
+ */
+const FIREFOX_ROOT_FOLDERS = {
+  toolbar_____: "toolbar",
+  menu________: "menu",
+  unfiled_____: "other",
+  mobile______: "mobile",
+};
+const CHROMIUM_ROOT_FOLDERS = { 1: "toolbar", 2: "other", 3: "mobile" };
+const CHROMIUM_FOLDER_TYPES = {
+  "bookmarks-bar": "toolbar",
+  other: "other",
+  mobile: "mobile",
+};
+
+/**
+ * Root folder titles written by earlier versions (English Firefox and Chromium)
+ */
+const LEGACY_ROOT_TITLES = new Map([
+  ["Bookmarks Toolbar", "toolbar"],
+  ["Bookmarks Menu", "menu"],
+  ["Other Bookmarks", "other"],
+  ["Mobile Bookmarks", "mobile"],
+  ["Bookmarks bar", "toolbar"],
+  ["Other bookmarks", "other"],
+  ["Mobile bookmarks", "mobile"],
+]);
+
+/**
+ * Canonical name of a browser root folder node, null for any other node
+ */
+function rootFolderName(node) {
+  if (node.parentId === "root________") {
+    return FIREFOX_ROOT_FOLDERS[node.id] || null;
+  }
+  if (node.parentId === "0") {
+    return (
+      CHROMIUM_FOLDER_TYPES[node.folderType] ||
+      CHROMIUM_ROOT_FOLDERS[node.id] ||
+      null
+    );
+  }
+  return null;
+}
+
+/**
+ * Path segment for a browser folder node: the canonical name for root
+ * folders (whatever the UI language), the title otherwise
+ */
+function folderSegment(node) {
+  return rootFolderName(node) || node.title;
+}
+
+/**
+ * Replace root folder titles with canonical names in records written before
+ * canonical names existed (root folder records and the first path segment)
+ * @param {Map} rootTitles - Root folder title -> canonical name
+ */
+function canonicalizeRootFolders(records, rootTitles = LEGACY_ROOT_TITLES) {
+  if (!records) return records;
+  return records.map((record) => {
+    const path = record.path || [];
+    if (path.length === 0) {
+      const name = rootTitles.get(record.title);
+      return name ? { ...record, title: name } : record;
+    }
+    const name = rootTitles.get(path[0]);
+    return name ? { ...record, path: [name, ...path.slice(1)] } : record;
+  });
+}
+
+// ============================================
+// FOLDER SCOPE
+// ============================================
+// A profile can sync one folder instead of the whole tree: a local root
+// folder and a remote root path. Sync records (remote file, baseline,
+// history) then carry paths relative to it, the same subtree can live at a
+// different place on each side. An empty root path is the whole tree.
+
+/**
+ * Records inside a root path, with paths relative to it (the root folder
+ * itself is outside)
+ */
+function scopeRecords(records, rootPath = []) {
+  if (rootPath.length === 0) return records;
+  return records
+    .filter((record) => pathStartsWith(record.path, rootPath))
+    .map((record) => ({ ...record, path: record.path.slice(rootPath.length) }));
+}
+
+/**
+ * Records relative to a root path back at their full path
+ */
+function unscopeRecords(records, rootPath = []) {
+  if (rootPath.length === 0) return records;
+  return records.map((record) => ({
+    ...record,
+    path: [...rootPath, ...record.path],
+  }));
+}
+
+/**
+ * Records outside a root path, left untouched by a sync of that path
+ */
+function recordsOutsideScope(records, rootPath = []) {
+  if (rootPath.length === 0) return [];
+  return records.filter((record) => !pathStartsWith(record.path, rootPath));
+}
+
+/**
+ * Put synced records back at a root path, next to the records outside it.
+ * Folders of the root path are added when missing.
+ */
+function mergeIntoScope(records, outsideScope, rootPath = []) {
+  const merged = [...outsideScope, ...unscopeRecords(records, rootPath)];
+  rootPath.forEach((title, i) => {
+    const path = rootPath.slice(0, i);
+    const exists = merged.some(
+      (record) =>
+        isFolder(record) &&
+        !isTombstone(record) &&
+        record.title === title &&
+        arraysEqual(record.path, path),
+    );
+    if (!exists) {
+      merged.push({ title, path, index: 0 });
+    }
+  });
+  return merged;
+}
+
+// ============================================
+// EXCLUSION RULES
+// ============================================
+// Bookmarks matched by the exclusion rules of a profile are kept out of its
+// sync on every side: never read, written, deleted or given tombstones.
+// Rules: { folders: [path arrays], urls: [patterns] }, folders by their full
+// local path; a URL pattern is a glob (* matches anything) or a /regex/.
+
+/**
+ * RegExp for a URL pattern
+ * The g and y flags of a /regex/ are dropped: they make test() continue from
+ * the last match, so the same RegExp would skip every other bookmark.
+ * @throws {SyntaxError} for an invalid regular expression
+ */
+function urlPatternRegExp(pattern) {
+  const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    return new RegExp(regex[1], regex[2].replace(/[gy]/g, ""));
+  }
+  const glob = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${glob}$`, "i");
+}
+
+/**
+ * URL patterns that are no valid regular expression (they match nothing)
+ */
+function invalidUrlPatterns(patterns = []) {
+  return patterns.filter((pattern) => {
+    try {
+      urlPatternRegExp(pattern);
+      return false;
+    } catch (e) {
+      return true;
+    }
+  });
+}
+
+/**
+ * Whether any exclusion rule is set
+ */
+function hasExclusions(exclusions = {}) {
+  return (
+    (exclusions.folders || []).length > 0 || (exclusions.urls || []).length > 0
+  );
+}
+
+/**
+ * Predicate for the records excluded by the rules
+ * @param {Object} exclusions - { folders, urls }
+ * @param {string[]} rootPath - Root folder the record paths are relative to
+ */
+function exclusionMatcher(exclusions = {}, rootPath = []) {
+  const folders = exclusions.folders || [];
+  const invalid = invalidUrlPatterns(exclusions.urls);
+  const patterns = (exclusions.urls || [])
+    .filter((pattern) => !invalid.includes(pattern))
+    .map(urlPatternRegExp);
+
+  return (record) => {
+    const path = [...rootPath, ...(record.path || [])];
+    const inFolder = folders.some(
+      (folder) =>
+        pathStartsWith(path, folder) ||
+        arraysEqual([...path, record.title], folder),
+    );
+    return (
+      inFolder ||
+      (!!record.url && patterns.some((pattern) => pattern.test(record.url)))
+    );
+  };
+}
+
 // ============================================
-// DIFF FUNCTION (4-of-4 exact matching)
+// DIFF FUNCTION (guid, then 3-of-3 matching)
 // ============================================
 
 /**
  * Calculate changes needed to go from `current` to `target`
- * Uses 3-of-3 matching for identity, detects index changes as updates
+ * Pairs records by guid first, then by 3-of-3 key. Paired records that differ
+ * in title, url, path or index become updates.
  */
 function diffStates(current, target, debugLabel = "") {
   const insertions = [];
@@ -168,37 +518,55 @@ function diffStates(current, target, debugLabel = "") {
   const currentActive = getActive(current);
   const targetActive = getActive(target);
 
-  const currentKeys = new Set(currentActive.map(bookmarkKey));
-  const targetKeys = new Set(targetActive.map(bookmarkKey));
+  // Pass 1: pair by guid (renames, url edits and moves stay one record)
+  const currentByGuid = new Map();
+  for (const curr of currentActive) {
+    if (curr.guid && !currentByGuid.has(curr.guid)) {
+      currentByGuid.set(curr.guid, curr);
+    }
+  }
+  const pairs = new Map();
+  const pairedCurrent = new Set();
+  for (const tgt of targetActive) {
+    const curr = tgt.guid && currentByGuid.get(tgt.guid);
+    if (curr && !pairedCurrent.has(curr)) {
+      pairs.set(tgt, curr);
+      pairedCurrent.add(curr);
+    }
+  }
 
-  // Build a map of current bookmarks by key for quick lookup
+  // Pass 2: 3-of-3 key for everything not paired by guid
   const currentByKey = new Map();
   for (const curr of currentActive) {
-    currentByKey.set(bookmarkKey(curr), curr);
+    if (!pairedCurrent.has(curr)) {
+      currentByKey.set(bookmarkKey(curr), curr);
+    }
   }
+  const targetKeys = new Set(
+    targetActive.filter((tgt) => !pairs.has(tgt)).map(bookmarkKey),
+  );
 
   // Items in target but not in current -> insertions
-  // Items in both but with different index -> updates
+  // Items in both but with a different attribute -> updates
   for (const tgt of targetActive) {
-    const key = bookmarkKey(tgt);
-    if (!currentKeys.has(key)) {
+    const curr = pairs.get(tgt) || currentByKey.get(bookmarkKey(tgt));
+    if (!curr) {
       insertions.push(tgt);
-    } else {
-      // Check if index differs
-      const curr = currentByKey.get(key);
-      if (curr.index !== tgt.index) {
-        updates.push({
-          oldBookmark: curr,
-          newBookmark: tgt,
-          changedAttribute: "index",
-        });
-      }
+      continue;
+    }
+    const changedAttribute = findDifferingAttribute(curr, tgt);
+    if (changedAttribute) {
+      updates.push({
+        oldBookmark: curr,
+        newBookmark: tgt,
+        changedAttribute,
+      });
     }
   }
 
   // Items in current but not in target -> deletions
   for (const curr of currentActive) {
-    if (!targetKeys.has(bookmarkKey(curr))) {
+    if (!pairedCurrent.has(curr) && !targetKeys.has(bookmarkKey(curr))) {
       deletions.push(curr);
     }
   }
@@ -207,25 +575,43 @@ function diffStates(current, target, debugLabel = "") {
 }
 
 // ============================================
-// CATEGORIZE CHANGES (4-of-4 exact matching)
+// CATEGORIZE CHANGES (guid, then 3-of-3 matching)
 // ============================================
 
 /**
  * Categorize what changed between old and current state
- * Uses 4-of-4 exact matching only
+ * Matches by guid first, then by 3-of-3 for records without a matching guid
  *
  * Returns: { unchanged, deleted, added }
  */
 function categorizeChanges(oldActive, currentActive, currentTombstones) {
-  const unchanged = []; // In both, exactly same (4-of-4)
-  const deleted = []; // In old, has tombstone in current (4-of-4)
+  const unchanged = []; // In both: same guid (attributes may differ) or 3-of-3
+  const deleted = []; // In old, has tombstone in current
   const added = []; // In current, not in old
 
   const matchedOld = new Set();
   const matchedCurrent = new Set();
 
-  // Find exact matches between old and current (4-of-4)
+  // Pass 1: match by guid
+  const currentIndexByGuid = new Map();
+  currentActive.forEach((c, j) => {
+    if (c.guid && !currentIndexByGuid.has(c.guid)) {
+      currentIndexByGuid.set(c.guid, j);
+    }
+  });
+  for (let i = 0; i < oldActive.length; i++) {
+    const old = oldActive[i];
+    const j = old.guid ? currentIndexByGuid.get(old.guid) : undefined;
+    if (j !== undefined && !matchedCurrent.has(j)) {
+      unchanged.push({ old, current: currentActive[j] });
+      matchedOld.add(i);
+      matchedCurrent.add(j);
+    }
+  }
+
+  // Pass 2: 3-of-3 matches for the rest
   for (let i = 0; i < oldActive.length; i++) {
+    if (matchedOld.has(i)) continue;
     const old = oldActive[i];
 
     const exactMatch = currentActive.findIndex(
@@ -239,13 +625,13 @@ function categorizeChanges(oldActive, currentActive, currentTombstones) {
       continue;
     }
 
-    // Check if deleted (must have exact tombstone match)
-    const hasTombstone = findExact(old, currentTombstones);
+    // Check if deleted (must have a tombstone with the same identity)
+    const hasTombstone = findByIdentity(old, currentTombstones);
     if (hasTombstone) {
       deleted.push({ old, tombstone: hasTombstone });
       matchedOld.add(i);
     }
-    // If no exact match and no tombstone, item is "missing" from this side
+    // If no match and no tombstone, item is "missing" from this side
     // Will be handled in merge logic
   }
 
@@ -295,84 +681,157 @@ function mergeStates(oldState, localState, remoteState) {
 
   const newState = [];
   const addedKeys = new Set();
+  const addedGuids = new Set();
+
+  const keep = (bookmark) => {
+    newState.push(bookmark);
+    addedKeys.add(bookmarkKey(bookmark));
+    if (bookmark.guid) addedGuids.add(bookmark.guid);
+  };
+
+  // The baseline record deleted, stamped like the change that deleted it
+  // (not like the baseline's last edit)
+  const tombstoneOf = (old, change) =>
+    createTombstone({
+      ...old,
+      clock: undefined,
+      deviceId: undefined,
+      ...clockStamp(change),
+    });
+
+  // A record that kept its guid but changed title/url/path also gets a
+  // tombstone for its old key, so peers matching by 3-of-3 drop the old copy
+  const keepEdited = (old, bookmark) => {
+    keep(bookmark);
+    if (!bookmarksEqual(old, bookmark)) {
+      newState.push(tombstoneOf({ ...old, guid: undefined }, bookmark));
+    }
+  };
 
   // Process old bookmarks
   for (const old of oldActive) {
     // Find what local did to this bookmark
-    const localUnchanged = localChanges.unchanged.find((u) =>
-      bookmarksEqual(u.old, old),
-    );
-    const localDeleted = localChanges.deleted.find((d) =>
-      bookmarksEqual(d.old, old),
-    );
+    const localUnchanged = localChanges.unchanged.find((u) => u.old === old);
+    const localDeleted = localChanges.deleted.find((d) => d.old === old);
 
     // Find what remote did to this bookmark
-    const remoteUnchanged = remoteChanges.unchanged.find((u) =>
-      bookmarksEqual(u.old, old),
-    );
-    const remoteDeleted = remoteChanges.deleted.find((d) =>
-      bookmarksEqual(d.old, old),
-    );
+    const remoteUnchanged = remoteChanges.unchanged.find((u) => u.old === old);
+    const remoteDeleted = remoteChanges.deleted.find((d) => d.old === old);
 
-    // Both unchanged (3-of-3 match) - check for index differences
+    // Present on both sides - 3-way merge per attribute
     if (localUnchanged && remoteUnchanged) {
       const localCurrent = localUnchanged.current;
       const remoteCurrent = remoteUnchanged.current;
-      const baselineIndex = old.index;
-      const localIndex = localCurrent.index;
-      const remoteIndex = remoteCurrent.index;
-
-      // 3-way merge for index (no conflicts, just pick winner)
-      // If local changed from baseline → local wins (intentional)
-      // If local unchanged from baseline → remote wins
-      const localChanged = localIndex !== baselineIndex;
-      const winningIndex = localChanged ? localIndex : remoteIndex;
-      newState.push({ ...old, index: winningIndex });
-      addedKeys.add(bookmarkKey(old));
+      const changedAttribute = findConflictingAttribute(
+        old,
+        localCurrent,
+        remoteCurrent,
+      );
+      // With stamps on both versions the newer edit simply wins
+      if (
+        changedAttribute &&
+        compareClocks(localCurrent, remoteCurrent) === null
+      ) {
+        conflicts.push({
+          type: "edit_conflict",
+          bookmark: old,
+          localVersion: localCurrent,
+          remoteVersion: remoteCurrent,
+          changedAttribute,
+        });
+      }
+      // Until resolved, the local value of a conflicting attribute is kept
+      keepEdited(old, mergeAttributes(old, localCurrent, remoteCurrent));
       continue;
     }
 
     // Both deleted
     if (localDeleted && remoteDeleted) {
-      newState.push(createTombstone(old));
+      newState.push(
+        tombstoneOf(
+          old,
+          newerRecord(localDeleted.tombstone, remoteDeleted.tombstone),
+        ),
+      );
       continue;
     }
 
-    // Local unchanged, remote deleted
+    // Local present, remote deleted - an edit is a conflict and survives
+    // the deletion until resolved (with stamps, the newer one wins)
     if (localUnchanged && remoteDeleted) {
-      newState.push(createTombstone(old));
+      const editNewer = compareClocks(
+        localUnchanged.current,
+        remoteDeleted.tombstone,
+      );
+      if (bookmarksEqual(old, localUnchanged.current) || editNewer < 0) {
+        newState.push(tombstoneOf(old, remoteDeleted.tombstone));
+      } else if (editNewer !== null) {
+        keepEdited(old, localUnchanged.current);
+      } else {
+        conflicts.push({
+          type: "delete_vs_edit",
+          bookmark: old,
+          localAction: "modified",
+          localVersion: localUnchanged.current,
+          remoteVersion: null,
+        });
+        keepEdited(old, localUnchanged.current);
+      }
       continue;
     }
 
-    // Local deleted, remote unchanged
+    // Local deleted, remote present - same as above, mirrored
     if (localDeleted && remoteUnchanged) {
-      newState.push(createTombstone(old));
+      const editNewer = compareClocks(
+        remoteUnchanged.current,
+        localDeleted.tombstone,
+      );
+      if (bookmarksEqual(old, remoteUnchanged.current) || editNewer < 0) {
+        newState.push(tombstoneOf(old, localDeleted.tombstone));
+      } else if (editNewer !== null) {
+        keepEdited(old, remoteUnchanged.current);
+      } else {
+        conflicts.push({
+          type: "delete_vs_edit",
+          bookmark: old,
+          localAction: "deleted",
+          localVersion: null,
+          remoteVersion: remoteUnchanged.current,
+        });
+        keepEdited(old, remoteUnchanged.current);
+      }
       continue;
     }
 
     // Local deleted, remote missing (not in remote at all) -> push tombstone
     if (localDeleted && !remoteUnchanged && !remoteDeleted) {
-      newState.push(createTombstone(old));
+      newState.push(tombstoneOf(old, localDeleted.tombstone));
       continue;
     }
 
     // Remote deleted, local missing (not in local at all) -> push tombstone
     if (remoteDeleted && !localUnchanged && !localDeleted) {
-      newState.push(createTombstone(old));
+      newState.push(tombstoneOf(old, remoteDeleted.tombstone));
       continue;
     }
 
-    // Local unchanged, remote missing (no match, no tombstone) -> keep it
+    // Local present, remote missing (no match, no tombstone) -> keep it
     if (localUnchanged && !remoteUnchanged && !remoteDeleted) {
-      newState.push(old);
-      addedKeys.add(bookmarkKey(old));
+      if (bookmarksEqual(old, localUnchanged.current)) {
+        keep(old);
+      } else {
+        keepEdited(old, mergeAttributes(old, localUnchanged.current, old));
+      }
       continue;
     }
 
-    // Remote unchanged, local missing (no match, no tombstone) -> keep it
+    // Remote present, local missing (no match, no tombstone) -> keep it
     if (remoteUnchanged && !localUnchanged && !localDeleted) {
-      newState.push(old);
-      addedKeys.add(bookmarkKey(old));
+      if (bookmarksEqual(old, remoteUnchanged.current)) {
+        keep(old);
+      } else {
+        keepEdited(old, mergeAttributes(old, old, remoteUnchanged.current));
+      }
       continue;
     }
 
@@ -396,57 +855,68 @@ function mergeStates(oldState, localState, remoteState) {
         `local: unchanged=${!!localUnchanged} deleted=${!!localDeleted}, ` +
         `remote: unchanged=${!!remoteUnchanged} deleted=${!!remoteDeleted}`,
     );
-    newState.push(old);
-    addedKeys.add(bookmarkKey(old));
+    keep(old);
   }
 
   // Process local additions
   for (const localAdd of localChanges.added) {
     const key = bookmarkKey(localAdd);
-    if (addedKeys.has(key)) continue;
+    if (addedKeys.has(key) || addedGuids.has(localAdd.guid)) continue;
 
     // Check if remote has exact same
     const remoteExact = findExact(localAdd, remoteActive);
     if (remoteExact) {
-      newState.push(localAdd);
-      addedKeys.add(key);
+      keep(localAdd);
       continue;
     }
 
     // Check if remote deleted this (exact tombstone match)
     const remoteTomb = findExact(localAdd, remoteTombstones);
     if (remoteTomb) {
-      // Local added, remote has tombstone - local wins (recreated)
-      newState.push(localAdd);
-      addedKeys.add(key);
+      // Local added, remote has tombstone - local wins (recreated), unless
+      // the deletion has the newer stamp
+      if (compareClocks(remoteTomb, localAdd) > 0) {
+        newState.push(remoteTomb);
+      } else {
+        keep(localAdd);
+      }
       continue;
     }
 
     // Normal local add
-    newState.push(localAdd);
-    addedKeys.add(key);
+    keep(localAdd);
   }
 
   // Process remote additions
   for (const remoteAdd of remoteChanges.added) {
     const key = bookmarkKey(remoteAdd);
-    if (addedKeys.has(key)) continue;
+    if (addedKeys.has(key) || addedGuids.has(remoteAdd.guid)) continue;
 
     // Check if local deleted this (exact tombstone match)
     const localTomb = findExact(remoteAdd, localTombstones);
     if (localTomb) {
-      // Remote added, local has tombstone - remote wins (recreated)
-      newState.push(remoteAdd);
-      addedKeys.add(key);
+      // Remote added, local has tombstone - remote wins (recreated), unless
+      // the deletion has the newer stamp
+      if (compareClocks(localTomb, remoteAdd) > 0) {
+        newState.push(localTomb);
+      } else {
+        keep(remoteAdd);
+      }
       continue;
     }
 
     // Normal remote add
-    newState.push(remoteAdd);
-    addedKeys.add(key);
+    keep(remoteAdd);
   }
 
-  return { newState, conflicts };
+  return {
+    newState,
+    conflicts: groupFolderConflicts(
+      conflicts,
+      localChanges.deleted.map((d) => d.old),
+      remoteChanges.deleted.map((d) => d.old),
+    ),
+  };
 }
 
 // ============================================
@@ -483,12 +953,16 @@ function protectFoldersWithContent(newState) {
     if (isTombstone(item) && isFolder(item)) {
       if (folderHasContent(item, activeBookmarks)) {
         // Convert tombstone back to active folder
-        result.push({
+        const folder = {
           title: item.title,
           path: item.path,
           index: item.index,
           // No url (it's a folder), no deleted flag
-        });
+        };
+        if (item.guid) {
+          folder.guid = item.guid;
+        }
+        result.push(folder);
         continue;
       }
     }
@@ -499,20 +973,276 @@ function protectFoldersWithContent(newState) {
 }
 
 // ============================================
-// FOLDER CONFLICT DETECTION (stub - no longer used)
+// FOLDER CONFLICT DETECTION
 // ============================================
 
 /**
- * Detect folder-level conflicts
- * With 4-of-4 matching, folder conflicts are handled by protectFoldersWithContent
- * This function is kept for API compatibility but always returns empty
+ * Fold delete_vs_edit conflicts caused by a folder deletion into one
+ * folder_deleted_local / folder_deleted_remote conflict per deleted folder
+ * (the outermost one). New content is not a conflict, the folder simply
+ * survives for it (protectFoldersWithContent); edited content is.
+ *
+ * @param {Array} conflicts - Conflicts from mergeStates
+ * @param {Array} localDeleted - Baseline records deleted locally
+ * @param {Array} remoteDeleted - Baseline records deleted remotely
+ * @returns {Array} conflicts with folder deletions grouped
+ */
+function groupFolderConflicts(conflicts, localDeleted, remoteDeleted) {
+  const outermostFolder = (bookmark, deleted) =>
+    deleted
+      .filter(isFolder)
+      .filter((folder) =>
+        pathStartsWith(bookmark.path, [...folder.path, folder.title]),
+      )
+      .sort((a, b) => a.path.length - b.path.length)[0];
+
+  const folderConflicts = new Map();
+  const result = [];
+
+  for (const conflict of conflicts) {
+    if (conflict.type !== "delete_vs_edit") {
+      result.push(conflict);
+      continue;
+    }
+
+    const deletedLocally = conflict.localAction === "deleted";
+    const folder = outermostFolder(
+      conflict.bookmark,
+      deletedLocally ? localDeleted : remoteDeleted,
+    );
+    if (!folder) {
+      result.push(conflict);
+      continue;
+    }
+
+    if (!folderConflicts.has(folder)) {
+      const folderConflict = deletedLocally
+        ? { type: "folder_deleted_local", folder, remoteContent: [] }
+        : { type: "folder_deleted_remote", folder, localContent: [] };
+      folderConflict.contentConflicts = [];
+      folderConflicts.set(folder, folderConflict);
+      result.push(folderConflict);
+    }
+    const folderConflict = folderConflicts.get(folder);
+    folderConflict.contentConflicts.push(conflict);
+    if (deletedLocally) {
+      folderConflict.remoteContent.push(conflict.remoteVersion);
+    } else {
+      folderConflict.localContent.push(conflict.localVersion);
+    }
+  }
+
+  // A deleted folder that was itself edited is covered by its folder conflict
+  return result.filter(
+    (conflict) =>
+      conflict.type !== "delete_vs_edit" ||
+      !folderConflicts.has(conflict.bookmark),
+  );
+}
+
+/**
+ * Detect folder-level conflicts: a folder deleted on one side while content
+ * the other side knew about was edited (renamed, changed or moved)
  */
 function detectFolderConflicts(
   oldRemoteState,
   currentLocalState,
   currentRemoteState,
 ) {
-  return [];
+  const { conflicts } = mergeStates(
+    oldRemoteState || [],
+    currentLocalState || [],
+    currentRemoteState || [],
+  );
+  return conflicts.filter(
+    (conflict) =>
+      conflict.type === "folder_deleted_local" ||
+      conflict.type === "folder_deleted_remote",
+  );
+}
+
+// ============================================
+// CONFLICT RESOLUTION
+// ============================================
+
+/**
+ * Choices offered per conflict on the confirmation page
+ */
+const CONFLICT_RESOLUTIONS = ["local", "remote", "both", "skip"];
+
+/**
+ * Same bookmark: same guid when both have one, otherwise 3-of-3
+ */
+function sameBookmark(a, b) {
+  if (a.guid && b.guid) return a.guid === b.guid;
+  return bookmarksEqual(a, b);
+}
+
+/**
+ * Replace the active record for `bookmark` in list (tombstones untouched)
+ * @param {Object|null} replacement - New record, or null to remove it
+ */
+function replaceByIdentity(list, bookmark, replacement) {
+  const result = list.filter(
+    (b) => isTombstone(b) || !sameBookmark(b, bookmark),
+  );
+  if (replacement) {
+    result.push(replacement);
+  }
+  return result;
+}
+
+/**
+ * The records a conflict is about, as { old, local, remote }
+ * (local/remote is null on the side that deleted it)
+ */
+function conflictItems(conflict, state) {
+  if (conflict.type === "edit_conflict" || conflict.type === "delete_vs_edit") {
+    return [
+      {
+        old: conflict.bookmark,
+        local: conflict.localVersion || null,
+        remote: conflict.remoteVersion || null,
+      },
+    ];
+  }
+
+  // Folder conflicts: the folder itself plus every edited item inside it
+  const folder = conflict.folder;
+  const kept = getActive(state).find((b) => sameBookmark(b, folder)) || folder;
+  const deletedLocally = conflict.type === "folder_deleted_local";
+  return [
+    ...(conflict.contentConflicts || []).flatMap((c) => conflictItems(c)),
+    {
+      old: folder,
+      local: deletedLocally ? null : kept,
+      remote: deletedLocally ? kept : null,
+    },
+  ];
+}
+
+/**
+ * Apply one decision for one record to the merged state
+ */
+function resolveItem(state, item, choice) {
+  const { old, local, remote } = item;
+
+  if (choice === "both" && local && remote) {
+    // Keep the local version under the guid, the remote one as a duplicate
+    const duplicate = mergeAttributes(old, remote, local);
+    duplicate.guid = generateGuid();
+    return [
+      ...replaceByIdentity(state, old, mergeAttributes(old, local, remote)),
+      duplicate,
+    ];
+  }
+
+  const winner = choice === "remote" ? remote : local;
+  const loser = choice === "remote" ? local : remote;
+
+  // "both" on a delete vs edit keeps the edit
+  if (choice === "both" || (winner && !loser)) {
+    return replaceByIdentity(state, old, winner || loser);
+  }
+
+  if (!winner) {
+    // The deletion wins: drop the edited version everywhere
+    const result = replaceByIdentity(state, old, null);
+    result.push(createTombstone(old));
+    if (loser && !bookmarksEqual(loser, old)) {
+      result.push(createTombstone({ ...loser, guid: undefined }));
+    }
+    return result;
+  }
+
+  // Both edited: conflicting attributes from the winner, the rest merged
+  return replaceByIdentity(state, old, mergeAttributes(old, winner, loser));
+}
+
+/**
+ * Apply the user's per-conflict decisions to the merged state
+ *
+ * @param {Array} newState - Merged state from calcSyncChanges
+ * @param {Array} conflicts - Conflicts from calcSyncChanges
+ * @param {Object} resolutions - Conflict index -> "local" | "remote" | "both"
+ *   | "skip" (missing entries are skipped)
+ * @returns {{ newState: Array, deferred: Array }} deferred lists the records
+ *   of skipped conflicts as { old, local, remote }: each side keeps its own
+ *   version and the baseline keeps the old one, so the conflict comes back
+ *   on the next sync
+ */
+function resolveConflicts(newState, conflicts, resolutions = {}) {
+  let state = [...newState];
+  const deferred = [];
+
+  conflicts.forEach((conflict, i) => {
+    const choice = CONFLICT_RESOLUTIONS.includes(resolutions[i])
+      ? resolutions[i]
+      : "skip";
+    for (const item of conflictItems(conflict, state)) {
+      if (choice === "skip") {
+        deferred.push(item);
+      } else {
+        state = resolveItem(state, item, choice);
+      }
+    }
+  });
+
+  return { newState: protectFoldersWithContent(state), deferred };
+}
+
+/**
+ * Deferral items for changes the user unchecked on the confirmation page:
+ * both sides keep their current version and the baseline its old one, so the
+ * change is proposed again on the next sync
+ *
+ * @param {Array} excluded - Records of the unchecked insertions, deletions
+ *   and updates (old and new bookmark of an update)
+ * @returns {Array} Items { old, local, remote }, null where a side lacks it
+ */
+function excludedChangeItems(excluded, oldState, localState, remoteState) {
+  const find = (bookmark, state) =>
+    findByIdentity(bookmark, getActive(state || [])) || null;
+  const items = [];
+
+  for (const bookmark of excluded || []) {
+    const covered = items.some((item) =>
+      [item.old, item.local, item.remote].some(
+        (version) => version && sameBookmark(version, bookmark),
+      ),
+    );
+    if (covered) continue;
+
+    const item = {
+      old: find(bookmark, oldState),
+      local: find(bookmark, localState),
+      remote: find(bookmark, remoteState),
+    };
+    if (item.old || item.local || item.remote) {
+      items.push(item);
+    }
+  }
+
+  return items;
+}
+
+/**
+ * The state one side should end up with: newState, except that deferred
+ * records keep that side's version (a side that deleted it keeps a tombstone)
+ * @param {string} side - "local", "remote" or "old" (baseline)
+ */
+function stateWithDeferred(newState, deferred, side) {
+  let state = newState;
+  for (const item of deferred) {
+    const versions = [item.old, item.local, item.remote].filter(Boolean);
+    state = state.filter((b) => !versions.some((v) => sameBookmark(b, v)));
+    if (item[side]) {
+      state.push(item[side]);
+    } else if (item.old) {
+      state.push(createTombstone(item.old));
+    }
+  }
+  return state;
 }
 
 // ============================================
@@ -559,6 +1289,127 @@ function calcSyncChanges(
   };
 }
 
+// How the changes of a sync are applied (see decideSyncAction)
+const SYNC_DECISIONS = {
+  NONE: "none", // nothing changed
+  INDEX_ONLY: "index-only", // only positions changed, applied silently
+  AUTO: "auto", // applied without confirmation, as the policy allows
+  CONFIRM: "confirm", // shown on the confirmation page
+};
+
+/**
+ * Decide how the changes of a sync are applied
+ * Position changes are always applied silently and conflicts always
+ * confirmed. With the auto-apply policy enabled, insertions, renames and up
+ * to policy.maxDeletions deletions of bookmarks are applied without asking;
+ * folder deletions, moves and URL edits are still confirmed.
+ * @param {Object} changes - { localChanges, remoteChanges, conflicts }
+ * @param {Object} policy - { enabled, maxDeletions }
+ */
+function decideSyncAction(
+  { localChanges, remoteChanges, conflicts = [] },
+  policy = {},
+) {
+  const all = (key) => [
+    ...(localChanges[key] || []),
+    ...(remoteChanges[key] || []),
+  ];
+  const insertions = all("insertions");
+  const deletions = all("deletions");
+  const updates = all("updates");
+
+  if (conflicts.length > 0) {
+    return SYNC_DECISIONS.CONFIRM;
+  }
+  if (insertions.length + deletions.length + updates.length === 0) {
+    return SYNC_DECISIONS.NONE;
+  }
+  const isIndexUpdate = (u) => u.changedAttribute === "index";
+  if (
+    insertions.length === 0 &&
+    deletions.length === 0 &&
+    updates.every(isIndexUpdate)
+  ) {
+    return SYNC_DECISIONS.INDEX_ONLY;
+  }
+  if (!policy.enabled) {
+    return SYNC_DECISIONS.CONFIRM;
+  }
+
+  // A rename keeps url and folder (a new position comes along)
+  const isRename = ({ oldBookmark, newBookmark }) =>
+    (oldBookmark.url || "") === (newBookmark.url || "") &&
+    arraysEqual(oldBookmark.path, newBookmark.path);
+  const fewDeletions =
+    deletions.length <= (policy.maxDeletions || 0) && !deletions.some(isFolder);
+  return updates.every(isRename) && fewDeletions
+    ? SYNC_DECISIONS.AUTO
+    : SYNC_DECISIONS.CONFIRM;
+}
+
+// Fewer deletions never count as a mass deletion (small trees)
+const MASS_DELETION_MIN_COUNT = 5;
+
+/**
+ * Find a side that would lose more than maxPercent of its records to the
+ * deletions of a sync, e.g. after a wiped profile or a removed folder
+ * @param {Object} changes - { localChanges, remoteChanges }
+ * @param {number} maxPercent - 0 turns the check off
+ * @returns {Object|null} { side: "local" | "remote", count, total }
+ */
+function findMassDeletion(
+  { localChanges, remoteChanges },
+  localState,
+  remoteState,
+  maxPercent,
+) {
+  if (!(maxPercent > 0)) {
+    return null;
+  }
+  const sides = [
+    {
+      side: "local",
+      count: localChanges.deletions.length,
+      total: getActive(localState || []).length,
+    },
+    {
+      side: "remote",
+      count: remoteChanges.deletions.length,
+      total: getActive(remoteState || []).length,
+    },
+  ];
+  return (
+    sides.find(
+      ({ count, total }) =>
+        count >= MASS_DELETION_MIN_COUNT && count * 100 > total * maxPercent,
+    ) || null
+  );
+}
+
+/**
+ * Calculate the changes of a one-way sync: the other side becomes a copy of
+ * the source side, whatever changed on it since the baseline
+ * @param {string} source - "local" or "remote"
+ */
+function calcOneWayChanges(currentLocalState, currentRemoteState, source) {
+  const localActive = getActive(currentLocalState || []);
+  const remoteActive = getActive(currentRemoteState || []);
+  const noChanges = { insertions: [], deletions: [], updates: [] };
+
+  return {
+    localChanges:
+      source === "remote"
+        ? diffStates(localActive, remoteActive, "LOCAL->remote")
+        : noChanges,
+    remoteChanges:
+      source === "local"
+        ? diffStates(remoteActive, localActive, "REMOTE->local")
+        : noChanges,
+    conflicts: [],
+    newState: source === "local" ? localActive : remoteActive,
+  };
+}
+
 // ============================================
 // EXPORTS
 // ============================================
@@ -566,6 +1417,11 @@ function calcSyncChanges(
 if (typeof module !== "undefined" && module.exports) {
   module.exports = {
     calcSyncChanges,
+    SYNC_DECISIONS,
+    decideSyncAction,
+    MASS_DELETION_MIN_COUNT,
+    findMassDeletion,
+    calcOneWayChanges,
     detectFolderConflicts,
     diffStates,
     mergeStates,
@@ -580,7 +1436,20 @@ if (typeof module !== "undefined" && module.exports) {
     findExact,
     find3of4,
     isTombstone,
+    isSeparator,
     isFolder,
+    LEGACY_ROOT_TITLES,
+    rootFolderName,
+    folderSegment,
+    canonicalizeRootFolders,
+    scopeRecords,
+    unscopeRecords,
+    recordsOutsideScope,
+    mergeIntoScope,
+    urlPatternRegExp,
+    invalidUrlPatterns,
+    hasExclusions,
+    exclusionMatcher,
     getActive,
     getTombstones,
     createTombstone,
@@ -588,12 +1457,31 @@ if (typeof module !== "undefined" && module.exports) {
     pathStartsWith,
     getBookmarksInFolder,
     findDifferingAttribute,
+    mergeAttributes,
+    generateGuid,
+    findByIdentity,
+    findConflictingAttribute,
+    clockStamp,
+    compareClocks,
+    newerRecord,
+    groupFolderConflicts,
+    CONFLICT_RESOLUTIONS,
+    sameBookmark,
+    replaceByIdentity,
+    resolveConflicts,
+    excludedChangeItems,
+    stateWithDeferred,
   };
 }
 
 // For eval-based loading in tests
 ({
   calcSyncChanges,
+  SYNC_DECISIONS,
+  decideSyncAction,
+  MASS_DELETION_MIN_COUNT,
+  findMassDeletion,
+  calcOneWayChanges,
   detectFolderConflicts,
   diffStates,
   mergeStates,
@@ -608,7 +1496,20 @@ if (typeof module !== "undefined" && module.exports) {
   findExact,
   find3of4,
   isTombstone,
+  isSeparator,
   isFolder,
+  LEGACY_ROOT_TITLES,
+  rootFolderName,
+  folderSegment,
+  canonicalizeRootFolders,
+  scopeRecords,
+  unscopeRecords,
+  recordsOutsideScope,
+  mergeIntoScope,
+  urlPatternRegExp,
+  invalidUrlPatterns,
+  hasExclusions,
+  exclusionMatcher,
   getActive,
   getTombstones,
   createTombstone,
@@ -616,4 +1517,18 @@ if (typeof module !== "undefined" && module.exports) {
   pathStartsWith,
   getBookmarksInFolder,
   findDifferingAttribute,
+  mergeAttributes,
+  generateGuid,
+  findByIdentity,
+  findConflictingAttribute,
+  clockStamp,
+  compareClocks,
+  newerRecord,
+  groupFolderConflicts,
+  CONFLICT_RESOLUTIONS,
+  sameBookmark,
+  replaceByIdentity,
+  resolveConflicts,
+  excludedChangeItems,
+  stateWithDeferred,
 });
@@ -1,10 +1,145 @@
 /**
- * WebDAV operations for bookmark sync
+ * WebDAV operations for bookmark sync, and the configuration they use
+ * (sync profiles in storage.sync, their secrets in storage.local)
+ *
+ * Uses profileStorageKey() and DEFAULT_PROFILE_ID from storage.js (loaded
+ * first)
  */
 
-function createWebDAVHeaders(username, password, isWrite = false) {
+// What went wrong with a WebDAV request
+const WEBDAV_ERROR_KINDS = {
+  NETWORK: "network", // no answer: offline, DNS, connection refused, timeout
+  AUTH: "auth", // 401 / 403: wrong credentials
+  SERVER: "server", // 5xx, 408, 429: the server may recover, worth retrying
+  PARSE: "parse", // the remote file is not a bookmark list
+  CLIENT: "client", // any other status (412 = remote changed since it was fetched)
+};
+
+// A request without an answer after this long fails as a network error
+const REQUEST_TIMEOUT_MS = 30000;
+
+// Reads are repeated this often on network and server errors (after 1s, 2s)
+const MAX_RETRIES = 2;
+const RETRY_DELAY_MS = 1000;
+
+function errorKindForStatus(status) {
+  if (status === 401 || status === 403) {
+    return WEBDAV_ERROR_KINDS.AUTH;
+  }
+  if (status >= 500 || status === 408 || status === 429) {
+    return WEBDAV_ERROR_KINDS.SERVER;
+  }
+  return WEBDAV_ERROR_KINDS.CLIENT;
+}
+
+/**
+ * Error raised for failed WebDAV requests
+ * status is the HTTP status code (0 without an answer), kind one of
+ * WEBDAV_ERROR_KINDS (derived from the status unless given)
+ */
+class WebDAVError extends Error {
+  constructor(message, status, kind = errorKindForStatus(status)) {
+    super(message);
+    this.name = "WebDAVError";
+    this.status = status;
+    this.kind = kind;
+  }
+}
+
+function isPreconditionFailed(error) {
+  return error instanceof WebDAVError && error.status === 412;
+}
+
+function isNetworkError(error) {
+  return (
+    error instanceof WebDAVError && error.kind === WEBDAV_ERROR_KINDS.NETWORK
+  );
+}
+
+/**
+ * fetch() with a timeout; no answer at all becomes a network WebDAVError
+ * With readBody set, the body of a successful response is read within the
+ * same timeout (a server can stall after the headers), and text() / json()
+ * of the returned response answer from it.
+ */
+async function fetchWithTimeout(url, init, readBody = false) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal });
+    if (!readBody || !response.ok) {
+      return response;
+    }
+    const body = await response.text();
+    return {
+      ok: response.ok,
+      status: response.status,
+      headers: response.headers,
+      text: async () => body,
+      json: async () => JSON.parse(body),
+    };
+  } catch (error) {
+    const message = controller.signal.aborted
+      ? `No answer from the server within ${REQUEST_TIMEOUT_MS / 1000}s`
+      : `Network error: ${error.message}`;
+    throw new WebDAVError(message, 0, WEBDAV_ERROR_KINDS.NETWORK);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Send a request, repeating it up to `retries` times on network errors and
+ * retryable statuses (waiting longer before each attempt). Only for requests
+ * that can safely be sent twice.
+ * @param {boolean} readBody - Read the body within the timeout (see
+ *   fetchWithTimeout)
+ * @returns {Promise<Response>} the last response (any status)
+ */
+async function webdavFetch(url, init, retries = 0, readBody = false) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await fetchWithTimeout(url, init, readBody);
+      if (
+        attempt >= retries ||
+        errorKindForStatus(response.status) !== WEBDAV_ERROR_KINDS.SERVER
+      ) {
+        return response;
+      }
+    } catch (error) {
+      if (attempt >= retries) {
+        throw error;
+      }
+    }
+    await new Promise((resolve) =>
+      setTimeout(resolve, RETRY_DELAY_MS * 2 ** attempt),
+    );
+  }
+}
+
+// How requests authenticate (options.authMode)
+const AUTH_MODES = {
+  BASIC: "basic", // username + (app) password
+  BEARER: "bearer", // static token (options.token)
+  LOGIN_FLOW: "login-flow", // Nextcloud Login Flow v2: Basic with the app password it grants
+};
+
+/**
+ * Headers for a WebDAV request
+ * @param {Object} options - { authMode, token } (Basic without an authMode)
+ */
+function createWebDAVHeaders(
+  username,
+  password,
+  isWrite = false,
+  options = {},
+) {
   const headers = new Headers();
-  headers.set("Authorization", "Basic " + btoa(username + ":" + password));
+  if (options.authMode === AUTH_MODES.BEARER) {
+    headers.set("Authorization", `Bearer ${options.token}`);
+  } else {
+    headers.set("Authorization", "Basic " + btoa(username + ":" + password));
+  }
   headers.set("X-Extension-Request", "bookmark");
   if (isWrite) {
     headers.set("Content-Type", "application/json");
@@ -17,69 +152,886 @@ function addCacheBuster(url) {
   return url.includes("?") ? `${url}&${cacheBuster}` : `${url}?${cacheBuster}`;
 }
 
-async function fetchWebDAV(url, username, password) {
+/**
+ * Read the version of a remote file from the response headers
+ * @returns {Object} { etag, lastModified } (null when not sent by the server)
+ */
+function getRemoteVersion(response) {
+  const headers = response.headers;
+  if (!headers || typeof headers.get !== "function") {
+    return { etag: null, lastModified: null };
+  }
+  return {
+    etag: headers.get("ETag") || null,
+    lastModified: headers.get("Last-Modified") || null,
+  };
+}
+
+/**
+ * Fetch the remote bookmarks together with the version they were read at
+ * Failures throw a WebDAVError (retried first, see webdavFetch) instead of
+ * returning null, so they are never mistaken for a missing file.
+ * Encrypted files are decrypted with options.passphrase; a wrong or missing
+ * passphrase throws a DecryptionError.
+ * @param {Object} options - { passphrase, authMode, token }
+ * @returns {Promise<Object>} { data, version } - data is null only if the file
+ *   is missing (404) or empty
+ */
+async function fetchWebDAVWithVersion(url, username, password, options = {}) {
+  const empty = { data: null, version: { etag: null, lastModified: null } };
   if (!url) {
     console.warn("fetchWebDAV: No URL configured");
-    return null;
+    return empty;
+  }
+
+  const response = await webdavFetch(
+    addCacheBuster(url),
+    {
+      headers: createWebDAVHeaders(username, password, false, options),
+      credentials: "omit",
+    },
+    MAX_RETRIES,
+    true,
+  );
+
+  if (response.status === 404) {
+    // Remember that the file is missing, so creating it cannot overwrite a concurrent upload
+    return { data: null, version: { ...empty.version, exists: false } };
+  }
+  if (!response.ok) {
+    throw new WebDAVError(
+      `HTTP error! status: ${response.status}`,
+      response.status,
+    );
   }
 
-  const headers = createWebDAVHeaders(username, password);
+  const version = getRemoteVersion(response);
+  const text = await response.text();
 
+  if (!text || text.trim() === "") {
+    return { data: null, version };
+  }
+
+  let parsed;
   try {
-    const response = await fetch(addCacheBuster(url), {
-      headers,
-      credentials: "omit",
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new WebDAVError(
+      `The bookmark file is not valid JSON: ${error.message}`,
+      response.status,
+      WEBDAV_ERROR_KINDS.PARSE,
+    );
+  }
+
+  version.encrypted = isEncryptedEnvelope(parsed);
+  const data = version.encrypted
+    ? await decryptJSON(parsed, options.passphrase)
+    : parsed;
+  if (!Array.isArray(data)) {
+    throw new WebDAVError(
+      "The bookmark file does not contain a bookmark list",
+      response.status,
+      WEBDAV_ERROR_KINDS.PARSE,
+    );
+  }
+  return { data, version };
+}
+
+async function fetchWebDAV(url, username, password, options = {}) {
+  const { data } = await fetchWebDAVWithVersion(
+    url,
+    username,
+    password,
+    options,
+  );
+  return data;
+}
+
+/**
+ * Make a request conditional on the remote file still being the given version
+ * @param {Headers} headers - Headers of the request
+ * @param {Object} version - { etag, lastModified, exists } or null
+ */
+function setVersionCondition(headers, version) {
+  if (version?.etag) {
+    headers.set("If-Match", version.etag);
+  } else if (version?.lastModified) {
+    headers.set("If-Unmodified-Since", version.lastModified);
+  } else if (version?.exists === false) {
+    headers.set("If-None-Match", "*");
+  }
+}
+
+/**
+ * Upload bookmarks to WebDAV
+ * If a version is given, the write is conditional (If-Match / If-Unmodified-Since,
+ * or If-None-Match for a file that was missing) and fails with a 412 WebDAVError
+ * when another machine uploaded in between.
+ * With options.passphrase set, the file is written as an encrypted envelope
+ * (this also migrates plaintext files on their first encrypted upload).
+ * With options.backupCount > 0, the current file is copied to the backup
+ * collection first and only the newest backupCount backups are kept. The
+ * copy has the same condition, so a 412 leaves the backups untouched.
+ * @param {Object} version - { etag, lastModified, exists } from fetchWebDAVWithVersion
+ * @param {Object} options - { passphrase, backupCount, authMode, token }
+ * @returns {Promise<Object>} the version of the file after the write
+ */
+async function updateWebDAV(
+  url,
+  username,
+  password,
+  bookmarks,
+  version = null,
+  options = {},
+) {
+  const content = options.passphrase
+    ? await encryptJSON(bookmarks, options.passphrase)
+    : bookmarks;
+
+  // Keep the file we are about to replace (a missing file has nothing to keep)
+  if (options.backupCount > 0 && version?.exists !== false) {
+    await backupRemoteFile(url, username, password, options.backupCount, {
+      ...options,
+      version,
     });
+  }
 
-    if (response.status === 404) {
-      return null;
-    }
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
+  const headers = createWebDAVHeaders(username, password, true, options);
+  setVersionCondition(headers, version);
 
-    const text = await response.text();
+  const response = await webdavFetch(url, {
+    method: "PUT",
+    headers,
+    credentials: "omit",
+    body: JSON.stringify(content, null, 2),
+  });
 
-    if (!text || text.trim() === "") {
-      return null;
-    }
+  if (!response.ok) {
+    throw new WebDAVError(
+      `HTTP error! status: ${response.status}`,
+      response.status,
+    );
+  }
+  return getRemoteVersion(response);
+}
 
-    const data = JSON.parse(text);
-    return Array.isArray(data) ? data : null;
+/**
+ * URL of the collection (folder) that contains the given file or collection
+ */
+function getParentCollectionUrl(url) {
+  const parsed = new URL(url);
+  parsed.search = "";
+  parsed.hash = "";
+  const path = parsed.pathname.replace(/\/+$/, "");
+  parsed.pathname = path.slice(0, path.lastIndexOf("/") + 1);
+  return parsed.toString();
+}
+
+/**
+ * Make sure a collection exists, creating missing parents first (MKCOL)
+ * @param {Function} onStep - Called with a message for each created collection
+ * @param {Object} options - { authMode, token }
+ */
+async function ensureCollection(
+  collectionUrl,
+  username,
+  password,
+  onStep = () => {},
+  options = {},
+) {
+  const { pathname } = new URL(collectionUrl);
+  if (pathname === "/") {
+    return;
+  }
+
+  const headers = createWebDAVHeaders(username, password, false, options);
+  headers.set("Depth", "0");
+  const response = await webdavFetch(
+    collectionUrl,
+    { method: "PROPFIND", headers, credentials: "omit" },
+    MAX_RETRIES,
+  );
+  if (response.ok) {
+    return;
+  }
+  if (response.status !== 404) {
+    throw new WebDAVError(
+      `Cannot access folder ${pathname}: status ${response.status}`,
+      response.status,
+    );
+  }
+
+  await ensureCollection(
+    getParentCollectionUrl(collectionUrl),
+    username,
+    password,
+    onStep,
+    options,
+  );
+
+  onStep(`Creating folder ${pathname}`);
+  const created = await webdavFetch(collectionUrl, {
+    method: "MKCOL",
+    headers: createWebDAVHeaders(username, password, false, options),
+    credentials: "omit",
+  });
+  // 405: created by someone else in the meantime
+  if (!created.ok && created.status !== 405) {
+    throw new WebDAVError(
+      `Cannot create folder ${pathname}: status ${created.status}`,
+      created.status,
+    );
+  }
+}
+
+/**
+ * Make sure the remote bookmark file exists
+ * Missing folders are created and an empty bookmark document is uploaded.
+ * @param {Function} onStep - Called with a message for each step
+ * @returns {Promise<Object>} { created } - true if the file was created
+ */
+async function ensureRemoteFile(
+  url,
+  username,
+  password,
+  onStep = () => {},
+  options = {},
+) {
+  if (!url) {
+    throw new Error("No WebDAV URL configured");
+  }
+
+  onStep(`Checking ${url}`);
+  const response = await webdavFetch(
+    addCacheBuster(url),
+    {
+      headers: createWebDAVHeaders(username, password, false, options),
+      credentials: "omit",
+    },
+    MAX_RETRIES,
+  );
+  if (response.ok) {
+    onStep("Bookmark file found.");
+    return { created: false };
+  }
+  if (response.status !== 404) {
+    throw new WebDAVError(
+      `HTTP error! status: ${response.status}`,
+      response.status,
+    );
+  }
+
+  onStep("Bookmark file does not exist yet.");
+  await ensureCollection(
+    getParentCollectionUrl(url),
+    username,
+    password,
+    onStep,
+    options,
+  );
+
+  try {
+    await updateWebDAV(url, username, password, [], { exists: false }, options);
+    onStep("Created empty bookmark file.");
   } catch (error) {
-    console.error("Error fetching from WebDAV:", error);
-    return null;
+    if (!isPreconditionFailed(error)) {
+      throw error;
+    }
+    onStep("Bookmark file was created by another device.");
   }
+  return { created: true };
 }
 
-async function updateWebDAV(url, username, password, bookmarks) {
-  const headers = createWebDAVHeaders(username, password, true);
+// ============================================
+// BACKUPS
+// ============================================
 
-  const response = await fetch(url, {
-    method: "PUT",
+/**
+ * Backups live in a .versions/ collection next to the bookmark file, named
+ * <file>.<timestamp> so that they sort by age
+ */
+function getBackupCollectionUrl(url) {
+  return getParentCollectionUrl(url) + ".versions/";
+}
+
+function getFileName(url) {
+  const { pathname } = new URL(url);
+  return decodeURIComponent(pathname.slice(pathname.lastIndexOf("/") + 1));
+}
+
+function formatBackupTimestamp(date) {
+  return date.toISOString().replace(/[:.]/g, "-");
+}
+
+function parseBackupTimestamp(stamp) {
+  const iso = stamp.replace(/T(\d\d)-(\d\d)-(\d\d)-(\d{3})Z$/, "T$1:$2:$3.$4Z");
+  const date = new Date(iso);
+  return isNaN(date) ? null : date.toISOString();
+}
+
+/**
+ * List the backups of the bookmark file, newest first
+ * @param {Object} options - { authMode, token }
+ * @returns {Promise<Array>} [{ name, url, timestamp }]
+ */
+async function listBackups(url, username, password, options = {}) {
+  const collectionUrl = getBackupCollectionUrl(url);
+  const headers = createWebDAVHeaders(username, password, false, options);
+  headers.set("Depth", "1");
+  const response = await webdavFetch(
+    collectionUrl,
+    { method: "PROPFIND", headers, credentials: "omit" },
+    MAX_RETRIES,
+    true,
+  );
+  if (response.status === 404) {
+    return [];
+  }
+  if (!response.ok) {
+    throw new WebDAVError(
+      `Cannot list backups: status ${response.status}`,
+      response.status,
+    );
+  }
+
+  // Every <href> of the multistatus answer, whatever the namespace prefix
+  const xml = await response.text();
+  const hrefs = [...xml.matchAll(/<(?:\w+:)?href>([^<]*)<\/(?:\w+:)?href>/g)];
+  const prefix = getFileName(url) + ".";
+
+  return hrefs
+    .map(([, href]) => new URL(href.trim(), collectionUrl))
+    .map((backupUrl) => ({
+      name: getFileName(backupUrl.toString()),
+      url: backupUrl.toString(),
+    }))
+    .filter(({ name }) => name.startsWith(prefix))
+    .map((backup) => ({
+      ...backup,
+      timestamp: parseBackupTimestamp(backup.name.slice(prefix.length)),
+    }))
+    .filter((backup) => backup.timestamp)
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+/**
+ * Copy the bookmark file into the backup collection, then delete all but the
+ * newest `keep` backups
+ * With options.version set, the copy is conditional like the write it
+ * precedes: a 412 WebDAVError when the file changed, and nothing is pruned.
+ * @param {Object} options - { version, authMode, token }
+ */
+async function backupRemoteFile(
+  url,
+  username,
+  password,
+  keep,
+  options = {},
+  now = new Date(),
+) {
+  const collectionUrl = getBackupCollectionUrl(url);
+  await ensureCollection(collectionUrl, username, password, () => {}, options);
+
+  const destination =
+    collectionUrl +
+    encodeURIComponent(`${getFileName(url)}.${formatBackupTimestamp(now)}`);
+  const headers = createWebDAVHeaders(username, password, false, options);
+  headers.set("Destination", destination);
+  headers.set("Overwrite", "T");
+  setVersionCondition(headers, options.version);
+  const response = await webdavFetch(url, {
+    method: "COPY",
     headers,
     credentials: "omit",
-    body: JSON.stringify(bookmarks, null, 2),
   });
+  // 404: no file yet, nothing to keep
+  if (!response.ok && response.status !== 404) {
+    throw new WebDAVError(
+      `Cannot back up the bookmark file: status ${response.status}`,
+      response.status,
+    );
+  }
+
+  const backups = await listBackups(url, username, password, options);
+  for (const backup of backups.slice(keep)) {
+    await webdavFetch(backup.url, {
+      method: "DELETE",
+      headers: createWebDAVHeaders(username, password, false, options),
+      credentials: "omit",
+    });
+  }
+}
+
+// ============================================
+// NEXTCLOUD LOGIN FLOW V2
+// ============================================
+
+// Nextcloud gives up on a login flow after 20 minutes
+const LOGIN_FLOW_TIMEOUT_MS = 20 * 60 * 1000;
+const LOGIN_FLOW_POLL_INTERVAL_MS = 2000;
+
+/**
+ * Base URL of the Nextcloud server a WebDAV URL belongs to
+ * https://cloud.example.com/nc/remote.php/dav/files/u/bm.json -> https://cloud.example.com/nc
+ */
+function getNextcloudServerUrl(webdavUrl) {
+  const parsed = new URL(webdavUrl);
+  const index = parsed.pathname.indexOf("/remote.php/");
+  const basePath = index >= 0 ? parsed.pathname.slice(0, index) : "";
+  return parsed.origin + basePath;
+}
 
+/**
+ * Start a login flow: the user logs in on the returned login page, which
+ * grants an app password that pollLoginFlow picks up
+ * @returns {Promise<Object>} { login, poll: { token, endpoint } }
+ */
+async function startLoginFlow(serverUrl) {
+  const response = await webdavFetch(
+    `${serverUrl.replace(/\/+$/, "")}/index.php/login/v2`,
+    { method: "POST", credentials: "omit" },
+    0,
+    true,
+  );
   if (!response.ok) {
-    throw new Error(`HTTP error! status: ${response.status}`);
+    throw new WebDAVError(
+      `Cannot start the Nextcloud login: status ${response.status}`,
+      response.status,
+    );
+  }
+  return response.json();
+}
+
+/**
+ * Wait for the login started by startLoginFlow to finish
+ * The endpoint answers 404 until the user has granted access.
+ * @param {Object} poll - { token, endpoint } from startLoginFlow
+ * @returns {Promise<Object>} { server, loginName, appPassword }
+ */
+async function pollLoginFlow(
+  poll,
+  {
+    intervalMs = LOGIN_FLOW_POLL_INTERVAL_MS,
+    timeoutMs = LOGIN_FLOW_TIMEOUT_MS,
+  } = {},
+) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const response = await webdavFetch(
+      poll.endpoint,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: `token=${encodeURIComponent(poll.token)}`,
+        credentials: "omit",
+      },
+      0,
+      true,
+    );
+    if (response.ok) {
+      return response.json();
+    }
+    if (response.status !== 404) {
+      throw new WebDAVError(
+        `Nextcloud login failed: status ${response.status}`,
+        response.status,
+      );
+    }
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
   }
+  throw new Error("The Nextcloud login was not completed in time");
 }
 
-async function loadConfig() {
-  const result = await browser.storage.sync.get([
-    "webdavUrl",
-    "webdavUsername",
-    "webdavPassword",
-    "checkIntervalMinutes",
+// ============================================
+// CONFIGURATION AND SECRETS
+// ============================================
+
+// Settings of a sync profile, kept in storage.sync (shared by the browser's
+// own sync)
+const CONFIG_KEYS = [
+  "webdavUrl",
+  "webdavAuthMode",
+  "webdavUsername",
+  "checkIntervalMinutes",
+  "backupCount",
+  "localRootFolder",
+  "remoteRootPath",
+  "excludedFolders",
+  "excludedUrls",
+  "syncDirection",
+  "autoApplyPolicy",
+  "autoApplyMaxDeletions",
+  "massDeletionPercent",
+];
+
+// Which side a profile's sync may change
+const SYNC_DIRECTIONS = {
+  BIDIRECTIONAL: "bidirectional", // 3-way merge, both sides change
+  PUSH: "push", // the remote becomes a backup of this device
+  PULL: "pull", // this device mirrors the remote, local edits are reverted
+};
+
+// Which changes of a profile's sync are applied without confirmation
+const AUTO_APPLY_POLICIES = {
+  CONFIRM: "confirm", // every change but position changes
+  NON_DESTRUCTIVE: "non-destructive", // additions, renames, a few deletions
+};
+
+// Deletions applied without confirmation under the non-destructive policy,
+// unless the profile sets another number
+const AUTO_APPLY_MAX_DELETIONS = 5;
+
+// Share of a tree (in percent) a sync may delete before it is blocked with a
+// warning, unless the profile sets another one (0 = no check)
+const MASS_DELETION_PERCENT = 30;
+
+// Settings kept only in storage.local on this device, optionally encrypted
+// under a master passphrase
+const SECRET_KEYS = ["webdavPassword", "webdavToken", "encryptionPassphrase"];
+
+/**
+ * Path segments of a folder setting such as "toolbar/Team" (root folders by
+ * their canonical name); empty for the whole tree
+ */
+function parseFolderPath(text) {
+  return (text || "")
+    .split("/")
+    .map((segment) => segment.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Non-empty lines of a multi-line setting
+ */
+function settingLines(text) {
+  return (text || "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Exclusion rules of a profile's settings (see EXCLUSION RULES in sync.js)
+ */
+function parseExclusions(settings) {
+  return {
+    folders: settingLines(settings.excludedFolders).map(parseFolderPath),
+    urls: settingLines(settings.excludedUrls),
+  };
+}
+
+/**
+ * Auto-apply policy of a profile's settings (see decideSyncAction in sync.js)
+ */
+function parseAutoApplyPolicy(settings) {
+  const maxDeletions = parseInt(settings.autoApplyMaxDeletions, 10);
+  return {
+    enabled: settings.autoApplyPolicy === AUTO_APPLY_POLICIES.NON_DESTRUCTIVE,
+    maxDeletions: maxDeletions >= 0 ? maxDeletions : AUTO_APPLY_MAX_DELETIONS,
+  };
+}
+
+/**
+ * Percentage of a setting, the default when it is empty or not a number
+ */
+function parsePercent(text, defaultPercent) {
+  const percent = parseFloat(text);
+  return percent >= 0 && percent <= 100 ? percent : defaultPercent;
+}
+
+function pickKeys(source, keys) {
+  return Object.fromEntries(
+    keys
+      .filter((key) => source[key] !== undefined)
+      .map((key) => [key, source[key]]),
+  );
+}
+
+/**
+ * Sync profiles: { id, name } plus the CONFIG_KEYS settings
+ * Before the first profile is added, the settings are the plain keys of the
+ * default profile.
+ * @returns {Promise<Array>} Never empty, the default profile first
+ */
+async function loadProfiles() {
+  const stored = await browser.storage.sync.get(["profiles", ...CONFIG_KEYS]);
+  if (Array.isArray(stored.profiles) && stored.profiles.length > 0) {
+    return stored.profiles;
+  }
+  return [
+    {
+      id: DEFAULT_PROFILE_ID,
+      name: "Default",
+      ...pickKeys(stored, CONFIG_KEYS),
+    },
+  ];
+}
+
+/**
+ * Store the profiles (replacing the plain keys of the default profile)
+ */
+async function saveProfiles(profiles) {
+  await browser.storage.sync.set({
+    profiles: profiles.map((profile) => ({
+      id: profile.id,
+      name: profile.name,
+      ...pickKeys(profile, CONFIG_KEYS),
+    })),
+  });
+  await browser.storage.sync.remove(CONFIG_KEYS);
+}
+
+/**
+ * Store the secrets of a profile in storage.local (and remove any copy from
+ * storage.sync). With a master passphrase they are stored encrypted, and
+ * unlocked for the rest of the browser session.
+ * There is one master passphrase for all profiles, entered again for every
+ * save (only the unlocked secrets are kept in the session, never the
+ * passphrase): the secrets of the other profiles are (re-)encrypted with it,
+ * and saving without one is refused while any stored secrets are encrypted.
+ * @throws {DecryptionError} when the secrets of another profile are locked
+ *   and the passphrase does not decrypt them
+ */
+async function saveSecrets(
+  secrets,
+  masterPassphrase = "",
+  profileId = DEFAULT_PROFILE_ID,
+) {
+  const otherIds = (await loadProfiles())
+    .map((profile) => profile.id)
+    .filter((id) => id !== profileId);
+  const stored = await browser.storage.local.get(
+    [profileId, ...otherIds].map((id) => profileStorageKey("secrets", id)),
+  );
+  const encryptedIds = otherIds.filter((id) =>
+    isEncryptedEnvelope(stored[profileStorageKey("secrets", id)]),
+  );
+  const encrypted =
+    encryptedIds.length > 0 ||
+    isEncryptedEnvelope(stored[profileStorageKey("secrets", profileId)]);
+  if (!masterPassphrase && encrypted) {
+    throw new Error(
+      "The stored secrets are encrypted: enter the master passphrase",
+    );
+  }
+
+  const values = pickKeys(secrets, SECRET_KEYS);
+  const local = {
+    [profileStorageKey("secrets", profileId)]: masterPassphrase
+      ? await encryptJSON(values, masterPassphrase)
+      : values,
+  };
+  const session = {
+    [profileStorageKey("unlockedSecrets", profileId)]: masterPassphrase
+      ? values
+      : null,
+  };
+
+  for (const id of masterPassphrase ? otherIds : []) {
+    const key = profileStorageKey("secrets", id);
+    const unlockedKey = profileStorageKey("unlockedSecrets", id);
+    if (!stored[key]) {
+      continue;
+    }
+    let otherValues = stored[key];
+    if (encryptedIds.includes(id)) {
+      // Secrets already encrypted with this passphrase are left as they are
+      try {
+        session[unlockedKey] = await decryptJSON(stored[key], masterPassphrase);
+        continue;
+      } catch (error) {
+        // A new passphrase: re-encrypt the secrets unlocked with the old one
+      }
+      const { [unlockedKey]: unlocked } = await browser.storage.session.get([
+        unlockedKey,
+      ]);
+      if (!unlocked) {
+        throw new DecryptionError("Wrong master passphrase");
+      }
+      otherValues = unlocked;
+    }
+    local[key] = await encryptJSON(otherValues, masterPassphrase);
+    session[unlockedKey] = otherValues;
+  }
+
+  await browser.storage.local.set(local);
+  await browser.storage.session.set(session);
+  await browser.storage.sync.remove(SECRET_KEYS);
+}
+
+/**
+ * The stored secrets of a profile
+ * Before the first save, those of the default profile are still read from
+ * storage.sync.
+ * @returns {Promise<Object|null>} null while encrypted and not unlocked
+ */
+async function loadSecrets(profileId = DEFAULT_PROFILE_ID) {
+  const key = profileStorageKey("secrets", profileId);
+  const { [key]: secrets } = await browser.storage.local.get([key]);
+  if (!secrets) {
+    return profileId === DEFAULT_PROFILE_ID
+      ? browser.storage.sync.get(SECRET_KEYS)
+      : {};
+  }
+  if (!isEncryptedEnvelope(secrets)) {
+    return secrets;
+  }
+  const unlockedKey = profileStorageKey("unlockedSecrets", profileId);
+  const { [unlockedKey]: unlockedSecrets } = await browser.storage.session.get([
+    unlockedKey,
   ]);
+  return unlockedSecrets || null;
+}
+
+/**
+ * Decrypt the secrets of all profiles (one master passphrase for all) for
+ * the rest of the browser session, kept in memory only, in storage.session
+ * @returns {Promise<Object>} The secrets of the given profile
+ * @throws {DecryptionError} on a wrong master passphrase
+ */
+async function unlockSecrets(masterPassphrase, profileId = DEFAULT_PROFILE_ID) {
+  const profileIds = (await loadProfiles()).map((profile) => profile.id);
+  const stored = await browser.storage.local.get(
+    profileIds.map((id) => profileStorageKey("secrets", id)),
+  );
+  const unlocked = {};
+  let result = {};
+  for (const id of profileIds) {
+    const secrets = stored[profileStorageKey("secrets", id)];
+    let values = secrets || {};
+    if (isEncryptedEnvelope(secrets)) {
+      try {
+        values = await decryptJSON(secrets, masterPassphrase);
+      } catch (error) {
+        throw new DecryptionError("Wrong master passphrase");
+      }
+      unlocked[profileStorageKey("unlockedSecrets", id)] = values;
+    }
+    if (id === profileId) {
+      result = values;
+    }
+  }
+  await browser.storage.session.set(unlocked);
+  return result;
+}
+
+/**
+ * Move secrets saved by earlier versions from storage.sync to storage.local
+ * @returns {Promise<boolean>} true if secrets were moved
+ */
+async function migrateSecrets() {
+  const { secrets } = await browser.storage.local.get(["secrets"]);
+  if (secrets) {
+    return false;
+  }
+  const legacy = await browser.storage.sync.get(SECRET_KEYS);
+  if (Object.keys(legacy).length === 0) {
+    return false;
+  }
+  await saveSecrets(legacy);
+  return true;
+}
+
+/**
+ * Config file for "Download Config": the settings, and the secrets only if
+ * an export passphrase is given (then encrypted with it)
+ */
+async function exportConfig(settings, secrets, exportPassphrase = "") {
+  const exported = pickKeys(settings, CONFIG_KEYS);
+  if (exportPassphrase) {
+    exported.secrets = await encryptJSON(
+      pickKeys(secrets, SECRET_KEYS),
+      exportPassphrase,
+    );
+  }
+  return exported;
+}
+
+/**
+ * Read a config file from exportConfig (or a clear-text one from earlier
+ * versions)
+ * @returns {Promise<Object>} { settings, secrets } - secrets is null if the
+ *   file has none
+ * @throws {DecryptionError} if the secrets cannot be decrypted
+ */
+async function importConfig(data, exportPassphrase = "") {
+  const settings = pickKeys(data, CONFIG_KEYS);
+  if (isEncryptedEnvelope(data.secrets)) {
+    if (!exportPassphrase) {
+      throw new DecryptionError(
+        "The config contains encrypted secrets: enter its passphrase",
+      );
+    }
+    try {
+      return {
+        settings,
+        secrets: await decryptJSON(data.secrets, exportPassphrase),
+      };
+    } catch (error) {
+      throw new DecryptionError("Wrong passphrase for the config file");
+    }
+  }
+  const secrets = pickKeys(data, SECRET_KEYS);
+  return {
+    settings,
+    secrets: Object.keys(secrets).length > 0 ? secrets : null,
+  };
+}
+
+/**
+ * Settings of a profile from storage.sync and its secrets from storage.local
+ * An unknown profile id gives the first profile. locked is true while the
+ * secrets are encrypted and not unlocked.
+ */
+async function loadConfig(profileId = DEFAULT_PROFILE_ID) {
+  const profiles = await loadProfiles();
+  const profile =
+    profiles.find((candidate) => candidate.id === profileId) || profiles[0];
+  const secrets = await loadSecrets(profile.id);
+
+  return {
+    profileId: profile.id,
+    name: profile.name,
+    url: profile.webdavUrl || "",
+    authMode: profile.webdavAuthMode || AUTH_MODES.BASIC,
+    username: profile.webdavUsername || "",
+    password: secrets?.webdavPassword || "",
+    token: secrets?.webdavToken || "",
+    checkInterval: parseInt(profile.checkIntervalMinutes, 10) || 5,
+    passphrase: secrets?.encryptionPassphrase || "",
+    backupCount: parseInt(profile.backupCount, 10) || 0,
+    localRoot: parseFolderPath(profile.localRootFolder),
+    remoteRoot: parseFolderPath(profile.remoteRootPath),
+    exclusions: parseExclusions(profile),
+    direction: Object.values(SYNC_DIRECTIONS).includes(profile.syncDirection)
+      ? profile.syncDirection
+      : SYNC_DIRECTIONS.BIDIRECTIONAL,
+    autoApply: parseAutoApplyPolicy(profile),
+    massDeletionPercent: parsePercent(
+      profile.massDeletionPercent,
+      MASS_DELETION_PERCENT,
+    ),
+    locked: secrets === null,
+  };
+}
+
+/**
+ * Configs of all profiles, the default profile first
+ */
+async function loadConfigs() {
+  const profiles = await loadProfiles();
+  return Promise.all(profiles.map((profile) => loadConfig(profile.id)));
+}
 
+/**
+ * Options for fetchWebDAV/updateWebDAV derived from the config
+ */
+function webdavOptions(config) {
   return {
-    url: result.webdavUrl || "",
-    username: result.webdavUsername || "",
-    password: result.webdavPassword || "",
-    checkInterval: parseInt(result.checkIntervalMinutes, 10) || 5,
+    passphrase: config.passphrase,
+    backupCount: config.backupCount,
+    authMode: config.authMode,
+    token: config.token,
   };
 }
 
@@ -89,19 +1041,103 @@ async function loadConfig() {
 
 if (typeof module !== "undefined" && module.exports) {
   module.exports = {
+    WEBDAV_ERROR_KINDS,
+    REQUEST_TIMEOUT_MS,
+    MAX_RETRIES,
+    errorKindForStatus,
+    WebDAVError,
+    isPreconditionFailed,
+    isNetworkError,
+    fetchWithTimeout,
+    webdavFetch,
+    AUTH_MODES,
     createWebDAVHeaders,
     addCacheBuster,
+    getRemoteVersion,
+    fetchWebDAVWithVersion,
     fetchWebDAV,
     updateWebDAV,
+    getParentCollectionUrl,
+    ensureCollection,
+    ensureRemoteFile,
+    getBackupCollectionUrl,
+    listBackups,
+    backupRemoteFile,
+    getNextcloudServerUrl,
+    startLoginFlow,
+    pollLoginFlow,
+    CONFIG_KEYS,
+    SECRET_KEYS,
+    SYNC_DIRECTIONS,
+    AUTO_APPLY_POLICIES,
+    AUTO_APPLY_MAX_DELETIONS,
+    MASS_DELETION_PERCENT,
+    loadProfiles,
+    saveProfiles,
+    saveSecrets,
+    loadSecrets,
+    unlockSecrets,
+    migrateSecrets,
+    exportConfig,
+    importConfig,
+    parseFolderPath,
+    settingLines,
+    parseExclusions,
+    parseAutoApplyPolicy,
+    parsePercent,
     loadConfig,
+    loadConfigs,
+    webdavOptions,
   };
 }
 
 // For eval-based loading in tests
 ({
+  WEBDAV_ERROR_KINDS,
+  REQUEST_TIMEOUT_MS,
+  MAX_RETRIES,
+  errorKindForStatus,
+  WebDAVError,
+  isPreconditionFailed,
+  isNetworkError,
+  fetchWithTimeout,
+  webdavFetch,
+  AUTH_MODES,
   createWebDAVHeaders,
   addCacheBuster,
+  getRemoteVersion,
+  fetchWebDAVWithVersion,
   fetchWebDAV,
   updateWebDAV,
+  getParentCollectionUrl,
+  ensureCollection,
+  ensureRemoteFile,
+  getBackupCollectionUrl,
+  listBackups,
+  backupRemoteFile,
+  getNextcloudServerUrl,
+  startLoginFlow,
+  pollLoginFlow,
+  CONFIG_KEYS,
+  SECRET_KEYS,
+  SYNC_DIRECTIONS,
+  AUTO_APPLY_POLICIES,
+  AUTO_APPLY_MAX_DELETIONS,
+  MASS_DELETION_PERCENT,
+  loadProfiles,
+  saveProfiles,
+  saveSecrets,
+  loadSecrets,
+  unlockSecrets,
+  migrateSecrets,
+  exportConfig,
+  importConfig,
+  parseFolderPath,
+  settingLines,
+  parseExclusions,
+  parseAutoApplyPolicy,
+  parsePercent,
   loadConfig,
+  loadConfigs,
+  webdavOptions,
 });
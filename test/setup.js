@@ -8,6 +8,7 @@ global.browser = {
     get: sinon.stub(),
     getTree: sinon.stub(),
     getChildren: sinon.stub(),
+    getSubTree: sinon.stub(),
     search: sinon.stub(),
     remove: sinon.stub(),
     removeTree: sinon.stub(),
@@ -35,6 +36,15 @@ global.browser = {
     },
     sync: {
       get: sinon.stub(),
+      set: sinon.stub(),
+      remove: sinon.stub(),
+    },
+    session: {
+      set: sinon.stub(),
+      get: sinon.stub(),
+    },
+    onChanged: {
+      addListener: sinon.stub(),
     },
   },
   runtime: {
@@ -53,6 +63,14 @@ global.browser = {
       addListener: sinon.stub(),
     },
   },
+  alarms: {
+    create: sinon.stub(),
+    get: sinon.stub(),
+    clear: sinon.stub(),
+    onAlarm: {
+      addListener: sinon.stub(),
+    },
+  },
   notifications: {
     create: sinon.stub().resolves(),
     onClicked: {
@@ -79,8 +97,13 @@ global.Headers = class Headers {
 };
 
 global.btoa = (str) => Buffer.from(str, "binary").toString("base64");
+// Real fetch, for tests against a local stand-in server
+global.originalFetch = global.fetch;
 global.fetch = sinon.stub();
 
+// Window / worker events (online) used by background.js
+global.addEventListener = sinon.stub();
+
 // Global console stub for suppressing expected warnings in tests
 global.originalConsoleWarn = console.warn;
 global.originalConsoleError = console.error;
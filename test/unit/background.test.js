@@ -17,10 +17,40 @@ global.getActive = syncMod.getActive;
 global.getTombstones = syncMod.getTombstones;
 global.findExact = syncMod.findExact;
 global.isTombstone = syncMod.isTombstone;
+global.isSeparator = syncMod.isSeparator;
 global.isFolder = syncMod.isFolder;
+global.LEGACY_ROOT_TITLES = syncMod.LEGACY_ROOT_TITLES;
+global.rootFolderName = syncMod.rootFolderName;
+global.folderSegment = syncMod.folderSegment;
+global.canonicalizeRootFolders = syncMod.canonicalizeRootFolders;
+global.scopeRecords = syncMod.scopeRecords;
+global.hasExclusions = syncMod.hasExclusions;
+global.exclusionMatcher = syncMod.exclusionMatcher;
+global.invalidUrlPatterns = syncMod.invalidUrlPatterns;
+global.unscopeRecords = syncMod.unscopeRecords;
+global.recordsOutsideScope = syncMod.recordsOutsideScope;
+global.mergeIntoScope = syncMod.mergeIntoScope;
+global.calcOneWayChanges = syncMod.calcOneWayChanges;
+global.SYNC_DECISIONS = syncMod.SYNC_DECISIONS;
+global.decideSyncAction = syncMod.decideSyncAction;
+global.findMassDeletion = syncMod.findMassDeletion;
+global.clockStamp = syncMod.clockStamp;
+global.newerRecord = syncMod.newerRecord;
+global.bookmarkKey = syncMod.bookmarkKey;
+global.generateGuid = syncMod.generateGuid;
+global.findByIdentity = syncMod.findByIdentity;
+global.diffStates = syncMod.diffStates;
+global.resolveConflicts = syncMod.resolveConflicts;
+global.excludedChangeItems = syncMod.excludedChangeItems;
+global.stateWithDeferred = syncMod.stateWithDeferred;
 
 // Load storage.js and make functions global
 const storageMod = loadModule("src/storage.js");
+global.DEFAULT_PROFILE_ID = storageMod.DEFAULT_PROFILE_ID;
+global.profileStorageKey = storageMod.profileStorageKey;
+global.saveStatusMessage = storageMod.saveStatusMessage;
+global.tickClock = storageMod.tickClock;
+global.observeClock = storageMod.observeClock;
 global.getBookmarkIdMap = storageMod.getBookmarkIdMap;
 global.saveBookmarkIdMap = storageMod.saveBookmarkIdMap;
 global.initializeBookmarkIdMap = storageMod.initializeBookmarkIdMap;
@@ -34,19 +64,55 @@ global.getLastSyncedState = storageMod.getLastSyncedState;
 global.saveLastSyncedState = storageMod.saveLastSyncedState;
 global.saveDebugLog = storageMod.saveDebugLog;
 global.getDebugLogs = storageMod.getDebugLogs;
+global.saveSyncHistoryEntry = storageMod.saveSyncHistoryEntry;
+global.getSyncHistory = storageMod.getSyncHistory;
+global.saveLastSyncUndo = storageMod.saveLastSyncUndo;
+global.getLastSyncUndo = storageMod.getLastSyncUndo;
+global.clearLastSyncUndo = storageMod.clearLastSyncUndo;
+global.saveSessionState = storageMod.saveSessionState;
+global.getSessionState = storageMod.getSessionState;
+global.startSession = storageMod.startSession;
+global.saveSyncSchedule = storageMod.saveSyncSchedule;
+global.getSyncSchedule = storageMod.getSyncSchedule;
+
+// Load scheduler.js and make functions global
+const schedulerMod = loadModule("src/scheduler.js");
+global.SYNC_ALARM = schedulerMod.SYNC_ALARM;
+global.scheduleNextSync = schedulerMod.scheduleNextSync;
+
+// Load crypto.js and make functions global
+const cryptoMod = loadModule("src/crypto.js");
+global.isEncryptedEnvelope = cryptoMod.isEncryptedEnvelope;
+global.encryptJSON = cryptoMod.encryptJSON;
+global.decryptJSON = cryptoMod.decryptJSON;
+global.digestJSON = cryptoMod.digestJSON;
 
 // Load webdav.js and make functions global
 const webdavMod = loadModule("src/webdav.js");
 global.fetchWebDAV = webdavMod.fetchWebDAV;
+global.fetchWebDAVWithVersion = webdavMod.fetchWebDAVWithVersion;
+global.isPreconditionFailed = webdavMod.isPreconditionFailed;
+global.isNetworkError = webdavMod.isNetworkError;
+global.WEBDAV_ERROR_KINDS = webdavMod.WEBDAV_ERROR_KINDS;
+global.ensureCollection = webdavMod.ensureCollection;
+global.getParentCollectionUrl = webdavMod.getParentCollectionUrl;
 global.updateWebDAV = webdavMod.updateWebDAV;
+global.loadProfiles = webdavMod.loadProfiles;
 global.loadConfig = webdavMod.loadConfig;
+global.parseExclusions = webdavMod.parseExclusions;
+global.SYNC_DIRECTIONS = webdavMod.SYNC_DIRECTIONS;
+global.webdavOptions = webdavMod.webdavOptions;
 
 // Load bookmarks.js and make functions global
 const bookmarksMod = loadModule("src/bookmarks.js");
+global.scopedPath = bookmarksMod.scopedPath;
 global.getBookmarkPath = bookmarksMod.getBookmarkPath;
 global.retrieveLocalBookmarks = bookmarksMod.retrieveLocalBookmarks;
 global.getLocalBookmarksSnapshot = bookmarksMod.getLocalBookmarksSnapshot;
+global.getRootFolderTitles = bookmarksMod.getRootFolderTitles;
+global.supportsSeparators = bookmarksMod.supportsSeparators;
 global.locateBookmarkId = bookmarksMod.locateBookmarkId;
+global.locateBookmark = bookmarksMod.locateBookmark;
 global.locateParentId = bookmarksMod.locateParentId;
 global.createFolderPath = bookmarksMod.createFolderPath;
 global.modifyLocalBookmarks = bookmarksMod.modifyLocalBookmarks;
@@ -58,8 +124,30 @@ const {
   shouldKeepTombstone,
   createTombstonesForFolderContents,
   removeDuplicateBookmarks,
+  writeRemoteIfUnchanged,
+  handleRemoteChangedDuringSync,
+  recordSyncHistory,
+  handleGetSyncHistory,
+  handleRestoreSnapshot,
+  recordLastSyncUndo,
+  handleUndoLastSync,
+  handleRestoreBackup,
+  handleClearTombstones,
+  handleConflictLocal,
+  runScheduledSync,
+  handleGetProfiles,
+  handlePreviewExclusions,
+  handlePreviewSync,
+  displayConfirmationPage,
+  closeConfirmationWindow,
+  restoreSessionState,
+  persistSessionState,
+  showConfirmation,
+  syncAllBookmarks,
+  fetchErrorMessage,
   formatSyncTime,
   ACTIONS,
+  PULL_ONLY_ERROR,
 } = bgMod;
 
 describe("Background Module", () => {
@@ -86,6 +174,7 @@ describe("Background Module", () => {
     browser.bookmarks.move.resolves();
     browser.storage.local.get.resolves({});
     browser.storage.local.set.resolves();
+    browser.storage.sync.get.resolves({});
   });
 
   afterEach(() => {
@@ -308,6 +397,21 @@ describe("Background Module", () => {
       expect(browser.bookmarks.remove.firstCall.args[0]).to.equal("bm2");
     });
 
+    it("never treats separators as duplicates", async () => {
+      browser.bookmarks.get.resolves([
+        { id: "sep1", title: "", type: "separator", parentId: "toolbar" },
+      ]);
+      browser.bookmarks.getChildren.resolves([
+        { id: "sep1", title: "", type: "separator" },
+        { id: "sep2", title: "", type: "separator" },
+      ]);
+
+      await removeDuplicateBookmarks("sep1");
+
+      expect(browser.bookmarks.remove.called).to.be.false;
+      expect(browser.bookmarks.removeTree.called).to.be.false;
+    });
+
     it("merges duplicate folder children before removing", async () => {
       browser.bookmarks.get.resolves([
         { id: "f1", title: "Folder", parentId: "toolbar" }, // No url = folder
@@ -352,4 +456,1523 @@ describe("Background Module", () => {
       await removeDuplicateBookmarks("nonexistent");
     });
   });
+
+  // ============================================
+  // writeRemoteIfUnchanged
+  // ============================================
+
+  describe("writeRemoteIfUnchanged()", () => {
+    const config = { url: "http://example.com/bm.json", username: "u", password: "p" };
+
+    it("writes with If-Match and returns true", async () => {
+      global.fetch.resolves({ ok: true });
+
+      const written = await writeRemoteIfUnchanged(config, [], {
+        etag: '"v1"',
+      });
+
+      expect(written).to.be.true;
+      const headers = global.fetch.firstCall.args[1].headers;
+      expect(headers.get("if-match")).to.equal('"v1"');
+    });
+
+    it("returns false when the remote changed (412)", async () => {
+      global.fetch.resolves({ ok: false, status: 412 });
+
+      const written = await writeRemoteIfUnchanged(config, [], {
+        etag: '"v1"',
+      });
+
+      expect(written).to.be.false;
+    });
+
+    it("rethrows other errors", async () => {
+      global.fetch.resolves({ ok: false, status: 500 });
+
+      try {
+        await writeRemoteIfUnchanged(config, []);
+        expect.fail("Should have thrown");
+      } catch (e) {
+        expect(e.status).to.equal(500);
+      }
+    });
+  });
+
+  // ============================================
+  // handleRemoteChangedDuringSync
+  // ============================================
+
+  describe("handleRemoteChangedDuringSync()", () => {
+    const config = { url: "http://example.com/bm.json", username: "u", password: "p" };
+    const toolbar = { title: "Toolbar", path: [], index: 0 };
+    const x = { title: "X", url: "http://x.com", path: ["Toolbar"], index: 0 };
+    const y = { title: "Y", url: "http://y.com", path: ["Toolbar"], index: 1 };
+    const z = { title: "Z", url: "http://z.com", path: ["Toolbar"], index: 2 };
+
+    function remoteResponse(data, etag) {
+      return {
+        status: 200,
+        ok: true,
+        headers: { get: (key) => (key === "ETag" ? etag : null) },
+        text: sinon.stub().resolves(JSON.stringify(data)),
+      };
+    }
+
+    beforeEach(() => {
+      browser.storage.local.remove.resolves();
+      browser.tabs.query.resolves([]);
+      browser.tabs.create.resetHistory();
+      browser.tabs.create.resolves({ id: 1 });
+      browser.bookmarks.getTree.resolves([
+        {
+          id: "root",
+          title: "",
+          children: [
+            {
+              id: "tb",
+              title: "Toolbar",
+              index: 0,
+              children: [
+                { id: "x", ...x },
+                { id: "y", ...y },
+              ],
+            },
+          ],
+        },
+      ]);
+    });
+
+    it("retries the write with the new ETag when nothing changed for this machine", async () => {
+      // Remote only gained a tombstone for something this machine never had
+      const tomb = { title: "Old", url: "http://old.com", path: ["Toolbar"], deleted: true, deletedAt: 1 };
+      global.fetch.onFirstCall().resolves(remoteResponse([toolbar, x, tomb], '"v2"'));
+      global.fetch.onSecondCall().resolves({ ok: true });
+
+      await handleRemoteChangedDuringSync(config, [toolbar, x, y], [toolbar, x], 1);
+
+      const [, putOptions] = global.fetch.secondCall.args;
+      expect(putOptions.method).to.equal("PUT");
+      expect(putOptions.headers.get("if-match")).to.equal('"v2"');
+      const written = JSON.parse(putOptions.body);
+      expect(written.some((b) => b.title === "Y")).to.be.true;
+      expect(written.some((b) => b.title === "Old" && b.deleted)).to.be.true;
+      expect(browser.tabs.create.called).to.be.false;
+    });
+
+    it("presents only the remote delta when another machine added something", async () => {
+      global.fetch.onFirstCall().resolves(remoteResponse([toolbar, x, z], '"v2"'));
+
+      await handleRemoteChangedDuringSync(config, [toolbar, x, y], [toolbar, x], 1);
+
+      // Only the GET happened, the confirmation page is shown again
+      expect(global.fetch.calledOnce).to.be.true;
+      expect(browser.tabs.create.calledOnce).to.be.true;
+    });
+
+    describe("keeping the local bookmarks (Conflict-local)", () => {
+      beforeEach(async () => {
+        await showConfirmation({
+          changes: { localChanges: {}, remoteChanges: {} },
+          action: "Conflict",
+          localBookmarks: [],
+          remoteBookmarks: [toolbar, x],
+          conflicts: [],
+          handlerData: { remoteVersion: { etag: '"v1"' } },
+        });
+        browser.tabs.create.resetHistory();
+      });
+
+      afterEach(async () => {
+        await closeConfirmationWindow();
+      });
+
+      it("writes only over the remote it was confirmed against", async () => {
+        global.fetch.onFirstCall().resolves({ ok: true, status: 201 });
+
+        await handleConflictLocal(config);
+
+        const [, putOptions] = global.fetch.firstCall.args;
+        expect(putOptions.method).to.equal("PUT");
+        expect(putOptions.headers.get("if-match")).to.equal('"v1"');
+      });
+
+      it("merges again and asks when another machine uploaded meanwhile", async () => {
+        global.fetch.onFirstCall().resolves({ ok: false, status: 412 });
+        global.fetch
+          .onSecondCall()
+          .resolves(remoteResponse([toolbar, x, z], '"v2"'));
+
+        await handleConflictLocal(config);
+
+        expect(global.fetch.calledTwice).to.be.true;
+        expect(global.fetch.secondCall.args[1].method).to.be.undefined;
+        const messages = browser.storage.local.set
+          .getCalls()
+          .map((c) => c.args[0].message)
+          .filter(Boolean);
+        expect(messages.pop()).to.include("please confirm again");
+      });
+    });
+
+    it("gives up after too many attempts", async () => {
+      await handleRemoteChangedDuringSync(config, [toolbar, x, y], [toolbar, x], 3);
+
+      expect(global.fetch.called).to.be.false;
+      const messages = browser.storage.local.set
+        .getCalls()
+        .map((c) => c.args[0].message)
+        .filter(Boolean);
+      expect(messages.some((m) => m.includes("Remote keeps changing"))).to.be.true;
+    });
+  });
+
+  // ============================================
+  // Sync history
+  // ============================================
+
+  describe("sync history", () => {
+    const config = { url: "http://example.com/bm.json", username: "u", password: "p" };
+    const toolbar = { title: "Toolbar", path: [], index: 0 };
+    const x = { title: "X", url: "http://x.com", path: ["Toolbar"], index: 0 };
+    const y = { title: "Y", url: "http://y.com", path: ["Toolbar"], index: 1 };
+    // Local snapshots include the root node of the tree
+    const root = { title: "", path: [] };
+    const entry = {
+      id: "h1",
+      timestamp: "2024-01-01T00:00:00.000Z",
+      counts: {
+        local: { insertions: 0, deletions: 1, updates: 0 },
+        remote: { insertions: 0, deletions: 0, updates: 0 },
+      },
+      before: [root, toolbar, x, y],
+      after: [root, toolbar, x, { ...y, deleted: true, deletedAt: 1 }],
+    };
+
+    beforeEach(() => {
+      browser.bookmarks.search.resolves([]);
+      browser.bookmarks.getTree.resolves([
+        {
+          id: "root",
+          title: "",
+          children: [
+            {
+              id: "tb",
+              title: "Toolbar",
+              index: 0,
+              children: [{ id: "x", ...x }],
+            },
+          ],
+        },
+      ]);
+    });
+
+    it("recordSyncHistory stores both snapshots with local counts", async () => {
+      await recordSyncHistory(entry.before, entry.after, {
+        insertions: [y],
+        deletions: [],
+        updates: [],
+      });
+
+      const saved = browser.storage.local.set.firstCall.args[0].syncHistory;
+      expect(saved).to.have.lengthOf(1);
+      expect(saved[0].before).to.equal(entry.before);
+      expect(saved[0].after).to.equal(entry.after);
+      expect(saved[0].counts.local).to.deep.equal({
+        insertions: 0,
+        deletions: 1,
+        updates: 0,
+      });
+      expect(saved[0].counts.remote.insertions).to.equal(1);
+      expect(saved[0].id).to.be.a("string");
+    });
+
+    it("recordSyncHistory lets the sync complete when storage fails", async () => {
+      sinon.stub(console, "error");
+      browser.storage.local.set.rejects(new Error("QUOTA_BYTES exceeded"));
+
+      await recordSyncHistory(entry.before, entry.after);
+
+      expect(console.error.calledOnce).to.be.true;
+    });
+
+    it("handleGetSyncHistory leaves out the snapshots", async () => {
+      browser.storage.local.get.resolves({ syncHistory: [entry] });
+
+      const history = await handleGetSyncHistory();
+
+      expect(history).to.deep.equal([
+        {
+          id: "h1",
+          timestamp: entry.timestamp,
+          counts: entry.counts,
+          beforeCount: 4,
+          afterCount: 3,
+        },
+      ]);
+    });
+
+    it("restores the local tree without touching the remote", async () => {
+      browser.storage.local.get.resolves({ syncHistory: [entry] });
+
+      const result = await handleRestoreSnapshot(config, "h1", "before", false);
+
+      expect(result.success).to.be.true;
+      expect(browser.bookmarks.create.calledOnce).to.be.true;
+      expect(browser.bookmarks.create.firstCall.args[0]).to.include({
+        parentId: "tb",
+        title: "Y",
+        url: "http://y.com",
+      });
+      expect(global.fetch.called).to.be.false;
+    });
+
+    it("pushes the restored tree and deletes the rest on the remote", async () => {
+      const z = { title: "Z", url: "http://z.com", path: ["Toolbar"], index: 1 };
+      browser.storage.local.get.resolves({ syncHistory: [entry] });
+      global.fetch.onFirstCall().resolves({
+        status: 200,
+        ok: true,
+        headers: { get: (key) => (key === "ETag" ? '"v1"' : null) },
+        text: sinon.stub().resolves(JSON.stringify([toolbar, x, z])),
+      });
+      global.fetch.onSecondCall().resolves({ ok: true });
+
+      const result = await handleRestoreSnapshot(config, "h1", "after", true);
+
+      expect(result.success).to.be.true;
+      const [, putOptions] = global.fetch.secondCall.args;
+      expect(putOptions.headers.get("if-match")).to.equal('"v1"');
+      const written = JSON.parse(putOptions.body);
+      expect(written.some((b) => b.title === "Z" && b.deleted)).to.be.true;
+      expect(written.some((b) => b.title === "X" && !b.deleted)).to.be.true;
+    });
+
+    it("reports an unknown snapshot", async () => {
+      browser.storage.local.get.resolves({ syncHistory: [] });
+
+      const result = await handleRestoreSnapshot(config, "nope", "before");
+
+      expect(result.success).to.be.false;
+      expect(browser.bookmarks.create.called).to.be.false;
+    });
+  });
+
+  // ============================================
+  // Undo last sync
+  // ============================================
+
+  describe("undo last sync", () => {
+    const config = { url: "http://example.com/bm.json", username: "u", password: "p" };
+    const toolbar = { title: "Toolbar", path: [], index: 0 };
+    const x = { title: "X", url: "http://x.com", path: ["Toolbar"], index: 0 };
+    const y = { title: "Y", url: "http://y.com", path: ["Toolbar"], index: 1 };
+    const tombX = { ...x, deleted: true, deletedAt: 1 };
+
+    function remoteResponse(data, etag) {
+      return {
+        status: 200,
+        ok: true,
+        headers: { get: (key) => (key === "ETag" ? etag : null) },
+        text: sinon.stub().resolves(JSON.stringify(data)),
+      };
+    }
+
+    beforeEach(() => {
+      browser.storage.local.remove.resolves();
+      browser.bookmarks.search.resolves([]);
+      browser.bookmarks.getTree.resolves([
+        {
+          id: "root",
+          title: "",
+          children: [
+            {
+              id: "tb",
+              title: "Toolbar",
+              index: 0,
+              children: [{ id: "y", ...y }],
+            },
+          ],
+        },
+      ]);
+    });
+
+    // The sync deleted X locally, added Y and wrote [toolbar, y, tombX]
+    async function recordedUndo() {
+      await recordLastSyncUndo(
+        [toolbar, x, tombX],
+        [toolbar, y],
+        [toolbar, x],
+        [toolbar, y, tombX],
+      );
+      return browser.storage.local.set.lastCall.args[0].lastSyncUndo;
+    }
+
+    it("records the inverse of the local changes", async () => {
+      browser.storage.local.get.resolves({ lastSyncedState: [toolbar, x] });
+
+      const undo = await recordedUndo();
+
+      expect(undo.localChanges.insertions.map((b) => b.title)).to.deep.equal([
+        "X",
+      ]);
+      expect(undo.localChanges.deletions.map((b) => b.title)).to.deep.equal([
+        "Y",
+      ]);
+      expect(undo.localTombstones).to.deep.equal([tombX]);
+      expect(undo.lastSyncedState).to.deep.equal([toolbar, x]);
+      expect(undo.remote).to.deep.equal([toolbar, x]);
+    });
+
+    it("drops the older undo when the new one cannot be stored", async () => {
+      sinon.stub(console, "error");
+      browser.storage.local.set.rejects(new Error("QUOTA_BYTES exceeded"));
+
+      await recordedUndo();
+
+      expect(console.error.calledOnce).to.be.true;
+      expect(browser.storage.local.remove.calledWith("lastSyncUndo")).to.be
+        .true;
+    });
+
+    it("reverts both sides when the remote is unchanged", async () => {
+      const undo = await recordedUndo();
+      browser.storage.local.get.resolves({ lastSyncUndo: undo });
+      browser.storage.local.set.resetHistory();
+      global.fetch
+        .onFirstCall()
+        .resolves(remoteResponse([toolbar, y, tombX], '"v2"'));
+      global.fetch.onSecondCall().resolves({ ok: true });
+
+      const result = await handleUndoLastSync(config);
+
+      expect(result.success).to.be.true;
+      const [, putOptions] = global.fetch.secondCall.args;
+      expect(putOptions.headers.get("if-match")).to.equal('"v2"');
+      expect(JSON.parse(putOptions.body)).to.deep.equal([toolbar, x]);
+      expect(browser.bookmarks.create.firstCall.args[0].title).to.equal("X");
+      expect(browser.storage.local.remove.calledWith("lastSyncUndo")).to.be
+        .true;
+    });
+
+    it("refuses when the remote changed since", async () => {
+      const undo = await recordedUndo();
+      browser.storage.local.get.resolves({ lastSyncUndo: undo });
+      global.fetch.onFirstCall().resolves(remoteResponse([toolbar], '"v3"'));
+
+      const result = await handleUndoLastSync(config);
+
+      expect(result.success).to.be.false;
+      expect(global.fetch.calledOnce).to.be.true;
+      expect(browser.bookmarks.create.called).to.be.false;
+    });
+
+    it("refuses without a recorded sync", async () => {
+      const result = await handleUndoLastSync(config);
+
+      expect(result).to.deep.equal({ success: false, error: "Nothing to undo" });
+      expect(global.fetch.called).to.be.false;
+    });
+  });
+
+  // ============================================
+  // session state (service worker restarts)
+  // ============================================
+
+  describe("session state", () => {
+    const pending = {
+      changes: { localChanges: {}, remoteChanges: {} },
+      action: "Sync",
+      localBookmarks: [],
+      remoteBookmarks: [],
+      conflicts: [],
+      handlerData: { pendingNewState: ["new"], remoteVersion: { etag: "e" } },
+    };
+
+    beforeEach(() => {
+      browser.storage.session.set.reset();
+      browser.storage.session.set.resolves();
+      browser.storage.session.get.reset();
+    });
+
+    it("restores a pending confirmation and stores it again only when changed", async () => {
+      browser.storage.session.get.resolves({
+        sessionState: { pendingConfirmation: pending, confirmationTabId: 7 },
+      });
+      await restoreSessionState();
+
+      await persistSessionState();
+      expect(browser.storage.session.set.called).to.be.false;
+
+      // Opening the page from the restored data
+      await showConfirmation(pending);
+      await persistSessionState();
+      const { sessionState } = browser.storage.session.set.firstCall.args[0];
+      expect(sessionState.pendingConfirmation).to.equal(pending);
+      expect(sessionState.confirmationData.action).to.equal("Sync");
+      expect(sessionState.confirmationData.pendingNewState).to.deep.equal([
+        "new",
+      ]);
+      expect(sessionState.confirmationData.remoteVersion).to.deep.equal({
+        etag: "e",
+      });
+    });
+  });
+
+  // ============================================
+  // syncAllBookmarks: remote not readable
+  // ============================================
+
+  describe("syncAllBookmarks() when the remote cannot be read", () => {
+    const config = {
+      url: "http://example.com/bm.json",
+      username: "u",
+      password: "p",
+    };
+
+    beforeEach(() => {
+      browser.bookmarks.getTree.resolves([
+        {
+          id: "root",
+          title: "",
+          children: [{ id: "tb", title: "Toolbar", index: 0, children: [] }],
+        },
+      ]);
+    });
+
+    afterEach(() => {
+      delete global.navigator;
+    });
+
+    it("never writes the remote after a server error", async () => {
+      const clock = sinon.useFakeTimers({
+        toFake: ["setTimeout", "clearTimeout"],
+      });
+      global.fetch.resolves({ ok: false, status: 500 });
+
+      const pending = syncAllBookmarks(config, true);
+      await clock.runAllAsync();
+
+      expect(await pending).to.be.false;
+      expect(global.fetch.args.every(([, init]) => !init.method)).to.be.true;
+      const { message } = browser.storage.local.set.lastCall.args[0];
+      expect(message).to.include("server error (status 500)");
+    });
+
+    it("defers the sync while offline", async () => {
+      global.navigator = { onLine: false };
+
+      expect(await syncAllBookmarks(config, true)).to.be.false;
+      expect(global.fetch.called).to.be.false;
+      const { message } = browser.storage.local.set.lastCall.args[0];
+      expect(message).to.include("Offline, sync deferred");
+    });
+
+    it("waits for the master passphrase while the secrets are locked", async () => {
+      await syncAllBookmarks({ ...config, password: "", locked: true }, true);
+      expect(global.fetch.called).to.be.false;
+      const { message } = browser.storage.local.set.lastCall.args[0];
+      expect(message).to.include("enter the master passphrase");
+    });
+
+    it("defers the sync when the server cannot be reached", async () => {
+      const clock = sinon.useFakeTimers({
+        toFake: ["setTimeout", "clearTimeout"],
+      });
+      global.fetch.rejects(new TypeError("NetworkError"));
+
+      const pending = syncAllBookmarks(config, true);
+      await clock.runAllAsync();
+
+      expect(await pending).to.be.false;
+      const { message } = browser.storage.local.set.lastCall.args[0];
+      expect(message).to.include("Offline, sync deferred");
+    });
+
+    it("describes authentication and parse errors", () => {
+      expect(
+        fetchErrorMessage({ kind: "auth", message: "HTTP error! status: 401" }),
+      ).to.include("check username and password");
+      expect(
+        fetchErrorMessage({ kind: "parse", message: "not a bookmark list" }),
+      ).to.include("not a bookmark list");
+    });
+  });
+
+  // ============================================
+  // Sync profiles
+  // ============================================
+
+  describe("sync profiles", () => {
+    const teamConfig = {
+      profileId: "team",
+      name: "Team",
+      url: "http://example.com/team.json",
+      username: "u",
+      password: "p",
+    };
+    const remoteResponse = (data) => ({
+      ok: true,
+      status: 200,
+      text: async () => JSON.stringify(data),
+    });
+
+    beforeEach(async () => {
+      await closeConfirmationWindow();
+      browser.tabs.create.resetHistory();
+      browser.bookmarks.getTree.resolves([
+        {
+          id: "root",
+          title: "",
+          children: [{ id: "tb", title: "Toolbar", index: 0, children: [] }],
+        },
+      ]);
+    });
+
+    afterEach(async () => {
+      await closeConfirmationWindow();
+    });
+
+    it("keeps the baseline and status of a profile under its own keys", async () => {
+      global.fetch.onFirstCall().resolves(remoteResponse([]));
+      global.fetch.onSecondCall().resolves({ ok: true });
+
+      await syncAllBookmarks(teamConfig, false);
+
+      const written = browser.storage.local.set.args.flatMap(([items]) =>
+        Object.keys(items),
+      );
+      expect(written).to.include("lastSyncedState:team");
+      expect(written).to.include("message:team");
+      expect(written).to.not.include("lastSyncedState");
+      expect(written).to.not.include("message");
+    });
+
+    it("waits while the confirmation of another profile is open", async () => {
+      await showConfirmation({
+        changes: {},
+        action: "Sync",
+        localBookmarks: [],
+        remoteBookmarks: [],
+        conflicts: [],
+        handlerData: { profileId: "default" },
+      });
+      browser.tabs.create.resetHistory();
+      const x = {
+        title: "X",
+        url: "https://x.example",
+        path: ["toolbar"],
+        index: 0,
+      };
+      browser.storage.local.get.callsFake(async ([key]) =>
+        key === "lastSyncedState:team" ? { [key]: [x] } : {},
+      );
+      global.fetch.resolves(remoteResponse([x]));
+
+      await syncAllBookmarks(teamConfig, false);
+
+      expect(browser.tabs.create.called).to.be.false;
+      const { "message:team": message } =
+        browser.storage.local.set.lastCall.args[0];
+      expect(message).to.include("Waiting for the confirmation");
+    });
+
+    it("lists the profiles by id and name", async () => {
+      browser.storage.sync.get.resolves({
+        profiles: [
+          { id: "default", name: "Personal", webdavUrl: "https://a" },
+          {
+            id: "team",
+            name: "Team",
+            webdavUrl: "https://b",
+            syncDirection: "pull",
+          },
+        ],
+      });
+      expect(await handleGetProfiles()).to.deep.equal([
+        { id: "default", name: "Personal", pullOnly: false },
+        { id: "team", name: "Team", pullOnly: true },
+      ]);
+    });
+  });
+
+  // ============================================
+  // folder scope
+  // ============================================
+
+  describe("folder scope", () => {
+    const teamConfig = {
+      profileId: "team",
+      url: "http://example.com/team.json",
+      username: "u",
+      password: "p",
+      localRoot: ["toolbar", "Team"],
+      remoteRoot: ["shared"],
+    };
+    const a = { title: "A", url: "https://a.example", index: 0 };
+    const remoteResponse = (data) => ({
+      ok: true,
+      status: 200,
+      text: async () => JSON.stringify(data),
+    });
+
+    beforeEach(async () => {
+      await closeConfirmationWindow();
+      browser.tabs.create.resetHistory();
+      browser.bookmarks.getTree.resolves([
+        {
+          id: "root________",
+          title: "",
+          children: [
+            {
+              id: "toolbar_____",
+              parentId: "root________",
+              title: "Bookmarks Toolbar",
+              index: 0,
+              children: [
+                {
+                  id: "team",
+                  title: "Team",
+                  index: 0,
+                  children: [{ id: "a", ...a }],
+                },
+                {
+                  id: "b",
+                  title: "B",
+                  url: "https://b.example",
+                  index: 1,
+                },
+              ],
+            },
+          ],
+        },
+      ]);
+    });
+
+    afterEach(async () => {
+      await closeConfirmationWindow();
+    });
+
+    it("writes the local folder to the remote root path and keeps the rest", async () => {
+      const elsewhere = {
+        title: "C",
+        url: "https://c.example",
+        path: ["other"],
+        index: 0,
+      };
+      global.fetch.onFirstCall().resolves(remoteResponse([elsewhere]));
+      global.fetch.onSecondCall().resolves({ ok: true });
+
+      await syncAllBookmarks(teamConfig, false);
+
+      const written = JSON.parse(global.fetch.secondCall.args[1].body);
+      expect(written.map(({ guid, ...record }) => record)).to.deep.equal([
+        elsewhere,
+        { ...a, path: ["shared"] },
+        { title: "shared", path: [], index: 0 },
+      ]);
+      const { "lastSyncedState:team": baseline } = browser.storage.local.set
+        .getCalls()
+        .map((call) => call.args[0])
+        .find((items) => items["lastSyncedState:team"]);
+      expect(baseline.map((record) => record.path)).to.deep.equal([[]]);
+    });
+
+    it("never proposes changes outside the two folders", async () => {
+      browser.storage.local.get.callsFake(async ([key]) => {
+        if (key === "lastSyncedState:team") {
+          return { [key]: [{ ...a, path: [] }] };
+        }
+        if (key === "tombstones:team") {
+          return {
+            [key]: [
+              {
+                title: "Old",
+                url: "https://old.example",
+                path: ["toolbar"],
+                index: 2,
+                deleted: true,
+              },
+            ],
+          };
+        }
+        return {};
+      });
+      global.fetch.resolves(
+        remoteResponse([
+          { ...a, path: ["shared"] },
+          { title: "C", url: "https://c.example", path: ["other"], index: 0 },
+        ]),
+      );
+
+      await syncAllBookmarks(teamConfig, false);
+
+      expect(browser.tabs.create.called).to.be.false;
+      expect(global.fetch.calledOnce).to.be.true;
+    });
+  });
+
+  // ============================================
+  // exclusion rules
+  // ============================================
+
+  describe("exclusion rules", () => {
+    const privateConfig = {
+      url: "http://example.com/bookmarks.json",
+      username: "u",
+      password: "p",
+      exclusions: { folders: [["toolbar", "Private"]], urls: ["file://*"] },
+    };
+    const file = { title: "F", url: "file:///tmp/f.html", index: 2 };
+    const remoteResponse = (data) => ({
+      ok: true,
+      status: 200,
+      text: async () => JSON.stringify(data),
+    });
+    const toolbar = (...children) => [
+      {
+        id: "root________",
+        title: "",
+        children: [
+          {
+            id: "toolbar_____",
+            parentId: "root________",
+            title: "Bookmarks Toolbar",
+            index: 0,
+            children,
+          },
+        ],
+      },
+    ];
+    const b = { id: "b", title: "B", url: "https://b.example", index: 0 };
+    const privateFolder = {
+      id: "private",
+      title: "Private",
+      index: 1,
+      children: [{ id: "p", title: "P", url: "https://p.example", index: 0 }],
+    };
+    let synced;
+
+    beforeEach(async () => {
+      await closeConfirmationWindow();
+      browser.tabs.create.resetHistory();
+      // What the last sync saw before the rules were set
+      browser.bookmarks.getTree.resolves(
+        toolbar(b, privateFolder, { id: "f", ...file }),
+      );
+      browser.storage.local.get.resolves({});
+      synced = await getLocalBookmarksSnapshot();
+    });
+
+    afterEach(async () => {
+      await closeConfirmationWindow();
+    });
+
+    it("never turns excluded bookmarks into tombstones", async () => {
+      browser.bookmarks.getTree.resolves(toolbar(b, privateFolder));
+      browser.storage.local.get.callsFake(async ([key]) => {
+        if (key === "lastSyncedState") {
+          return { [key]: synced };
+        }
+        if (key === "tombstones") {
+          return {
+            [key]: [{ ...file, path: ["toolbar"], deleted: true }],
+          };
+        }
+        return {};
+      });
+      global.fetch.resolves(remoteResponse(synced));
+
+      await syncAllBookmarks(privateConfig, false);
+
+      expect(browser.tabs.create.called).to.be.false;
+      expect(global.fetch.calledOnce).to.be.true;
+    });
+
+    it("writes the remote excluded bookmarks back unchanged", async () => {
+      const c = { id: "c", title: "C", url: "https://c.example", index: 3 };
+      browser.bookmarks.getTree.resolves(
+        toolbar(b, { ...privateFolder, children: [] }, c),
+      );
+      global.fetch.onFirstCall().resolves(remoteResponse(synced));
+      global.fetch.onSecondCall().resolves({ ok: true });
+
+      await syncAllBookmarks(privateConfig, false);
+
+      const written = JSON.parse(global.fetch.secondCall.args[1].body);
+      expect(written.filter(isTombstone)).to.deep.equal([]);
+      expect(written).to.deep.include.members(
+        synced.filter((record) => ["Private", "P", "F"].includes(record.title)),
+      );
+      expect(written.map((record) => record.title)).to.include("C");
+    });
+
+    it("counts the bookmarks entered rules would exclude", async () => {
+      const result = await handlePreviewExclusions(
+        { url: "http://example.com/bookmarks.json" },
+        { excludedFolders: "toolbar/Private", excludedUrls: "file://*\n/a(/" },
+      );
+
+      expect(result).to.deep.equal({ excluded: 2, invalid: ["/a(/"] });
+    });
+  });
+
+  // ============================================
+  // sync direction
+  // ============================================
+
+  describe("sync direction", () => {
+    const config = {
+      url: "http://example.com/bookmarks.json",
+      username: "u",
+      password: "p",
+    };
+    const b = { title: "B", url: "https://b.example", index: 0 };
+    const c = { title: "C", url: "https://c.example", index: 1 };
+    const y = { title: "Y", url: "https://y.example", index: 1 };
+    const remoteResponse = (data) => ({
+      ok: true,
+      status: 200,
+      text: async () => JSON.stringify(data),
+    });
+    const statusMessages = () =>
+      browser.storage.local.set
+        .getCalls()
+        .map((call) => call.args[0].message)
+        .filter(Boolean);
+
+    beforeEach(async () => {
+      await closeConfirmationWindow();
+      browser.tabs.create.resetHistory();
+      browser.bookmarks.getTree.resolves([
+        {
+          id: "root________",
+          title: "",
+          children: [
+            {
+              id: "toolbar_____",
+              parentId: "root________",
+              title: "Bookmarks Toolbar",
+              index: 0,
+              children: [
+                { id: "b", ...b },
+                { id: "c", ...c },
+              ],
+            },
+          ],
+        },
+      ]);
+      browser.bookmarks.getChildren.resolves([]);
+      browser.bookmarks.search.resolves([]);
+      browser.storage.local.get.callsFake(async ([key]) =>
+        key === "lastSyncedState"
+          ? { [key]: [{ ...b, path: ["toolbar"] }] }
+          : {},
+      );
+    });
+
+    afterEach(async () => {
+      await closeConfirmationWindow();
+    });
+
+    it("push makes the remote a copy of the local bookmarks", async () => {
+      global.fetch.onFirstCall().resolves(
+        remoteResponse([
+          { ...b, path: ["toolbar"] },
+          { ...y, path: ["toolbar"] },
+        ]),
+      );
+      global.fetch.onSecondCall().resolves({ ok: true });
+
+      await syncAllBookmarks({ ...config, direction: "push" }, false);
+
+      const written = JSON.parse(global.fetch.secondCall.args[1].body);
+      expect(
+        written.filter((record) => record.url).map((record) => record.title),
+      ).to.deep.equal(["B", "C"]);
+      expect(browser.tabs.create.called).to.be.false;
+      expect(browser.bookmarks.create.called).to.be.false;
+      expect(browser.bookmarks.remove.called).to.be.false;
+    });
+
+    it("pull mirrors the remote and never writes it", async () => {
+      global.fetch.resolves(
+        remoteResponse([
+          { title: "", path: [] },
+          { title: "toolbar", path: [], index: 0 },
+          { ...b, path: ["toolbar"] },
+          { ...y, path: ["toolbar"] },
+        ]),
+      );
+      browser.bookmarks.search
+        .withArgs({ url: c.url })
+        .resolves([{ id: "c", ...c, parentId: "toolbar_____" }]);
+      browser.bookmarks.get.callsFake(async (id) =>
+        id === "toolbar_____"
+          ? [{ id, title: "Bookmarks Toolbar", parentId: "root________" }]
+          : [{ id: "root________", title: "" }],
+      );
+
+      await syncAllBookmarks({ ...config, direction: "pull" }, false);
+
+      expect(global.fetch.calledOnce).to.be.true;
+      expect(browser.tabs.create.called).to.be.false;
+      expect(browser.bookmarks.remove.calledOnceWith("c")).to.be.true;
+      expect(browser.bookmarks.create.firstCall.args[0]).to.include({
+        parentId: "toolbar_____",
+        title: "Y",
+        url: y.url,
+      });
+      expect(statusMessages().pop()).to.match(/^Mirrored the remote, 2 /);
+    });
+
+    it("pull leaves the local bookmarks alone without a remote file", async () => {
+      global.fetch.resolves({ ok: false, status: 404 });
+
+      await syncAllBookmarks({ ...config, direction: "pull" }, false);
+
+      expect(global.fetch.calledOnce).to.be.true;
+      expect(browser.bookmarks.remove.called).to.be.false;
+      expect(statusMessages().pop()).to.match(/^Remote file not found/);
+    });
+
+    describe("pull-only profiles never write the remote", () => {
+      const pullConfig = { ...config, direction: "pull" };
+      const refusal = { success: false, error: PULL_ONLY_ERROR };
+
+      beforeEach(() => {
+        browser.storage.local.get.callsFake(async ([key]) =>
+          key === "lastSyncUndo"
+            ? {
+                [key]: {
+                  timestamp: 1,
+                  localBefore: [],
+                  localAfter: [],
+                  remoteBefore: [],
+                  remoteAfter: [],
+                },
+              }
+            : key === "syncHistory"
+              ? { [key]: [{ id: "h1", before: [], after: [] }] }
+              : {},
+        );
+        global.fetch.resolves(remoteResponse([]));
+      });
+
+      afterEach(() => {
+        expect(global.fetch.called).to.be.false;
+        expect(statusMessages().pop()).to.equal(PULL_ONLY_ERROR);
+      });
+
+      it("refuses to undo the last sync", async () => {
+        expect(await handleUndoLastSync(pullConfig)).to.deep.equal(refusal);
+      });
+
+      it("refuses to restore a server backup", async () => {
+        expect(
+          await handleRestoreBackup(pullConfig, `${config.url}.backup-1`),
+        ).to.deep.equal(refusal);
+      });
+
+      it("refuses to push a restored snapshot", async () => {
+        expect(
+          await handleRestoreSnapshot(pullConfig, "h1", "before", true),
+        ).to.deep.equal(refusal);
+      });
+
+      it("refuses to clear the tombstones", async () => {
+        expect(await handleClearTombstones(pullConfig, 0)).to.deep.equal(
+          refusal,
+        );
+      });
+
+      it("refuses to keep the local bookmarks over the remote", async () => {
+        expect(await handleConflictLocal(pullConfig)).to.deep.equal(refusal);
+      });
+    });
+  });
+
+  // ============================================
+  // handlePreviewSync
+  // ============================================
+
+  describe("handlePreviewSync()", () => {
+    const config = {
+      url: "http://example.com/bookmarks.json",
+      username: "u",
+      password: "p",
+    };
+    const b = { title: "B", url: "https://b.example", index: 0 };
+    const c = { title: "C", url: "https://c.example", index: 1 };
+    const y = { title: "Y", url: "https://y.example", index: 1 };
+    const synced = [
+      { title: "", path: [] },
+      { title: "toolbar", path: [], index: 0 },
+      { ...b, path: ["toolbar"] },
+    ];
+    const remoteResponse = (data) => ({
+      ok: true,
+      status: 200,
+      text: async () => JSON.stringify(data),
+    });
+    const previewData = async () => {
+      browser.storage.session.set.resetHistory();
+      await persistSessionState();
+      return browser.storage.session.set.lastCall.args[0].sessionState
+        .confirmationData;
+    };
+
+    beforeEach(async () => {
+      await closeConfirmationWindow();
+      browser.storage.local.remove.resolves();
+      browser.tabs.query.resolves([]);
+      browser.tabs.create.resetHistory();
+      browser.tabs.create.resolves({ id: 1 });
+      browser.storage.session.set.resolves();
+      browser.bookmarks.getTree.resolves([
+        {
+          id: "root________",
+          title: "",
+          children: [
+            {
+              id: "toolbar_____",
+              parentId: "root________",
+              title: "Bookmarks Toolbar",
+              index: 0,
+              children: [
+                { id: "b", ...b },
+                { id: "c", ...c },
+              ],
+            },
+          ],
+        },
+      ]);
+      browser.storage.local.get.callsFake(async ([key]) =>
+        key === "lastSyncedState" ? { [key]: synced } : {},
+      );
+      global.fetch.resolves(
+        remoteResponse([...synced, { ...y, path: ["toolbar"] }]),
+      );
+    });
+
+    afterEach(async () => {
+      await closeConfirmationWindow();
+    });
+
+    it("opens the confirmation page read-only and writes nothing", async () => {
+      const result = await handlePreviewSync(config);
+
+      expect(result).to.deep.equal({ success: true });
+      expect(browser.tabs.create.calledOnce).to.be.true;
+      const data = await previewData();
+      expect(data.preview).to.be.true;
+      expect(data.localChanges.insertions.map((bm) => bm.title)).to.deep.equal([
+        "Y",
+      ]);
+      expect(data.remoteChanges.insertions.map((bm) => bm.title)).to.deep.equal(
+        ["C"],
+      );
+      expect(global.fetch.calledOnce).to.be.true;
+      expect(browser.storage.local.set.called).to.be.false;
+      expect(browser.bookmarks.create.called).to.be.false;
+    });
+
+    it("shows what a push profile would write", async () => {
+      await handlePreviewSync({ ...config, direction: "push" });
+
+      const data = await previewData();
+      expect(data.localChanges.insertions).to.be.empty;
+      expect(data.remoteChanges.deletions.map((bm) => bm.title)).to.deep.equal([
+        "Y",
+      ]);
+    });
+
+    it("never replaces a confirmation waiting for an answer", async () => {
+      await displayConfirmationPage(
+        { localChanges: {}, remoteChanges: {} },
+        "Sync",
+        [],
+        [],
+      );
+      browser.tabs.create.resetHistory();
+
+      const result = await handlePreviewSync(config);
+
+      expect(result.success).to.be.false;
+      expect(global.fetch.called).to.be.false;
+      expect(browser.tabs.create.called).to.be.false;
+    });
+
+    it("reports a failed fetch instead of opening the page", async () => {
+      global.fetch.resolves({ ok: false, status: 401 });
+
+      const result = await handlePreviewSync(config);
+
+      expect(result.success).to.be.false;
+      expect(result.error).to.match(/^Login to the WebDAV server failed/);
+      expect(browser.tabs.create.called).to.be.false;
+    });
+  });
+
+  // ============================================
+  // auto-apply policy
+  // ============================================
+
+  describe("auto-apply policy", () => {
+    const config = {
+      url: "http://example.com/bookmarks.json",
+      username: "u",
+      password: "p",
+    };
+    const b = { title: "B", url: "https://b.example", index: 0 };
+    const c = { title: "C", url: "https://c.example", index: 1 };
+    const y = { title: "Y", url: "https://y.example", index: 2 };
+    const synced = [
+      { title: "", path: [] },
+      { title: "toolbar", path: [], index: 0 },
+      { ...b, path: ["toolbar"] },
+    ];
+    const remoteResponse = (data) => ({
+      ok: true,
+      status: 200,
+      text: async () => JSON.stringify(data),
+    });
+
+    beforeEach(async () => {
+      await closeConfirmationWindow();
+      browser.storage.local.remove.resolves();
+      browser.tabs.query.resolves([]);
+      browser.tabs.create.resetHistory();
+      browser.tabs.create.resolves({ id: 1 });
+      browser.notifications.create.resetHistory();
+      browser.bookmarks.getTree.resolves([
+        {
+          id: "root________",
+          title: "",
+          children: [
+            {
+              id: "toolbar_____",
+              parentId: "root________",
+              title: "Bookmarks Toolbar",
+              index: 0,
+              children: [
+                { id: "b", ...b },
+                { id: "c", ...c },
+              ],
+            },
+          ],
+        },
+      ]);
+      browser.bookmarks.getChildren.resolves([]);
+      browser.bookmarks.search.resolves([]);
+      browser.storage.local.get.callsFake(async ([key]) =>
+        key === "lastSyncedState" ? { [key]: synced } : {},
+      );
+      global.fetch
+        .onFirstCall()
+        .resolves(remoteResponse([...synced, { ...y, path: ["toolbar"] }]));
+      global.fetch.onSecondCall().resolves({ ok: true });
+    });
+
+    afterEach(async () => {
+      await closeConfirmationWindow();
+    });
+
+    it("applies insertions on both sides without confirmation", async () => {
+      await syncAllBookmarks(
+        { ...config, autoApply: { enabled: true, maxDeletions: 5 } },
+        true,
+      );
+
+      expect(browser.tabs.create.called).to.be.false;
+      expect(browser.notifications.create.called).to.be.false;
+      expect(browser.bookmarks.create.firstCall.args[0]).to.include({
+        title: "Y",
+        url: y.url,
+      });
+      const written = JSON.parse(global.fetch.secondCall.args[1].body);
+      expect(written.map((record) => record.title)).to.include("C");
+    });
+
+    it("asks for confirmation without the policy", async () => {
+      await syncAllBookmarks(config, false);
+
+      expect(browser.tabs.create.calledOnce).to.be.true;
+      expect(global.fetch.calledOnce).to.be.true;
+      expect(browser.bookmarks.create.called).to.be.false;
+    });
+  });
+
+  // ============================================
+  // mass deletion guard
+  // ============================================
+
+  describe("mass deletion guard", () => {
+    const config = {
+      url: "http://example.com/bookmarks.json",
+      username: "u",
+      password: "p",
+      massDeletionPercent: 30,
+    };
+    const bookmarks = Array.from({ length: 6 }, (_, i) => ({
+      title: `B${i}`,
+      url: `https://b${i}.example`,
+      path: ["toolbar"],
+      index: i,
+    }));
+    const synced = [
+      { title: "", path: [] },
+      { title: "toolbar", path: [], index: 0 },
+      ...bookmarks,
+    ];
+    const remoteResponse = (data) => ({
+      ok: true,
+      status: 200,
+      text: async () => JSON.stringify(data),
+    });
+    const statusMessages = () =>
+      browser.storage.local.set
+        .getCalls()
+        .map((call) => call.args[0].message)
+        .filter(Boolean);
+    const confirmationData = async () => {
+      browser.storage.session.set.resetHistory();
+      await persistSessionState();
+      return browser.storage.session.set.lastCall.args[0].sessionState
+        .confirmationData;
+    };
+    // Every bookmark was deleted on this device
+    const tombstones = bookmarks.map((bookmark) => ({
+      ...bookmark,
+      deleted: true,
+      deletedAt: 1000,
+    }));
+    const useBaseline = (baseline) =>
+      browser.storage.local.get.callsFake(async ([key]) => {
+        if (key === "tombstones") return { tombstones };
+        return key === "lastSyncedState" ? { [key]: baseline } : {};
+      });
+
+    beforeEach(async () => {
+      await closeConfirmationWindow();
+      browser.storage.local.remove.resolves();
+      browser.storage.session.set.resolves();
+      browser.tabs.query.resolves([]);
+      browser.tabs.create.resetHistory();
+      browser.tabs.create.resolves({ id: 1 });
+      browser.bookmarks.getTree.resolves([
+        {
+          id: "root________",
+          title: "",
+          children: [
+            {
+              id: "toolbar_____",
+              parentId: "root________",
+              title: "Bookmarks Toolbar",
+              index: 0,
+              children: [],
+            },
+          ],
+        },
+      ]);
+      browser.bookmarks.getChildren.resolves([]);
+      browser.bookmarks.search.resolves([]);
+      useBaseline(synced);
+      global.fetch.onFirstCall().resolves(remoteResponse(synced));
+      global.fetch.onSecondCall().resolves({ ok: true });
+    });
+
+    afterEach(async () => {
+      await closeConfirmationWindow();
+    });
+
+    it("asks for the typed confirmation even under the auto-apply policy", async () => {
+      await syncAllBookmarks(
+        { ...config, autoApply: { enabled: true, maxDeletions: 10 } },
+        false,
+      );
+
+      expect(browser.tabs.create.calledOnce).to.be.true;
+      expect(global.fetch.calledOnce).to.be.true;
+      expect((await confirmationData()).massDeletion).to.deep.equal({
+        side: "remote",
+        count: 6,
+        total: 8,
+        phrase: "DELETE",
+      });
+    });
+
+    it("applies the deletions automatically with the guard turned off", async () => {
+      await syncAllBookmarks(
+        {
+          ...config,
+          massDeletionPercent: 0,
+          autoApply: { enabled: true, maxDeletions: 10 },
+        },
+        false,
+      );
+
+      expect(browser.tabs.create.called).to.be.false;
+      const written = JSON.parse(global.fetch.secondCall.args[1].body);
+      expect(written.filter((record) => record.url && !record.deleted)).to.be
+        .empty;
+    });
+
+    it("does not overwrite the remote on a first sync from an empty tree", async () => {
+      useBaseline([]);
+
+      await syncAllBookmarks(config, false);
+
+      expect(global.fetch.calledOnce).to.be.true;
+      expect(browser.tabs.create.calledOnce).to.be.true;
+      expect((await confirmationData()).massDeletion).to.include({
+        side: "remote",
+        count: 6,
+      });
+    });
+
+    it("blocks a push that would empty the remote", async () => {
+      await syncAllBookmarks({ ...config, direction: "push" }, false);
+
+      expect(global.fetch.calledOnce).to.be.true;
+      expect(browser.tabs.create.called).to.be.false;
+      expect(statusMessages().pop()).to.match(
+        /^Blocked: the sync would delete 6 of 8 remote bookmarks/,
+      );
+    });
+  });
+
+  // ============================================
+  // logical clock
+  // ============================================
+
+  describe("logical clock", () => {
+    const config = {
+      url: "http://example.com/bookmarks.json",
+      username: "u",
+      password: "p",
+    };
+    const synced = [
+      { title: "", path: [] },
+      { title: "toolbar", path: [], index: 0 },
+    ];
+
+    beforeEach(async () => {
+      await closeConfirmationWindow();
+      browser.bookmarks.getTree.resolves([
+        {
+          id: "root________",
+          title: "",
+          children: [
+            {
+              id: "toolbar_____",
+              parentId: "root________",
+              title: "Bookmarks Toolbar",
+              index: 0,
+              children: [],
+            },
+          ],
+        },
+      ]);
+      browser.storage.local.get.callsFake(async ([key]) => {
+        if (key === "logicalClock") return { logicalClock: 7 };
+        return key === "lastSyncedState" ? { [key]: synced } : {};
+      });
+    });
+
+    it("moves the clock past the stamps of the remote file", async () => {
+      global.fetch.resolves({
+        ok: true,
+        status: 200,
+        text: async () =>
+          JSON.stringify([
+            ...synced,
+            { title: "Old", path: ["toolbar"], deleted: true, clock: 42 },
+          ]),
+      });
+
+      await syncAllBookmarks(config, false);
+
+      expect(browser.storage.local.set.calledWith({ logicalClock: 42 })).to.be
+        .true;
+    });
+  });
+
+  // ============================================
+  // runScheduledSync
+  // ============================================
+
+  describe("runScheduledSync()", () => {
+    const config = {
+      url: "https://dav.example.com/bookmarks.json",
+      username: "user",
+      password: "pass",
+      checkInterval: 5,
+    };
+
+    beforeEach(async () => {
+      await closeConfirmationWindow();
+      browser.alarms.create.reset();
+      browser.alarms.create.resolves();
+      sinon.stub(Date, "now").returns(0);
+    });
+
+    it("arms the alarm for the configured interval after a sync", async () => {
+      await runScheduledSync({ ...config, url: "" });
+
+      expect(browser.alarms.create.lastCall.args).to.deep.equal([
+        "bookmark-sync",
+        { when: 5 * 60 * 1000 },
+      ]);
+      expect(
+        browser.storage.local.set.calledWith({
+          syncSchedule: { nextRun: 5 * 60 * 1000, failures: 0 },
+        }),
+      ).to.be.true;
+    });
+
+    it("leaves the backed-off alarm armed while a sync stalls", async () => {
+      browser.bookmarks.getTree.returns(new Promise(() => {}));
+
+      runScheduledSync(config);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(browser.alarms.create.calledOnce).to.be.true;
+      expect(browser.alarms.create.firstCall.args[1]).to.deep.equal({
+        when: 10 * 60 * 1000,
+      });
+    });
+
+    it("backs off after consecutive failures", async () => {
+      browser.storage.local.get.callsFake(async (keys) =>
+        keys.includes("syncSchedule")
+          ? { syncSchedule: { nextRun: 0, failures: 1 } }
+          : {},
+      );
+      global.fetch.resolves({ ok: false, status: 401 });
+
+      await runScheduledSync(config);
+
+      expect(browser.alarms.create.calledOnce).to.be.true;
+      expect(browser.alarms.create.firstCall.args[1]).to.deep.equal({
+        when: 20 * 60 * 1000,
+      });
+      expect(
+        browser.storage.local.set.calledWith({
+          syncSchedule: { nextRun: 20 * 60 * 1000, failures: 2 },
+        }),
+      ).to.be.true;
+    });
+
+    it("skips the sync while the confirmation page is open", async () => {
+      await displayConfirmationPage({}, "Sync", [], [], []);
+      global.fetch.resetHistory();
+
+      await runScheduledSync(config);
+
+      expect(global.fetch.called).to.be.false;
+      expect(browser.alarms.create.firstCall.args[1]).to.deep.equal({
+        when: 5 * 60 * 1000,
+      });
+    });
+  });
 });
@@ -2,15 +2,30 @@ import { expect } from "chai";
 import sinon from "sinon";
 import { loadModule } from "../setup.js";
 
-// Load sync.js first to provide arraysEqual as a global
+// Load sync.js first to provide arraysEqual, isFolder, isSeparator and the
+// root folder helpers as globals
 const syncMod = loadModule("src/sync.js");
 global.arraysEqual = syncMod.arraysEqual;
+global.isFolder = syncMod.isFolder;
+global.isSeparator = syncMod.isSeparator;
+global.LEGACY_ROOT_TITLES = syncMod.LEGACY_ROOT_TITLES;
+global.rootFolderName = syncMod.rootFolderName;
+global.folderSegment = syncMod.folderSegment;
+global.scopeRecords = syncMod.scopeRecords;
+global.hasExclusions = syncMod.hasExclusions;
+global.exclusionMatcher = syncMod.exclusionMatcher;
+global.clockStamp = syncMod.clockStamp;
+
+// bookmarkIdMap lookups (guid -> browser id) come from storage.js
+const storageMod = loadModule("src/storage.js");
+global.getBookmarkIdMap = storageMod.getBookmarkIdMap;
 
 const mod = loadModule("src/bookmarks.js");
 const {
   getBookmarkPath,
   retrieveLocalBookmarks,
   getLocalBookmarksSnapshot,
+  getRootFolderTitles,
   locateBookmarkId,
   locateParentId,
   createFolderPath,
@@ -123,6 +138,138 @@ describe("Bookmarks Module", () => {
       const x = result.find((b) => b.title === "X");
       expect(x.path).to.deep.equal([]); // root empty title = path stays empty
     });
+
+    it("attaches guids from bookmarkIdMap", async () => {
+      const tree = [
+        {
+          id: "root",
+          title: "",
+          index: 0,
+          children: [
+            { id: "bm1", title: "X", url: "http://x.com", index: 0 },
+            { id: "bm2", title: "Y", url: "http://y.com", index: 1 },
+          ],
+        },
+      ];
+
+      const result = await retrieveLocalBookmarks(tree, [], {
+        bookmarkIdMap: { bm1: { title: "X", guid: "g1" } },
+      });
+      expect(result.find((b) => b.title === "X").guid).to.equal("g1");
+      expect(result.find((b) => b.title === "Y")).to.not.have.property("guid");
+    });
+
+    it("attaches the clock stamps from bookmarkIdMap", async () => {
+      const tree = [
+        {
+          id: "root",
+          title: "",
+          index: 0,
+          children: [
+            { id: "bm1", title: "X", url: "http://x.com", index: 0 },
+            { id: "bm2", title: "Y", url: "http://y.com", index: 1 },
+          ],
+        },
+      ];
+
+      const result = await retrieveLocalBookmarks(tree, [], {
+        bookmarkIdMap: {
+          bm1: { title: "X", guid: "g1", clock: 4, deviceId: "dev-a" },
+          bm2: { title: "Y", guid: "g2" },
+        },
+      });
+      expect(result.find((b) => b.title === "X")).to.include({
+        clock: 4,
+        deviceId: "dev-a",
+      });
+      expect(result.find((b) => b.title === "Y")).to.not.have.property("clock");
+    });
+
+    it("names root folders canonically whatever their title", async () => {
+      const tree = [
+        {
+          id: "root________",
+          title: "",
+          index: 0,
+          children: [
+            {
+              id: "toolbar_____",
+              parentId: "root________",
+              title: "Lesezeichen-Symbolleiste",
+              index: 1,
+              children: [
+                {
+                  id: "bm1",
+                  parentId: "toolbar_____",
+                  title: "X",
+                  url: "http://x.com",
+                  index: 0,
+                },
+              ],
+            },
+          ],
+        },
+      ];
+
+      const result = await retrieveLocalBookmarks(tree);
+      expect(result.find((b) => b.index === 1)).to.deep.equal({
+        title: "toolbar",
+        index: 1,
+        path: [],
+      });
+      expect(result.find((b) => b.title === "X").path).to.deep.equal([
+        "toolbar",
+      ]);
+    });
+
+    it("records separators with a type and no url", async () => {
+      const tree = [
+        {
+          title: "Toolbar",
+          index: 0,
+          children: [
+            { title: "A", url: "http://a.com", index: 0 },
+            { title: "", type: "separator", index: 1 },
+          ],
+        },
+      ];
+
+      const result = await retrieveLocalBookmarks(tree);
+      const separator = result.find((b) => b.index === 1);
+      expect(separator).to.deep.equal({
+        title: "",
+        index: 1,
+        path: ["Toolbar"],
+        type: "separator",
+      });
+      expect(result.find((b) => b.title === "A")).to.not.have.property("type");
+    });
+  });
+
+  // ============================================
+  // getRootFolderTitles
+  // ============================================
+
+  describe("getRootFolderTitles()", () => {
+    it("adds this browser's root titles to the legacy ones", async () => {
+      browser.bookmarks.getTree.resolves([
+        {
+          id: "root________",
+          title: "",
+          children: [
+            {
+              id: "unfiled_____",
+              parentId: "root________",
+              title: "Weitere Lesezeichen",
+            },
+          ],
+        },
+      ]);
+
+      const rootTitles = await getRootFolderTitles();
+      expect(rootTitles.get("Weitere Lesezeichen")).to.equal("other");
+      expect(rootTitles.get("Bookmarks Toolbar")).to.equal("toolbar");
+    });
   });
 
   // ============================================
@@ -268,6 +415,34 @@ describe("Bookmarks Module", () => {
       const id = await locateParentId(["Bookmarks Toolbar", "NewFolder"], true);
       expect(id).to.exist;
     });
+
+    it("finds localized roots by their canonical name", async () => {
+      browser.bookmarks.getTree.resolves([
+        {
+          id: "root________",
+          title: "",
+          children: [
+            {
+              id: "toolbar_____",
+              parentId: "root________",
+              title: "Lesezeichen-Symbolleiste",
+              children: [
+                { id: "folder1", parentId: "toolbar_____", title: "News" },
+              ],
+            },
+          ],
+        },
+      ]);
+      const id = await locateParentId(["toolbar", "News"]);
+      expect(id).to.equal("folder1");
+    });
+
+    it("resolves paths relative to the scope's root folder", async () => {
+      browser.bookmarks.getTree.resolves(mockTree);
+      const scope = { rootPath: ["Bookmarks Toolbar"] };
+      expect(await locateParentId(["News"], false, scope)).to.equal("folder1");
+      expect(await locateParentId([], false, scope)).to.equal("toolbar");
+    });
   });
 
   // ============================================
@@ -318,6 +493,115 @@ describe("Bookmarks Module", () => {
       expect(id).to.equal("existingFolder");
       expect(browser.bookmarks.create.called).to.be.false;
     });
+
+    it("creates the scope's root folder and reports full paths", async () => {
+      browser.bookmarks.getTree.resolves([
+        {
+          id: "root",
+          title: "",
+          children: [
+            { id: "toolbar", title: "Bookmarks Toolbar", children: [] },
+          ],
+        },
+      ]);
+      browser.bookmarks.getChildren.resolves([]);
+      browser.bookmarks.create.onFirstCall().resolves({ id: "team" });
+      browser.bookmarks.create.onSecondCall().resolves({ id: "sub" });
+      const removeTombstones = sinon.stub().resolves();
+
+      const id = await createFolderPath(["Sub"], removeTombstones, {
+        rootPath: ["Bookmarks Toolbar", "Team"],
+      });
+      expect(id).to.equal("sub");
+      expect(browser.bookmarks.create.firstCall.args[0]).to.deep.equal({
+        parentId: "toolbar",
+        title: "Team",
+      });
+      expect(removeTombstones.args).to.deep.equal([
+        [["Bookmarks Toolbar", "Team"]],
+        [["Bookmarks Toolbar", "Team", "Sub"]],
+      ]);
+    });
+  });
+
+  // ============================================
+  // getLocalBookmarksSnapshot
+  // ============================================
+
+  describe("getLocalBookmarksSnapshot()", () => {
+    it("returns only the bookmarks inside the scope, relative to it", async () => {
+      browser.storage.local.get.resolves({});
+      browser.bookmarks.getTree.resolves([
+        {
+          id: "root________",
+          title: "",
+          children: [
+            {
+              id: "toolbar_____",
+              parentId: "root________",
+              title: "Bookmarks Toolbar",
+              index: 0,
+              children: [
+                {
+                  id: "team",
+                  title: "Team",
+                  index: 0,
+                  children: [
+                    { id: "a", title: "A", url: "http://a.com", index: 0 },
+                  ],
+                },
+                { id: "b", title: "B", url: "http://b.com", index: 1 },
+              ],
+            },
+          ],
+        },
+      ]);
+
+      const snapshot = await getLocalBookmarksSnapshot({
+        rootPath: ["toolbar", "Team"],
+      });
+      expect(snapshot).to.deep.equal([
+        { title: "A", url: "http://a.com", index: 0, path: [] },
+      ]);
+    });
+
+    it("leaves out excluded folders and URLs", async () => {
+      browser.storage.local.get.resolves({});
+      browser.bookmarks.getTree.resolves([
+        {
+          id: "root________",
+          title: "",
+          children: [
+            {
+              id: "toolbar_____",
+              parentId: "root________",
+              title: "Bookmarks Toolbar",
+              index: 0,
+              children: [
+                {
+                  id: "private",
+                  title: "Private",
+                  index: 0,
+                  children: [
+                    { id: "a", title: "A", url: "http://a.com", index: 0 },
+                  ],
+                },
+                { id: "b", title: "B", url: "http://b.com", index: 1 },
+                { id: "c", title: "C", url: "file:///tmp/c.html", index: 2 },
+              ],
+            },
+          ],
+        },
+      ]);
+
+      const snapshot = await getLocalBookmarksSnapshot({
+        exclusions: { folders: [["toolbar", "Private"]], urls: ["file://*"] },
+      });
+      expect(snapshot.filter((record) => record.title !== "")).to.deep.equal([
+        { title: "toolbar", index: 0, path: [] },
+        { title: "B", url: "http://b.com", index: 1, path: ["toolbar"] },
+      ]);
+    });
   });
 
   // ============================================
@@ -489,6 +773,139 @@ describe("Bookmarks Module", () => {
       expect(calls[2].args[0].title).to.equal("C");
       expect(calls[2].args[0].index).to.equal(2);
     });
+
+    it("recreates separators with type separator", async () => {
+      const insertions = [
+        { title: "", type: "separator", path: ["Toolbar"], index: 1 },
+      ];
+
+      await modifyLocalBookmarks([], insertions, []);
+
+      expect(browser.bookmarks.create.calledOnce).to.be.true;
+      expect(browser.bookmarks.create.firstCall.args[0]).to.deep.equal({
+        parentId: "toolbar",
+        type: "separator",
+        index: 1,
+      });
+      expect(browser.bookmarks.search.called).to.be.false;
+    });
+
+    it("deletes the separator at the recorded position", async () => {
+      browser.bookmarks.getChildren.withArgs("toolbar").resolves([
+        { id: "sep1", type: "separator", title: "", index: 0 },
+        { id: "bm1", title: "A", url: "http://a.com", index: 1 },
+        { id: "sep2", type: "separator", title: "", index: 2 },
+      ]);
+
+      const deletions = [
+        { title: "", type: "separator", path: ["Toolbar"], index: 2 },
+      ];
+
+      await modifyLocalBookmarks(deletions, [], []);
+
+      expect(browser.bookmarks.remove.calledOnceWith("sep2")).to.be.true;
+      expect(browser.bookmarks.removeTree.called).to.be.false;
+    });
+
+    it("never inserts excluded bookmarks", async () => {
+      const insertions = [
+        { title: "X", url: "file:///tmp/x.html", path: ["Toolbar"], index: 0 },
+        {
+          title: "Y",
+          url: "http://y.com",
+          path: ["Toolbar", "Private"],
+          index: 0,
+        },
+      ];
+
+      await modifyLocalBookmarks([], insertions, [], null, {
+        exclusions: { folders: [["Toolbar", "Private"]], urls: ["file://*"] },
+      });
+
+      expect(browser.bookmarks.create.called).to.be.false;
+    });
+
+    it("keeps a deleted folder that holds excluded bookmarks", async () => {
+      browser.bookmarks.search.resolves([
+        { id: "f1", title: "F", index: 0, parentId: "toolbar" },
+      ]);
+      browser.bookmarks.get.callsFake(async (id) => {
+        if (id === "toolbar")
+          return [{ id: "toolbar", title: "Toolbar", parentId: "root" }];
+        if (id === "root") return [{ id: "root", title: "" }];
+        return [{ id, title: "" }];
+      });
+      browser.bookmarks.getSubTree.withArgs("f1").resolves([
+        {
+          id: "f1",
+          title: "F",
+          children: [{ id: "r", title: "R", url: "place:sort=8", index: 0 }],
+        },
+      ]);
+
+      const deletions = [{ title: "F", path: ["Toolbar"], index: 0 }];
+      await modifyLocalBookmarks(deletions, [], [], null, {
+        exclusions: { folders: [], urls: ["place:*"] },
+      });
+
+      expect(browser.bookmarks.removeTree.called).to.be.false;
+    });
+  });
+
+  // ============================================
+  // separators in diffStates
+  // ============================================
+
+  describe("separators in diffStates()", () => {
+    const { diffStates, isFolder } = syncMod;
+
+    it("keeps two separators in one folder apart", () => {
+      const current = [
+        { title: "", type: "separator", path: ["Toolbar"], index: 1 },
+      ];
+      const target = [
+        { title: "", type: "separator", path: ["Toolbar"], index: 1 },
+        { title: "", type: "separator", path: ["Toolbar"], index: 3 },
+      ];
+
+      const { insertions, deletions, updates } = diffStates(current, target);
+      expect(insertions).to.deep.equal([target[1]]);
+      expect(deletions).to.be.empty;
+      expect(updates).to.be.empty;
+    });
+
+    it("does not pair a separator with an untitled folder", () => {
+      const current = [{ title: "", path: ["Toolbar"], index: 1 }];
+      const target = [
+        { title: "", type: "separator", path: ["Toolbar"], index: 1 },
+      ];
+
+      const { insertions, deletions } = diffStates(current, target);
+      expect(insertions).to.deep.equal(target);
+      expect(deletions).to.deep.equal(current);
+    });
+
+    it("reports a moved separator with a guid as an index update", () => {
+      const current = [
+        {
+          title: "",
+          type: "separator",
+          path: ["Toolbar"],
+          index: 1,
+          guid: "s1",
+        },
+      ];
+      const target = [{ ...current[0], index: 4 }];
+
+      const { updates } = diffStates(current, target);
+      expect(updates).to.have.lengthOf(1);
+      expect(updates[0].changedAttribute).to.equal("index");
+    });
+
+    it("never treats separators as folders", () => {
+      expect(isFolder({ title: "", type: "separator", path: [] })).to.be.false;
+      expect(isFolder({ title: "F", path: [] })).to.be.true;
+    });
   });
 
   // ============================================
@@ -628,6 +1045,107 @@ describe("Bookmarks Module", () => {
       );
     });
 
+    it("locates records by guid and applies every changed attribute", async () => {
+      browser.storage.local.get.resolves({
+        bookmarkIdMap: { bm7: { title: "Old", guid: "g1" } },
+      });
+      browser.bookmarks.get.resolves([{ id: "bm7" }]);
+      browser.bookmarks.getTree.resolves([
+        {
+          id: "root",
+          title: "",
+          children: [
+            {
+              id: "toolbar",
+              title: "Toolbar",
+              children: [{ id: "folder2", title: "F2", children: [] }],
+            },
+          ],
+        },
+      ]);
+
+      await applyLocalUpdates([
+        {
+          oldBookmark: {
+            title: "Old",
+            url: "http://x.com",
+            index: 0,
+            path: ["Toolbar"],
+            guid: "g1",
+          },
+          newBookmark: {
+            title: "New",
+            url: "http://x.com",
+            index: 0,
+            path: ["Toolbar", "F2"],
+            guid: "g1",
+          },
+          changedAttribute: "title",
+        },
+      ]);
+
+      expect(browser.bookmarks.search.called).to.be.false;
+      expect(browser.bookmarks.update.calledOnceWith("bm7")).to.be.true;
+      expect(browser.bookmarks.move.calledOnce).to.be.true;
+      expect(browser.bookmarks.move.firstCall.args).to.deep.equal([
+        "bm7",
+        { parentId: "folder2", index: 0 },
+      ]);
+    });
+
+    it("renames folders before moving their contents", async () => {
+      browser.storage.local.get.resolves({
+        bookmarkIdMap: {
+          f1: { title: "F", guid: "gf" },
+          bm1: { title: "X", guid: "g1" },
+        },
+      });
+      browser.bookmarks.get.callsFake(async (id) => [{ id }]);
+      browser.bookmarks.getTree.resolves([
+        {
+          id: "root",
+          title: "",
+          children: [
+            {
+              id: "toolbar",
+              title: "Toolbar",
+              children: [{ id: "f1", title: "F2", children: [] }],
+            },
+          ],
+        },
+      ]);
+
+      await applyLocalUpdates([
+        {
+          oldBookmark: {
+            title: "X",
+            url: "http://x.com",
+            index: 0,
+            path: ["Toolbar", "F"],
+            guid: "g1",
+          },
+          newBookmark: {
+            title: "X",
+            url: "http://x.com",
+            index: 0,
+            path: ["Toolbar", "F2"],
+            guid: "g1",
+          },
+          changedAttribute: "path",
+        },
+        {
+          oldBookmark: { title: "F", index: 0, path: ["Toolbar"], guid: "gf" },
+          newBookmark: { title: "F2", index: 0, path: ["Toolbar"], guid: "gf" },
+          changedAttribute: "title",
+        },
+      ]);
+
+      expect(browser.bookmarks.update.calledOnceWith("f1")).to.be.true;
+      expect(browser.bookmarks.move.calledOnce).to.be.true;
+      expect(browser.bookmarks.update.calledBefore(browser.bookmarks.move)).to
+        .be.true;
+    });
+
     it("warns and continues when bookmark not found", async () => {
       browser.bookmarks.search.resolves([]);
 
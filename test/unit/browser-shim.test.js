@@ -0,0 +1,39 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import { loadModule } from "../setup.js";
+
+const mod = loadModule("src/browser-shim.js");
+const { promiseMessageListener } = mod;
+
+describe("Browser Shim", () => {
+  describe("promiseMessageListener()", () => {
+    it("answers with the value a listener resolves to", async () => {
+      const sendResponse = sinon.stub();
+      const listener = promiseMessageListener(async () => ({ success: true }));
+
+      expect(listener({}, {}, sendResponse)).to.be.true;
+      await Promise.resolve();
+      expect(sendResponse.calledOnceWith({ success: true })).to.be.true;
+    });
+
+    it("answers with the error a listener rejects with", async () => {
+      const sendResponse = sinon.stub();
+      const listener = promiseMessageListener(async () => {
+        throw new Error("boom");
+      });
+
+      listener({}, {}, sendResponse);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      expect(sendResponse.calledOnceWith({ success: false, error: "boom" })).to
+        .be.true;
+    });
+
+    it("passes synchronous results through", () => {
+      const sendResponse = sinon.stub();
+      const listener = promiseMessageListener(() => undefined);
+
+      expect(listener({}, {}, sendResponse)).to.be.undefined;
+      expect(sendResponse.called).to.be.false;
+    });
+  });
+});
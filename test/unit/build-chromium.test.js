@@ -0,0 +1,56 @@
+import { expect } from "chai";
+import fs from "fs";
+import path from "path";
+import {
+  chromiumManifest,
+  serviceWorkerSource,
+} from "../../scripts/build-chromium.js";
+
+const manifest = JSON.parse(
+  fs.readFileSync(path.join(process.cwd(), "src/manifest.json"), "utf-8"),
+);
+
+describe("Chromium Build", () => {
+  describe("chromiumManifest()", () => {
+    const result = chromiumManifest(manifest);
+
+    it("runs the background as a service worker", () => {
+      expect(result.manifest_version).to.equal(3);
+      expect(result.background).to.deep.equal({
+        service_worker: "service-worker.js",
+      });
+    });
+
+    it("moves host permissions and keeps the API permissions", () => {
+      expect(result.host_permissions).to.deep.equal(["<all_urls>"]);
+      expect(result.permissions).to.include.members([
+        "bookmarks",
+        "storage",
+        "notifications",
+        "alarms",
+      ]);
+      expect(result.permissions).to.not.include("<all_urls>");
+      expect(result.permissions).to.not.include("webRequest");
+    });
+
+    it("asks for unlimited storage.local", () => {
+      expect(result.permissions).to.include("unlimitedStorage");
+    });
+
+    it("replaces browser_action and drops Firefox settings", () => {
+      expect(result.action.default_popup).to.equal("popup/popup.html");
+      expect(result.action.default_icon).to.deep.equal(manifest.icons);
+      expect(result).to.not.have.property("browser_action");
+      expect(result).to.not.have.property("browser_specific_settings");
+    });
+  });
+
+  describe("serviceWorkerSource()", () => {
+    it("imports the background scripts in manifest order, shim first", () => {
+      const source = serviceWorkerSource(manifest);
+      const imported = [...source.matchAll(/"([^"]+\.js)"/g)].map((m) => m[1]);
+      expect(imported).to.deep.equal(manifest.background.scripts);
+      expect(imported[0]).to.equal("browser-shim.js");
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import { expect } from "chai";
+import { loadModule } from "../setup.js";
+
+const mod = loadModule("src/crypto.js");
+const {
+  ENCRYPTION_FORMAT,
+  DecryptionError,
+  bytesToBase64,
+  base64ToBytes,
+  isEncryptedEnvelope,
+  encryptJSON,
+  decryptJSON,
+  digestJSON,
+} = mod;
+
+// Low iteration count keeps the tests fast, the count is read back from the header
+const ITERATIONS = 1000;
+
+describe("Crypto Module", () => {
+  const bookmarks = [
+    { title: "X", url: "http://x.com", path: ["Toolbar"], index: 0 },
+  ];
+
+  describe("bytesToBase64() / base64ToBytes()", () => {
+    it("round-trips binary data", () => {
+      const bytes = new Uint8Array([0, 1, 127, 128, 255]);
+      expect(Array.from(base64ToBytes(bytesToBase64(bytes)))).to.deep.equal([
+        0, 1, 127, 128, 255,
+      ]);
+    });
+  });
+
+  describe("isEncryptedEnvelope()", () => {
+    it("detects envelopes", () => {
+      expect(isEncryptedEnvelope({ format: ENCRYPTION_FORMAT })).to.be.true;
+    });
+
+    it("rejects bookmark arrays and other values", () => {
+      expect(isEncryptedEnvelope(bookmarks)).to.be.false;
+      expect(isEncryptedEnvelope(null)).to.be.false;
+      expect(isEncryptedEnvelope({ key: "value" })).to.be.false;
+    });
+  });
+
+  describe("encryptJSON()", () => {
+    it("writes salt, iterations and version into the header", async () => {
+      const envelope = await encryptJSON(bookmarks, "secret", ITERATIONS);
+
+      expect(envelope.format).to.equal(ENCRYPTION_FORMAT);
+      expect(envelope.version).to.equal(1);
+      expect(envelope.kdf).to.equal("PBKDF2-SHA256");
+      expect(envelope.iterations).to.equal(ITERATIONS);
+      expect(base64ToBytes(envelope.salt)).to.have.lengthOf(16);
+      expect(base64ToBytes(envelope.iv)).to.have.lengthOf(12);
+    });
+
+    it("does not contain the plaintext", async () => {
+      const envelope = await encryptJSON(bookmarks, "secret", ITERATIONS);
+      expect(JSON.stringify(envelope)).to.not.include("x.com");
+    });
+
+    it("uses a fresh salt and iv for every encryption", async () => {
+      const a = await encryptJSON(bookmarks, "secret", ITERATIONS);
+      const b = await encryptJSON(bookmarks, "secret", ITERATIONS);
+      expect(a.salt).to.not.equal(b.salt);
+      expect(a.iv).to.not.equal(b.iv);
+    });
+  });
+
+  describe("decryptJSON()", () => {
+    it("decrypts with the right passphrase", async () => {
+      const envelope = await encryptJSON(bookmarks, "secret", ITERATIONS);
+      expect(await decryptJSON(envelope, "secret")).to.deep.equal(bookmarks);
+    });
+
+    it("throws a wrong passphrase error", async () => {
+      const envelope = await encryptJSON(bookmarks, "secret", ITERATIONS);
+      try {
+        await decryptJSON(envelope, "wrong");
+        expect.fail("Should have thrown");
+      } catch (e) {
+        expect(e).to.be.instanceOf(DecryptionError);
+        expect(e.message).to.include("Wrong passphrase");
+      }
+    });
+
+    it("throws when no passphrase is configured", async () => {
+      const envelope = await encryptJSON(bookmarks, "secret", ITERATIONS);
+      try {
+        await decryptJSON(envelope, "");
+        expect.fail("Should have thrown");
+      } catch (e) {
+        expect(e).to.be.instanceOf(DecryptionError);
+        expect(e.message).to.include("passphrase");
+      }
+    });
+
+    it("detects a modified header", async () => {
+      const envelope = await encryptJSON(bookmarks, "secret", ITERATIONS);
+      // Same derived key material, but the authenticated header no longer matches
+      const tampered = { ...envelope, kdf: "other" };
+      try {
+        await decryptJSON(tampered, "secret");
+        expect.fail("Should have thrown");
+      } catch (e) {
+        expect(e).to.be.instanceOf(DecryptionError);
+      }
+    });
+
+    it("rejects unknown format versions", async () => {
+      const envelope = await encryptJSON(bookmarks, "secret", ITERATIONS);
+      try {
+        await decryptJSON({ ...envelope, version: 2 }, "secret");
+        expect.fail("Should have thrown");
+      } catch (e) {
+        expect(e.message).to.include("version");
+      }
+    });
+  });
+
+  describe("digestJSON()", () => {
+    it("returns the same hex digest for equal values", async () => {
+      const a = await digestJSON(bookmarks);
+      const b = await digestJSON(JSON.parse(JSON.stringify(bookmarks)));
+      expect(a).to.match(/^[0-9a-f]{64}$/);
+      expect(a).to.equal(b);
+    });
+
+    it("differs when the value changes", async () => {
+      const changed = [{ ...bookmarks[0], title: "Y" }];
+      expect(await digestJSON(changed)).to.not.equal(
+        await digestJSON(bookmarks),
+      );
+    });
+  });
+});
@@ -0,0 +1,147 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import { loadModule } from "../setup.js";
+
+// Load storage.js first to provide saveSyncSchedule as a global
+const storageMod = loadModule("src/storage.js");
+global.saveSyncSchedule = storageMod.saveSyncSchedule;
+global.getSyncSchedule = storageMod.getSyncSchedule;
+global.profileStorageKey = storageMod.profileStorageKey;
+global.DEFAULT_PROFILE_ID = storageMod.DEFAULT_PROFILE_ID;
+
+const mod = loadModule("src/scheduler.js");
+const {
+  SYNC_ALARM,
+  MAX_BACKOFF_MINUTES,
+  syncDelayMinutes,
+  syncAlarmName,
+  profileIdOfAlarm,
+  scheduleNextSync,
+  ensureScheduledSync,
+  clearScheduledSync,
+} = mod;
+
+describe("Scheduler Module", () => {
+  describe("syncDelayMinutes()", () => {
+    it("uses the configured interval without failures", () => {
+      expect(syncDelayMinutes(5)).to.equal(5);
+      expect(syncDelayMinutes(5, 0)).to.equal(5);
+    });
+
+    it("doubles the delay for each failure in a row", () => {
+      expect(syncDelayMinutes(5, 1)).to.equal(10);
+      expect(syncDelayMinutes(5, 3)).to.equal(40);
+    });
+
+    it("caps the delay at MAX_BACKOFF_MINUTES", () => {
+      expect(syncDelayMinutes(5, 10)).to.equal(MAX_BACKOFF_MINUTES);
+    });
+
+    it("never waits less than the configured interval", () => {
+      expect(syncDelayMinutes(120, 0)).to.equal(120);
+      expect(syncDelayMinutes(120, 4)).to.equal(120);
+    });
+  });
+
+  describe("scheduleNextSync()", () => {
+    beforeEach(() => {
+      browser.alarms.create.reset();
+      browser.alarms.create.resolves();
+      browser.storage.local.set.reset();
+      browser.storage.local.set.resolves();
+      sinon.stub(Date, "now").returns(1000);
+    });
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it("arms a one-shot alarm and stores the next run", async () => {
+      const nextRun = await scheduleNextSync(5, 2);
+
+      expect(nextRun).to.equal(1000 + 20 * 60 * 1000);
+      expect(
+        browser.alarms.create.calledOnceWith(SYNC_ALARM, { when: nextRun }),
+      ).to.be.true;
+      expect(
+        browser.storage.local.set.calledWith({
+          syncSchedule: { nextRun, failures: 2 },
+        }),
+      ).to.be.true;
+    });
+
+    it("arms a separate alarm for every profile", async () => {
+      const nextRun = await scheduleNextSync(5, 0, "team");
+
+      expect(
+        browser.alarms.create.calledOnceWith("bookmark-sync:team", {
+          when: nextRun,
+        }),
+      ).to.be.true;
+      expect(
+        browser.storage.local.set.calledWith({
+          "syncSchedule:team": { nextRun, failures: 0 },
+        }),
+      ).to.be.true;
+    });
+  });
+
+  describe("ensureScheduledSync()", () => {
+    beforeEach(() => {
+      browser.alarms.create.reset();
+      browser.alarms.create.resolves();
+      browser.alarms.get.reset();
+      browser.storage.local.get.reset();
+      browser.storage.local.get.resolves({
+        "syncSchedule:team": { nextRun: 0, failures: 1 },
+      });
+      browser.storage.local.set.reset();
+      browser.storage.local.set.resolves();
+      sinon.stub(Date, "now").returns(1000);
+    });
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it("leaves an armed alarm alone", async () => {
+      browser.alarms.get.resolves({ name: "bookmark-sync:team" });
+
+      expect(await ensureScheduledSync(5, "team")).to.be.false;
+      expect(browser.alarms.create.called).to.be.false;
+    });
+
+    it("arms a missing alarm with the stored failures", async () => {
+      browser.alarms.get.resolves(undefined);
+
+      expect(await ensureScheduledSync(5, "team")).to.be.true;
+      expect(
+        browser.alarms.create.calledOnceWith("bookmark-sync:team", {
+          when: 1000 + 10 * 60 * 1000,
+        }),
+      ).to.be.true;
+    });
+  });
+
+  describe("sync alarms of profiles", () => {
+    it("keeps the plain alarm name for the default profile", () => {
+      expect(syncAlarmName()).to.equal(SYNC_ALARM);
+      expect(profileIdOfAlarm(SYNC_ALARM)).to.equal("default");
+    });
+
+    it("maps an alarm back to its profile", () => {
+      expect(profileIdOfAlarm(syncAlarmName("team"))).to.equal("team");
+    });
+
+    it("ignores alarms that are not sync alarms", () => {
+      expect(profileIdOfAlarm("something-else")).to.equal(null);
+    });
+
+    it("clears the alarm of a deleted profile", async () => {
+      browser.alarms.clear.reset();
+      await clearScheduledSync("team");
+      expect(browser.alarms.clear.calledOnceWith("bookmark-sync:team")).to.be
+        .true;
+    });
+  });
+});
@@ -2,8 +2,25 @@ import { expect } from "chai";
 import sinon from "sinon";
 import { loadModule } from "../setup.js";
 
+// Load sync.js first to provide generateGuid, bookmarkKey, isSeparator and
+// folderSegment as globals
+const syncMod = loadModule("src/sync.js");
+global.generateGuid = syncMod.generateGuid;
+global.bookmarkKey = syncMod.bookmarkKey;
+global.isSeparator = syncMod.isSeparator;
+global.folderSegment = syncMod.folderSegment;
+global.clockStamp = syncMod.clockStamp;
+global.newerRecord = syncMod.newerRecord;
+
 const mod = loadModule("src/storage.js");
 const {
+  DEFAULT_PROFILE_ID,
+  PROFILE_STATE_KEYS,
+  profileStorageKey,
+  removeProfileState,
+  saveStatusMessage,
+  tickClock,
+  observeClock,
   getBookmarkIdMap,
   saveBookmarkIdMap,
   initializeBookmarkIdMap,
@@ -17,8 +34,29 @@ const {
   saveLastSyncedState,
   saveDebugLog,
   getDebugLogs,
+  MAX_SYNC_HISTORY,
+  MAX_SYNC_HISTORY_SIZE,
+  saveSyncHistoryEntry,
+  getSyncHistory,
+  saveLastSyncUndo,
+  getLastSyncUndo,
+  clearLastSyncUndo,
+  saveSessionState,
+  getSessionState,
+  startSession,
+  saveSyncSchedule,
+  getSyncSchedule,
 } = mod;
 
+// Values written for a key, in order (the logical clock is written by its
+// own storage.local.set call)
+const savedValues = (key) =>
+  browser.storage.local.set
+    .getCalls()
+    .map((call) => call.args[0])
+    .filter((values) => key in values)
+    .map((values) => values[key]);
+
 describe("Storage Module", () => {
   beforeEach(() => {
     // Reset stubs individually (keeps them as stubs, unlike sinon.restore())
@@ -128,6 +166,187 @@ describe("Storage Module", () => {
         path: ["Bookmarks Toolbar"],
       });
     });
+
+    describe("guids", () => {
+      const tree = [
+        {
+          id: "root",
+          title: "",
+          children: [
+            {
+              id: "toolbar",
+              title: "Toolbar",
+              index: 0,
+              children: [
+                { id: "bm1", title: "X", url: "http://x.com", index: 0 },
+              ],
+            },
+          ],
+        },
+      ];
+      const savedMap = () =>
+        browser.storage.local.set.firstCall.args[0].bookmarkIdMap;
+
+      beforeEach(() => {
+        browser.bookmarks.getTree.resolves(tree);
+      });
+
+      it("generates a guid for every node", async () => {
+        await initializeBookmarkIdMap();
+        expect(savedMap()["bm1"].guid).to.be.a("string");
+        expect(savedMap()["toolbar"].guid).to.not.equal(savedMap()["bm1"].guid);
+      });
+
+      it("keeps guids already in the map", async () => {
+        browser.storage.local.get.resolves({
+          bookmarkIdMap: { bm1: { title: "X", guid: "kept" } },
+        });
+        await initializeBookmarkIdMap();
+        expect(savedMap()["bm1"].guid).to.equal("kept");
+      });
+
+      it("adopts the guid of a known record with the same title/url/path", async () => {
+        browser.storage.local.get.resolves({
+          bookmarkIdMap: { bm1: { title: "X", guid: "fresh" } },
+        });
+        await initializeBookmarkIdMap([
+          {
+            title: "X",
+            url: "http://x.com",
+            path: ["Toolbar"],
+            index: 0,
+            guid: "remote",
+          },
+        ]);
+        expect(savedMap()["bm1"].guid).to.equal("remote");
+      });
+
+      it("does not replace a guid the known records already use", async () => {
+        browser.storage.local.get.resolves({
+          bookmarkIdMap: { bm1: { title: "X", guid: "mine" } },
+        });
+        await initializeBookmarkIdMap([
+          { title: "X", url: "http://x.com", path: ["Toolbar"], guid: "mine" },
+          {
+            title: "X",
+            url: "http://x.com",
+            path: ["Toolbar"],
+            guid: "other",
+          },
+        ]);
+        expect(savedMap()["bm1"].guid).to.equal("mine");
+      });
+
+      it("keeps the newer stamp of the known record and the previous entry", async () => {
+        const known = {
+          title: "X",
+          url: "http://x.com",
+          path: ["Toolbar"],
+          guid: "g1",
+        };
+        browser.storage.local.get.resolves({
+          bookmarkIdMap: {
+            bm1: { title: "X", guid: "g1", clock: 5, deviceId: "dev-a" },
+          },
+        });
+        await initializeBookmarkIdMap([
+          { ...known, clock: 9, deviceId: "dev-b" },
+        ]);
+        expect(savedMap()["bm1"]).to.include({ clock: 9, deviceId: "dev-b" });
+
+        browser.storage.local.set.resetHistory();
+        await initializeBookmarkIdMap([
+          { ...known, clock: 3, deviceId: "dev-b" },
+        ]);
+        expect(savedMap()["bm1"]).to.include({ clock: 5, deviceId: "dev-a" });
+      });
+    });
+  });
+
+  // ============================================
+  // logical clock
+  // ============================================
+
+  describe("logical clock", () => {
+    it("tickClock() advances the clock of this device", async () => {
+      browser.storage.local.get.resolves({
+        deviceId: "dev-a",
+        logicalClock: 4,
+      });
+
+      expect(await tickClock()).to.deep.equal({ clock: 5, deviceId: "dev-a" });
+      expect(
+        browser.storage.local.set.calledWith({
+          deviceId: "dev-a",
+          logicalClock: 5,
+        }),
+      ).to.be.true;
+    });
+
+    it("tickClock() generates the device id on first use", async () => {
+      const stamp = await tickClock();
+
+      expect(stamp.clock).to.equal(1);
+      expect(stamp.deviceId).to.be.a("string");
+      expect(savedValues("deviceId")).to.deep.equal([stamp.deviceId]);
+    });
+
+    it("tickClock() gives concurrent edits different stamps", async () => {
+      const stored = {};
+      browser.storage.local.get.callsFake(async (keys) =>
+        Object.fromEntries(keys.map((key) => [key, stored[key]])),
+      );
+      browser.storage.local.set.callsFake(async (values) => {
+        Object.assign(stored, values);
+      });
+
+      const [first, second] = await Promise.all([tickClock(), tickClock()]);
+
+      expect([first.clock, second.clock]).to.deep.equal([1, 2]);
+      expect(second.deviceId).to.equal(first.deviceId);
+      expect(stored.logicalClock).to.equal(2);
+    });
+
+    it("observeClock() moves the clock past the newest stamp seen", async () => {
+      browser.storage.local.get.resolves({ logicalClock: 10 });
+
+      await observeClock([{ clock: 25 }, { clock: 3 }, { title: "legacy" }]);
+      expect(savedValues("logicalClock")).to.deep.equal([25]);
+
+      browser.storage.local.set.resetHistory();
+      await observeClock([{ clock: 7 }]);
+      expect(browser.storage.local.set.called).to.be.false;
+    });
+
+    it("stamps recorded changes and new tombstones", async () => {
+      browser.storage.local.get.resolves({
+        bookmarkIdMap: {},
+        tombstones: [],
+        deviceId: "dev-a",
+        logicalClock: 2,
+      });
+
+      await recordChange(
+        "created",
+        "id1",
+        { parentId: "p1", title: "X", url: "http://x.com", index: 0 },
+        async () => ["Toolbar"],
+        false,
+      );
+      await addLocalTombstoneDirectly(
+        { title: "Y", url: "http://y.com", path: ["Toolbar"], deleted: true },
+        () => false,
+      );
+
+      expect(savedValues("bookmarkIdMap")[0].id1).to.include({
+        clock: 3,
+        deviceId: "dev-a",
+      });
+      expect(savedValues("tombstones")[0][0]).to.include({
+        clock: 3,
+        deviceId: "dev-a",
+      });
+    });
   });
 
   // ============================================
@@ -165,9 +384,8 @@ describe("Storage Module", () => {
         false,
       );
 
-      expect(browser.storage.local.set.calledOnce).to.be.true;
-      const savedMap =
-        browser.storage.local.set.firstCall.args[0].bookmarkIdMap;
+      expect(savedValues("bookmarkIdMap")).to.have.lengthOf(1);
+      const savedMap = savedValues("bookmarkIdMap")[0];
       expect(savedMap["id1"]).to.deep.include({
         title: "X",
         url: "http://x.com",
@@ -176,6 +394,51 @@ describe("Storage Module", () => {
       });
     });
 
+    it("assigns a guid to 'created' bookmarks", async () => {
+      browser.storage.local.get.resolves({ bookmarkIdMap: {} });
+      await recordChange(
+        "created",
+        "id1",
+        { parentId: "p1", title: "X", url: "http://x.com", index: 0 },
+        mockGetPath,
+        false,
+      );
+
+      const savedMap = savedValues("bookmarkIdMap")[0];
+      expect(savedMap["id1"].guid).to.be.a("string");
+    });
+
+    it("keeps the guid on 'changed' and 'moved'", async () => {
+      const existing = {
+        id1: {
+          title: "Old",
+          path: ["Toolbar"],
+          url: "http://x.com",
+          index: 0,
+          guid: "g1",
+        },
+      };
+      browser.storage.local.get.resolves({ bookmarkIdMap: existing });
+
+      await recordChange(
+        "changed",
+        "id1",
+        { title: "New" },
+        mockGetPath,
+        false,
+      );
+      await recordChange(
+        "moved",
+        "id1",
+        { parentId: "p2", index: 1 },
+        mockGetPath,
+        false,
+      );
+
+      expect(savedValues("bookmarkIdMap")[0]["id1"].guid).to.equal("g1");
+      expect(savedValues("bookmarkIdMap")[1]["id1"].guid).to.equal("g1");
+    });
+
     it("records 'changed' - updates existing entry", async () => {
       const existing = {
         id1: {
@@ -195,8 +458,7 @@ describe("Storage Module", () => {
         false,
       );
 
-      const savedMap =
-        browser.storage.local.set.firstCall.args[0].bookmarkIdMap;
+      const savedMap = savedValues("bookmarkIdMap")[0];
       expect(savedMap["id1"].title).to.equal("New");
       expect(savedMap["id1"].url).to.equal("http://new.com");
       expect(savedMap["id1"].path).to.deep.equal(["Toolbar"]); // path unchanged
@@ -217,8 +479,7 @@ describe("Storage Module", () => {
 
       await recordChange("changed", "id1", { title: "X" }, mockGetPath, false);
 
-      const savedMap =
-        browser.storage.local.set.firstCall.args[0].bookmarkIdMap;
+      const savedMap = savedValues("bookmarkIdMap")[0];
       expect(savedMap["id1"]).to.deep.include({
         title: "X",
         url: "http://x.com",
@@ -240,8 +501,7 @@ describe("Storage Module", () => {
         false,
       );
 
-      const savedMap =
-        browser.storage.local.set.firstCall.args[0].bookmarkIdMap;
+      const savedMap = savedValues("bookmarkIdMap")[0];
       expect(savedMap["id1"].path).to.deep.equal(["NewPath"]);
       expect(savedMap["id1"].index).to.equal(3);
     });
@@ -255,8 +515,7 @@ describe("Storage Module", () => {
 
       await recordChange("removed", "id1", {}, mockGetPath, false);
 
-      const savedMap =
-        browser.storage.local.set.firstCall.args[0].bookmarkIdMap;
+      const savedMap = savedValues("bookmarkIdMap")[0];
       expect(savedMap["id1"]).to.be.undefined;
       expect(savedMap["id2"]).to.exist;
     });
@@ -306,8 +565,8 @@ describe("Storage Module", () => {
         mockMatch,
       );
 
-      expect(browser.storage.local.set.calledOnce).to.be.true;
-      const saved = browser.storage.local.set.firstCall.args[0].tombstones;
+      expect(savedValues("tombstones")).to.have.lengthOf(1);
+      const saved = savedValues("tombstones")[0];
       expect(saved).to.have.lengthOf(1);
       expect(saved[0].deleted).to.be.true;
     });
@@ -347,7 +606,7 @@ describe("Storage Module", () => {
         mockMatch,
       );
 
-      const saved = browser.storage.local.set.firstCall.args[0].tombstones;
+      const saved = savedValues("tombstones")[0];
       expect(saved).to.have.lengthOf(1);
     });
 
@@ -501,4 +760,215 @@ describe("Storage Module", () => {
       expect(logs).to.deep.equal(stored);
     });
   });
+
+  // ============================================
+  // Sync History
+  // ============================================
+
+  describe("saveSyncHistoryEntry()", () => {
+    it("adds the entry to the front", async () => {
+      browser.storage.local.get.resolves({ syncHistory: [{ id: "a" }] });
+
+      await saveSyncHistoryEntry({ id: "b" });
+
+      const saved = browser.storage.local.set.firstCall.args[0].syncHistory;
+      expect(saved.map((e) => e.id)).to.deep.equal(["b", "a"]);
+    });
+
+    it("keeps at most MAX_SYNC_HISTORY entries", async () => {
+      const history = Array.from({ length: MAX_SYNC_HISTORY }, (_, i) => ({
+        id: String(i),
+      }));
+      browser.storage.local.get.resolves({ syncHistory: history });
+
+      await saveSyncHistoryEntry({ id: "new" });
+
+      const saved = browser.storage.local.set.firstCall.args[0].syncHistory;
+      expect(saved).to.have.lengthOf(MAX_SYNC_HISTORY);
+      expect(saved[0].id).to.equal("new");
+      expect(saved.some((e) => e.id === String(MAX_SYNC_HISTORY - 1))).to.be
+        .false;
+    });
+
+    it("drops the oldest entries beyond MAX_SYNC_HISTORY_SIZE", async () => {
+      const payload = "x".repeat(MAX_SYNC_HISTORY_SIZE * 0.4);
+      browser.storage.local.get.resolves({
+        syncHistory: [
+          { id: "a", before: payload },
+          { id: "b", before: payload },
+        ],
+      });
+
+      await saveSyncHistoryEntry({ id: "new", before: payload });
+
+      const saved = browser.storage.local.set.firstCall.args[0].syncHistory;
+      expect(saved.map((e) => e.id)).to.deep.equal(["new", "a"]);
+    });
+
+    it("keeps the newest entry whatever its size", async () => {
+      browser.storage.local.get.resolves({ syncHistory: [{ id: "a" }] });
+
+      await saveSyncHistoryEntry({
+        id: "new",
+        before: "x".repeat(MAX_SYNC_HISTORY_SIZE),
+      });
+
+      const saved = browser.storage.local.set.firstCall.args[0].syncHistory;
+      expect(saved.map((e) => e.id)).to.deep.equal(["new"]);
+    });
+  });
+
+  describe("getSyncHistory()", () => {
+    it("returns empty array when none stored", async () => {
+      expect(await getSyncHistory()).to.deep.equal([]);
+    });
+  });
+
+  // ============================================
+  // Undo Last Sync
+  // ============================================
+
+  describe("last sync undo", () => {
+    it("getLastSyncUndo returns null when none stored", async () => {
+      expect(await getLastSyncUndo()).to.be.null;
+    });
+
+    it("saveLastSyncUndo replaces the previous record", async () => {
+      await saveLastSyncUndo({ timestamp: "t" });
+      expect(browser.storage.local.set.firstCall.args[0]).to.deep.equal({
+        lastSyncUndo: { timestamp: "t" },
+      });
+    });
+
+    it("clearLastSyncUndo removes the record", async () => {
+      await clearLastSyncUndo();
+      expect(browser.storage.local.remove.calledWith("lastSyncUndo")).to.be
+        .true;
+    });
+  });
+
+  // ============================================
+  // Session State
+  // ============================================
+
+  describe("session state", () => {
+    beforeEach(() => {
+      browser.storage.session.get.reset();
+      browser.storage.session.set.reset();
+      browser.storage.session.get.resolves({});
+      browser.storage.session.set.resolves();
+    });
+
+    it("keeps the state in storage.session", async () => {
+      await saveSessionState({ confirmationTabId: 4 });
+      expect(browser.storage.session.set.firstCall.args[0]).to.deep.equal({
+        sessionState: { confirmationTabId: 4 },
+      });
+      expect(browser.storage.local.set.called).to.be.false;
+    });
+
+    it("getSessionState returns empty object when none stored", async () => {
+      expect(await getSessionState()).to.deep.equal({});
+    });
+
+    it("startSession is true only for the first start", async () => {
+      expect(await startSession()).to.be.true;
+      expect(browser.storage.session.set.calledWith({ sessionStarted: true }))
+        .to.be.true;
+
+      browser.storage.session.get.resolves({ sessionStarted: true });
+      expect(await startSession()).to.be.false;
+    });
+  });
+
+  describe("sync schedule", () => {
+    it("getSyncSchedule returns no next run and no failures by default", async () => {
+      expect(await getSyncSchedule()).to.deep.equal({
+        nextRun: null,
+        failures: 0,
+      });
+    });
+
+    it("keeps the schedule in storage.local", async () => {
+      await saveSyncSchedule({ nextRun: 42, failures: 1 });
+      expect(browser.storage.local.set.firstCall.args[0]).to.deep.equal({
+        syncSchedule: { nextRun: 42, failures: 1 },
+      });
+
+      browser.storage.local.get.resolves({
+        syncSchedule: { nextRun: 42, failures: 1 },
+      });
+      expect(await getSyncSchedule()).to.deep.equal({
+        nextRun: 42,
+        failures: 1,
+      });
+    });
+  });
+
+  // ============================================
+  // Profiles
+  // ============================================
+
+  describe("profiles", () => {
+    it("keeps the plain keys for the default profile", () => {
+      expect(profileStorageKey("tombstones")).to.equal("tombstones");
+      expect(profileStorageKey("tombstones", DEFAULT_PROFILE_ID)).to.equal(
+        "tombstones",
+      );
+    });
+
+    it("namespaces the keys of other profiles", () => {
+      expect(profileStorageKey("tombstones", "team")).to.equal(
+        "tombstones:team",
+      );
+    });
+
+    it("reads and writes the state of a profile under its keys", async () => {
+      const state = [{ title: "A", path: ["Bookmarks Toolbar"], index: 0 }];
+      browser.storage.local.get.callsFake(async ([key]) =>
+        key === "lastSyncedState:team" ? { [key]: state } : {},
+      );
+
+      expect(await getLastSyncedState("team")).to.deep.equal(state);
+      expect(await getLastSyncedState()).to.deep.equal([]);
+
+      await saveLocalTombstones([], "team");
+      expect(browser.storage.local.set.firstCall.args[0]).to.deep.equal({
+        "tombstones:team": [],
+      });
+    });
+
+    it("records changes in the bookmark id map of the profile", async () => {
+      browser.storage.local.get.resolves({});
+      await recordChange(
+        "created",
+        "b1",
+        { title: "A", url: "https://a.example", parentId: "tb", index: 0 },
+        async () => ["Bookmarks Toolbar"],
+        false,
+        "team",
+      );
+      expect(savedValues("bookmarkIdMap")).to.be.empty;
+      expect(savedValues("bookmarkIdMap:team")[0].b1.title).to.equal("A");
+    });
+
+    it("stores the status message per profile", async () => {
+      await saveStatusMessage("Last sync: now", "team");
+      expect(browser.storage.local.set.firstCall.args[0]).to.deep.equal({
+        "message:team": "Last sync: now",
+      });
+    });
+
+    it("removes the whole state of a deleted profile", async () => {
+      await removeProfileState("team");
+      expect(browser.storage.local.remove.firstCall.args[0]).to.deep.equal(
+        PROFILE_STATE_KEYS.map((key) => `${key}:team`),
+      );
+    });
+
+    it("never removes the state of the default profile", async () => {
+      await removeProfileState(DEFAULT_PROFILE_ID);
+      expect(browser.storage.local.remove.called).to.be.false;
+    });
+  });
 });
@@ -22,6 +22,21 @@ const {
   protectFoldersWithContent,
   diffStates,
   categorizeChanges,
+  mergeAttributes,
+  generateGuid,
+  findByIdentity,
+  findConflictingAttribute,
+  rootFolderName,
+  folderSegment,
+  canonicalizeRootFolders,
+  scopeRecords,
+  unscopeRecords,
+  recordsOutsideScope,
+  mergeIntoScope,
+  urlPatternRegExp,
+  invalidUrlPatterns,
+  hasExclusions,
+  exclusionMatcher,
 } = mod;
 
 describe("Sync Helper Functions", () => {
@@ -648,6 +663,78 @@ describe("Sync Helper Functions", () => {
       expect(result.deletions).to.be.empty;
       expect(result.insertions).to.be.empty;
     });
+
+    it("pairs records by guid and reports a rename as an update", () => {
+      const current = [
+        {
+          title: "Old",
+          url: "http://x.com",
+          path: ["Toolbar"],
+          index: 0,
+          guid: "g1",
+        },
+      ];
+      const target = [
+        {
+          title: "New",
+          url: "http://x.com",
+          path: ["Toolbar"],
+          index: 0,
+          guid: "g1",
+        },
+      ];
+      const result = diffStates(current, target);
+      expect(result.insertions).to.be.empty;
+      expect(result.deletions).to.be.empty;
+      expect(result.updates).to.have.lengthOf(1);
+      expect(result.updates[0].changedAttribute).to.equal("title");
+      expect(result.updates[0].newBookmark.title).to.equal("New");
+    });
+
+    it("reports a move of a guid record as a path update", () => {
+      const current = [
+        { title: "X", url: "http://x.com", path: ["A"], index: 0, guid: "g1" },
+      ];
+      const target = [
+        { title: "X", url: "http://x.com", path: ["B"], index: 2, guid: "g1" },
+      ];
+      const result = diffStates(current, target);
+      expect(result.updates).to.have.lengthOf(1);
+      expect(result.updates[0].changedAttribute).to.equal("path");
+    });
+
+    it("falls back to 3-of-3 when guids are missing or differ", () => {
+      const current = [
+        { title: "X", url: "http://x.com", path: ["Toolbar"], index: 0 },
+        {
+          title: "Y",
+          url: "http://y.com",
+          path: ["Toolbar"],
+          index: 1,
+          guid: "g-local",
+        },
+      ];
+      const target = [
+        {
+          title: "X",
+          url: "http://x.com",
+          path: ["Toolbar"],
+          index: 0,
+          guid: "g1",
+        },
+        {
+          title: "Y",
+          url: "http://y.com",
+          path: ["Toolbar"],
+          index: 1,
+          guid: "g-remote",
+        },
+      ];
+      const result = diffStates(current, target);
+      expect(result.insertions).to.be.empty;
+      expect(result.deletions).to.be.empty;
+      expect(result.updates).to.be.empty;
+    });
   });
 
   // ============================================
@@ -719,6 +806,43 @@ describe("Sync Helper Functions", () => {
       expect(result.deleted).to.have.lengthOf(1); // Y
       expect(result.added).to.have.lengthOf(1); // Z
     });
+
+    it("matches an edited record by guid", () => {
+      const old = [
+        { title: "X", url: "http://x.com", path: ["A"], index: 0, guid: "g1" },
+      ];
+      const current = [
+        {
+          title: "X2",
+          url: "http://x2.com",
+          path: ["B"],
+          index: 0,
+          guid: "g1",
+        },
+      ];
+      const result = categorizeChanges(old, current, []);
+      expect(result.unchanged).to.have.lengthOf(1);
+      expect(result.unchanged[0].current.title).to.equal("X2");
+      expect(result.added).to.be.empty;
+    });
+
+    it("finds the tombstone of a renamed and deleted record by guid", () => {
+      const old = [
+        { title: "X", url: "http://x.com", path: ["A"], index: 0, guid: "g1" },
+      ];
+      const tombstones = [
+        {
+          title: "Renamed",
+          url: "http://x.com",
+          path: ["A"],
+          index: 0,
+          deleted: true,
+          guid: "g1",
+        },
+      ];
+      const result = categorizeChanges(old, [], tombstones);
+      expect(result.deleted).to.have.lengthOf(1);
+    });
   });
 
   // ============================================
@@ -745,5 +869,354 @@ describe("Sync Helper Functions", () => {
       const tomb = createTombstone({ title: "F", path: ["Toolbar"], index: 0 });
       expect(tomb.url).to.equal("");
     });
+
+    it("keeps the guid of the deleted record", () => {
+      const tomb = createTombstone({
+        title: "X",
+        url: "http://x.com",
+        path: ["Toolbar"],
+        index: 0,
+        guid: "g1",
+      });
+      expect(tomb.guid).to.equal("g1");
+    });
+
+    it("omits guid for records without one", () => {
+      const tomb = createTombstone({ title: "F", path: ["Toolbar"], index: 0 });
+      expect(tomb).to.not.have.property("guid");
+    });
+  });
+
+  // ============================================
+  // generateGuid / findByIdentity
+  // ============================================
+  describe("generateGuid()", () => {
+    it("returns a different UUID on every call", () => {
+      const a = generateGuid();
+      const b = generateGuid();
+      expect(a).to.match(/^[0-9a-f-]{36}$/);
+      expect(a).to.not.equal(b);
+    });
+  });
+
+  describe("findByIdentity()", () => {
+    const list = [
+      { title: "X", url: "http://x.com", path: ["Toolbar"], guid: "g1" },
+      { title: "Y", url: "http://y.com", path: ["Toolbar"], guid: "g2" },
+    ];
+
+    it("prefers a guid match over a 3-of-3 match", () => {
+      const found = findByIdentity(
+        { title: "X", url: "http://x.com", path: ["Toolbar"], guid: "g2" },
+        list,
+      );
+      expect(found.title).to.equal("Y");
+    });
+
+    it("falls back to 3-of-3 for unknown or missing guids", () => {
+      expect(
+        findByIdentity(
+          { title: "X", url: "http://x.com", path: ["Toolbar"], guid: "g9" },
+          list,
+        ).guid,
+      ).to.equal("g1");
+      const legacy = { title: "Y", url: "http://y.com", path: ["Toolbar"] };
+      expect(findByIdentity(legacy, list).guid).to.equal("g2");
+    });
+  });
+
+  describe("findConflictingAttribute()", () => {
+    const old = { title: "X", url: "http://x.com", path: ["A"], index: 0 };
+
+    it("reports an attribute both sides changed differently", () => {
+      expect(
+        findConflictingAttribute(
+          old,
+          { ...old, url: "http://a.com" },
+          { ...old, url: "http://b.com" },
+        ),
+      ).to.equal("url");
+    });
+
+    it("ignores identical edits, one-sided edits and index changes", () => {
+      expect(
+        findConflictingAttribute(
+          old,
+          { ...old, title: "Y", index: 1 },
+          { ...old, title: "Y", path: ["B"], index: 2 },
+        ),
+      ).to.be.null;
+    });
+  });
+
+  // ============================================
+  // mergeAttributes
+  // ============================================
+  describe("mergeAttributes()", () => {
+    const old = {
+      title: "X",
+      url: "http://x.com",
+      path: ["Toolbar"],
+      index: 0,
+      guid: "g1",
+    };
+
+    it("takes each attribute from the side that changed it", () => {
+      const local = { ...old, title: "Local title" };
+      const remote = { ...old, path: ["Other"], index: 3 };
+      expect(mergeAttributes(old, local, remote)).to.deep.equal({
+        title: "Local title",
+        url: "http://x.com",
+        path: ["Other"],
+        index: 3,
+        guid: "g1",
+      });
+    });
+
+    it("lets local win when both changed the same attribute", () => {
+      const local = { ...old, url: "http://local.com" };
+      const remote = { ...old, url: "http://remote.com" };
+      expect(mergeAttributes(old, local, remote).url).to.equal(
+        "http://local.com",
+      );
+    });
+
+    it("does not add a url to folders", () => {
+      const folder = { title: "F", path: ["Toolbar"], index: 0 };
+      const remote = { ...folder, index: 1 };
+      expect(mergeAttributes(folder, folder, remote)).to.deep.equal({
+        title: "F",
+        path: ["Toolbar"],
+        index: 1,
+      });
+    });
+  });
+
+  // ============================================
+  // root folders
+  // ============================================
+  describe("rootFolderName()", () => {
+    it("names Firefox roots by their fixed ids", () => {
+      const node = {
+        id: "toolbar_____",
+        parentId: "root________",
+        title: "Lesezeichen-Symbolleiste",
+      };
+      expect(rootFolderName(node)).to.equal("toolbar");
+      expect(
+        rootFolderName({ id: "unfiled_____", parentId: "root________" }),
+      ).to.equal("other");
+    });
+
+    it("names Chromium roots by folderType or numeric id", () => {
+      expect(
+        rootFolderName({ id: "1", parentId: "0", title: "Bookmarks bar" }),
+      ).to.equal("toolbar");
+      expect(
+        rootFolderName({ id: "9", parentId: "0", folderType: "mobile" }),
+      ).to.equal("mobile");
+    });
+
+    it("returns null for other nodes", () => {
+      expect(rootFolderName({ id: "1", parentId: "toolbar_____" })).to.be.null;
+      expect(rootFolderName({ id: "root________", title: "" })).to.be.null;
+    });
+  });
+
+  describe("folderSegment()", () => {
+    it("uses the canonical name for roots and the title otherwise", () => {
+      expect(
+        folderSegment({
+          id: "menu________",
+          parentId: "root________",
+          title: "Lesezeichen-Menü",
+        }),
+      ).to.equal("menu");
+      expect(
+        folderSegment({ id: "f1", parentId: "1", title: "Work" }),
+      ).to.equal("Work");
+    });
+  });
+
+  describe("canonicalizeRootFolders()", () => {
+    it("maps legacy root titles in root records and paths", () => {
+      const records = [
+        { title: "Bookmarks Toolbar", path: [], index: 1 },
+        {
+          title: "X",
+          url: "http://x.com",
+          path: ["Bookmarks bar", "Work"],
+          index: 0,
+        },
+        { title: "Bookmarks Toolbar", path: ["other"], index: 0 },
+      ];
+      expect(canonicalizeRootFolders(records)).to.deep.equal([
+        { title: "toolbar", path: [], index: 1 },
+        {
+          title: "X",
+          url: "http://x.com",
+          path: ["toolbar", "Work"],
+          index: 0,
+        },
+        { title: "Bookmarks Toolbar", path: ["other"], index: 0 },
+      ]);
+    });
+
+    it("uses the given titles for localized roots", () => {
+      const rootTitles = new Map([["Weitere Lesezeichen", "other"]]);
+      const records = [{ title: "Y", path: ["Weitere Lesezeichen"], index: 0 }];
+      expect(canonicalizeRootFolders(records, rootTitles)).to.deep.equal([
+        { title: "Y", path: ["other"], index: 0 },
+      ]);
+    });
+
+    it("passes null through", () => {
+      expect(canonicalizeRootFolders(null)).to.be.null;
+    });
+  });
+
+  // ============================================
+  // folder scope
+  // ============================================
+  describe("folder scope", () => {
+    const records = [
+      { title: "toolbar", path: [], index: 0 },
+      { title: "Team", path: ["toolbar"], index: 0 },
+      { title: "A", url: "http://a.com", path: ["toolbar", "Team"], index: 0 },
+      { title: "Sub", path: ["toolbar", "Team"], index: 1 },
+      {
+        title: "B",
+        url: "http://b.com",
+        path: ["toolbar", "Team", "Sub"],
+        index: 0,
+      },
+      { title: "C", url: "http://c.com", path: ["toolbar"], index: 1 },
+    ];
+
+    it("keeps the records inside the root path, relative to it", () => {
+      expect(scopeRecords(records, ["toolbar", "Team"])).to.deep.equal([
+        { title: "A", url: "http://a.com", path: [], index: 0 },
+        { title: "Sub", path: [], index: 1 },
+        { title: "B", url: "http://b.com", path: ["Sub"], index: 0 },
+      ]);
+    });
+
+    it("leaves the records alone without a root path", () => {
+      expect(scopeRecords(records, [])).to.equal(records);
+      expect(unscopeRecords(records)).to.equal(records);
+      expect(recordsOutsideScope(records)).to.deep.equal([]);
+    });
+
+    it("puts relative records back at the root path", () => {
+      const scoped = scopeRecords(records, ["toolbar", "Team"]);
+      expect(unscopeRecords(scoped, ["toolbar", "Team"])).to.deep.equal(
+        records.slice(2, 5),
+      );
+    });
+
+    it("returns the records outside the root path, the root folder too", () => {
+      expect(recordsOutsideScope(records, ["toolbar", "Team"])).to.deep.equal([
+        records[0],
+        records[1],
+        records[5],
+      ]);
+    });
+
+    it("merges synced records with those outside the root path", () => {
+      const outside = recordsOutsideScope(records, ["toolbar", "Team"]);
+      const synced = [{ title: "D", url: "http://d.com", path: [], index: 0 }];
+      expect(
+        mergeIntoScope(synced, outside, ["toolbar", "Team"]),
+      ).to.deep.equal([
+        ...outside,
+        {
+          title: "D",
+          url: "http://d.com",
+          path: ["toolbar", "Team"],
+          index: 0,
+        },
+      ]);
+    });
+
+    it("adds the folders of the root path when missing", () => {
+      const synced = [{ title: "D", url: "http://d.com", path: [], index: 0 }];
+      expect(mergeIntoScope(synced, [], ["shared", "Team"])).to.deep.equal([
+        {
+          title: "D",
+          url: "http://d.com",
+          path: ["shared", "Team"],
+          index: 0,
+        },
+        { title: "shared", path: [], index: 0 },
+        { title: "Team", path: ["shared"], index: 0 },
+      ]);
+    });
+  });
+
+  // ============================================
+  // exclusion rules
+  // ============================================
+  describe("exclusion rules", () => {
+    it("matches glob URL patterns, ignoring case", () => {
+      const regex = urlPatternRegExp("*://intranet.example.com/*");
+      expect(regex.test("https://Intranet.example.com/wiki")).to.be.true;
+      expect(regex.test("https://intranet.example.com.evil.org/")).to.be.false;
+      expect(urlPatternRegExp("file://*").test("file:///tmp/a.html")).to.be
+        .true;
+    });
+
+    it("matches /regex/ URL patterns", () => {
+      const regex = urlPatternRegExp("/^https?://10\\./");
+      expect(regex.test("http://10.0.0.1/")).to.be.true;
+      expect(regex.test("http://110.0.0.1/")).to.be.false;
+    });
+
+    it("ignores the g flag of a /regex/ URL pattern", () => {
+      const regex = urlPatternRegExp("/intranet/g");
+      expect(regex.test("https://intranet.example.com/a")).to.be.true;
+      expect(regex.test("https://intranet.example.com/b")).to.be.true;
+    });
+
+    it("reports invalid regular expressions", () => {
+      expect(invalidUrlPatterns(["place:*", "/a(/"])).to.deep.equal(["/a(/"]);
+      expect(invalidUrlPatterns()).to.deep.equal([]);
+    });
+
+    it("tells whether any rule is set", () => {
+      expect(hasExclusions()).to.be.false;
+      expect(hasExclusions({ folders: [], urls: [] })).to.be.false;
+      expect(hasExclusions({ folders: [["toolbar", "Private"]] })).to.be.true;
+      expect(hasExclusions({ urls: ["place:*"] })).to.be.true;
+    });
+
+    it("excludes an excluded folder and everything in it", () => {
+      const isExcluded = exclusionMatcher({
+        folders: [["toolbar", "Private"]],
+      });
+      expect(isExcluded({ title: "Private", path: ["toolbar"] })).to.be.true;
+      expect(isExcluded({ title: "A", path: ["toolbar", "Private", "Sub"] })).to
+        .be.true;
+      expect(isExcluded({ title: "Privateer", path: ["toolbar"] })).to.be.false;
+      expect(isExcluded({ title: "A", path: ["toolbar"] })).to.be.false;
+    });
+
+    it("excludes bookmarks by URL, never folders", () => {
+      const isExcluded = exclusionMatcher({ urls: ["place:*", "/a(/"] });
+      expect(isExcluded({ title: "R", url: "place:sort=8", path: [] })).to.be
+        .true;
+      expect(isExcluded({ title: "A", url: "http://a.com", path: [] })).to.be
+        .false;
+      expect(isExcluded({ title: "place:", path: [] })).to.be.false;
+    });
+
+    it("resolves relative record paths against the root path", () => {
+      const isExcluded = exclusionMatcher(
+        { folders: [["toolbar", "Team", "Private"]] },
+        ["toolbar", "Team"],
+      );
+      expect(isExcluded({ title: "Private", path: [] })).to.be.true;
+      expect(isExcluded({ title: "A", path: ["Private"] })).to.be.true;
+      expect(isExcluded({ title: "A", path: [] })).to.be.false;
+    });
   });
 });
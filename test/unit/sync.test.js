@@ -6,9 +6,17 @@ const filePath = path.join(process.cwd(), "src/sync.js");
 const code = fs.readFileSync(filePath, "utf-8");
 const moduleExports = eval(code);
 const calcSyncChanges = moduleExports.calcSyncChanges;
+const calcOneWayChanges = moduleExports.calcOneWayChanges;
+const decideSyncAction = moduleExports.decideSyncAction;
+const SYNC_DECISIONS = moduleExports.SYNC_DECISIONS;
+const findMassDeletion = moduleExports.findMassDeletion;
+const compareClocks = moduleExports.compareClocks;
 const detectFolderConflicts = moduleExports.detectFolderConflicts;
 const createTombstone = moduleExports.createTombstone;
 const calcMove = moduleExports.calcMove;
+const resolveConflicts = moduleExports.resolveConflicts;
+const stateWithDeferred = moduleExports.stateWithDeferred;
+const excludedChangeItems = moduleExports.excludedChangeItems;
 
 /**
  * 3-State Sync Tests
@@ -2302,4 +2310,915 @@ describe("3-State Sync Algorithm", () => {
       expect(xInNewState.index).to.equal(0);
     });
   });
+
+  // ============================================
+  // GUID IDENTITY
+  // ============================================
+
+  describe("GUID Identity", () => {
+    const x = {
+      title: "X",
+      url: "http://x.com",
+      path: ["Toolbar"],
+      index: 0,
+      guid: "g1",
+    };
+
+    it("Remote rename -> title update locally, no delete+insert", () => {
+      const oldRemoteState = [x];
+      const currentLocalState = [x];
+      const currentRemoteState = [{ ...x, title: "X2" }];
+
+      const result = calcSyncChanges(
+        oldRemoteState,
+        currentLocalState,
+        currentRemoteState,
+      );
+
+      expect(result.conflicts).to.be.empty;
+      expect(result.localChanges.insertions).to.be.empty;
+      expect(result.localChanges.deletions).to.be.empty;
+      expect(result.localChanges.updates).to.have.lengthOf(1);
+      expect(result.localChanges.updates[0].changedAttribute).to.equal("title");
+      expect(result.localChanges.updates[0].newBookmark.title).to.equal("X2");
+      expect(result.remoteChanges.updates).to.be.empty;
+    });
+
+    it("Local rename + remote move -> both edits merged", () => {
+      const oldRemoteState = [x];
+      const currentLocalState = [{ ...x, title: "X2" }];
+      const currentRemoteState = [{ ...x, path: ["Toolbar", "F"] }];
+
+      const result = calcSyncChanges(
+        oldRemoteState,
+        currentLocalState,
+        currentRemoteState,
+      );
+
+      expect(result.conflicts).to.be.empty;
+      const merged = result.newState.filter((bm) => !bm.deleted);
+      expect(merged).to.have.lengthOf(1);
+      expect(merged[0]).to.include({ title: "X2", guid: "g1" });
+      expect(merged[0].path).to.deep.equal(["Toolbar", "F"]);
+      expect(result.localChanges.updates[0].changedAttribute).to.equal("path");
+      expect(result.remoteChanges.updates[0].changedAttribute).to.equal(
+        "title",
+      );
+    });
+
+    it("Rename leaves a tombstone for the old key (for 3-of-3 peers)", () => {
+      const oldRemoteState = [x];
+      const currentLocalState = [{ ...x, url: "http://x2.com" }];
+      const currentRemoteState = [x];
+
+      const result = calcSyncChanges(
+        oldRemoteState,
+        currentLocalState,
+        currentRemoteState,
+      );
+
+      const tombstone = result.newState.find((bm) => bm.deleted);
+      expect(tombstone).to.include({ title: "X", url: "http://x.com" });
+      expect(tombstone).to.not.have.property("guid");
+    });
+
+    it("Legacy remote without guids -> falls back to 3-of-3", () => {
+      const legacyX = { title: "X", url: "http://x.com", path: ["Toolbar"] };
+      const oldRemoteState = [{ ...legacyX, index: 0 }];
+      const currentLocalState = [
+        { ...x, title: "X2" },
+        // Tombstone created by the onChanged listener for the old key
+        { ...createTombstone(legacyX), index: 0 },
+      ];
+      const currentRemoteState = [{ ...legacyX, index: 0 }];
+
+      const result = calcSyncChanges(
+        oldRemoteState,
+        currentLocalState,
+        currentRemoteState,
+      );
+
+      expect(result.conflicts).to.be.empty;
+      expect(result.remoteChanges.deletions).to.have.lengthOf(1);
+      expect(result.remoteChanges.deletions[0].title).to.equal("X");
+      expect(result.remoteChanges.insertions).to.have.lengthOf(1);
+      expect(result.remoteChanges.insertions[0]).to.include({
+        title: "X2",
+        guid: "g1",
+      });
+      expect(result.localChanges.insertions).to.be.empty;
+      expect(result.localChanges.deletions).to.be.empty;
+    });
+
+    it("Remote rename vs local delete -> the edited bookmark survives", () => {
+      const oldRemoteState = [x];
+      const currentLocalState = [createTombstone(x)];
+      const currentRemoteState = [{ ...x, title: "X2" }];
+
+      const result = calcSyncChanges(
+        oldRemoteState,
+        currentLocalState,
+        currentRemoteState,
+      );
+
+      expect(result.localChanges.insertions).to.have.lengthOf(1);
+      expect(result.localChanges.insertions[0].title).to.equal("X2");
+      expect(result.remoteChanges.deletions).to.be.empty;
+      expect(result.conflicts).to.have.lengthOf(1);
+      expect(result.conflicts[0].type).to.equal("delete_vs_edit");
+    });
+
+    it("Folder rename -> folder title update and path updates for contents", () => {
+      const folder = { title: "F", path: ["Toolbar"], index: 0, guid: "gf" };
+      const child = { ...x, path: ["Toolbar", "F"] };
+      const oldRemoteState = [folder, child];
+      const currentLocalState = [folder, child];
+      const currentRemoteState = [
+        { ...folder, title: "F2" },
+        { ...child, path: ["Toolbar", "F2"] },
+      ];
+
+      const result = calcSyncChanges(
+        oldRemoteState,
+        currentLocalState,
+        currentRemoteState,
+      );
+
+      expect(result.localChanges.insertions).to.be.empty;
+      expect(result.localChanges.deletions).to.be.empty;
+      expect(
+        result.localChanges.updates.map((u) => u.changedAttribute),
+      ).to.have.members(["title", "path"]);
+    });
+  });
+
+  // ============================================
+  // CONFLICTS (GUID records)
+  // ============================================
+
+  describe("Conflicts", () => {
+    const x = {
+      title: "X",
+      url: "http://x.com",
+      path: ["Toolbar", "F"],
+      index: 0,
+      guid: "g1",
+    };
+    const folder = { title: "F", path: ["Toolbar"], index: 0, guid: "gf" };
+
+    it("Both rename differently -> edit_conflict, local title kept", () => {
+      const result = calcSyncChanges(
+        [x],
+        [{ ...x, title: "Local" }],
+        [{ ...x, title: "Remote" }],
+      );
+
+      expect(result.conflicts).to.have.lengthOf(1);
+      expect(result.conflicts[0]).to.include({
+        type: "edit_conflict",
+        changedAttribute: "title",
+      });
+      expect(result.conflicts[0].bookmark).to.equal(x);
+      expect(result.conflicts[0].localVersion.title).to.equal("Local");
+      expect(result.conflicts[0].remoteVersion.title).to.equal("Remote");
+      const kept = result.newState.filter((bm) => !bm.deleted);
+      expect(kept).to.have.lengthOf(1);
+      expect(kept[0].title).to.equal("Local");
+    });
+
+    it("Both rename to the same title -> no conflict", () => {
+      const result = calcSyncChanges(
+        [x],
+        [{ ...x, title: "Same" }],
+        [{ ...x, title: "Same" }],
+      );
+      expect(result.conflicts).to.be.empty;
+    });
+
+    it("Title edited locally, url edited remotely -> merged, no conflict", () => {
+      const result = calcSyncChanges(
+        [x],
+        [{ ...x, title: "Local" }],
+        [{ ...x, url: "http://remote.com" }],
+      );
+      expect(result.conflicts).to.be.empty;
+    });
+
+    it("Both move to different folders -> edit_conflict on path", () => {
+      const result = calcSyncChanges(
+        [x],
+        [{ ...x, path: ["Toolbar", "A"] }],
+        [{ ...x, path: ["Toolbar", "B"] }],
+      );
+      expect(result.conflicts).to.have.lengthOf(1);
+      expect(result.conflicts[0].changedAttribute).to.equal("path");
+    });
+
+    it("Local edit vs remote delete -> delete_vs_edit (local modified)", () => {
+      const result = calcSyncChanges(
+        [x],
+        [{ ...x, url: "http://new.com" }],
+        [createTombstone(x)],
+      );
+      expect(result.conflicts).to.have.lengthOf(1);
+      expect(result.conflicts[0]).to.include({
+        type: "delete_vs_edit",
+        localAction: "modified",
+        remoteVersion: null,
+      });
+      expect(result.conflicts[0].localVersion.url).to.equal("http://new.com");
+    });
+
+    it("Delete vs index shift -> no conflict, deletion proceeds", () => {
+      const result = calcSyncChanges(
+        [x],
+        [createTombstone(x)],
+        [{ ...x, index: 3 }],
+      );
+      expect(result.conflicts).to.be.empty;
+      expect(result.remoteChanges.deletions).to.have.lengthOf(1);
+    });
+
+    it("Remote deletes folder, local edits content -> folder_deleted_remote", () => {
+      const y = { ...x, title: "Y", url: "http://y.com", guid: "g2" };
+      const result = calcSyncChanges(
+        [folder, x, y],
+        [folder, { ...x, title: "X edited" }, { ...y, title: "Y edited" }],
+        [createTombstone(folder), createTombstone(x), createTombstone(y)],
+      );
+
+      expect(result.conflicts).to.have.lengthOf(1);
+      expect(result.conflicts[0].type).to.equal("folder_deleted_remote");
+      expect(result.conflicts[0].folder).to.equal(folder);
+      expect(
+        result.conflicts[0].localContent.map((bm) => bm.title),
+      ).to.have.members(["X edited", "Y edited"]);
+      // The edited content keeps the folder alive until resolved
+      expect(result.newState.some((bm) => bm.title === "F" && !bm.deleted)).to
+        .be.true;
+    });
+
+    it("Local deletes folder, remote edits content -> folder_deleted_local", () => {
+      const oldRemoteState = [folder, x];
+      const currentLocalState = [createTombstone(folder), createTombstone(x)];
+      const currentRemoteState = [folder, { ...x, title: "X edited" }];
+
+      const result = calcSyncChanges(
+        oldRemoteState,
+        currentLocalState,
+        currentRemoteState,
+      );
+      const folderConflicts = detectFolderConflicts(
+        oldRemoteState,
+        currentLocalState,
+        currentRemoteState,
+      );
+
+      expect(result.conflicts).to.have.lengthOf(1);
+      expect(result.conflicts[0].type).to.equal("folder_deleted_local");
+      expect(result.conflicts[0].remoteContent[0].title).to.equal("X edited");
+      expect(folderConflicts).to.deep.equal(result.conflicts);
+    });
+
+    it("Local deletes folder, remote adds content -> no conflict", () => {
+      const result = calcSyncChanges(
+        [folder, x],
+        [createTombstone(folder), createTombstone(x)],
+        [folder, x, { ...x, title: "New", url: "http://new.com", guid: "g3" }],
+      );
+      expect(result.conflicts).to.be.empty;
+    });
+  });
+
+  describe("Conflict Resolution", () => {
+    const x = {
+      title: "X",
+      url: "http://x.com",
+      path: ["Toolbar", "F"],
+      index: 0,
+      guid: "g1",
+    };
+    const folder = { title: "F", path: ["Toolbar"], index: 0, guid: "gf" };
+    const active = (state) => state.filter((bm) => !bm.deleted);
+
+    const renameConflict = () =>
+      calcSyncChanges(
+        [x],
+        [{ ...x, title: "Local" }],
+        [{ ...x, title: "Remote" }],
+      );
+    const deleteVsEdit = () =>
+      calcSyncChanges([x], [createTombstone(x)], [{ ...x, title: "Edited" }]);
+
+    it("Keep local -> local version in newState, nothing deferred", () => {
+      const { newState, conflicts } = renameConflict();
+      const result = resolveConflicts(newState, conflicts, { 0: "local" });
+
+      expect(result.deferred).to.be.empty;
+      expect(active(result.newState).map((bm) => bm.title)).to.deep.equal([
+        "Local",
+      ]);
+    });
+
+    it("Keep remote -> remote version in newState", () => {
+      const { newState, conflicts } = renameConflict();
+      const result = resolveConflicts(newState, conflicts, { 0: "remote" });
+
+      const kept = active(result.newState);
+      expect(kept).to.have.lengthOf(1);
+      expect(kept[0]).to.include({ title: "Remote", guid: "g1" });
+    });
+
+    it("Keep remote still merges non-conflicting local edits", () => {
+      const { newState, conflicts } = calcSyncChanges(
+        [x],
+        [{ ...x, title: "Local", url: "http://local.com" }],
+        [{ ...x, title: "Remote" }],
+      );
+      const result = resolveConflicts(newState, conflicts, { 0: "remote" });
+
+      expect(active(result.newState)[0]).to.include({
+        title: "Remote",
+        url: "http://local.com",
+      });
+    });
+
+    it("Keep both -> local keeps the guid, remote becomes a new bookmark", () => {
+      const { newState, conflicts } = renameConflict();
+      const result = resolveConflicts(newState, conflicts, { 0: "both" });
+
+      const kept = active(result.newState);
+      expect(kept.map((bm) => bm.title)).to.have.members(["Local", "Remote"]);
+      expect(kept.find((bm) => bm.title === "Local").guid).to.equal("g1");
+      const duplicate = kept.find((bm) => bm.title === "Remote");
+      expect(duplicate.guid).to.be.a("string").and.not.equal("g1");
+    });
+
+    it("Deletion wins -> tombstone for the edited version too", () => {
+      const { newState, conflicts } = deleteVsEdit();
+      const result = resolveConflicts(newState, conflicts, { 0: "local" });
+
+      expect(active(result.newState)).to.be.empty;
+      const tombstoneTitles = result.newState
+        .filter((bm) => bm.deleted)
+        .map((bm) => bm.title);
+      expect(tombstoneTitles).to.include.members(["X", "Edited"]);
+    });
+
+    it("Edit wins over deletion -> edited version kept", () => {
+      const { newState, conflicts } = deleteVsEdit();
+      const result = resolveConflicts(newState, conflicts, { 0: "remote" });
+
+      expect(active(result.newState).map((bm) => bm.title)).to.deep.equal([
+        "Edited",
+      ]);
+    });
+
+    it("Missing or invalid choice -> deferred", () => {
+      const { newState, conflicts } = renameConflict();
+      const result = resolveConflicts(newState, conflicts, { 0: "bogus" });
+
+      expect(result.deferred).to.have.lengthOf(1);
+      expect(result.deferred[0].old).to.equal(x);
+      expect(result.deferred[0].local.title).to.equal("Local");
+      expect(result.deferred[0].remote.title).to.equal("Remote");
+    });
+
+    it("Deferred item -> each side keeps its own version", () => {
+      const { newState, conflicts } = renameConflict();
+      const { newState: resolved, deferred } = resolveConflicts(
+        newState,
+        conflicts,
+      );
+
+      const title = (side) =>
+        active(stateWithDeferred(resolved, deferred, side)).map(
+          (bm) => bm.title,
+        );
+      expect(title("local")).to.deep.equal(["Local"]);
+      expect(title("remote")).to.deep.equal(["Remote"]);
+      expect(title("old")).to.deep.equal(["X"]);
+    });
+
+    it("Deferred delete vs edit -> deleting side stays without the record", () => {
+      const { newState, conflicts } = deleteVsEdit();
+      const { newState: resolved, deferred } = resolveConflicts(
+        newState,
+        conflicts,
+      );
+
+      expect(active(stateWithDeferred(resolved, deferred, "local"))).to.be
+        .empty;
+      expect(
+        active(stateWithDeferred(resolved, deferred, "remote"))[0].title,
+      ).to.equal("Edited");
+    });
+
+    it("Folder conflict, deletion wins -> folder and content removed", () => {
+      const { newState, conflicts } = calcSyncChanges(
+        [folder, x],
+        [folder, { ...x, title: "X edited" }],
+        [createTombstone(folder), createTombstone(x)],
+      );
+      expect(conflicts[0].type).to.equal("folder_deleted_remote");
+
+      const result = resolveConflicts(newState, conflicts, { 0: "remote" });
+      expect(active(result.newState)).to.be.empty;
+    });
+
+    it("Folder conflict, content wins -> folder and edited content kept", () => {
+      const { newState, conflicts } = calcSyncChanges(
+        [folder, x],
+        [folder, { ...x, title: "X edited" }],
+        [createTombstone(folder), createTombstone(x)],
+      );
+
+      const result = resolveConflicts(newState, conflicts, { 0: "local" });
+      expect(active(result.newState).map((bm) => bm.title)).to.have.members([
+        "F",
+        "X edited",
+      ]);
+    });
+  });
+
+  describe("Selective Approval", () => {
+    const x = {
+      title: "X",
+      url: "http://x.com",
+      path: ["Toolbar"],
+      index: 0,
+      guid: "g1",
+    };
+    const y = { ...x, title: "Y", url: "http://y.com", index: 1, guid: "g2" };
+    const active = (state) => state.filter((bm) => !bm.deleted);
+
+    // Apply one sync with some changes unchecked, return the resulting
+    // local, remote and baseline states
+    const syncExcluding = (old, local, remote, excluded) => {
+      const { newState } = calcSyncChanges(old, local, remote);
+      const deferred = excludedChangeItems(excluded, old, local, remote);
+      return {
+        deferred,
+        local: active(stateWithDeferred(newState, deferred, "local")),
+        remote: stateWithDeferred(newState, deferred, "remote"),
+        baseline: active(stateWithDeferred(newState, deferred, "old")),
+      };
+    };
+
+    it("Unchecked incoming insertion -> not applied, proposed again", () => {
+      const result = syncExcluding([x], [x], [x, y], [y]);
+
+      expect(result.local.map((bm) => bm.title)).to.deep.equal(["X"]);
+      expect(active(result.remote).map((bm) => bm.title)).to.have.members([
+        "X",
+        "Y",
+      ]);
+      expect(result.baseline.map((bm) => bm.title)).to.deep.equal(["X"]);
+
+      const next = calcSyncChanges(
+        result.baseline,
+        result.local,
+        result.remote,
+      );
+      expect(next.localChanges.insertions).to.have.lengthOf(1);
+      expect(next.localChanges.insertions[0].title).to.equal("Y");
+    });
+
+    it("Unchecked outgoing deletion -> remote keeps it, tombstone kept", () => {
+      const result = syncExcluding(
+        [x, y],
+        [x, createTombstone(y)],
+        [x, y],
+        [y],
+      );
+
+      expect(result.deferred).to.deep.equal([
+        { old: y, local: null, remote: y },
+      ]);
+      expect(active(result.remote).map((bm) => bm.title)).to.have.members([
+        "X",
+        "Y",
+      ]);
+      expect(result.remote.some((bm) => bm.deleted)).to.be.false;
+      expect(result.baseline.map((bm) => bm.title)).to.have.members(["X", "Y"]);
+    });
+
+    it("Unchecked incoming deletion -> remote keeps its tombstone", () => {
+      const result = syncExcluding(
+        [x, y],
+        [x, y],
+        [x, createTombstone(y)],
+        [y],
+      );
+
+      expect(result.local.map((bm) => bm.title)).to.have.members(["X", "Y"]);
+      expect(active(result.remote).map((bm) => bm.title)).to.deep.equal(["X"]);
+      expect(result.remote.some((bm) => bm.deleted && bm.title === "Y")).to.be
+        .true;
+    });
+
+    it("Unchecked update -> each side keeps its version", () => {
+      const renamed = { ...y, title: "Y renamed" };
+      const result = syncExcluding([x, y], [x, y], [x, renamed], [y, renamed]);
+
+      expect(result.deferred).to.have.lengthOf(1);
+      expect(result.local.map((bm) => bm.title)).to.have.members(["X", "Y"]);
+      expect(active(result.remote).map((bm) => bm.title)).to.have.members([
+        "X",
+        "Y renamed",
+      ]);
+      expect(result.baseline.find((bm) => bm.guid === "g2").title).to.equal(
+        "Y",
+      );
+    });
+
+    it("Legacy records without guid are matched by key", () => {
+      const a = {
+        title: "A",
+        url: "http://a.com",
+        path: ["Toolbar"],
+        index: 0,
+      };
+      const result = syncExcluding([], [a], [], [a]);
+
+      expect(result.deferred).to.deep.equal([
+        { old: null, local: a, remote: null },
+      ]);
+      expect(active(result.remote)).to.be.empty;
+      expect(result.baseline).to.be.empty;
+    });
+
+    it("Checked changes are unaffected", () => {
+      const z = { ...x, title: "Z", url: "http://z.com", guid: "g3" };
+      const result = syncExcluding([x], [x, z], [x, y], [y]);
+
+      expect(result.local.map((bm) => bm.title)).to.have.members(["X", "Z"]);
+      expect(active(result.remote).map((bm) => bm.title)).to.have.members([
+        "X",
+        "Y",
+        "Z",
+      ]);
+    });
+  });
+
+  // ============================================
+  // ONE-WAY SYNC (push only / pull only)
+  // ============================================
+
+  describe("One-Way Sync", () => {
+    const x = { title: "X", url: "http://x.com", path: ["Toolbar"], index: 0 };
+    const y = { title: "Y", url: "http://y.com", path: ["Toolbar"], index: 1 };
+    const z = { title: "Z", url: "http://z.com", path: ["Toolbar"], index: 2 };
+
+    it("Push -> remote becomes the local state, local untouched", () => {
+      const result = calcOneWayChanges([x, z], [x, y], "local");
+
+      expect(result.localChanges.insertions).to.be.empty;
+      expect(result.localChanges.deletions).to.be.empty;
+      expect(result.remoteChanges.insertions).to.deep.equal([z]);
+      expect(result.remoteChanges.deletions).to.deep.equal([y]);
+      expect(result.newState).to.deep.equal([x, z]);
+      expect(result.conflicts).to.be.empty;
+    });
+
+    it("Pull -> local edits are reverted to the remote", () => {
+      const renamed = { ...x, title: "X renamed" };
+      const result = calcOneWayChanges(
+        [renamed, z, createTombstone(y)],
+        [x, y],
+        "remote",
+      );
+
+      expect(result.remoteChanges.insertions).to.be.empty;
+      expect(result.remoteChanges.deletions).to.be.empty;
+      expect(result.localChanges.insertions).to.have.deep.members([x, y]);
+      expect(result.localChanges.deletions).to.have.deep.members([renamed, z]);
+      expect(result.newState).to.deep.equal([x, y]);
+    });
+
+    it("Pull -> remote tombstones are not copied", () => {
+      const result = calcOneWayChanges([x], [x, createTombstone(y)], "remote");
+
+      expect(result.localChanges.insertions).to.be.empty;
+      expect(result.localChanges.deletions).to.be.empty;
+      expect(result.newState).to.deep.equal([x]);
+    });
+
+    it("Conflicting edits on both sides -> source side wins", () => {
+      const local = { ...x, guid: "g1", title: "Local" };
+      const remote = { ...x, guid: "g1", title: "Remote" };
+      const pushed = calcOneWayChanges([local], [remote], "local");
+      const pulled = calcOneWayChanges([local], [remote], "remote");
+
+      expect(pushed.remoteChanges.updates).to.have.lengthOf(1);
+      expect(pushed.remoteChanges.updates[0].newBookmark.title).to.equal(
+        "Local",
+      );
+      expect(pulled.localChanges.updates).to.have.lengthOf(1);
+      expect(pulled.localChanges.updates[0].newBookmark.title).to.equal(
+        "Remote",
+      );
+      expect(pushed.conflicts).to.be.empty;
+      expect(pulled.conflicts).to.be.empty;
+    });
+  });
+
+  // ============================================
+  // AUTO-APPLY POLICY
+  // ============================================
+
+  describe("Auto-Apply Policy", () => {
+    const x = { title: "X", url: "http://x.com", path: ["Toolbar"], index: 0 };
+    const folder = { title: "F", path: ["Toolbar"], index: 1 };
+    const policy = { enabled: true, maxDeletions: 2 };
+    const none = { insertions: [], deletions: [], updates: [] };
+    const decide = (localChanges, remoteChanges = none, conflicts = []) =>
+      decideSyncAction({ localChanges, remoteChanges, conflicts }, policy);
+    const update = (changes) => ({
+      oldBookmark: x,
+      newBookmark: { ...x, ...changes },
+      changedAttribute: Object.keys(changes)[0],
+    });
+
+    it("Nothing changed -> nothing to do", () => {
+      expect(decide(none)).to.equal(SYNC_DECISIONS.NONE);
+    });
+
+    it("Only positions changed -> applied silently, even without policy", () => {
+      const changes = { ...none, updates: [update({ index: 3 })] };
+      expect(
+        decideSyncAction({ localChanges: changes, remoteChanges: none }),
+      ).to.equal(SYNC_DECISIONS.INDEX_ONLY);
+    });
+
+    it("Without policy -> every other change is confirmed", () => {
+      const changes = { ...none, insertions: [x] };
+      expect(
+        decideSyncAction({ localChanges: changes, remoteChanges: none }),
+      ).to.equal(SYNC_DECISIONS.CONFIRM);
+    });
+
+    it("Insertions and renames on both sides -> applied automatically", () => {
+      expect(
+        decide(
+          { ...none, insertions: [x] },
+          { ...none, updates: [update({ title: "Y", index: 2 })] },
+        ),
+      ).to.equal(SYNC_DECISIONS.AUTO);
+    });
+
+    it("Deletions up to the threshold -> applied automatically", () => {
+      expect(
+        decide({ ...none, deletions: [x] }, { ...none, deletions: [x] }),
+      ).to.equal(SYNC_DECISIONS.AUTO);
+      expect(
+        decide({ ...none, deletions: [x, x] }, { ...none, deletions: [x] }),
+      ).to.equal(SYNC_DECISIONS.CONFIRM);
+    });
+
+    it("Folder deletion -> confirmed", () => {
+      expect(decide({ ...none, deletions: [folder] })).to.equal(
+        SYNC_DECISIONS.CONFIRM,
+      );
+    });
+
+    it("Moves and URL edits -> confirmed", () => {
+      expect(
+        decide({ ...none, updates: [update({ path: ["Other"] })] }),
+      ).to.equal(SYNC_DECISIONS.CONFIRM);
+      expect(
+        decide({ ...none, updates: [update({ url: "http://y.com" })] }),
+      ).to.equal(SYNC_DECISIONS.CONFIRM);
+    });
+
+    it("Conflicts -> always confirmed", () => {
+      expect(
+        decide({ ...none, insertions: [x] }, none, [{ type: "edit_conflict" }]),
+      ).to.equal(SYNC_DECISIONS.CONFIRM);
+    });
+  });
+
+  describe("Mass Deletion", () => {
+    const none = { insertions: [], deletions: [], updates: [] };
+    const records = (count) =>
+      Array.from({ length: count }, (_, i) => ({
+        title: `B${i}`,
+        url: `http://b${i}.com`,
+        path: ["Toolbar"],
+        index: i,
+      }));
+
+    it("Deleting more than the percentage of a side -> reported", () => {
+      const remote = records(10);
+      expect(
+        findMassDeletion(
+          {
+            localChanges: none,
+            remoteChanges: { ...none, deletions: remote.slice(0, 6) },
+          },
+          [],
+          remote,
+          50,
+        ),
+      ).to.deep.equal({ side: "remote", count: 6, total: 10 });
+    });
+
+    it("Local deletions count against the local tree", () => {
+      const local = records(10);
+      expect(
+        findMassDeletion(
+          { localChanges: { ...none, deletions: local }, remoteChanges: none },
+          local,
+          [],
+          30,
+        ),
+      ).to.deep.equal({ side: "local", count: 10, total: 10 });
+    });
+
+    it("Up to the percentage -> not reported", () => {
+      const local = records(20);
+      const changes = {
+        localChanges: { ...none, deletions: local.slice(0, 6) },
+        remoteChanges: none,
+      };
+      expect(findMassDeletion(changes, local, [], 30)).to.equal(null);
+      expect(findMassDeletion(changes, local, [], 29)).to.deep.include({
+        side: "local",
+      });
+    });
+
+    it("A few deletions in a small tree -> not reported", () => {
+      const local = records(4);
+      expect(
+        findMassDeletion(
+          { localChanges: { ...none, deletions: local }, remoteChanges: none },
+          local,
+          [],
+          30,
+        ),
+      ).to.equal(null);
+    });
+
+    it("Percentage 0 -> never reported", () => {
+      const local = records(10);
+      expect(
+        findMassDeletion(
+          { localChanges: { ...none, deletions: local }, remoteChanges: none },
+          local,
+          [],
+          0,
+        ),
+      ).to.equal(null);
+    });
+  });
+
+  describe("Logical Clocks", () => {
+    const HOUR = 60 * 60 * 1000;
+    const x = {
+      title: "X",
+      url: "http://x.com",
+      path: ["Toolbar"],
+      index: 0,
+      guid: "g1",
+      clock: 1,
+      deviceId: "dev-a",
+    };
+    const stamped = (record, clock, deviceId) => ({
+      ...record,
+      clock,
+      deviceId,
+    });
+    // A deletion with the wall time of the deleting device
+    const deletion = (record, clock, deviceId, deletedAt) => ({
+      ...createTombstone(stamped(record, clock, deviceId)),
+      deletedAt,
+    });
+    const active = (state) => state.filter((record) => !record.deleted);
+
+    it("Orders by clock, then by device id, the same way on every device", () => {
+      const a = { clock: 5, deviceId: "dev-a" };
+      const b = { clock: 5, deviceId: "dev-b" };
+      expect(compareClocks({ clock: 6, deviceId: "dev-a" }, b)).to.be.above(0);
+      expect(compareClocks(b, a)).to.be.above(0);
+      expect(compareClocks(a, b)).to.be.below(0);
+      expect(compareClocks(a, { ...a })).to.equal(0);
+      expect(compareClocks(a, { title: "legacy" })).to.equal(null);
+    });
+
+    it("Both rename -> newer stamp wins without a conflict", () => {
+      const result = calcSyncChanges(
+        [x],
+        [stamped({ ...x, title: "Local" }, 4, "dev-a")],
+        [stamped({ ...x, title: "Remote" }, 7, "dev-b")],
+      );
+
+      expect(result.conflicts).to.be.empty;
+      expect(active(result.newState)).to.have.lengthOf(1);
+      expect(active(result.newState)[0]).to.include({
+        title: "Remote",
+        clock: 7,
+        deviceId: "dev-b",
+      });
+      expect(result.localChanges.updates).to.have.lengthOf(1);
+      expect(result.remoteChanges.updates).to.be.empty;
+    });
+
+    it("Concurrent renames on three devices -> same winner in any sync order", () => {
+      const renames = [
+        stamped({ ...x, title: "A" }, 5, "dev-a"),
+        stamped({ ...x, title: "B" }, 5, "dev-b"),
+        stamped({ ...x, title: "C" }, 3, "dev-c"),
+      ];
+      const orders = [
+        [0, 1, 2],
+        [0, 2, 1],
+        [1, 0, 2],
+        [1, 2, 0],
+        [2, 0, 1],
+        [2, 1, 0],
+      ];
+      for (const order of orders) {
+        // Every device renamed before seeing the others' renames
+        let remote = [x];
+        for (const device of order) {
+          remote = calcSyncChanges([x], [renames[device]], remote).newState;
+        }
+        expect(active(remote).map((record) => record.title)).to.deep.equal([
+          "B",
+        ]);
+      }
+    });
+
+    it("Both move -> newer index wins, not the local one", () => {
+      const result = calcSyncChanges(
+        [x],
+        [stamped({ ...x, index: 2 }, 3, "dev-a")],
+        [stamped({ ...x, index: 5 }, 4, "dev-b")],
+      );
+      expect(active(result.newState)[0].index).to.equal(5);
+    });
+
+    it("Edit vs older delete -> edit survives without a conflict", () => {
+      // The deleting device's wall clock runs an hour ahead
+      const result = calcSyncChanges(
+        [x],
+        [stamped({ ...x, title: "Edited" }, 6, "dev-a")],
+        [deletion(x, 4, "dev-b", Date.now() + HOUR)],
+      );
+
+      expect(result.conflicts).to.be.empty;
+      expect(active(result.newState)[0].title).to.equal("Edited");
+      expect(result.remoteChanges.insertions).to.have.lengthOf(1);
+    });
+
+    it("Edit vs newer delete -> deleted, whatever the wall clocks say", () => {
+      // The deleting device's wall clock runs an hour behind, but it deleted
+      // after seeing the edit
+      const result = calcSyncChanges(
+        [x],
+        [stamped({ ...x, title: "Edited" }, 6, "dev-a")],
+        [deletion(x, 9, "dev-b", Date.now() - HOUR)],
+      );
+
+      expect(result.conflicts).to.be.empty;
+      expect(active(result.newState)).to.be.empty;
+      expect(result.localChanges.deletions).to.have.lengthOf(1);
+    });
+
+    it("Recreated after the deletion -> recreated bookmark kept", () => {
+      const unsynced = { ...x, guid: undefined };
+      const result = calcSyncChanges(
+        [],
+        [stamped(unsynced, 8, "dev-a")],
+        [deletion(x, 5, "dev-b", Date.now() + HOUR)],
+      );
+
+      expect(active(result.newState)).to.have.lengthOf(1);
+      expect(result.remoteChanges.insertions).to.have.lengthOf(1);
+    });
+
+    it("Deleted after the recreation -> deletion wins on both devices", () => {
+      const unsynced = { ...x, guid: undefined };
+      const recreated = stamped(unsynced, 3, "dev-a");
+      const tombstone = deletion(x, 5, "dev-b", Date.now() - HOUR);
+
+      const onA = calcSyncChanges([], [recreated], [tombstone]);
+      expect(active(onA.newState)).to.be.empty;
+      expect(onA.localChanges.deletions).to.have.lengthOf(1);
+
+      const onB = calcSyncChanges([], [tombstone], [recreated]);
+      expect(active(onB.newState)).to.be.empty;
+      expect(onB.remoteChanges.deletions).to.have.lengthOf(1);
+    });
+
+    it("One version without a stamp -> reported as a conflict", () => {
+      const legacy = { ...x, clock: undefined, deviceId: undefined };
+      const result = calcSyncChanges(
+        [legacy],
+        [stamped({ ...legacy, title: "Local" }, 4, "dev-a")],
+        [{ ...legacy, title: "Remote" }],
+      );
+      expect(result.conflicts).to.have.lengthOf(1);
+    });
+  });
 });
@@ -2,15 +2,63 @@ import { expect } from "chai";
 import sinon from "sinon";
 import { loadModule } from "../setup.js";
 
+// Load storage.js first (webdav.js keeps the secrets per sync profile)
+const storageMod = loadModule("src/storage.js");
+global.DEFAULT_PROFILE_ID = storageMod.DEFAULT_PROFILE_ID;
+global.profileStorageKey = storageMod.profileStorageKey;
+
+// Load crypto.js (webdav.js uses it for encrypted files)
+const cryptoMod = loadModule("src/crypto.js");
+global.isEncryptedEnvelope = cryptoMod.isEncryptedEnvelope;
+global.encryptJSON = cryptoMod.encryptJSON;
+global.decryptJSON = cryptoMod.decryptJSON;
+global.DecryptionError = cryptoMod.DecryptionError;
+
 const mod = loadModule("src/webdav.js");
 const {
+  WEBDAV_ERROR_KINDS,
+  REQUEST_TIMEOUT_MS,
+  MAX_RETRIES,
+  errorKindForStatus,
+  WebDAVError,
+  isPreconditionFailed,
+  isNetworkError,
+  fetchWithTimeout,
+  AUTH_MODES,
   createWebDAVHeaders,
   addCacheBuster,
+  fetchWebDAVWithVersion,
   fetchWebDAV,
   updateWebDAV,
+  getParentCollectionUrl,
+  ensureCollection,
+  ensureRemoteFile,
+  getBackupCollectionUrl,
+  listBackups,
+  backupRemoteFile,
+  getNextcloudServerUrl,
+  startLoginFlow,
+  pollLoginFlow,
+  CONFIG_KEYS,
+  SECRET_KEYS,
+  loadProfiles,
+  saveProfiles,
+  saveSecrets,
+  loadSecrets,
+  unlockSecrets,
+  migrateSecrets,
+  exportConfig,
+  importConfig,
   loadConfig,
+  loadConfigs,
+  webdavOptions,
 } = mod;
 
+// Minimal response headers as returned by fetch()
+function responseHeaders(values) {
+  return { get: (key) => values[key] ?? null };
+}
+
 describe("WebDAV Module", () => {
   beforeEach(() => {
     sinon.resetBehavior();
@@ -22,6 +70,28 @@ describe("WebDAV Module", () => {
     sinon.restore();
   });
 
+  // ============================================
+  // errorKindForStatus
+  // ============================================
+
+  describe("errorKindForStatus()", () => {
+    it("classifies statuses", () => {
+      expect(errorKindForStatus(401)).to.equal(WEBDAV_ERROR_KINDS.AUTH);
+      expect(errorKindForStatus(403)).to.equal(WEBDAV_ERROR_KINDS.AUTH);
+      expect(errorKindForStatus(500)).to.equal(WEBDAV_ERROR_KINDS.SERVER);
+      expect(errorKindForStatus(503)).to.equal(WEBDAV_ERROR_KINDS.SERVER);
+      expect(errorKindForStatus(429)).to.equal(WEBDAV_ERROR_KINDS.SERVER);
+      expect(errorKindForStatus(412)).to.equal(WEBDAV_ERROR_KINDS.CLIENT);
+    });
+
+    it("is the default kind of a WebDAVError", () => {
+      expect(new WebDAVError("x", 401).kind).to.equal(WEBDAV_ERROR_KINDS.AUTH);
+      expect(new WebDAVError("x", 0, WEBDAV_ERROR_KINDS.NETWORK).kind).to.equal(
+        WEBDAV_ERROR_KINDS.NETWORK,
+      );
+    });
+  });
+
   // ============================================
   // createWebDAVHeaders
   // ============================================
@@ -47,6 +117,23 @@ describe("WebDAV Module", () => {
       const headers = createWebDAVHeaders("user", "pass", true);
       expect(headers.get("content-type")).to.equal("application/json");
     });
+
+    it("sets a Bearer Authorization header in bearer mode", () => {
+      const headers = createWebDAVHeaders("user", "pass", false, {
+        authMode: AUTH_MODES.BEARER,
+        token: "tok",
+      });
+      expect(headers.get("authorization")).to.equal("Bearer tok");
+    });
+
+    it("uses Basic with the app password after a Nextcloud login", () => {
+      const headers = createWebDAVHeaders("alice", "app-pass", false, {
+        authMode: AUTH_MODES.LOGIN_FLOW,
+      });
+      expect(headers.get("authorization")).to.equal(
+        "Basic " + btoa("alice:app-pass"),
+      );
+    });
   });
 
   // ============================================
@@ -102,45 +189,167 @@ describe("WebDAV Module", () => {
         ok: true,
         text: sinon.stub().resolves("   \n  "),
       });
-      const result = await fetchWebDAV("http://example.com/bm.json", "user", "pass");
+      const result = await fetchWebDAV(
+        "http://example.com/bm.json",
+        "user",
+        "pass",
+      );
       expect(result).to.be.null;
     });
 
     it("returns parsed array from valid JSON", async () => {
-      const data = [{ title: "X", url: "http://x.com", path: ["Toolbar"], index: 0 }];
+      const data = [
+        { title: "X", url: "http://x.com", path: ["Toolbar"], index: 0 },
+      ];
       global.fetch.resolves({
         status: 200,
         ok: true,
         text: sinon.stub().resolves(JSON.stringify(data)),
       });
-      const result = await fetchWebDAV("http://example.com/bm.json", "user", "pass");
+      const result = await fetchWebDAV(
+        "http://example.com/bm.json",
+        "user",
+        "pass",
+      );
       expect(result).to.deep.equal(data);
     });
 
-    it("returns null for non-array JSON", async () => {
+    it("throws a parse error for non-array JSON", async () => {
       global.fetch.resolves({
         status: 200,
         ok: true,
         text: sinon.stub().resolves('{"key": "value"}'),
       });
-      const result = await fetchWebDAV("http://example.com/bm.json", "user", "pass");
-      expect(result).to.be.null;
+      const error = await fetchWebDAV(
+        "http://example.com/bm.json",
+        "user",
+        "pass",
+      ).catch((e) => e);
+      expect(error).to.be.instanceOf(WebDAVError);
+      expect(error.kind).to.equal(WEBDAV_ERROR_KINDS.PARSE);
     });
 
-    it("returns null on network error", async () => {
-      global.fetch.rejects(new Error("Network failure"));
-      const result = await fetchWebDAV("http://example.com/bm.json", "user", "pass");
-      expect(result).to.be.null;
+    it("throws a parse error for invalid JSON", async () => {
+      global.fetch.resolves({
+        status: 200,
+        ok: true,
+        text: sinon.stub().resolves("[{"),
+      });
+      const error = await fetchWebDAV(
+        "http://example.com/bm.json",
+        "user",
+        "pass",
+      ).catch((e) => e);
+      expect(error.kind).to.equal(WEBDAV_ERROR_KINDS.PARSE);
     });
 
-    it("returns null on non-ok status (not 404)", async () => {
-      // Non-404 errors throw, which is caught and returns null
-      global.fetch.resolves({
-        status: 500,
-        ok: false,
+    it("retries and then throws a network error when there is no answer", async () => {
+      const clock = sinon.useFakeTimers({
+        toFake: ["setTimeout", "clearTimeout"],
       });
-      const result = await fetchWebDAV("http://example.com/bm.json", "user", "pass");
-      expect(result).to.be.null;
+      global.fetch.rejects(
+        new TypeError("NetworkError when attempting to fetch"),
+      );
+      const pending = fetchWebDAV(
+        "http://example.com/bm.json",
+        "user",
+        "pass",
+      ).catch((e) => e);
+      await clock.runAllAsync();
+      const error = await pending;
+      expect(error.kind).to.equal(WEBDAV_ERROR_KINDS.NETWORK);
+      expect(isNetworkError(error)).to.be.true;
+      expect(global.fetch.callCount).to.equal(1 + MAX_RETRIES);
+    });
+
+    it("retries server errors and returns the data once the server recovers", async () => {
+      const clock = sinon.useFakeTimers({
+        toFake: ["setTimeout", "clearTimeout"],
+      });
+      global.fetch.onFirstCall().resolves({ status: 503, ok: false });
+      global.fetch.onSecondCall().resolves({
+        status: 200,
+        ok: true,
+        text: sinon.stub().resolves("[]"),
+      });
+      const pending = fetchWebDAV("http://example.com/bm.json", "user", "pass");
+      await clock.runAllAsync();
+      expect(await pending).to.deep.equal([]);
+      expect(global.fetch.callCount).to.equal(2);
+    });
+
+    it("throws a server error when the server keeps failing", async () => {
+      const clock = sinon.useFakeTimers({
+        toFake: ["setTimeout", "clearTimeout"],
+      });
+      global.fetch.resolves({ status: 500, ok: false });
+      const pending = fetchWebDAV(
+        "http://example.com/bm.json",
+        "user",
+        "pass",
+      ).catch((e) => e);
+      await clock.runAllAsync();
+      const error = await pending;
+      expect(error.status).to.equal(500);
+      expect(error.kind).to.equal(WEBDAV_ERROR_KINDS.SERVER);
+      expect(global.fetch.callCount).to.equal(1 + MAX_RETRIES);
+    });
+
+    it("does not retry authentication errors", async () => {
+      global.fetch.resolves({ status: 401, ok: false });
+      const error = await fetchWebDAV(
+        "http://example.com/bm.json",
+        "user",
+        "pass",
+      ).catch((e) => e);
+      expect(error.kind).to.equal(WEBDAV_ERROR_KINDS.AUTH);
+      expect(global.fetch.callCount).to.equal(1);
+    });
+
+    it("fails as a network error when the server does not answer in time", async () => {
+      const clock = sinon.useFakeTimers({
+        toFake: ["setTimeout", "clearTimeout"],
+      });
+      global.fetch.callsFake(
+        (url, init) =>
+          new Promise((resolve, reject) =>
+            init.signal.addEventListener("abort", () =>
+              reject(new Error("aborted")),
+            ),
+          ),
+      );
+      const pending = fetchWithTimeout("http://example.com/bm.json", {}).catch(
+        (e) => e,
+      );
+      await clock.tickAsync(REQUEST_TIMEOUT_MS);
+      const error = await pending;
+      expect(error.kind).to.equal(WEBDAV_ERROR_KINDS.NETWORK);
+      expect(error.message).to.include("No answer");
+    });
+
+    it("times out a body that stalls after the headers", async () => {
+      const clock = sinon.useFakeTimers({
+        toFake: ["setTimeout", "clearTimeout"],
+      });
+      global.fetch.callsFake(async (url, init) => ({
+        ok: true,
+        status: 200,
+        text: () =>
+          new Promise((resolve, reject) =>
+            init.signal.addEventListener("abort", () =>
+              reject(new Error("aborted")),
+            ),
+          ),
+      }));
+      const pending = fetchWithTimeout(
+        "http://example.com/bm.json",
+        {},
+        true,
+      ).catch((e) => e);
+      await clock.tickAsync(REQUEST_TIMEOUT_MS);
+      const error = await pending;
+      expect(error.kind).to.equal(WEBDAV_ERROR_KINDS.NETWORK);
+      expect(error.message).to.include("No answer");
     });
 
     it("sends credentials: omit", async () => {
@@ -154,6 +363,106 @@ describe("WebDAV Module", () => {
     });
   });
 
+  // ============================================
+  // fetchWebDAVWithVersion
+  // ============================================
+
+  describe("fetchWebDAVWithVersion()", () => {
+    it("returns data with ETag and Last-Modified", async () => {
+      global.fetch.resolves({
+        status: 200,
+        ok: true,
+        headers: responseHeaders({
+          ETag: '"abc"',
+          "Last-Modified": "Wed, 21 Oct 2026 07:28:00 GMT",
+        }),
+        text: sinon.stub().resolves("[]"),
+      });
+      const result = await fetchWebDAVWithVersion(
+        "http://example.com/bm.json",
+        "user",
+        "pass",
+      );
+      expect(result.data).to.deep.equal([]);
+      expect(result.version).to.deep.equal({
+        etag: '"abc"',
+        lastModified: "Wed, 21 Oct 2026 07:28:00 GMT",
+        encrypted: false,
+      });
+    });
+
+    it("decrypts an encrypted file with the passphrase", async () => {
+      const data = [{ title: "X", url: "http://x.com", path: [], index: 0 }];
+      const envelope = await cryptoMod.encryptJSON(data, "secret", 1000);
+      global.fetch.resolves({
+        status: 200,
+        ok: true,
+        text: sinon.stub().resolves(JSON.stringify(envelope)),
+      });
+
+      const result = await fetchWebDAVWithVersion(
+        "http://example.com/bm.json",
+        "user",
+        "pass",
+        { passphrase: "secret" },
+      );
+
+      expect(result.data).to.deep.equal(data);
+      expect(result.version.encrypted).to.be.true;
+    });
+
+    it("throws on a wrong passphrase instead of returning null", async () => {
+      const envelope = await cryptoMod.encryptJSON([], "secret", 1000);
+      global.fetch.resolves({
+        status: 200,
+        ok: true,
+        text: sinon.stub().resolves(JSON.stringify(envelope)),
+      });
+
+      try {
+        await fetchWebDAVWithVersion("http://example.com/bm.json", "u", "p", {
+          passphrase: "wrong",
+        });
+        expect.fail("Should have thrown");
+      } catch (e) {
+        expect(e.message).to.include("Wrong passphrase");
+      }
+    });
+
+    it("reads a plaintext file even with a passphrase set", async () => {
+      global.fetch.resolves({
+        status: 200,
+        ok: true,
+        text: sinon.stub().resolves("[]"),
+      });
+
+      const result = await fetchWebDAVWithVersion(
+        "http://example.com/bm.json",
+        "user",
+        "pass",
+        { passphrase: "secret" },
+      );
+
+      expect(result.data).to.deep.equal([]);
+      expect(result.version.encrypted).to.be.false;
+    });
+
+    it("returns empty version for 404", async () => {
+      global.fetch.resolves({ status: 404, ok: false });
+      const result = await fetchWebDAVWithVersion(
+        "http://example.com/bm.json",
+        "user",
+        "pass",
+      );
+      expect(result.data).to.be.null;
+      expect(result.version).to.deep.equal({
+        etag: null,
+        lastModified: null,
+        exists: false,
+      });
+    });
+  });
+
   // ============================================
   // updateWebDAV
   // ============================================
@@ -173,6 +482,107 @@ describe("WebDAV Module", () => {
       expect(options.credentials).to.equal("omit");
     });
 
+    it("sends If-Match when an ETag is known", async () => {
+      global.fetch.resolves({ ok: true });
+
+      await updateWebDAV("http://example.com/bm.json", "user", "pass", [], {
+        etag: '"abc"',
+        lastModified: "Wed, 21 Oct 2026 07:28:00 GMT",
+      });
+
+      const headers = global.fetch.firstCall.args[1].headers;
+      expect(headers.get("if-match")).to.equal('"abc"');
+      expect(headers.has("if-unmodified-since")).to.be.false;
+    });
+
+    it("falls back to If-Unmodified-Since without ETag", async () => {
+      global.fetch.resolves({ ok: true });
+
+      await updateWebDAV("http://example.com/bm.json", "user", "pass", [], {
+        etag: null,
+        lastModified: "Wed, 21 Oct 2026 07:28:00 GMT",
+      });
+
+      const headers = global.fetch.firstCall.args[1].headers;
+      expect(headers.has("if-match")).to.be.false;
+      expect(headers.get("if-unmodified-since")).to.equal(
+        "Wed, 21 Oct 2026 07:28:00 GMT",
+      );
+    });
+
+    it("sends If-None-Match for a file that was missing", async () => {
+      global.fetch.resolves({ ok: true });
+
+      await updateWebDAV("http://example.com/bm.json", "user", "pass", [], {
+        etag: null,
+        lastModified: null,
+        exists: false,
+      });
+
+      const headers = global.fetch.firstCall.args[1].headers;
+      expect(headers.get("if-none-match")).to.equal("*");
+    });
+
+    it("sends no precondition without version", async () => {
+      global.fetch.resolves({ ok: true });
+
+      await updateWebDAV("http://example.com/bm.json", "user", "pass", []);
+
+      const headers = global.fetch.firstCall.args[1].headers;
+      expect(headers.has("if-match")).to.be.false;
+      expect(headers.has("if-unmodified-since")).to.be.false;
+    });
+
+    it("returns the new version after writing", async () => {
+      global.fetch.resolves({
+        ok: true,
+        headers: responseHeaders({ ETag: '"def"' }),
+      });
+
+      const version = await updateWebDAV(
+        "http://example.com/bm.json",
+        "user",
+        "pass",
+        [],
+        { etag: '"abc"' },
+      );
+      expect(version.etag).to.equal('"def"');
+    });
+
+    it("writes an encrypted envelope when a passphrase is set", async () => {
+      global.fetch.resolves({ ok: true });
+      const bookmarks = [{ title: "X", url: "http://x.com" }];
+
+      await updateWebDAV(
+        "http://example.com/bm.json",
+        "user",
+        "pass",
+        bookmarks,
+        null,
+        { passphrase: "secret" },
+      );
+
+      const body = JSON.parse(global.fetch.firstCall.args[1].body);
+      expect(cryptoMod.isEncryptedEnvelope(body)).to.be.true;
+      expect(await cryptoMod.decryptJSON(body, "secret")).to.deep.equal(
+        bookmarks,
+      );
+    });
+
+    it("throws a precondition error on 412", async () => {
+      global.fetch.resolves({ ok: false, status: 412 });
+
+      try {
+        await updateWebDAV("http://example.com/bm.json", "user", "pass", [], {
+          etag: '"abc"',
+        });
+        expect.fail("Should have thrown");
+      } catch (e) {
+        expect(e).to.be.instanceOf(WebDAVError);
+        expect(isPreconditionFailed(e)).to.be.true;
+      }
+    });
+
     it("throws on error response", async () => {
       global.fetch.resolves({ ok: false, status: 403 });
 
@@ -185,38 +595,288 @@ describe("WebDAV Module", () => {
     });
   });
 
+  // ============================================
+  // getParentCollectionUrl
+  // ============================================
+
+  describe("getParentCollectionUrl()", () => {
+    it("returns the folder of a file", () => {
+      expect(
+        getParentCollectionUrl("https://dav.example.com/files/alice/bm.json"),
+      ).to.equal("https://dav.example.com/files/alice/");
+    });
+
+    it("returns the parent of a collection with trailing slash", () => {
+      expect(
+        getParentCollectionUrl("https://dav.example.com/files/alice/"),
+      ).to.equal("https://dav.example.com/files/");
+    });
+
+    it("drops the query string", () => {
+      expect(
+        getParentCollectionUrl("https://dav.example.com/a/bm.json?x=1"),
+      ).to.equal("https://dav.example.com/a/");
+    });
+  });
+
+  // ============================================
+  // ensureCollection
+  // ============================================
+
+  describe("ensureCollection()", () => {
+    it("does nothing when the collection exists", async () => {
+      global.fetch.resolves({ ok: true, status: 207 });
+
+      await ensureCollection("https://dav.example.com/a/b/", "user", "pass");
+
+      expect(global.fetch.calledOnce).to.be.true;
+      const [, options] = global.fetch.firstCall.args;
+      expect(options.method).to.equal("PROPFIND");
+      expect(options.headers.get("depth")).to.equal("0");
+    });
+
+    it("creates missing collections from the top down", async () => {
+      global.fetch
+        .withArgs("https://dav.example.com/a/b/", sinon.match({ method: "PROPFIND" }))
+        .resolves({ ok: false, status: 404 });
+      global.fetch
+        .withArgs("https://dav.example.com/a/", sinon.match({ method: "PROPFIND" }))
+        .resolves({ ok: false, status: 404 });
+      global.fetch
+        .withArgs("https://dav.example.com/", sinon.match({ method: "PROPFIND" }))
+        .resolves({ ok: true, status: 207 });
+      global.fetch
+        .withArgs(sinon.match.string, sinon.match({ method: "MKCOL" }))
+        .resolves({ ok: true, status: 201 });
+      const steps = [];
+
+      await ensureCollection(
+        "https://dav.example.com/a/b/",
+        "user",
+        "pass",
+        (step) => steps.push(step),
+      );
+
+      const mkcols = global.fetch
+        .getCalls()
+        .filter((c) => c.args[1].method === "MKCOL")
+        .map((c) => c.args[0]);
+      expect(mkcols).to.deep.equal([
+        "https://dav.example.com/a/",
+        "https://dav.example.com/a/b/",
+      ]);
+      expect(steps).to.have.lengthOf(2);
+    });
+
+    it("throws when a collection cannot be created", async () => {
+      global.fetch
+        .withArgs(sinon.match.string, sinon.match({ method: "PROPFIND" }))
+        .resolves({ ok: false, status: 404 });
+      global.fetch
+        .withArgs(sinon.match.string, sinon.match({ method: "MKCOL" }))
+        .resolves({ ok: false, status: 403 });
+
+      try {
+        await ensureCollection("https://dav.example.com/a/", "user", "pass");
+        expect.fail("Should have thrown");
+      } catch (e) {
+        expect(e.status).to.equal(403);
+      }
+    });
+  });
+
+  // ============================================
+  // ensureRemoteFile
+  // ============================================
+
+  describe("ensureRemoteFile()", () => {
+    it("does not write when the file exists", async () => {
+      global.fetch.resolves({ ok: true, status: 200 });
+
+      const result = await ensureRemoteFile(
+        "https://dav.example.com/a/bm.json",
+        "user",
+        "pass",
+      );
+
+      expect(result.created).to.be.false;
+      expect(global.fetch.calledOnce).to.be.true;
+    });
+
+    it("creates the folder and an empty file when missing", async () => {
+      global.fetch
+        .withArgs(sinon.match(/bm\.json\?cb=/))
+        .resolves({ ok: false, status: 404 });
+      global.fetch
+        .withArgs("https://dav.example.com/a/", sinon.match({ method: "PROPFIND" }))
+        .resolves({ ok: false, status: 404 });
+      global.fetch
+        .withArgs("https://dav.example.com/", sinon.match({ method: "PROPFIND" }))
+        .resolves({ ok: true, status: 207 });
+      global.fetch
+        .withArgs(sinon.match.string, sinon.match({ method: "MKCOL" }))
+        .resolves({ ok: true, status: 201 });
+      global.fetch
+        .withArgs(sinon.match.string, sinon.match({ method: "PUT" }))
+        .resolves({ ok: true, status: 201 });
+      const steps = [];
+
+      const result = await ensureRemoteFile(
+        "https://dav.example.com/a/bm.json",
+        "user",
+        "pass",
+        (step) => steps.push(step),
+      );
+
+      expect(result.created).to.be.true;
+      const put = global.fetch
+        .getCalls()
+        .find((c) => c.args[1].method === "PUT");
+      expect(put.args[0]).to.equal("https://dav.example.com/a/bm.json");
+      expect(JSON.parse(put.args[1].body)).to.deep.equal([]);
+      expect(put.args[1].headers.get("if-none-match")).to.equal("*");
+      expect(steps.some((s) => s.includes("/a/"))).to.be.true;
+    });
+
+    it("throws on authentication errors", async () => {
+      global.fetch.resolves({ ok: false, status: 401 });
+
+      try {
+        await ensureRemoteFile("https://dav.example.com/bm.json", "u", "p");
+        expect.fail("Should have thrown");
+      } catch (e) {
+        expect(e.status).to.equal(401);
+      }
+    });
+  });
+
   // ============================================
   // loadConfig
   // ============================================
 
   describe("loadConfig()", () => {
+    beforeEach(() => {
+      browser.storage.local.get.resolves({});
+    });
+
     it("returns defaults when storage is empty", async () => {
       browser.storage.sync.get.resolves({});
       const config = await loadConfig();
       expect(config).to.deep.equal({
+        profileId: "default",
+        name: "Default",
         url: "",
+        authMode: "basic",
         username: "",
         password: "",
+        token: "",
         checkInterval: 5,
+        passphrase: "",
+        backupCount: 0,
+        localRoot: [],
+        remoteRoot: [],
+        exclusions: { folders: [], urls: [] },
+        direction: "bidirectional",
+        autoApply: { enabled: false, maxDeletions: 5 },
+        massDeletionPercent: 30,
+        locked: false,
       });
     });
 
     it("returns stored values", async () => {
       browser.storage.sync.get.resolves({
         webdavUrl: "http://dav.example.com/bm.json",
+        webdavAuthMode: "bearer",
         webdavUsername: "alice",
         webdavPassword: "secret",
+        webdavToken: "tok",
         checkIntervalMinutes: "10",
+        encryptionPassphrase: "phrase",
+        backupCount: "5",
       });
       const config = await loadConfig();
       expect(config).to.deep.equal({
+        profileId: "default",
+        name: "Default",
         url: "http://dav.example.com/bm.json",
+        authMode: "bearer",
         username: "alice",
         password: "secret",
+        token: "tok",
         checkInterval: 10,
+        passphrase: "phrase",
+        backupCount: 5,
+        localRoot: [],
+        remoteRoot: [],
+        exclusions: { folders: [], urls: [] },
+        direction: "bidirectional",
+        autoApply: { enabled: false, maxDeletions: 5 },
+        massDeletionPercent: 30,
+        locked: false,
       });
     });
 
+    it("parses the root folders of a profile", async () => {
+      browser.storage.sync.get.resolves({
+        localRootFolder: "toolbar/Team",
+        remoteRootPath: " shared / Team / ",
+      });
+      const config = await loadConfig();
+      expect(config.localRoot).to.deep.equal(["toolbar", "Team"]);
+      expect(config.remoteRoot).to.deep.equal(["shared", "Team"]);
+    });
+
+    it("reads the exclusion rules one per line", async () => {
+      browser.storage.sync.get.resolves({
+        excludedFolders: "toolbar/Private\n\n other / Work ",
+        excludedUrls: "file://*\n  place:*  \n",
+      });
+      const config = await loadConfig();
+      expect(config.exclusions).to.deep.equal({
+        folders: [
+          ["toolbar", "Private"],
+          ["other", "Work"],
+        ],
+        urls: ["file://*", "place:*"],
+      });
+    });
+
+    it("reads the sync direction, both ways when unknown", async () => {
+      browser.storage.sync.get.resolves({ syncDirection: "pull" });
+      expect((await loadConfig()).direction).to.equal("pull");
+
+      browser.storage.sync.get.resolves({ syncDirection: "sideways" });
+      expect((await loadConfig()).direction).to.equal("bidirectional");
+    });
+
+    it("reads the auto-apply policy", async () => {
+      browser.storage.sync.get.resolves({
+        autoApplyPolicy: "non-destructive",
+        autoApplyMaxDeletions: "0",
+      });
+      expect((await loadConfig()).autoApply).to.deep.equal({
+        enabled: true,
+        maxDeletions: 0,
+      });
+
+      browser.storage.sync.get.resolves({ autoApplyMaxDeletions: "many" });
+      expect((await loadConfig()).autoApply).to.deep.equal({
+        enabled: false,
+        maxDeletions: 5,
+      });
+    });
+
+    it("reads the large deletion percentage, the default when invalid", async () => {
+      browser.storage.sync.get.resolves({ massDeletionPercent: "0" });
+      expect((await loadConfig()).massDeletionPercent).to.equal(0);
+
+      browser.storage.sync.get.resolves({ massDeletionPercent: "50" });
+      expect((await loadConfig()).massDeletionPercent).to.equal(50);
+
+      browser.storage.sync.get.resolves({ massDeletionPercent: "250" });
+      expect((await loadConfig()).massDeletionPercent).to.equal(30);
+    });
+
     it("handles non-numeric checkInterval gracefully", async () => {
       browser.storage.sync.get.resolves({
         checkIntervalMinutes: "abc",
@@ -224,5 +884,768 @@ describe("WebDAV Module", () => {
       const config = await loadConfig();
       expect(config.checkInterval).to.equal(5); // NaN || 5 = 5
     });
+
+    it("reads the secrets from storage.local", async () => {
+      browser.storage.sync.get.resolves({ webdavUsername: "alice" });
+      browser.storage.local.get.resolves({
+        secrets: { webdavPassword: "local-secret" },
+      });
+      const config = await loadConfig();
+      expect(config.username).to.equal("alice");
+      expect(config.password).to.equal("local-secret");
+      expect(config.locked).to.equal(false);
+    });
+
+    it("reads the settings and secrets of a profile", async () => {
+      browser.storage.sync.get.resolves({
+        profiles: [
+          { id: "default", name: "Personal", webdavUrl: "https://a/bm.json" },
+          {
+            id: "team",
+            name: "Team",
+            webdavUrl: "https://b/team.json",
+            checkIntervalMinutes: "30",
+          },
+        ],
+      });
+      browser.storage.local.get.callsFake(async ([key]) =>
+        key === "secrets:team" ? { [key]: { webdavPassword: "team-pw" } } : {},
+      );
+
+      const config = await loadConfig("team");
+      expect(config.profileId).to.equal("team");
+      expect(config.name).to.equal("Team");
+      expect(config.url).to.equal("https://b/team.json");
+      expect(config.checkInterval).to.equal(30);
+      expect(config.password).to.equal("team-pw");
+
+      const configs = await loadConfigs();
+      expect(configs.map((c) => c.profileId)).to.deep.equal([
+        "default",
+        "team",
+      ]);
+    });
+
+    it("falls back to the first profile for an unknown id", async () => {
+      browser.storage.sync.get.resolves({
+        profiles: [{ id: "default", name: "Personal" }],
+      });
+      expect((await loadConfig("deleted")).profileId).to.equal("default");
+    });
+
+    it("is locked while the secrets are encrypted", async () => {
+      browser.storage.sync.get.resolves({ webdavUsername: "alice" });
+      browser.storage.local.get.resolves({
+        secrets: await encryptJSON({ webdavPassword: "secret" }, "master"),
+      });
+      browser.storage.session.get.resolves({});
+      const config = await loadConfig();
+      expect(config.password).to.equal("");
+      expect(config.locked).to.equal(true);
+    });
+  });
+
+  // ============================================
+  // Profiles
+  // ============================================
+
+  describe("profiles", () => {
+    beforeEach(() => {
+      browser.storage.sync.get.reset();
+      browser.storage.sync.set.reset();
+      browser.storage.sync.remove.reset();
+    });
+
+    it("makes the settings saved before profiles the default profile", async () => {
+      browser.storage.sync.get.resolves({
+        webdavUrl: "https://a/bm.json",
+        webdavUsername: "alice",
+      });
+      expect(await loadProfiles()).to.deep.equal([
+        {
+          id: "default",
+          name: "Default",
+          webdavUrl: "https://a/bm.json",
+          webdavUsername: "alice",
+        },
+      ]);
+    });
+
+    it("returns the stored profiles", async () => {
+      const profiles = [
+        { id: "default", name: "Personal" },
+        { id: "team", name: "Team", webdavUrl: "https://b/team.json" },
+      ];
+      browser.storage.sync.get.resolves({ profiles });
+      expect(await loadProfiles()).to.deep.equal(profiles);
+    });
+
+    it("stores only the settings and replaces the plain keys", async () => {
+      await saveProfiles([
+        {
+          id: "team",
+          name: "Team",
+          webdavUrl: "https://b/team.json",
+          webdavPassword: "never stored in storage.sync",
+        },
+      ]);
+      expect(browser.storage.sync.set.firstCall.args[0]).to.deep.equal({
+        profiles: [
+          { id: "team", name: "Team", webdavUrl: "https://b/team.json" },
+        ],
+      });
+      expect(browser.storage.sync.remove.firstCall.args[0]).to.deep.equal(
+        CONFIG_KEYS,
+      );
+    });
+  });
+
+  // ============================================
+  // Secrets
+  // ============================================
+
+  describe("secrets", () => {
+    beforeEach(() => {
+      browser.storage.local.set.reset();
+      browser.storage.local.get.reset();
+      browser.storage.session.set.reset();
+      browser.storage.session.get.reset();
+      browser.storage.sync.get.reset();
+      browser.storage.sync.remove.reset();
+      browser.storage.sync.get.resolves({});
+      browser.storage.session.get.resolves({});
+      browser.storage.local.get.resolves({});
+    });
+
+    describe("saveSecrets()", () => {
+      it("stores the secrets of a profile under its own key", async () => {
+        await saveSecrets({ webdavPassword: "team-pw" }, "", "team");
+        expect(browser.storage.local.set.firstCall.args[0]).to.deep.equal({
+          "secrets:team": { webdavPassword: "team-pw" },
+        });
+      });
+
+      it("stores the secrets in storage.local and removes them from storage.sync", async () => {
+        await saveSecrets({
+          webdavPassword: "pw",
+          webdavToken: "tok",
+          webdavUrl: "not a secret",
+        });
+        expect(browser.storage.local.set.firstCall.args[0]).to.deep.equal({
+          secrets: { webdavPassword: "pw", webdavToken: "tok" },
+        });
+        expect(browser.storage.sync.remove.firstCall.args[0]).to.deep.equal(
+          SECRET_KEYS,
+        );
+      });
+
+      it("encrypts the secrets with a master passphrase and keeps them unlocked", async () => {
+        await saveSecrets({ webdavPassword: "pw" }, "master");
+        const { secrets } = browser.storage.local.set.firstCall.args[0];
+        expect(isEncryptedEnvelope(secrets)).to.equal(true);
+        expect(JSON.stringify(secrets)).to.not.include("webdavPassword");
+        expect(await decryptJSON(secrets, "master")).to.deep.equal({
+          webdavPassword: "pw",
+        });
+        expect(browser.storage.session.set.firstCall.args[0]).to.deep.equal({
+          unlockedSecrets: { webdavPassword: "pw" },
+        });
+      });
+
+      describe("one master passphrase for all profiles", () => {
+        beforeEach(async () => {
+          browser.storage.sync.get.resolves({
+            profiles: [
+              { id: "default", name: "Personal" },
+              { id: "team", name: "Team" },
+            ],
+          });
+          browser.storage.local.get.resolves({
+            secrets: await encryptJSON({ webdavPassword: "pw" }, "old"),
+          });
+        });
+
+        it("re-encrypts the other profiles with a new passphrase", async () => {
+          browser.storage.session.get.resolves({
+            unlockedSecrets: { webdavPassword: "pw" },
+          });
+
+          await saveSecrets({ webdavPassword: "team-pw" }, "new", "team");
+
+          const stored = browser.storage.local.set.firstCall.args[0];
+          expect(await decryptJSON(stored.secrets, "new")).to.deep.equal({
+            webdavPassword: "pw",
+          });
+          expect(
+            await decryptJSON(stored["secrets:team"], "new"),
+          ).to.deep.equal({ webdavPassword: "team-pw" });
+          expect(browser.storage.session.set.firstCall.args[0]).to.deep.equal({
+            unlockedSecrets: { webdavPassword: "pw" },
+            "unlockedSecrets:team": { webdavPassword: "team-pw" },
+          });
+        });
+
+        it("refuses to save without a passphrase", async () => {
+          try {
+            await saveSecrets({ webdavPassword: "team-pw" }, "", "team");
+            expect.fail("should have thrown");
+          } catch (e) {
+            expect(e.message).to.include("enter the master passphrase");
+          }
+          expect(browser.storage.local.set.called).to.equal(false);
+        });
+
+        it("refuses to store encrypted secrets in plain text", async () => {
+          try {
+            await saveSecrets({ webdavPassword: "pw" }, "");
+            expect.fail("should have thrown");
+          } catch (e) {
+            expect(e.message).to.include("enter the master passphrase");
+          }
+          expect(browser.storage.local.set.called).to.equal(false);
+        });
+
+        it("needs the passphrase of locked profiles", async () => {
+          try {
+            await saveSecrets({ webdavPassword: "team-pw" }, "other", "team");
+            expect.fail("should have thrown");
+          } catch (e) {
+            expect(e.name).to.equal("DecryptionError");
+          }
+          expect(browser.storage.local.set.called).to.equal(false);
+
+          // The same passphrase leaves the secrets of the others as they are
+          await saveSecrets({ webdavPassword: "team-pw" }, "old", "team");
+          const stored = browser.storage.local.set.firstCall.args[0];
+          expect(stored).to.have.all.keys("secrets:team");
+          expect(
+            await decryptJSON(stored["secrets:team"], "old"),
+          ).to.deep.equal({ webdavPassword: "team-pw" });
+          expect(browser.storage.session.set.firstCall.args[0]).to.deep.equal({
+            unlockedSecrets: { webdavPassword: "pw" },
+            "unlockedSecrets:team": { webdavPassword: "team-pw" },
+          });
+        });
+      });
+    });
+
+    describe("loadSecrets()", () => {
+      it("falls back to storage.sync before the first save", async () => {
+        browser.storage.local.get.resolves({});
+        browser.storage.sync.get.resolves({ webdavPassword: "old" });
+        expect(await loadSecrets()).to.deep.equal({ webdavPassword: "old" });
+      });
+
+      it("returns null while the secrets are locked", async () => {
+        browser.storage.local.get.resolves({
+          secrets: await encryptJSON({ webdavPassword: "pw" }, "master"),
+        });
+        expect(await loadSecrets()).to.equal(null);
+      });
+
+      it("has no legacy fallback for other profiles", async () => {
+        browser.storage.local.get.resolves({});
+        browser.storage.sync.get.resolves({ webdavPassword: "old" });
+        expect(await loadSecrets("team")).to.deep.equal({});
+      });
+
+      it("returns the secrets unlocked in this browser session", async () => {
+        browser.storage.local.get.resolves({
+          secrets: await encryptJSON({ webdavPassword: "pw" }, "master"),
+        });
+        browser.storage.session.get.resolves({
+          unlockedSecrets: { webdavPassword: "pw" },
+        });
+        expect(await loadSecrets()).to.deep.equal({ webdavPassword: "pw" });
+      });
+    });
+
+    describe("unlockSecrets()", () => {
+      it("decrypts the secrets for the browser session", async () => {
+        browser.storage.local.get.resolves({
+          secrets: await encryptJSON({ webdavPassword: "pw" }, "master"),
+        });
+        expect(await unlockSecrets("master")).to.deep.equal({
+          webdavPassword: "pw",
+        });
+        expect(browser.storage.session.set.firstCall.args[0]).to.deep.equal({
+          unlockedSecrets: { webdavPassword: "pw" },
+        });
+      });
+
+      it("unlocks the secrets of all profiles", async () => {
+        browser.storage.sync.get.resolves({
+          profiles: [
+            { id: "default", name: "Personal" },
+            { id: "team", name: "Team" },
+          ],
+        });
+        browser.storage.local.get.resolves({
+          secrets: await encryptJSON({ webdavPassword: "pw" }, "master"),
+          "secrets:team": await encryptJSON(
+            { webdavPassword: "team-pw" },
+            "master",
+          ),
+        });
+        expect(await unlockSecrets("master", "team")).to.deep.equal({
+          webdavPassword: "team-pw",
+        });
+        expect(browser.storage.session.set.firstCall.args[0]).to.deep.equal({
+          unlockedSecrets: { webdavPassword: "pw" },
+          "unlockedSecrets:team": { webdavPassword: "team-pw" },
+        });
+      });
+
+      it("throws on a wrong master passphrase", async () => {
+        browser.storage.local.get.resolves({
+          secrets: await encryptJSON({ webdavPassword: "pw" }, "master"),
+        });
+        try {
+          await unlockSecrets("wrong");
+          expect.fail("should have thrown");
+        } catch (e) {
+          expect(e.name).to.equal("DecryptionError");
+          expect(e.message).to.equal("Wrong master passphrase");
+        }
+        expect(browser.storage.session.set.called).to.equal(false);
+      });
+    });
+
+    describe("migrateSecrets()", () => {
+      it("moves secrets from storage.sync to storage.local", async () => {
+        browser.storage.local.get.resolves({});
+        browser.storage.sync.get.resolves({ webdavPassword: "old" });
+        expect(await migrateSecrets()).to.equal(true);
+        expect(browser.storage.local.set.firstCall.args[0]).to.deep.equal({
+          secrets: { webdavPassword: "old" },
+        });
+        expect(browser.storage.sync.remove.calledOnce).to.equal(true);
+      });
+
+      it("does nothing once the secrets are in storage.local", async () => {
+        browser.storage.local.get.resolves({ secrets: {} });
+        expect(await migrateSecrets()).to.equal(false);
+        expect(browser.storage.local.set.called).to.equal(false);
+      });
+
+      it("does nothing without secrets in storage.sync", async () => {
+        browser.storage.local.get.resolves({});
+        browser.storage.sync.get.resolves({});
+        expect(await migrateSecrets()).to.equal(false);
+        expect(browser.storage.local.set.called).to.equal(false);
+      });
+    });
+
+    describe("exportConfig() / importConfig()", () => {
+      const settings = {
+        webdavUrl: "https://dav.example.com/bm.json",
+        webdavUsername: "alice",
+        checkIntervalMinutes: "10",
+      };
+      const secrets = { webdavPassword: "pw", encryptionPassphrase: "phrase" };
+
+      it("leaves out the secrets without an export passphrase", async () => {
+        const exported = await exportConfig(
+          { ...settings, ...secrets },
+          secrets,
+        );
+        expect(exported).to.deep.equal(settings);
+        expect(await importConfig(exported)).to.deep.equal({
+          settings,
+          secrets: null,
+        });
+      });
+
+      it("round-trips the secrets encrypted with an export passphrase", async () => {
+        const exported = await exportConfig(settings, secrets, "export");
+        expect(JSON.stringify(exported)).to.not.include("webdavPassword");
+        expect(await importConfig(exported, "export")).to.deep.equal({
+          settings,
+          secrets,
+        });
+      });
+
+      it("needs the right export passphrase for encrypted secrets", async () => {
+        const exported = await exportConfig(settings, secrets, "export");
+        for (const passphrase of ["", "wrong"]) {
+          try {
+            await importConfig(exported, passphrase);
+            expect.fail("should have thrown");
+          } catch (e) {
+            expect(e.name).to.equal("DecryptionError");
+          }
+        }
+      });
+
+      it("reads the clear-text secrets of an older config file", async () => {
+        expect(
+          await importConfig({ ...settings, webdavPassword: "pw" }),
+        ).to.deep.equal({ settings, secrets: { webdavPassword: "pw" } });
+      });
+    });
+  });
+
+  // ============================================
+  // webdavOptions
+  // ============================================
+
+  describe("webdavOptions()", () => {
+    it("passes the passphrase, backup count and authentication from the config", () => {
+      expect(
+        webdavOptions({
+          url: "x",
+          passphrase: "secret",
+          backupCount: 3,
+          authMode: "bearer",
+          token: "tok",
+        }),
+      ).to.deep.equal({
+        passphrase: "secret",
+        backupCount: 3,
+        authMode: "bearer",
+        token: "tok",
+      });
+    });
+  });
+
+  // ============================================
+  // Backups
+  // ============================================
+
+  describe("backups", () => {
+    const url = "https://dav.example.com/files/bookmarks.json";
+    const versions = "https://dav.example.com/files/.versions/";
+
+    function multistatus(names) {
+      const responses = ["", ...names]
+        .map(
+          (name) =>
+            `<d:response><d:href>/files/.versions/${name}</d:href></d:response>`,
+        )
+        .join("");
+      return `<?xml version="1.0"?><d:multistatus xmlns:d="DAV:">${responses}</d:multistatus>`;
+    }
+
+    function propfindResponse(names) {
+      return { ok: true, status: 207, text: sinon.stub().resolves(multistatus(names)) };
+    }
+
+    it("getBackupCollectionUrl() points next to the file", () => {
+      expect(getBackupCollectionUrl(url)).to.equal(versions);
+    });
+
+    describe("listBackups()", () => {
+      it("returns backups of this file, newest first", async () => {
+        global.fetch.resolves(
+          propfindResponse([
+            "bookmarks.json.2024-01-01T10-00-00-000Z",
+            "bookmarks.json.2024-03-01T10-00-00-000Z",
+            "other.json.2024-02-01T10-00-00-000Z",
+            "notes.txt",
+          ]),
+        );
+
+        const backups = await listBackups(url, "user", "pass");
+
+        expect(backups.map((b) => b.timestamp)).to.deep.equal([
+          "2024-03-01T10:00:00.000Z",
+          "2024-01-01T10:00:00.000Z",
+        ]);
+        expect(backups[0].url).to.equal(
+          versions + "bookmarks.json.2024-03-01T10-00-00-000Z",
+        );
+        const [, options] = global.fetch.firstCall.args;
+        expect(options.method).to.equal("PROPFIND");
+        expect(options.headers.get("depth")).to.equal("1");
+      });
+
+      it("returns an empty list without a backup folder", async () => {
+        global.fetch.resolves({ ok: false, status: 404 });
+        expect(await listBackups(url, "user", "pass")).to.deep.equal([]);
+      });
+    });
+
+    describe("backupRemoteFile()", () => {
+      it("copies the file and deletes backups beyond the limit", async () => {
+        global.fetch
+          .withArgs(versions, sinon.match({ method: "PROPFIND" }))
+          .callsFake(async (target, options) =>
+            options.headers.get("depth") === "0"
+              ? { ok: true, status: 207 }
+              : propfindResponse([
+                  "bookmarks.json.2024-01-01T10-00-00-000Z",
+                  "bookmarks.json.2024-02-01T10-00-00-000Z",
+                  "bookmarks.json.2024-03-01T10-00-00-000Z",
+                ]),
+          );
+        global.fetch
+          .withArgs(url, sinon.match({ method: "COPY" }))
+          .resolves({ ok: true, status: 201 });
+        global.fetch
+          .withArgs(sinon.match.string, sinon.match({ method: "DELETE" }))
+          .resolves({ ok: true, status: 204 });
+
+        await backupRemoteFile(
+          url,
+          "user",
+          "pass",
+          2,
+          {},
+          new Date("2024-03-01T10:00:00.000Z"),
+        );
+
+        const copy = global.fetch
+          .getCalls()
+          .find((c) => c.args[1].method === "COPY");
+        expect(copy.args[1].headers.get("destination")).to.equal(
+          versions + "bookmarks.json.2024-03-01T10-00-00-000Z",
+        );
+        const deleted = global.fetch
+          .getCalls()
+          .filter((c) => c.args[1].method === "DELETE")
+          .map((c) => c.args[0]);
+        expect(deleted).to.deep.equal([
+          versions + "bookmarks.json.2024-01-01T10-00-00-000Z",
+        ]);
+      });
+
+      it("throws when the copy fails", async () => {
+        global.fetch
+          .withArgs(versions, sinon.match({ method: "PROPFIND" }))
+          .resolves({ ok: true, status: 207 });
+        global.fetch
+          .withArgs(url, sinon.match({ method: "COPY" }))
+          .resolves({ ok: false, status: 403 });
+
+        try {
+          await backupRemoteFile(url, "user", "pass", 2);
+          expect.fail("Should have thrown");
+        } catch (e) {
+          expect(e).to.be.instanceOf(WebDAVError);
+          expect(e.status).to.equal(403);
+        }
+      });
+    });
+
+    describe("updateWebDAV() with backupCount", () => {
+      it("backs up the current file before the PUT", async () => {
+        global.fetch.callsFake(async (target, options) => {
+          if (options.method === "PROPFIND") {
+            return options.headers.get("depth") === "0"
+              ? { ok: true, status: 207 }
+              : propfindResponse([]);
+          }
+          return { ok: true, status: 201, headers: responseHeaders({}) };
+        });
+
+        await updateWebDAV(url, "user", "pass", [], { etag: '"v1"' }, {
+          backupCount: 3,
+        });
+
+        const methods = global.fetch.getCalls().map((c) => c.args[1].method);
+        expect(methods.indexOf("COPY")).to.be.lessThan(methods.indexOf("PUT"));
+      });
+
+      it("neither backs up nor prunes when the PUT would fail with 412", async () => {
+        // The file changed since it was read: every request conditional on
+        // the old ETag is refused
+        global.fetch.callsFake(async (target, options) => {
+          if (options.method === "PROPFIND") {
+            return options.headers.get("depth") === "0"
+              ? { ok: true, status: 207 }
+              : propfindResponse([
+                  "bookmarks.json.2024-01-01T10-00-00-000Z",
+                  "bookmarks.json.2024-02-01T10-00-00-000Z",
+                ]);
+          }
+          if (options.headers.get("if-match") !== '"v2"') {
+            return { ok: false, status: 412 };
+          }
+          return { ok: true, status: 201, headers: responseHeaders({}) };
+        });
+
+        try {
+          await updateWebDAV(
+            url,
+            "user",
+            "pass",
+            [],
+            { etag: '"v1"' },
+            { backupCount: 1 },
+          );
+          expect.fail("Should have thrown");
+        } catch (e) {
+          expect(isPreconditionFailed(e)).to.be.true;
+        }
+
+        const calls = global.fetch.getCalls().map((c) => c.args[1]);
+        const copy = calls.find((c) => c.method === "COPY");
+        expect(copy.headers.get("if-match")).to.equal('"v1"');
+        expect(calls.some((c) => c.method === "DELETE")).to.be.false;
+      });
+
+      it("does not back up a file that does not exist yet", async () => {
+        global.fetch.resolves({ ok: true, status: 201, headers: responseHeaders({}) });
+
+        await updateWebDAV(url, "user", "pass", [], { exists: false }, {
+          backupCount: 3,
+        });
+
+        expect(global.fetch.calledOnce).to.be.true;
+        expect(global.fetch.firstCall.args[1].method).to.equal("PUT");
+      });
+
+      it("sends the bearer token with every request", async () => {
+        global.fetch.callsFake(async (target, options) => {
+          if (options.method === "PROPFIND") {
+            return options.headers.get("depth") === "0"
+              ? { ok: true, status: 207 }
+              : propfindResponse([]);
+          }
+          return { ok: true, status: 201, headers: responseHeaders({}) };
+        });
+
+        await updateWebDAV(
+          url,
+          "",
+          "",
+          [],
+          { etag: '"v1"' },
+          {
+            backupCount: 3,
+            authMode: AUTH_MODES.BEARER,
+            token: "tok",
+          },
+        );
+
+        const auth = global.fetch
+          .getCalls()
+          .map((c) => c.args[1].headers.get("authorization"));
+        expect(auth).to.have.length.greaterThan(2);
+        expect(auth.every((value) => value === "Bearer tok")).to.be.true;
+      });
+    });
+  });
+
+  // ============================================
+  // Nextcloud Login Flow v2
+  // ============================================
+
+  describe("Nextcloud Login Flow v2", () => {
+    describe("getNextcloudServerUrl()", () => {
+      it("strips the WebDAV path", () => {
+        expect(
+          getNextcloudServerUrl(
+            "https://cloud.example.com/remote.php/dav/files/alice/bm.json",
+          ),
+        ).to.equal("https://cloud.example.com");
+      });
+
+      it("keeps a subdirectory installation", () => {
+        expect(
+          getNextcloudServerUrl(
+            "https://example.com/nextcloud/remote.php/webdav/bm.json",
+          ),
+        ).to.equal("https://example.com/nextcloud");
+      });
+    });
+
+    // Stand-in for the two endpoints of a Nextcloud server: the poll endpoint
+    // answers 404 until the login "happened" (after two polls)
+    describe("against a local stand-in server", () => {
+      let server;
+      let serverUrl;
+      let polls;
+
+      before(async () => {
+        const http = await import("http");
+        server = http.createServer((request, response) => {
+          let body = "";
+          request.on("data", (chunk) => (body += chunk));
+          request.on("end", () => {
+            response.setHeader("Content-Type", "application/json");
+            if (request.url === "/index.php/login/v2") {
+              response.end(
+                JSON.stringify({
+                  poll: { token: "t0k3n", endpoint: `${serverUrl}/poll` },
+                  login: `${serverUrl}/login/v2/flow/abc`,
+                }),
+              );
+            } else if (request.url === "/poll" && body === "token=t0k3n") {
+              polls++;
+              if (polls < 3) {
+                response.statusCode = 404;
+                response.end("[]");
+              } else {
+                response.end(
+                  JSON.stringify({
+                    server: serverUrl,
+                    loginName: "alice",
+                    appPassword: "app-pass",
+                  }),
+                );
+              }
+            } else {
+              response.statusCode = 400;
+              response.end("{}");
+            }
+          });
+        });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        serverUrl = `http://127.0.0.1:${server.address().port}`;
+      });
+
+      after(() => {
+        server.close();
+      });
+
+      beforeEach(() => {
+        polls = 0;
+        global.fetch.callsFake((...args) => global.originalFetch(...args));
+      });
+
+      it("returns the login page and the poll data", async () => {
+        const { login, poll } = await startLoginFlow(serverUrl + "/");
+        expect(login).to.equal(`${serverUrl}/login/v2/flow/abc`);
+        expect(poll).to.deep.equal({
+          token: "t0k3n",
+          endpoint: `${serverUrl}/poll`,
+        });
+      });
+
+      it("polls until the app password is granted", async () => {
+        const { poll } = await startLoginFlow(serverUrl);
+        const result = await pollLoginFlow(poll, { intervalMs: 1 });
+        expect(result).to.deep.equal({
+          server: serverUrl,
+          loginName: "alice",
+          appPassword: "app-pass",
+        });
+        expect(polls).to.equal(3);
+      });
+
+      it("gives up after the timeout", async () => {
+        const { poll } = await startLoginFlow(serverUrl);
+        try {
+          await pollLoginFlow(poll, { intervalMs: 1, timeoutMs: 0 });
+          expect.fail("Should have thrown");
+        } catch (e) {
+          expect(e.message).to.include("not completed in time");
+        }
+      });
+
+      it("fails for a rejected token", async () => {
+        try {
+          await pollLoginFlow(
+            { token: "wrong", endpoint: `${serverUrl}/poll` },
+            { intervalMs: 1 },
+          );
+          expect.fail("Should have thrown");
+        } catch (e) {
+          expect(e).to.be.instanceOf(WebDAVError);
+          expect(e.status).to.equal(400);
+        }
+      });
+    });
   });
 });